@@ -7,9 +7,17 @@
 const testData = {
   passkeys: new Map(),
   challenges: new Map(),
-  verificationCodes: new Map()
+  verificationCodes: new Map(),
+  attempts: new Map(),
+  usedTokens: new Map(),
+  sessions: new Map(),
+  enrollments: new Map(),
+  securityEvents: [],
+  passkeyUseTrackingStart: null
 };
 
+let nextPasskeyId = 1;
+
 const mockDb = {
   /**
    * Passkey query mocks
@@ -19,13 +27,14 @@ const mockDb = {
       run: jest.fn((credentialId, publicKey, counter, email) => {
         const id = Buffer.from(credentialId).toString('base64');
         testData.passkeys.set(id, {
+          id: nextPasskeyId++,
           credentialId,
           publicKey,
           counter,
           email,
           createdAt: new Date()
         });
-        return { changes: 1, lastInsertRowid: testData.passkeys.size };
+        return { changes: 1, lastInsertRowid: nextPasskeyId - 1 };
       })
     },
     findPasskeyByCredentialId: {
@@ -52,11 +61,84 @@ const mockDb = {
       })
     },
     deletePasskey: {
-      run: jest.fn((credentialId) => {
-        const id = Buffer.from(credentialId).toString('base64');
-        const deleted = testData.passkeys.delete(id);
+      run: jest.fn((id) => {
+        const entry = Array.from(testData.passkeys.entries())
+          .find(([, passkey]) => passkey.id === id);
+        const deleted = entry ? testData.passkeys.delete(entry[0]) : false;
         return { changes: deleted ? 1 : 0 };
       })
+    },
+    renamePasskey: {
+      run: jest.fn((deviceName, id) => {
+        const passkey = Array.from(testData.passkeys.values()).find(pk => pk.id === id);
+        if (passkey) {
+          passkey.deviceName = deviceName;
+          return { changes: 1 };
+        }
+        return { changes: 0 };
+      })
+    },
+    flagPasskey: {
+      run: jest.fn((flaggedAt, reason, id) => {
+        const passkey = Array.from(testData.passkeys.values()).find(pk => pk.id === id);
+        if (passkey) {
+          Object.assign(passkey, { flaggedAt, flagReason: reason });
+          return { changes: 1 };
+        }
+        return { changes: 0 };
+      })
+    },
+    getFlaggedPasskeys: {
+      all: jest.fn(() => {
+        return Array.from(testData.passkeys.values())
+          .filter(pk => pk.flaggedAt)
+          .sort((a, b) => b.flaggedAt - a.flaggedAt);
+      })
+    },
+    recordPasskeyUse: {
+      run: jest.fn((lastUsedAt, ip, userAgent, id) => {
+        const passkey = Array.from(testData.passkeys.values()).find(pk => pk.id === id);
+        if (passkey) {
+          Object.assign(passkey, {
+            lastUsedAt,
+            lastUsedIp: ip,
+            lastUsedUserAgent: userAgent,
+            useCount: (passkey.useCount || 0) + 1,
+            staleWarnedAt: null
+          });
+          return { changes: 1 };
+        }
+        return { changes: 0 };
+      })
+    },
+    getAllPasskeys: {
+      all: jest.fn(() => Array.from(testData.passkeys.values()))
+    },
+    markPasskeyStaleWarning: {
+      run: jest.fn((staleWarnedAt, id) => {
+        const passkey = Array.from(testData.passkeys.values()).find(pk => pk.id === id);
+        if (passkey) {
+          passkey.staleWarnedAt = staleWarnedAt;
+          return { changes: 1 };
+        }
+        return { changes: 0 };
+      })
+    },
+    getPasskeyUseTrackingStart: jest.fn((now) => {
+      if (testData.passkeyUseTrackingStart === null) {
+        testData.passkeyUseTrackingStart = now;
+      }
+      return Promise.resolve(testData.passkeyUseTrackingStart);
+    }),
+    disablePasskey: {
+      run: jest.fn((disabledAt, id) => {
+        const passkey = Array.from(testData.passkeys.values()).find(pk => pk.id === id);
+        if (passkey) {
+          passkey.disabledAt = disabledAt;
+          return { changes: 1 };
+        }
+        return { changes: 0 };
+      })
     }
   },
 
@@ -64,36 +146,31 @@ const mockDb = {
    * Challenge query mocks
    */
   challengeQueries: {
-    storeChallenge: {
-      run: jest.fn((email, challenge, expiresAt) => {
-        testData.challenges.set(email, {
-          challenge,
-          expiresAt,
-          createdAt: new Date()
-        });
-        return { changes: 1 };
-      })
-    },
-    getChallenge: {
-      get: jest.fn((email) => {
-        return testData.challenges.get(email) || null;
-      })
-    },
-    deleteChallenge: {
-      run: jest.fn((email) => {
-        const deleted = testData.challenges.delete(email);
-        return { changes: deleted ? 1 : 0 };
-      })
-    }
+    storeChallenge: jest.fn((id, fields) => {
+      testData.challenges.set(id, { id, ...fields });
+      return Promise.resolve();
+    }),
+    takeChallenge: jest.fn((id) => {
+      const row = testData.challenges.get(id);
+      testData.challenges.delete(id);
+      return Promise.resolve(row ? { ...row } : null);
+    }),
+    cleanupExpiredChallenges: jest.fn(() => {
+      const expired = Array.from(testData.challenges.values())
+        .filter(row => row.expiresAt < Date.now());
+      expired.forEach(row => testData.challenges.delete(row.id));
+      return Promise.resolve(expired.length);
+    })
   },
 
   /**
    * Verification code query mocks
    */
   verificationCodeQueries: {
-    storeCode: jest.fn((email, code, expiresAt) => {
+    storeCode: jest.fn((email, codeHash, salt, expiresAt) => {
       testData.verificationCodes.set(email, {
-        code,
+        codeHash,
+        salt,
         expiresAt,
         createdAt: new Date()
       });
@@ -106,6 +183,181 @@ const mockDb = {
     deleteCode: jest.fn((email) => {
       const deleted = testData.verificationCodes.delete(email);
       return Promise.resolve(deleted);
+    }),
+    cleanupExpiredCodes: jest.fn(() => {
+      for (const [email, codeData] of testData.verificationCodes) {
+        if (codeData.expiresAt < Date.now()) {
+          testData.verificationCodes.delete(email);
+        }
+      }
+      return Promise.resolve();
+    })
+  },
+
+  /**
+   * Attempt counter query mocks
+   */
+  attemptQueries: {
+    updateAttempts: jest.fn((keys, update) => {
+      // Synchronous, so concurrent calls cannot interleave (like a transaction)
+      const updated = update(keys.map(key => testData.attempts.get(key) || null)) || [];
+      updated.forEach((attempt, index) => {
+        if (attempt) {
+          const { count, windowStart, lockedUntil } = attempt;
+          testData.attempts.set(keys[index], { key: keys[index], count, windowStart, lockedUntil });
+        }
+      });
+      return Promise.resolve();
+    }),
+    deleteAttempt: jest.fn((key) => {
+      testData.attempts.delete(key);
+      return Promise.resolve();
+    }),
+    cleanupExpiredAttempts: jest.fn((before) => {
+      const now = Date.now();
+      for (const [key, row] of testData.attempts) {
+        if (row.windowStart < before && (!row.lockedUntil || row.lockedUntil < now)) {
+          testData.attempts.delete(key);
+        }
+      }
+      return Promise.resolve();
+    })
+  },
+
+  /**
+   * Used token query mocks
+   */
+  usedTokenQueries: {
+    markUsed: jest.fn((jti, expiresAt) => {
+      if (testData.usedTokens.has(jti)) {
+        return Promise.resolve(false);
+      }
+      testData.usedTokens.set(jti, { jti, expiresAt });
+      return Promise.resolve(true);
+    }),
+    cleanupExpiredTokens: jest.fn(() => {
+      for (const [jti, row] of testData.usedTokens) {
+        if (row.expiresAt < Date.now()) {
+          testData.usedTokens.delete(jti);
+        }
+      }
+      return Promise.resolve();
+    })
+  },
+
+  /**
+   * Session query mocks
+   */
+  sessionQueries: {
+    getSession: jest.fn((sid) => {
+      const row = testData.sessions.get(sid);
+      return Promise.resolve(row ? { ...row } : null);
+    }),
+    saveSession: jest.fn((sid, fields) => {
+      const existing = testData.sessions.get(sid);
+      testData.sessions.set(sid, {
+        sid,
+        ...fields,
+        createdAt: existing ? existing.createdAt : fields.lastSeenAt
+      });
+      return Promise.resolve();
+    }),
+    updateSession: jest.fn((sid, fields) => {
+      const row = testData.sessions.get(sid);
+      if (row) {
+        Object.assign(row, fields);
+      }
+      return Promise.resolve(Boolean(row));
+    }),
+    touchSession: jest.fn((sid, lastSeenAt, expiresAt) => {
+      const row = testData.sessions.get(sid);
+      if (row) {
+        Object.assign(row, { lastSeenAt, expiresAt });
+      }
+      return Promise.resolve();
+    }),
+    deleteSession: jest.fn((sid) => {
+      testData.sessions.delete(sid);
+      return Promise.resolve();
+    }),
+    getSessionsByEmail: jest.fn((email) => {
+      return Promise.resolve(Array.from(testData.sessions.values())
+        .filter(row => row.email === email)
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        .map(row => ({ ...row })));
+    }),
+    getSessionsBySsoSession: jest.fn((ssoSessionId) => {
+      return Promise.resolve(Array.from(testData.sessions.values())
+        .filter(row => row.ssoSessionId === ssoSessionId)
+        .map(row => ({ ...row })));
+    }),
+    getAllSessions: jest.fn(() => {
+      return Promise.resolve(Array.from(testData.sessions.values()).map(row => ({ ...row })));
+    }),
+    deleteAllSessions: jest.fn(() => {
+      testData.sessions.clear();
+      return Promise.resolve();
+    }),
+    cleanupExpiredSessions: jest.fn(() => {
+      for (const [sid, row] of testData.sessions) {
+        if (row.expiresAt < Date.now()) {
+          testData.sessions.delete(sid);
+        }
+      }
+      return Promise.resolve();
+    })
+  },
+
+  /**
+   * Passkey enrollment query mocks
+   */
+  enrollmentQueries: {
+    getEnrollment: jest.fn((email) => {
+      const row = testData.enrollments.get(email);
+      return Promise.resolve(row ? { ...row } : null);
+    }),
+    recordPrompt: jest.fn((email, at) => {
+      const row = testData.enrollments.get(email) || { email, promptCount: 0 };
+      testData.enrollments.set(email, { ...row, promptCount: row.promptCount + 1, promptedAt: at });
+      return Promise.resolve();
+    }),
+    recordDecline: jest.fn((email, at) => {
+      const row = testData.enrollments.get(email) || { email, promptCount: 0 };
+      testData.enrollments.set(email, { ...row, declinedAt: at });
+      return Promise.resolve();
+    }),
+    recordEnrollment: jest.fn((email, at) => {
+      const row = testData.enrollments.get(email) || { email, promptCount: 0 };
+      testData.enrollments.set(email, { ...row, enrolledAt: row.enrolledAt || at });
+      return Promise.resolve();
+    }),
+    getEnrollmentStats: jest.fn(() => {
+      const rows = Array.from(testData.enrollments.values());
+      return Promise.resolve({
+        prompted: rows.filter(row => row.promptedAt).length,
+        declined: rows.filter(row => row.declinedAt).length,
+        enrolled: rows.filter(row => row.enrolledAt).length,
+        enrolledAfterPrompt: rows.filter(row => row.promptedAt && row.enrolledAt >= row.promptedAt).length
+      });
+    })
+  },
+
+  /**
+   * Security event query mocks
+   */
+  securityEventQueries: {
+    recordEvent: jest.fn((event) => {
+      testData.securityEvents.push({ id: testData.securityEvents.length + 1, ...event });
+      return Promise.resolve();
+    }),
+    getRecentEvents: jest.fn((limit) => {
+      return Promise.resolve(testData.securityEvents.slice().reverse().slice(0, limit));
+    }),
+    getEventsByEmail: jest.fn((email, limit) => {
+      return Promise.resolve(testData.securityEvents
+        .filter(event => event.email === email)
+        .reverse()
+        .slice(0, limit));
     })
   },
 
@@ -116,6 +368,13 @@ const mockDb = {
     testData.passkeys.clear();
     testData.challenges.clear();
     testData.verificationCodes.clear();
+    testData.attempts.clear();
+    testData.usedTokens.clear();
+    testData.sessions.clear();
+    testData.enrollments.clear();
+    testData.securityEvents.length = 0;
+    testData.passkeyUseTrackingStart = null;
+    nextPasskeyId = 1;
   },
 
   /**
@@ -139,12 +398,7 @@ const mockDb = {
     });
 
     Object.keys(mockDb.challengeQueries).forEach(key => {
-      if (mockDb.challengeQueries[key].run?.mockClear) {
-        mockDb.challengeQueries[key].run.mockClear();
-      }
-      if (mockDb.challengeQueries[key].get?.mockClear) {
-        mockDb.challengeQueries[key].get.mockClear();
-      }
+      mockDb.challengeQueries[key].mockClear();
     });
 
     Object.keys(mockDb.verificationCodeQueries).forEach(key => {
@@ -152,6 +406,26 @@ const mockDb = {
         mockDb.verificationCodeQueries[key].mockClear();
       }
     });
+
+    Object.keys(mockDb.attemptQueries).forEach(key => {
+      mockDb.attemptQueries[key].mockClear();
+    });
+
+    Object.keys(mockDb.usedTokenQueries).forEach(key => {
+      mockDb.usedTokenQueries[key].mockClear();
+    });
+
+    Object.keys(mockDb.sessionQueries).forEach(key => {
+      mockDb.sessionQueries[key].mockClear();
+    });
+
+    Object.keys(mockDb.enrollmentQueries).forEach(key => {
+      mockDb.enrollmentQueries[key].mockClear();
+    });
+
+    Object.keys(mockDb.securityEventQueries).forEach(key => {
+      mockDb.securityEventQueries[key].mockClear();
+    });
   },
 
   /**
@@ -160,7 +434,12 @@ const mockDb = {
   getTestData: () => ({
     passkeys: Array.from(testData.passkeys.entries()),
     challenges: Array.from(testData.challenges.entries()),
-    verificationCodes: Array.from(testData.verificationCodes.entries())
+    verificationCodes: Array.from(testData.verificationCodes.entries()),
+    attempts: Array.from(testData.attempts.entries()),
+    usedTokens: Array.from(testData.usedTokens.entries()),
+    sessions: Array.from(testData.sessions.entries()),
+    enrollments: Array.from(testData.enrollments.entries()),
+    securityEvents: testData.securityEvents.slice()
   })
 };
 
@@ -108,6 +108,26 @@ const mockPasskeyAuth = {
   }
 };
 
+/**
+ * Build a WebAuthn response whose clientDataJSON carries the given challenge
+ * @param {string} challenge - From the start endpoint's options
+ * @param {object} [response] - Extra response fields
+ */
+const createMockCredential = (challenge, response = {}) => ({
+  id: 'mock-credential-id',
+  rawId: 'mock-raw-id',
+  type: 'public-key',
+  response: {
+    clientDataJSON: Buffer.from(JSON.stringify({
+      type: 'webauthn.get',
+      challenge,
+      origin: 'http://localhost:3002'
+    })).toString('base64url'),
+    ...response
+  }
+});
+
 module.exports = {
-  mockPasskeyAuth
+  mockPasskeyAuth,
+  createMockCredential
 };
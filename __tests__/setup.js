@@ -7,6 +7,8 @@
 process.env.NODE_ENV = 'test';
 process.env.USE_FIRESTORE = 'false'; // Use in-memory for tests
 process.env.SESSION_SECRET = 'test-secret-key-do-not-use-in-production';
+process.env.SSO_JWT_SECRET = 'test-sso-signing-key-do-not-use-in-production';
+process.env.MAGIC_LINK_SECRET = 'test-magic-link-key-do-not-use-in-production';
 process.env.GHOST_API_URL = 'http://localhost:3002';
 process.env.RP_ID = 'test.local';
 process.env.RP_NAME = 'Test Travel Intelligence Club';
@@ -0,0 +1,225 @@
+/**
+ * Unit Tests for Access Rules
+ * Tests rule parsing, matching order and post metadata lookups
+ */
+
+const {
+  AccessRulesError,
+  createAccessRules,
+  parseAccessRules
+} = require('../../lib/access-rules');
+const { createPostLookup, getPostSlug, showsPostContent } = require('../../lib/ghost-posts');
+
+describe('Access Rules', () => {
+  const defaultRule = { labels: ['explorer', 'patron', 'builder'], tier: 'Travel Intelligence Club' };
+  let postLookup;
+
+  const createRules = (config) => createAccessRules({
+    rules: parseAccessRules(config),
+    defaultRule,
+    postLookup
+  });
+
+  beforeEach(() => {
+    postLookup = {
+      getPost: jest.fn().mockResolvedValue({ slug: 'some-post', tags: ['deep-dive'], visibility: 'paid' })
+    };
+  });
+
+  describe('parseAccessRules', () => {
+    it('should parse JSON and accept single values or lists', () => {
+      const rules = parseAccessRules(JSON.stringify([
+        { path: '/reports/**', labels: ['builder'], tier: 'Builder' },
+        { tag: ['Deep-Dive', 'data'], labels: ['patron'] }
+      ]));
+
+      expect(rules).toHaveLength(2);
+      expect(rules[0].tier).toBe('Builder');
+      expect(rules[1].tags).toEqual(['deep-dive', 'data']);
+      expect(rules[1].tier).toBe('patron');
+    });
+
+    it('should reject invalid JSON', () => {
+      expect(() => parseAccessRules('[{')).toThrow(AccessRulesError);
+    });
+
+    it('should reject rules without a condition', () => {
+      expect(() => parseAccessRules([{ labels: ['patron'] }])).toThrow('needs a path, tag or visibility');
+    });
+
+    it('should reject rules without labels', () => {
+      expect(() => parseAccessRules([{ path: '/x/', labels: [] }])).toThrow('non-empty list of labels');
+    });
+
+    it('should reject invalid path globs', () => {
+      expect(() => parseAccessRules([{ path: 'x/**', labels: ['patron'] }])).toThrow(AccessRulesError);
+    });
+  });
+
+  describe('check', () => {
+    it('should fall back to the default rule', async () => {
+      const rules = createRules([]);
+
+      const result = await rules.check('/some-post/', ['explorer']);
+
+      expect(result.allowed).toBe(true);
+      expect(result.rule).toBe(defaultRule);
+      expect(postLookup.getPost).not.toHaveBeenCalled();
+    });
+
+    it('should apply path rules', async () => {
+      const rules = createRules([{ path: '/reports/**', labels: ['builder'], tier: 'Builder' }]);
+
+      const denied = await rules.check('/reports/q1/', ['explorer']);
+      expect(denied.allowed).toBe(false);
+      expect(denied.rule.tier).toBe('Builder');
+
+      expect((await rules.check('/reports/q1/', ['builder'])).allowed).toBe(true);
+      expect((await rules.check('/other/', ['explorer'])).allowed).toBe(true);
+    });
+
+    it('should apply tag rules using post metadata', async () => {
+      const rules = createRules([{ tag: 'deep-dive', labels: ['patron', 'builder'], tier: 'Patron' }]);
+
+      const result = await rules.check('/some-post/', ['explorer']);
+
+      expect(result.allowed).toBe(false);
+      expect(result.rule.tier).toBe('Patron');
+      expect(postLookup.getPost).toHaveBeenCalledWith('/some-post/');
+    });
+
+    it('should apply visibility rules', async () => {
+      const rules = createRules([{ visibility: 'paid', labels: ['patron'], tier: 'Patron' }]);
+
+      expect((await rules.check('/some-post/', ['patron'])).allowed).toBe(true);
+      expect((await rules.check('/some-post/', ['explorer'])).allowed).toBe(false);
+    });
+
+    it('should skip post rules for paths that are not posts', async () => {
+      postLookup.getPost.mockResolvedValue(null);
+      const rules = createRules([{ tag: 'deep-dive', labels: ['patron'] }]);
+
+      const result = await rules.check('/assets/app.css', ['explorer']);
+
+      expect(result.allowed).toBe(true);
+      expect(result.rule).toBe(defaultRule);
+    });
+
+    it('should use the first matching rule', async () => {
+      const rules = createRules([
+        { path: '/free-preview/', labels: ['explorer'], tier: 'Explorer' },
+        { tag: 'deep-dive', labels: ['patron'], tier: 'Patron' }
+      ]);
+
+      expect((await rules.check('/free-preview/', ['explorer'])).allowed).toBe(true);
+      expect(postLookup.getPost).not.toHaveBeenCalled();
+    });
+
+    it('should require every condition of a rule', async () => {
+      const rules = createRules([{ path: '/archive/**', tag: 'deep-dive', labels: ['patron'] }]);
+
+      expect((await rules.check('/some-post/', ['explorer'])).allowed).toBe(true);
+    });
+
+    it('should look the post up once per check', async () => {
+      const rules = createRules([
+        { tag: 'data', labels: ['builder'] },
+        { visibility: 'members', labels: ['explorer'] },
+        { tag: 'deep-dive', labels: ['patron'] }
+      ]);
+
+      await rules.check('/some-post/', ['patron']);
+
+      expect(postLookup.getPost).toHaveBeenCalledTimes(1);
+    });
+
+    it('should require the strictest post rule for feeds and newsletter pages', async () => {
+      const rules = createRules([
+        { path: '/rss/', labels: ['explorer', 'patron', 'builder'], tier: 'Explorer' },
+        { visibility: 'paid', labels: ['patron', 'builder'], tier: 'Patron' },
+        { tag: 'data', labels: ['builder'], tier: 'Builder' }
+      ]);
+
+      for (const path of ['/tag/data/rss/', '/author/someone/rss/', '/rss/2/', '/email/0b4f6c9a-1d2e/']) {
+        const denied = await rules.check(path, ['patron']);
+        expect(denied.allowed).toBe(false);
+        expect(denied.rule.tier).toBe('Builder');
+        expect((await rules.check(path, ['builder'])).allowed).toBe(true);
+      }
+      expect((await rules.check('/rss/', ['explorer'])).allowed).toBe(true);
+      expect(postLookup.getPost).not.toHaveBeenCalled();
+    });
+
+    it('should leave feeds to the default rule without post rules', async () => {
+      const rules = createRules([{ path: '/reports/**', labels: ['builder'] }]);
+
+      expect((await rules.check('/rss/', ['explorer'])).allowed).toBe(true);
+    });
+
+    it('should require a post lookup for tag rules', () => {
+      postLookup = null;
+
+      expect(() => createRules([{ tag: 'deep-dive', labels: ['patron'] }])).toThrow('GHOST_CONTENT_API_KEY');
+    });
+  });
+
+  describe('Ghost post lookup', () => {
+    it('should take the slug from the last path segment', () => {
+      expect(getPostSlug('/Some-Post/')).toBe('some-post');
+      expect(getPostSlug('/some-post')).toBe('some-post');
+      expect(getPostSlug('/some-post/amp/')).toBe('some-post');
+      expect(getPostSlug('/2024/05/some-post/')).toBe('some-post');
+      expect(getPostSlug('/assets/app.css')).toBeNull();
+      expect(getPostSlug('/favicon.ico')).toBeNull();
+      expect(getPostSlug('/')).toBeNull();
+    });
+
+    it('should recognize paths that show posts in full', () => {
+      expect(showsPostContent('/rss/')).toBe(true);
+      expect(showsPostContent('/tag/deep-dive/rss/')).toBe(true);
+      expect(showsPostContent('/email/0b4f6c9a-1d2e/')).toBe(true);
+      expect(showsPostContent('/some-post/')).toBe(false);
+      expect(showsPostContent('/rss-explained/')).toBe(false);
+    });
+
+    it('should only return a post at its own URL', async () => {
+      const fetchPost = jest.fn().mockResolvedValue({
+        slug: 'some-post',
+        url: 'http://localhost:3002/2024/05/some-post/',
+        visibility: 'paid',
+        tags: []
+      });
+      const lookup = createPostLookup({ apiUrl: 'http://localhost:3002', contentApiKey: 'key', fetchPost });
+
+      expect(await lookup.getPost('/2024/05/some-post/')).toMatchObject({ visibility: 'paid' });
+      expect(await lookup.getPost('/2024/05/Some-Post/amp/')).toMatchObject({ visibility: 'paid' });
+      expect(await lookup.getPost('/2024/05/some-post')).toMatchObject({ visibility: 'paid' });
+      expect(await lookup.getPost('/tag/some-post/')).toBeNull();
+      expect(fetchPost).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return tags and visibility and cache lookups', async () => {
+      const fetchPost = jest.fn().mockResolvedValue({
+        slug: 'some-post',
+        visibility: 'paid',
+        tags: [{ slug: 'deep-dive' }, { slug: 'data' }]
+      });
+      const lookup = createPostLookup({ apiUrl: 'http://localhost:3002', contentApiKey: 'key', fetchPost });
+
+      const post = await lookup.getPost('/some-post/');
+      await lookup.getPost('/some-post');
+
+      expect(post).toEqual({ slug: 'some-post', tags: ['deep-dive', 'data'], visibility: 'paid' });
+      expect(fetchPost).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return null for unknown posts', async () => {
+      const fetchPost = jest.fn().mockResolvedValue(null);
+      const lookup = createPostLookup({ apiUrl: 'http://localhost:3002', contentApiKey: 'key', fetchPost });
+
+      expect(await lookup.getPost('/about/')).toBeNull();
+      expect(await lookup.getPost('/assets/app.css')).toBeNull();
+      expect(fetchPost).toHaveBeenCalledTimes(1);
+    });
+  });
+});
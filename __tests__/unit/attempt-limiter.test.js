@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for the Attempt Limiter
+ * Tests per-email and per-IP counters, lockouts and resets
+ */
+
+const { createAttemptLimiter } = require('../../lib/attempt-limiter');
+const { mockDb } = require('../mocks/db.mock');
+
+describe('Attempt Limiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    mockDb.resetMocks();
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+
+    limiter = createAttemptLimiter(mockDb.attemptQueries, {
+      scope: 'verify',
+      limits: { email: 3, ip: 5 },
+      windowMs: 60 * 1000,
+      lockoutMs: 10 * 60 * 1000
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Seconds until the subject may try again, from the stored counters
+  const lockedFor = (subject) => {
+    const keys = Object.entries(subject).map(([dimension, value]) => `verify:${dimension}:${value.toLowerCase()}`);
+    const lockedUntil = mockDb.getTestData().attempts
+      .filter(([key]) => keys.includes(key))
+      .map(([, attempt]) => attempt.lockedUntil || 0);
+    return Math.max(0, Math.ceil((Math.max(0, ...lockedUntil) - Date.now()) / 1000));
+  };
+
+  it('should allow attempts below the limit', async () => {
+    await limiter.hit({ email: 'test@example.com', ip: '1.2.3.4' });
+    await limiter.hit({ email: 'test@example.com', ip: '1.2.3.4' });
+
+    expect(lockedFor({ email: 'test@example.com', ip: '1.2.3.4' })).toBe(0);
+  });
+
+  it('should lock the email once its limit is reached', async () => {
+    const subject = { email: 'test@example.com', ip: '1.2.3.4' };
+
+    await limiter.hit(subject);
+    await limiter.hit(subject);
+    const result = await limiter.hit(subject);
+
+    expect(result.locked).toEqual(['email']);
+    expect(result.retryAfter).toBe(600);
+    expect(lockedFor(subject)).toBe(600);
+
+    // A different email from the same IP is still allowed
+    expect(lockedFor({ email: 'other@example.com', ip: '1.2.3.4' })).toBe(0);
+  });
+
+  it('should treat emails case-insensitively', async () => {
+    await limiter.hit({ email: 'Test@Example.com' });
+    await limiter.hit({ email: 'test@example.com' });
+    await limiter.hit({ email: 'TEST@example.com' });
+
+    expect(lockedFor({ email: 'test@example.com' })).toBeGreaterThan(0);
+  });
+
+  it('should lock an IP across different emails', async () => {
+    for (let i = 0; i < 5; i++) {
+      await limiter.hit({ email: `user${i}@example.com`, ip: '1.2.3.4' });
+    }
+
+    expect(lockedFor({ email: 'new@example.com', ip: '1.2.3.4' })).toBe(600);
+  });
+
+  it('should release the lock after the cooldown', async () => {
+    const subject = { email: 'test@example.com' };
+    for (let i = 0; i < 3; i++) {
+      await limiter.hit(subject);
+    }
+
+    jest.advanceTimersByTime(10 * 60 * 1000 + 1);
+
+    expect(lockedFor(subject)).toBe(0);
+    const result = await limiter.hit(subject);
+    expect(result.locked).toEqual([]);
+  });
+
+  it('should start a new window once the old one expires', async () => {
+    const subject = { email: 'test@example.com' };
+    await limiter.hit(subject);
+    await limiter.hit(subject);
+
+    jest.advanceTimersByTime(61 * 1000);
+
+    const result = await limiter.hit(subject);
+    expect(result.locked).toEqual([]);
+    expect(lockedFor(subject)).toBe(0);
+  });
+
+  it('should refuse attempts while locked without counting them', async () => {
+    const subject = { email: 'test@example.com', ip: '1.2.3.4' };
+    for (let i = 0; i < 3; i++) {
+      await limiter.hit(subject);
+    }
+
+    const result = await limiter.hit(subject);
+
+    expect(result).toEqual({ allowed: false, retryAfter: 600, locked: [] });
+    expect(mockDb.getTestData().attempts).toContainEqual(['verify:ip:1.2.3.4', expect.objectContaining({ count: 3 })]);
+  });
+
+  it('should let only the allowed number of parallel attempts through', async () => {
+    const subject = { email: 'test@example.com', ip: '1.2.3.4' };
+
+    const results = await Promise.all(Array.from({ length: 20 }, () => limiter.hit(subject)));
+
+    expect(results.filter(result => result.allowed)).toHaveLength(3);
+    expect(results[2].locked).toEqual(['email']);
+  });
+
+  it('should take back a counted attempt without lifting a lock', async () => {
+    const subject = { email: 'test@example.com' };
+    await limiter.hit(subject);
+    await limiter.hit(subject);
+    await limiter.forgive(subject);
+
+    expect((await limiter.hit(subject)).locked).toEqual([]);
+    expect((await limiter.hit(subject)).locked).toEqual(['email']);
+
+    await limiter.forgive(subject);
+    expect(lockedFor(subject)).toBe(600);
+  });
+
+  it('should clear counters on reset', async () => {
+    const subject = { email: 'test@example.com' };
+    await limiter.hit(subject);
+    await limiter.hit(subject);
+    await limiter.reset(subject);
+
+    const result = await limiter.hit(subject);
+    expect(result.locked).toEqual([]);
+    expect(mockDb.attemptQueries.deleteAttempt).toHaveBeenCalledWith('verify:email:test@example.com');
+  });
+
+  it('should clean up old counters now and then', async () => {
+    await limiter.hit({ email: 'old@example.com' });
+    jest.advanceTimersByTime(2 * 60 * 1000);
+    await limiter.hit({ email: 'test@example.com' });
+    await limiter.hit({ email: 'test@example.com' });
+
+    expect(mockDb.attemptQueries.cleanupExpiredAttempts).toHaveBeenCalledTimes(2);
+    expect(mockDb.getTestData().attempts.map(([key]) => key)).toEqual(['verify:email:test@example.com']);
+  });
+});
@@ -15,6 +15,21 @@ const { mockPasskeyAuth } = require('../mocks/passkey-auth.mock');
 describe('Authentication Endpoints', () => {
   let app;
 
+  // Create app with injected dependencies
+  const createTestApp = () => createApp(true, {
+    ghostAPI: mockGhostAPI,
+    emailVerification: mockEmailVerification,
+    passkeyQueries: mockDb.passkeyQueries,
+    challengeQueries: mockDb.challengeQueries,
+    verificationCodeQueries: mockDb.verificationCodeQueries,
+    attemptQueries: mockDb.attemptQueries,
+    usedTokenQueries: mockDb.usedTokenQueries,
+    sessionQueries: mockDb.sessionQueries,
+    enrollmentQueries: mockDb.enrollmentQueries,
+    securityEventQueries: mockDb.securityEventQueries,
+    passkeyAuth: mockPasskeyAuth
+  });
+
   beforeEach(() => {
     // Reset all mocks before each test
     mockGhostAPI.resetMocks();
@@ -22,15 +37,7 @@ describe('Authentication Endpoints', () => {
     mockDb.resetMocks();
     mockPasskeyAuth.resetMocks();
 
-    // Create app with injected dependencies
-    app = createApp(true, {
-      ghostAPI: mockGhostAPI,
-      emailVerification: mockEmailVerification,
-      passkeyQueries: mockDb.passkeyQueries,
-      challengeQueries: mockDb.challengeQueries,
-      verificationCodeQueries: mockDb.verificationCodeQueries,
-      passkeyAuth: mockPasskeyAuth
-    });
+    app = createTestApp();
   });
 
   describe('POST /api/auth/send-verification', () => {
@@ -163,7 +170,7 @@ describe('Authentication Endpoints', () => {
 
       expect(response.status).toBe(400);
       expect(response.body.error).toBe('Invalid or expired code');
-      expect(mockEmailVerification.verifyCode).toHaveBeenCalledWith('test@example.com', 'invalid');
+      expect(mockEmailVerification.verifyCode).toHaveBeenCalledWith('test@example.com', 'invalid', null);
     });
 
     it('should return 404 if user not found after valid code', async () => {
@@ -236,7 +243,7 @@ describe('Authentication Endpoints', () => {
       });
 
       // Verify code was validated
-      expect(mockEmailVerification.verifyCode).toHaveBeenCalledWith('test@example.com', '123456');
+      expect(mockEmailVerification.verifyCode).toHaveBeenCalledWith('test@example.com', '123456', null);
     });
 
     it('should accept users with any of the allowed labels', async () => {
@@ -284,6 +291,361 @@ describe('Authentication Endpoints', () => {
     });
   });
 
+  describe('Browser-bound verification codes (test-mode stub)', () => {
+    let stubApp;
+    let logSpy;
+
+    const mockMember = {
+      id: 'member-123',
+      email: 'test@example.com',
+      name: 'Test User',
+      labels: [{ name: 'builder' }]
+    };
+
+    // Read the code the test-mode stub "sent"
+    const lastSentCode = () => {
+      const line = logSpy.mock.calls.map(args => args.join(' ')).reverse()
+        .find(text => text.startsWith('[TEST] Sending email'));
+      return line.match(/code (\d{6})/)[1];
+    };
+
+    beforeEach(() => {
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      // No emailVerification injected: uses the built-in test-mode stub
+      stubApp = createApp(true, {
+        ghostAPI: mockGhostAPI,
+        passkeyQueries: mockDb.passkeyQueries,
+        challengeQueries: mockDb.challengeQueries,
+        verificationCodeQueries: mockDb.verificationCodeQueries,
+        attemptQueries: mockDb.attemptQueries,
+        usedTokenQueries: mockDb.usedTokenQueries,
+        sessionQueries: mockDb.sessionQueries,
+        enrollmentQueries: mockDb.enrollmentQueries,
+        securityEventQueries: mockDb.securityEventQueries,
+        passkeyAuth: mockPasskeyAuth
+      });
+    });
+
+    afterEach(() => {
+      logSpy.mockRestore();
+    });
+
+    it('should store a salted hash instead of the code', async () => {
+      const agent = request.agent(stubApp);
+      await agent.post('/api/auth/send-verification').send({ email: 'test@example.com' });
+
+      const [, codeHash, salt] = mockDb.verificationCodeQueries.storeCode.mock.calls[0];
+      expect(codeHash).not.toContain(lastSentCode());
+      expect(salt).toEqual(expect.any(String));
+    });
+
+    it('should accept the code in the browser that requested it', async () => {
+      const agent = request.agent(stubApp);
+      await agent.post('/api/auth/send-verification').send({ email: 'test@example.com' });
+
+      const response = await agent
+        .post('/api/auth/verify-code')
+        .send({ email: 'test@example.com', code: lastSentCode() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+    });
+
+    it('should reject the code from another browser', async () => {
+      const requester = request.agent(stubApp);
+      await requester.post('/api/auth/send-verification').send({ email: 'test@example.com' });
+
+      const attacker = request.agent(stubApp);
+      const response = await attacker
+        .post('/api/auth/verify-code')
+        .send({ email: 'test@example.com', code: lastSentCode() });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid or expired code');
+    });
+
+    it('should not accept the same code twice', async () => {
+      const agent = request.agent(stubApp);
+      await agent.post('/api/auth/send-verification').send({ email: 'test@example.com' });
+      const code = lastSentCode();
+
+      await agent.post('/api/auth/verify-code').send({ email: 'test@example.com', code });
+      const response = await agent
+        .post('/api/auth/verify-code')
+        .send({ email: 'test@example.com', code });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Magic sign-in links', () => {
+    const mockMember = {
+      id: 'member-123',
+      email: 'test@example.com',
+      name: 'Test User',
+      labels: [{ name: 'builder' }]
+    };
+
+    // Request a link from a browser and pull it out of the rendered email
+    const requestMagicLink = async (body = {}) => {
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      const agent = request.agent(app);
+      const response = await agent
+        .post('/api/auth/send-verification')
+        .send({ email: 'test@example.com', delivery: 'link', ...body });
+
+      const [, name, code, options] = mockEmailVerification.sendVerificationEmail.mock.calls[0];
+      const html = options.htmlTemplate('test@example.com', name, code, options.appName);
+      const link = html.match(/href="([^"]+)"/)[1];
+
+      return { response, agent, link: new URL(link) };
+    };
+
+    it('should send only a link when delivery is link', async () => {
+      const { response, link } = await requestMagicLink();
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Sign-in link sent');
+      expect(link.pathname).toBe('/auth/magic');
+      expect(mockEmailVerification.storeCode).not.toHaveBeenCalled();
+    });
+
+    it('should send both code and link when delivery is both', async () => {
+      const { response } = await requestMagicLink({ delivery: 'both' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Verification code sent');
+      expect(mockEmailVerification.storeCode).toHaveBeenCalled();
+    });
+
+    it('should reject unknown delivery methods', async () => {
+      const response = await request(app)
+        .post('/api/auth/send-verification')
+        .send({ email: 'test@example.com', delivery: 'carrier-pigeon' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should ask the member to continue before using the link', async () => {
+      const { agent, link } = await requestMagicLink();
+
+      const page = await agent.get(`${link.pathname}${link.search}`);
+      expect(page.status).toBe(200);
+      expect(page.headers['content-type']).toContain('text/html');
+      expect(page.headers['cache-control']).toBe('no-store');
+      expect(page.text).toContain('<form method="post"');
+      expect(mockDb.usedTokenQueries.markUsed).not.toHaveBeenCalled();
+
+      const statusResponse = await agent.get('/api/auth/status');
+      expect(statusResponse.body.authenticated).toBe(false);
+
+      const response = await agent.post(`${link.pathname}${link.search}`);
+      expect(response.headers.location).toBe('/');
+    });
+
+    it('should sign in and redirect to the page the member started from', async () => {
+      const { agent, link } = await requestMagicLink({ returnTo: '/my-article/' });
+
+      const response = await agent.post(`${link.pathname}${link.search}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/my-article/');
+
+      const statusResponse = await agent.get('/api/auth/status');
+      expect(statusResponse.body.authenticated).toBe(true);
+      expect(statusResponse.body.user.email).toBe('test@example.com');
+    });
+
+    it('should ignore unsafe return paths', async () => {
+      const { agent, link } = await requestMagicLink({ returnTo: 'https://evil.example/' });
+
+      const response = await agent.post(`${link.pathname}${link.search}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/');
+    });
+
+    it('should only accept a link once', async () => {
+      const { agent, link } = await requestMagicLink();
+
+      await agent.post(`${link.pathname}${link.search}`);
+      const response = await agent.post(`${link.pathname}${link.search}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/signin?error=invalid_link');
+    });
+
+    it('should accept a link opened on another device', async () => {
+      const { link } = await requestMagicLink();
+
+      const other = request.agent(app);
+      const response = await other.post(`${link.pathname}${link.search}`);
+
+      expect(response.headers.location).toBe('/');
+      const statusResponse = await other.get('/api/auth/status');
+      expect(statusResponse.body.authenticated).toBe(true);
+    });
+
+    it('should reject tampered tokens', async () => {
+      const response = await request(app).post('/auth/magic?token=not-a-real-token');
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/signin?error=invalid_link');
+    });
+
+    it('should not send links without a dedicated secret', async () => {
+      const secret = process.env.MAGIC_LINK_SECRET;
+      delete process.env.MAGIC_LINK_SECRET;
+      try {
+        app = createTestApp();
+      } finally {
+        process.env.MAGIC_LINK_SECRET = secret;
+      }
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      const linkOnly = await request(app)
+        .post('/api/auth/send-verification')
+        .send({ email: 'test@example.com', delivery: 'link' });
+      const both = await request(app)
+        .post('/api/auth/send-verification')
+        .send({ email: 'test@example.com', delivery: 'both' });
+
+      expect(linkOnly.status).toBe(400);
+      expect(both.body.delivery).toBe('code');
+      const [, , , options] = mockEmailVerification.sendVerificationEmail.mock.calls[0];
+      expect(options.htmlTemplate('test@example.com', 'Test User', '123456', options.appName)).not.toContain('/auth/magic');
+    });
+
+    it('should refuse to sign links with the session secret', () => {
+      const secret = process.env.MAGIC_LINK_SECRET;
+      process.env.MAGIC_LINK_SECRET = process.env.SESSION_SECRET;
+      try {
+        expect(createTestApp).toThrow('MAGIC_LINK_SECRET');
+      } finally {
+        process.env.MAGIC_LINK_SECRET = secret;
+      }
+    });
+
+    it('should deny members without allowed labels', async () => {
+      const { agent, link } = await requestMagicLink();
+      mockGhostAPI.getMemberByEmail.mockResolvedValue({
+        ...mockMember,
+        labels: [{ name: 'free-member' }]
+      });
+
+      const response = await agent.post(`${link.pathname}${link.search}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/signin?error=access_denied');
+
+      const statusResponse = await agent.get('/api/auth/status');
+      expect(statusResponse.body.authenticated).toBe(false);
+    });
+  });
+
+  describe('Verification rate limiting', () => {
+    const mockMember = {
+      id: 'member-123',
+      email: 'test@example.com',
+      name: 'Test User',
+      labels: [{ name: 'builder' }]
+    };
+
+    it('should return 429 with Retry-After when too many codes are requested', async () => {
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      for (let i = 0; i < 5; i++) {
+        const response = await request(app)
+          .post('/api/auth/send-verification')
+          .send({ email: 'test@example.com' });
+        expect(response.status).toBe(200);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/send-verification')
+        .send({ email: 'test@example.com' });
+
+      expect(response.status).toBe(429);
+      expect(response.body.error).toBe('Too many attempts');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+      expect(mockEmailVerification.sendVerificationEmail).toHaveBeenCalledTimes(5);
+    });
+
+    it('should invalidate the code and lock out after too many failures', async () => {
+      mockEmailVerification.verifyCode.mockResolvedValue(false);
+
+      for (let i = 0; i < 4; i++) {
+        const response = await request(app)
+          .post('/api/auth/verify-code')
+          .send({ email: 'test@example.com', code: '000000' });
+        expect(response.status).toBe(400);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/verify-code')
+        .send({ email: 'test@example.com', code: '000000' });
+
+      expect(response.status).toBe(429);
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+      expect(mockDb.verificationCodeQueries.deleteCode).toHaveBeenCalledWith('test@example.com');
+    });
+
+    it('should not check codes while locked out', async () => {
+      mockEmailVerification.verifyCode.mockResolvedValue(false);
+
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .post('/api/auth/verify-code')
+          .send({ email: 'test@example.com', code: '000000' });
+      }
+
+      mockEmailVerification.verifyCode.mockClear();
+      mockEmailVerification.verifyCode.mockResolvedValue(true);
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      const response = await request(app)
+        .post('/api/auth/verify-code')
+        .send({ email: 'test@example.com', code: '123456' });
+
+      expect(response.status).toBe(429);
+      expect(mockEmailVerification.verifyCode).not.toHaveBeenCalled();
+    });
+
+    it('should check no more codes than allowed when guesses arrive in parallel', async () => {
+      mockEmailVerification.verifyCode.mockResolvedValue(false);
+
+      const responses = await Promise.all(Array.from({ length: 20 }, () => request(app)
+        .post('/api/auth/verify-code')
+        .send({ email: 'test@example.com', code: '000000' })));
+
+      expect(mockEmailVerification.verifyCode).toHaveBeenCalledTimes(5);
+      expect(responses.filter(response => response.status === 429)).toHaveLength(16);
+    });
+
+    it('should reset the email counter after a successful verification', async () => {
+      mockEmailVerification.verifyCode.mockResolvedValue(false);
+
+      for (let i = 0; i < 4; i++) {
+        await request(app)
+          .post('/api/auth/verify-code')
+          .send({ email: 'test@example.com', code: '000000' });
+      }
+
+      mockEmailVerification.verifyCode.mockResolvedValue(true);
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      const response = await request(app)
+        .post('/api/auth/verify-code')
+        .send({ email: 'test@example.com', code: '123456' });
+
+      expect(response.status).toBe(200);
+      expect(mockDb.attemptQueries.deleteAttempt).toHaveBeenCalledWith('verify:email:test@example.com');
+    });
+  });
+
   describe('GET /api/auth/status', () => {
     it('should return authenticated false when no session', async () => {
       const response = await request(app)
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for the WebAuthn Challenge Store
+ * Tests session binding, single use, expiry and cleanup
+ */
+
+const { createChallengeStore, getClientChallenge } = require('../../lib/challenge-store');
+const { mockDb } = require('../mocks/db.mock');
+const { createMockCredential } = require('../mocks/passkey-auth.mock');
+
+describe('Challenge Store', () => {
+  let store;
+
+  beforeEach(() => {
+    mockDb.resetMocks();
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    store = createChallengeStore(mockDb.challengeQueries, { ttlMs: 5 * 60 * 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should keep parallel usernameless challenges apart', async () => {
+    const first = await store.issue('session-1', { challenge: 'challenge-1', purpose: 'authentication' });
+    const second = await store.issue('session-2', { challenge: 'challenge-2', purpose: 'authentication' });
+
+    expect(first).not.toBe(second);
+    expect(await store.consume(first, 'session-1', 'authentication')).toEqual({ challenge: 'challenge-1', email: null });
+    expect(await store.consume(second, 'session-2', 'authentication')).toEqual({ challenge: 'challenge-2', email: null });
+  });
+
+  it('should only hand a challenge out once', async () => {
+    const id = await store.issue('session-1', { challenge: 'challenge-1', purpose: 'authentication' });
+
+    expect(await store.consume(id, 'session-1', 'authentication')).not.toBeNull();
+    expect(await store.consume(id, 'session-1', 'authentication')).toBeNull();
+  });
+
+  it('should only hand a challenge out once to parallel requests', async () => {
+    const id = await store.issue('session-1', { challenge: 'challenge-1', purpose: 'authentication' });
+
+    const results = await Promise.all([
+      store.consume(id, 'session-1', 'authentication'),
+      store.consume(id, 'session-1', 'authentication')
+    ]);
+
+    expect(results.filter(Boolean)).toEqual([{ challenge: 'challenge-1', email: null }]);
+  });
+
+  it('should refuse and delete a challenge used from another session', async () => {
+    const id = await store.issue('session-1', { challenge: 'challenge-1', purpose: 'authentication' });
+
+    expect(await store.consume(id, 'session-2', 'authentication')).toBeNull();
+    expect(await store.consume(id, 'session-1', 'authentication')).toBeNull();
+  });
+
+  it('should refuse a challenge issued for another purpose', async () => {
+    const id = await store.issue('session-1', {
+      challenge: 'challenge-1',
+      purpose: 'registration',
+      email: 'test@example.com'
+    });
+
+    expect(await store.consume(id, 'session-1', 'authentication')).toBeNull();
+  });
+
+  it('should refuse expired challenges and clean them up', async () => {
+    const id = await store.issue('session-1', { challenge: 'challenge-1', purpose: 'authentication' });
+
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    expect(await store.consume(id, 'session-1', 'authentication')).toBeNull();
+
+    await store.issue('session-1', { challenge: 'challenge-2', purpose: 'authentication' });
+    await store.issue('session-1', { challenge: 'challenge-3', purpose: 'authentication' });
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    await store.issue('session-1', { challenge: 'challenge-4', purpose: 'authentication' });
+
+    expect(mockDb.challengeQueries.cleanupExpiredChallenges).toHaveBeenCalledTimes(3);
+    expect(mockDb.getTestData().challenges).toHaveLength(1);
+  });
+
+  it('should let a challenge live longer when asked to', async () => {
+    const id = await store.issue('session-1', {
+      challenge: 'challenge-1',
+      purpose: 'conditional',
+      ttlMs: 30 * 60 * 1000
+    });
+
+    jest.advanceTimersByTime(20 * 60 * 1000);
+    expect(await store.consume(id, 'session-1', 'conditional')).toEqual({ challenge: 'challenge-1', email: null });
+  });
+
+  it('should read the challenge from clientDataJSON', () => {
+    expect(getClientChallenge(createMockCredential('abc123'))).toBe('abc123');
+    expect(getClientChallenge({ response: { clientDataJSON: 'not-json' } })).toBeNull();
+    expect(getClientChallenge({})).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for Content-Encoding Negotiation
+ * Tests Accept-Encoding parsing, the encodings asked from Ghost and recompression
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  acceptsEncoding,
+  createDecoder,
+  createEncoder,
+  isSupportedEncoding,
+  negotiateEncoding,
+  normalizeEncoding,
+  parseAcceptEncoding,
+  upstreamAcceptEncoding
+} = require('../../lib/content-encoding');
+
+const CHROME = 'gzip, deflate, br, zstd';
+
+describe('Content-Encoding Negotiation', () => {
+  it('should parse encodings and q-values', () => {
+    expect(parseAcceptEncoding('gzip;q=0.5, BR, *;q=0, deflate;q=oops')).toEqual(new Map([
+      ['gzip', 0.5],
+      ['br', 1],
+      ['*', 0],
+      ['deflate', 0]
+    ]));
+    expect(parseAcceptEncoding(undefined).size).toBe(0);
+  });
+
+  it('should prefer brotli, then gzip, unless the browser ranks them', () => {
+    expect(negotiateEncoding(CHROME)).toBe('br');
+    expect(negotiateEncoding('gzip, deflate')).toBe('gzip');
+    expect(negotiateEncoding('br;q=0.5, gzip')).toBe('gzip');
+    expect(negotiateEncoding('*')).toBe('br');
+    expect(negotiateEncoding('zstd')).toBe('identity');
+    expect(negotiateEncoding('gzip;q=0')).toBe('identity');
+    expect(negotiateEncoding(undefined)).toBe('identity');
+  });
+
+  it('should only accept what the browser asked for', () => {
+    expect(acceptsEncoding(CHROME, 'gzip')).toBe(true);
+    expect(acceptsEncoding('gzip', 'br')).toBe(false);
+    expect(acceptsEncoding('br;q=0, *', 'br')).toBe(false);
+    expect(acceptsEncoding('*', 'deflate')).toBe(true);
+    expect(acceptsEncoding(undefined, 'gzip')).toBe(false);
+    expect(acceptsEncoding(undefined, 'identity')).toBe(true);
+    expect(acceptsEncoding('gzip, *;q=0', 'identity')).toBe(false);
+    expect(acceptsEncoding('gzip, identity;q=0.1, *;q=0', 'identity')).toBe(true);
+  });
+
+  it('should ask Ghost only for encodings both sides handle', () => {
+    expect(upstreamAcceptEncoding(CHROME)).toBe('br, gzip, deflate');
+    expect(upstreamAcceptEncoding('gzip')).toBe('gzip');
+    expect(upstreamAcceptEncoding('zstd')).toBe('identity');
+    expect(upstreamAcceptEncoding(undefined)).toBe('identity');
+  });
+
+  it('should normalize Content-Encoding headers', () => {
+    expect(normalizeEncoding(undefined)).toBe('identity');
+    expect(normalizeEncoding(' X-GZIP ')).toBe('gzip');
+    expect(isSupportedEncoding('br')).toBe(true);
+    expect(isSupportedEncoding('identity')).toBe(true);
+    expect(isSupportedEncoding('zstd')).toBe(false);
+    expect(isSupportedEncoding('gzip, br')).toBe(false);
+  });
+
+  it.each(['br', 'gzip', 'deflate'])('should round-trip %s', async (encoding) => {
+    const body = Buffer.from('<p>Zürich — 東京</p>'.repeat(500));
+    const output = [];
+
+    await pipeline(
+      Readable.from([body.subarray(0, 1000), body.subarray(1000)]),
+      createEncoder(encoding),
+      createDecoder(encoding),
+      async function* (source) {
+        for await (const chunk of source) {
+          output.push(chunk);
+        }
+      }
+    );
+
+    expect(Buffer.concat(output).equals(body)).toBe(true);
+  });
+
+  it('should leave identity bodies alone', () => {
+    expect(createDecoder('identity')).toBeNull();
+    expect(createEncoder('identity')).toBeNull();
+  });
+});
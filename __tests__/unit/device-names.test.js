@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for Passkey Device Names
+ * Tests AAGUID lookup, user agent parsing and reading the AAGUID from a registration
+ */
+
+const { defaultDeviceName, getAaguid, parseUserAgent } = require('../../lib/device-names');
+
+describe('Passkey Device Names', () => {
+  const userAgents = {
+    iPhone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1',
+    macChrome: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    windowsEdge: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0',
+    androidChrome: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36'
+  };
+
+  // authenticatorData with the attested credential data flag and the given AAGUID
+  const authenticatorData = (aaguid, flags = 0x45) => Buffer.concat([
+    Buffer.alloc(32),
+    Buffer.from([flags]),
+    Buffer.alloc(4),
+    Buffer.from(aaguid.replace(/-/g, ''), 'hex'),
+    Buffer.from([0, 0])
+  ]).toString('base64url');
+
+  describe('parseUserAgent', () => {
+    it('should find the browser and operating system', () => {
+      expect(parseUserAgent(userAgents.iPhone)).toEqual({ browser: 'Safari', os: 'iPhone' });
+      expect(parseUserAgent(userAgents.macChrome)).toEqual({ browser: 'Chrome', os: 'Mac' });
+      expect(parseUserAgent(userAgents.windowsEdge)).toEqual({ browser: 'Edge', os: 'Windows' });
+      expect(parseUserAgent(userAgents.androidChrome)).toEqual({ browser: 'Chrome', os: 'Android' });
+    });
+
+    it('should cope with a missing user agent', () => {
+      expect(parseUserAgent(undefined)).toEqual({ browser: null, os: null });
+    });
+  });
+
+  describe('defaultDeviceName', () => {
+    it('should name synced passkeys after their provider and device', () => {
+      expect(defaultDeviceName({
+        aaguid: 'fbfc3007-154e-4ecc-8c0b-6e020557d7bd',
+        userAgent: userAgents.iPhone
+      })).toBe('iCloud Keychain on iPhone');
+      expect(defaultDeviceName({
+        aaguid: 'EA9B8D66-4D01-1D21-3CE4-B6B48CB575D4',
+        userAgent: userAgents.androidChrome
+      })).toBe('Google Password Manager on Android');
+    });
+
+    it('should name security keys after the key alone', () => {
+      expect(defaultDeviceName({
+        aaguid: 'ee882879-721c-4913-9775-3dfcce97072a',
+        userAgent: userAgents.macChrome
+      })).toBe('YubiKey 5 NFC');
+    });
+
+    it('should fall back to the browser for unknown or zero AAGUIDs', () => {
+      expect(defaultDeviceName({
+        aaguid: '00000000-0000-0000-0000-000000000000',
+        userAgent: userAgents.windowsEdge
+      })).toBe('Edge on Windows');
+      expect(defaultDeviceName({ aaguid: '12345678-1234-1234-1234-123456789abc', userAgent: null })).toBeNull();
+    });
+  });
+
+  describe('getAaguid', () => {
+    it('should read the AAGUID from authenticatorData', () => {
+      const credential = { response: { authenticatorData: authenticatorData('fbfc3007-154e-4ecc-8c0b-6e020557d7bd') } };
+
+      expect(getAaguid(credential)).toBe('fbfc3007-154e-4ecc-8c0b-6e020557d7bd');
+    });
+
+    it('should return null without attested credential data', () => {
+      const credential = { response: { authenticatorData: authenticatorData('fbfc3007-154e-4ecc-8c0b-6e020557d7bd', 0x05) } };
+
+      expect(getAaguid(credential)).toBeNull();
+      expect(getAaguid({ response: {} })).toBeNull();
+      expect(getAaguid(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for Ghost Webhook Signatures
+ * Tests signature parsing, verification and timestamp tolerance
+ */
+
+const crypto = require('crypto');
+const { parseGhostSignature, verifyGhostSignature } = require('../../lib/ghost-webhook');
+
+describe('Ghost Webhook Signatures', () => {
+  const secret = 'webhook-secret';
+  const body = JSON.stringify({ member: { current: { email: 'test@example.com' }, previous: {} } });
+
+  const sign = (payload, timestamp = Date.now(), key = secret) => {
+    const signature = crypto.createHmac('sha256', key).update(`${payload}${timestamp}`).digest('hex');
+    return `sha256=${signature}, t=${timestamp}`;
+  };
+
+  it('should parse the signature header', () => {
+    const parsed = parseGhostSignature(`sha256=${'a'.repeat(64)}, t=1700000000000`);
+
+    expect(parsed).toEqual({ signature: 'a'.repeat(64), timestamp: 1700000000000 });
+  });
+
+  it('should reject malformed headers', () => {
+    expect(parseGhostSignature(undefined)).toBeNull();
+    expect(parseGhostSignature('sha256=abc, t=1')).toBeNull();
+    expect(parseGhostSignature(`sha256=${'a'.repeat(64)}`)).toBeNull();
+  });
+
+  it('should accept a valid signature', () => {
+    expect(verifyGhostSignature(Buffer.from(body), sign(body), secret)).toBe(true);
+  });
+
+  it('should reject a modified body', () => {
+    const header = sign(body);
+    const tampered = body.replace('test@example.com', 'evil@example.com');
+
+    expect(verifyGhostSignature(Buffer.from(tampered), header, secret)).toBe(false);
+  });
+
+  it('should reject a signature made with another secret', () => {
+    expect(verifyGhostSignature(Buffer.from(body), sign(body, Date.now(), 'other'), secret)).toBe(false);
+  });
+
+  it('should reject old deliveries', () => {
+    const header = sign(body, Date.now() - 10 * 60 * 1000);
+
+    expect(verifyGhostSignature(Buffer.from(body), header, secret)).toBe(false);
+  });
+
+  it('should reject requests without a body or secret', () => {
+    expect(verifyGhostSignature(undefined, sign(body), secret)).toBe(false);
+    expect(verifyGhostSignature(Buffer.from(body), sign(body), undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Streaming HTML Injection
+ * Tests injecting the SSO snippet across chunk boundaries, charsets and malformed pages
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+  canInject,
+  createBodyInjector,
+  findClosingBodyTag,
+  getCharset
+} = require('../../lib/html-injector');
+
+const SNIPPET = '<script src="https://bear.flights/sso-client.js"></script>\n';
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'html', name));
+
+// Stream a buffer through the injector in chunks of the given sizes (repeating)
+const inject = async (input, sizes = [input.length || 1]) => {
+  const chunks = [];
+  for (let offset = 0, i = 0; offset < input.length; i++) {
+    const size = sizes[i % sizes.length];
+    chunks.push(input.subarray(offset, offset + size));
+    offset += size;
+  }
+
+  const output = [];
+  for await (const chunk of Readable.from(chunks).pipe(createBodyInjector(SNIPPET))) {
+    output.push(chunk);
+  }
+  return Buffer.concat(output);
+};
+
+// What the whole page looks like with the snippet before byte offset `at`
+const expected = (input, at) => Buffer.concat([
+  input.subarray(0, at),
+  Buffer.from(SNIPPET),
+  input.subarray(at)
+]);
+
+describe('Streaming HTML Injection', () => {
+  it('should inject before </body> of a UTF-8 page split at every byte', async () => {
+    const input = fixture('post.html');
+    const at = input.indexOf('</body>');
+
+    for (const size of [1, 2, 3, 5, 7, 64]) {
+      expect((await inject(input, [size])).equals(expected(input, at))).toBe(true);
+    }
+
+    const html = (await inject(input, [1])).toString('utf8');
+    expect(html).toContain('Zürich — 東京 and São Paulo 🛫');
+    expect(html).not.toContain('�');
+  });
+
+  it('should stream a large page with one injection', async () => {
+    const post = fixture('post.html');
+    const at = post.indexOf('<article');
+    const article = post.subarray(at, post.indexOf('</article>') + '</article>'.length);
+    const input = Buffer.concat([
+      post.subarray(0, at),
+      ...Array(6000).fill(article),
+      post.subarray(post.indexOf('</article>') + '</article>'.length)
+    ]);
+
+    const output = await inject(input, [16384, 1, 4093, 7]);
+
+    expect(input.length).toBeGreaterThan(2 * 1024 * 1024);
+    expect(output.equals(expected(input, input.indexOf('</body>')))).toBe(true);
+  });
+
+  it('should match </BODY > in any case but not other tags', async () => {
+    const input = fixture('malformed.html');
+
+    const output = await inject(input, [3]);
+
+    expect(output.equals(expected(input, input.indexOf('</BODY >')))).toBe(true);
+    expect(output.toString().indexOf(SNIPPET)).toBeGreaterThan(output.toString().indexOf('</bodyguard>'));
+  });
+
+  it('should append the snippet to pages without </body>', async () => {
+    const input = fixture('truncated.html');
+
+    expect((await inject(input, [5])).equals(expected(input, input.length))).toBe(true);
+    expect((await inject(Buffer.from('<p>'))).toString()).toBe(`<p>${SNIPPET}`);
+    expect((await inject(Buffer.alloc(0))).toString()).toBe(SNIPPET);
+  });
+
+  it('should keep single-byte charsets intact', async () => {
+    const input = fixture('windows-1252.html');
+
+    const output = await inject(input, [1]);
+
+    expect(output.equals(expected(input, input.indexOf('</body>')))).toBe(true);
+    expect(output.toString('latin1')).toContain('Café naïve');
+  });
+
+  it('should pass UTF-16 pages through unchanged', async () => {
+    const input = fixture('utf-16.html');
+
+    expect((await inject(input, [1])).equals(input)).toBe(true);
+    expect((await inject(input)).equals(input)).toBe(true);
+  });
+
+  it('should only inject into ASCII-compatible charsets', () => {
+    expect(getCharset('text/html; charset="UTF-8"')).toBe('utf-8');
+    expect(getCharset('text/html')).toBeNull();
+    expect(canInject('text/html; charset=utf-8')).toBe(true);
+    expect(canInject('text/html; charset=windows-1252')).toBe(true);
+    expect(canInject('text/html')).toBe(true);
+    expect(canInject('text/html; charset=UTF-16LE')).toBe(false);
+    expect(canInject('text/html; charset=utf-32')).toBe(false);
+  });
+
+  it('should find only complete closing body tags', () => {
+    expect(findClosingBodyTag(Buffer.from('<p></p></body>'))).toBe(7);
+    expect(findClosingBodyTag(Buffer.from('</Body\n>'))).toBe(0);
+    expect(findClosingBodyTag(Buffer.from('</bodyguard></body>'))).toBe(12);
+    expect(findClosingBodyTag(Buffer.from('</body'))).toBe(-1);
+  });
+
+  it('should refuse snippets that are not ASCII', () => {
+    expect(() => createBodyInjector('<p>café</p>')).toThrow('Injected HTML must be ASCII');
+  });
+});
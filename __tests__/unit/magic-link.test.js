@@ -0,0 +1,74 @@
+/**
+ * Unit Tests for Magic Sign-In Links
+ * Tests link signing, expiry and one-time use
+ */
+
+const jwt = require('jsonwebtoken');
+const { createMagicLinks } = require('../../lib/magic-link');
+const { mockDb } = require('../mocks/db.mock');
+
+const ORIGIN = 'http://localhost:3002';
+const SECRET = 'test-magic-link-secret';
+
+describe('Magic Links', () => {
+  let magicLinks;
+
+  const tokenFrom = (link) => new URL(link).searchParams.get('token');
+
+  beforeEach(() => {
+    mockDb.resetMocks();
+    magicLinks = createMagicLinks({
+      secret: SECRET,
+      origin: ORIGIN,
+      ttlMs: 10 * 60 * 1000,
+      usedTokenQueries: mockDb.usedTokenQueries
+    });
+  });
+
+  it('should create links pointing at /auth/magic', () => {
+    const link = magicLinks.createLink('test@example.com', '/my-article/');
+
+    expect(link.startsWith(`${ORIGIN}/auth/magic?token=`)).toBe(true);
+  });
+
+  it('should redeem a link once', async () => {
+    const token = tokenFrom(magicLinks.createLink('test@example.com', '/my-article/'));
+
+    expect(await magicLinks.redeem(token)).toEqual({
+      email: 'test@example.com',
+      returnTo: '/my-article/'
+    });
+    expect(await magicLinks.redeem(token)).toBeNull();
+  });
+
+  it('should reject tokens signed with another secret', async () => {
+    const token = jwt.sign(
+      { email: 'test@example.com', purpose: 'magic-link' },
+      'wrong-secret',
+      { issuer: ORIGIN, audience: `${ORIGIN}/auth/magic`, jwtid: 'abc', expiresIn: 600 }
+    );
+
+    expect(await magicLinks.redeem(token)).toBeNull();
+  });
+
+  it('should reject tokens issued for another purpose', async () => {
+    const token = jwt.sign(
+      { email: 'test@example.com', purpose: 'something-else' },
+      SECRET,
+      { issuer: ORIGIN, audience: `${ORIGIN}/auth/magic`, jwtid: 'abc', expiresIn: 600 }
+    );
+
+    expect(await magicLinks.redeem(token)).toBeNull();
+  });
+
+  it('should reject expired links', async () => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    const token = tokenFrom(magicLinks.createLink('test@example.com', null));
+
+    jest.setSystemTime(new Date('2025-01-01T00:11:00Z'));
+
+    expect(await magicLinks.redeem(token)).toBeNull();
+    expect(mockDb.usedTokenQueries.markUsed).not.toHaveBeenCalled();
+    jest.useRealTimers();
+  });
+});
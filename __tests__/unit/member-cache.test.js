@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for the Ghost Member Cache
+ * Tests caching, expiry, shared lookups and invalidation
+ */
+
+const { createMemberCache } = require('../../lib/member-cache');
+const { mockGhostAPI, createMockMember } = require('../mocks/ghost-api.mock');
+
+describe('Member Cache', () => {
+  let cache;
+
+  beforeEach(() => {
+    mockGhostAPI.resetMocks();
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+
+    cache = createMemberCache({ ghostAPI: mockGhostAPI, ttlMs: 60 * 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should reuse a lookup within the TTL', async () => {
+    mockGhostAPI.getMemberByEmail.mockResolvedValue(createMockMember());
+
+    await cache.get('test@example.com');
+    const member = await cache.get('Test@Example.com');
+
+    expect(member.email).toBe('test@example.com');
+    expect(mockGhostAPI.getMemberByEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('should look the member up again after the TTL', async () => {
+    mockGhostAPI.getMemberByEmail.mockResolvedValue(createMockMember());
+
+    await cache.get('test@example.com');
+    jest.advanceTimersByTime(61 * 1000);
+    await cache.get('test@example.com');
+
+    expect(mockGhostAPI.getMemberByEmail).toHaveBeenCalledTimes(2);
+  });
+
+  it('should share a lookup that is in flight', async () => {
+    mockGhostAPI.getMemberByEmail.mockResolvedValue(createMockMember());
+
+    const results = await Promise.all([
+      cache.get('test@example.com'),
+      cache.get('test@example.com')
+    ]);
+
+    expect(results[0]).toBe(results[1]);
+    expect(mockGhostAPI.getMemberByEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('should cache members that do not exist', async () => {
+    mockGhostAPI.getMemberByEmail.mockResolvedValue(null);
+
+    expect(await cache.get('gone@example.com')).toBeNull();
+    expect(await cache.get('gone@example.com')).toBeNull();
+    expect(mockGhostAPI.getMemberByEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not cache failed lookups', async () => {
+    mockGhostAPI.getMemberByEmail
+      .mockRejectedValueOnce(new Error('Ghost down'))
+      .mockResolvedValueOnce(createMockMember());
+
+    await expect(cache.get('test@example.com')).rejects.toThrow('Ghost down');
+    expect(await cache.get('test@example.com')).not.toBeNull();
+  });
+
+  it('should forget invalidated members', async () => {
+    mockGhostAPI.getMemberByEmail.mockResolvedValue(createMockMember());
+
+    await cache.get('test@example.com');
+    cache.invalidate('TEST@example.com');
+    await cache.get('test@example.com');
+
+    expect(mockGhostAPI.getMemberByEmail).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for Passkey Signature Counter Checks
+ * Tests regression detection, flagging, security events and blocking
+ */
+
+const { createCounterGuard, isCounterRegression, parseCounterError } = require('../../lib/passkey-counter');
+const { createPasskeyStore } = require('../../lib/passkey-store');
+const { mockDb } = require('../mocks/db.mock');
+
+describe('Passkey Counter Guard', () => {
+  const context = { email: 'test@example.com', ip: '1.2.3.4', userAgent: 'Mozilla/5.0' };
+  let passkeyStore;
+
+  const addPasskey = (counter) => {
+    mockDb.passkeyQueries.createPasskey.run('cred-1', 'key-1', counter, 'test@example.com');
+    return passkeyStore.findByCredentialId('cred-1');
+  };
+
+  beforeEach(() => {
+    mockDb.resetMocks();
+    passkeyStore = createPasskeyStore(mockDb.passkeyQueries);
+  });
+
+  describe('isCounterRegression', () => {
+    it('should ignore authenticators without a counter', () => {
+      expect(isCounterRegression(0, 0)).toBe(false);
+    });
+
+    it('should accept a counter that moved forward', () => {
+      expect(isCounterRegression(0, 1)).toBe(false);
+      expect(isCounterRegression(5, 6)).toBe(false);
+    });
+
+    it('should spot a counter that went back or stood still', () => {
+      expect(isCounterRegression(5, 3)).toBe(true);
+      expect(isCounterRegression(5, 5)).toBe(true);
+      expect(isCounterRegression(5, 0)).toBe(true);
+    });
+  });
+
+  it('should store the new counter after a normal login', async () => {
+    const guard = createCounterGuard({ passkeyStore, securityEventQueries: mockDb.securityEventQueries });
+    const passkey = await addPasskey(5);
+
+    expect(await guard.check(passkey, 6, context)).toEqual({ allowed: true, regressed: false });
+    expect((await passkeyStore.findByCredentialId('cred-1')).counter).toBe(6);
+    expect(mockDb.securityEventQueries.recordEvent).not.toHaveBeenCalled();
+  });
+
+  it('should flag the passkey and write a security event on regression', async () => {
+    const guard = createCounterGuard({ passkeyStore, securityEventQueries: mockDb.securityEventQueries });
+    const passkey = await addPasskey(5);
+
+    expect(await guard.check(passkey, 3, context)).toEqual({ allowed: true, regressed: true });
+
+    const [flagged] = await passkeyStore.listFlagged();
+    expect(flagged).toMatchObject({ email: 'test@example.com', flagged: true, flagReason: 'counter_regression' });
+    expect(mockDb.getTestData().securityEvents).toEqual([expect.objectContaining({
+      type: 'passkey_counter_regression',
+      email: 'test@example.com',
+      credentialId: 'cred-1',
+      details: { storedCounter: 5, newCounter: 3, blocked: false },
+      ip: '1.2.3.4'
+    })]);
+  });
+
+  it('should block regressed and already flagged passkeys when asked to', async () => {
+    const guard = createCounterGuard({
+      passkeyStore,
+      securityEventQueries: mockDb.securityEventQueries,
+      blockFlagged: true
+    });
+    const passkey = await addPasskey(5);
+
+    expect(await guard.check(passkey, 3, context)).toEqual({ allowed: false, regressed: true });
+
+    const flagged = await passkeyStore.findByCredentialId('cred-1');
+    expect(await guard.check(flagged, 9, context)).toEqual({ allowed: false, regressed: false });
+  });
+
+  it('should allow logins with passkeys it does not know', async () => {
+    const guard = createCounterGuard({ passkeyStore, securityEventQueries: mockDb.securityEventQueries });
+
+    expect(await guard.check(null, 3, context)).toEqual({ allowed: true, regressed: false });
+  });
+
+  describe('parseCounterError', () => {
+    it('should read the counters from the verifier\'s error', () => {
+      expect(parseCounterError(new Error('Response counter value 3 was lower than expected 5')))
+        .toEqual({ storedCounter: 5, newCounter: 3 });
+    });
+
+    it('should ignore other errors', () => {
+      expect(parseCounterError(new Error('Unexpected authentication response challenge'))).toBeNull();
+      expect(parseCounterError(undefined)).toBeNull();
+    });
+  });
+
+  it('should record logins the verifier refused without flagging the passkey', async () => {
+    const guard = createCounterGuard({ passkeyStore, securityEventQueries: mockDb.securityEventQueries });
+    const passkey = await addPasskey(5);
+
+    await guard.recordRefused(passkey, { storedCounter: 5, newCounter: 5 }, { ...context, email: null });
+
+    expect(await passkeyStore.listFlagged()).toEqual([]);
+    expect(mockDb.getTestData().securityEvents).toEqual([expect.objectContaining({
+      type: 'passkey_counter_refused',
+      email: 'test@example.com',
+      credentialId: 'cred-1',
+      details: { storedCounter: 5, newCounter: 5 }
+    })]);
+  });
+});
@@ -9,13 +9,28 @@ const { createApp } = require('../../app');
 // Import mocks
 const { mockGhostAPI } = require('../mocks/ghost-api.mock');
 const { mockEmailVerification } = require('../mocks/email-verification.mock');
-const { mockDb } = require('../mocks/db.mock');
-const { mockPasskeyAuth } = require('../mocks/passkey-auth.mock');
+const { mockDb, testData } = require('../mocks/db.mock');
+const { mockPasskeyAuth, createMockCredential } = require('../mocks/passkey-auth.mock');
 
 describe('Passkey Authentication Endpoints', () => {
   let app;
   let authenticatedAgent;
 
+  // Create app with injected dependencies
+  const createTestApp = () => createApp(true, {
+    ghostAPI: mockGhostAPI,
+    emailVerification: mockEmailVerification,
+    passkeyQueries: mockDb.passkeyQueries,
+    challengeQueries: mockDb.challengeQueries,
+    verificationCodeQueries: mockDb.verificationCodeQueries,
+    attemptQueries: mockDb.attemptQueries,
+    usedTokenQueries: mockDb.usedTokenQueries,
+    sessionQueries: mockDb.sessionQueries,
+    enrollmentQueries: mockDb.enrollmentQueries,
+    securityEventQueries: mockDb.securityEventQueries,
+    passkeyAuth: mockPasskeyAuth
+  });
+
   // Helper to create an authenticated session
   const createAuthenticatedAgent = async () => {
     const agent = request.agent(app);
@@ -49,15 +64,7 @@ describe('Passkey Authentication Endpoints', () => {
     mockDb.resetMocks();
     mockPasskeyAuth.resetMocks();
 
-    // Create app with injected dependencies
-    app = createApp(true, {
-      ghostAPI: mockGhostAPI,
-      emailVerification: mockEmailVerification,
-      passkeyQueries: mockDb.passkeyQueries,
-      challengeQueries: mockDb.challengeQueries,
-      verificationCodeQueries: mockDb.verificationCodeQueries,
-      passkeyAuth: mockPasskeyAuth
-    });
+    app = createTestApp();
 
     // Create authenticated agent for tests that need it
     authenticatedAgent = await createAuthenticatedAgent();
@@ -117,6 +124,35 @@ describe('Passkey Authentication Endpoints', () => {
       );
     });
 
+    it('should ignore an email in the request body', async () => {
+      const response = await authenticatedAgent
+        .post('/api/passkey/register-start')
+        .send({ email: 'victim@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(mockPasskeyAuth.generateRegistration).toHaveBeenCalledWith(
+        'test@example.com',
+        expect.any(String)
+      );
+    });
+
+    it('should require a recent sign-in', async () => {
+      const signedInAt = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(signedInAt + 11 * 60 * 1000);
+
+      try {
+        const response = await authenticatedAgent
+          .post('/api/passkey/register-start')
+          .send({});
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('reauth_required');
+        expect(mockPasskeyAuth.generateRegistration).not.toHaveBeenCalled();
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+
     it('should handle passkey generation errors', async () => {
       mockPasskeyAuth.generateRegistration.mockRejectedValue(
         new Error('Passkey generation failed')
@@ -132,14 +168,10 @@ describe('Passkey Authentication Endpoints', () => {
   });
 
   describe('POST /api/passkey/register-finish', () => {
-    const mockCredential = {
-      id: 'mock-credential-id',
-      rawId: 'mock-raw-id',
-      type: 'public-key',
-      response: {
-        clientDataJSON: 'mock-client-data',
-        attestationObject: 'mock-attestation'
-      }
+    // Answer the challenge the agent's session got from register-start
+    const startRegistration = async (agent = authenticatedAgent) => {
+      const options = await agent.post('/api/passkey/register-start').send({});
+      return createMockCredential(options.body.challenge, { attestationObject: 'mock-attestation' });
     };
 
     it('should require authentication', async () => {
@@ -147,7 +179,7 @@ describe('Passkey Authentication Endpoints', () => {
         .post('/api/passkey/register-finish')
         .send({
           email: 'test@example.com',
-          credential: mockCredential
+          credential: createMockCredential('mock-challenge-123')
         });
 
       expect(response.status).toBe(401);
@@ -155,6 +187,8 @@ describe('Passkey Authentication Endpoints', () => {
     });
 
     it('should verify and store passkey registration', async () => {
+      const mockCredential = await startRegistration();
+
       const response = await authenticatedAgent
         .post('/api/passkey/register-finish')
         .send({
@@ -173,7 +207,149 @@ describe('Passkey Authentication Endpoints', () => {
       );
     });
 
+    it('should name the new passkey from its AAGUID and the browser', async () => {
+      mockPasskeyAuth.verifyRegistration.mockImplementationOnce(async (email, credential) => {
+        mockDb.passkeyQueries.createPasskey.run(credential.id, 'public-key', 0, email);
+        return {
+          verified: true,
+          registrationInfo: { aaguid: 'fbfc3007-154e-4ecc-8c0b-6e020557d7bd', counter: 0 }
+        };
+      });
+      const mockCredential = await startRegistration();
+
+      const response = await authenticatedAgent
+        .post('/api/passkey/register-finish')
+        .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1')
+        .send({ credential: mockCredential });
+
+      expect(response.status).toBe(200);
+      expect(response.body.deviceName).toBe('iCloud Keychain on iPhone');
+      const credentials = await authenticatedAgent.get('/api/passkey/credentials');
+      expect(credentials.body.credentials[0].deviceName).toBe('iCloud Keychain on iPhone');
+    });
+
+    it('should keep a name the passkey already has', async () => {
+      mockPasskeyAuth.verifyRegistration.mockImplementationOnce(async (email, credential) => {
+        mockDb.passkeyQueries.createPasskey.run(credential.id, 'public-key', 0, email);
+        mockDb.passkeyQueries.findPasskeyByCredentialId.get(credential.id).deviceName = 'My phone';
+        return { verified: true, registrationInfo: { counter: 0 } };
+      });
+      const mockCredential = await startRegistration();
+
+      const response = await authenticatedAgent
+        .post('/api/passkey/register-finish')
+        .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/124.0.0.0 Safari/537.36')
+        .send({ credential: mockCredential });
+
+      expect(response.body.deviceName).toBe('My phone');
+      expect(mockDb.passkeyQueries.renamePasskey.run).not.toHaveBeenCalled();
+    });
+
+    describe('registration policy', () => {
+      // Policies are read when the app is created
+      const useRegistrationPolicy = async (policy) => {
+        process.env.PASSKEY_REGISTRATION_POLICY = JSON.stringify(policy);
+        app = createTestApp();
+        authenticatedAgent = await createAuthenticatedAgent();
+      };
+
+      afterEach(() => {
+        delete process.env.PASSKEY_REGISTRATION_POLICY;
+      });
+
+      it('should apply the member\'s policy to the registration options', async () => {
+        await useRegistrationPolicy({
+          overrides: [{ labels: ['builder'], attestation: 'direct', authenticatorAttachment: 'cross-platform' }]
+        });
+
+        const response = await authenticatedAgent.post('/api/passkey/register-start').send({});
+
+        expect(response.body.attestation).toBe('direct');
+        expect(response.body.authenticatorSelection.authenticatorAttachment).toBe('cross-platform');
+      });
+
+      it('should refuse a passkey that breaks the policy before it is stored', async () => {
+        await useRegistrationPolicy({ userVerification: 'required' });
+        const mockCredential = await startRegistration();
+        // rpIdHash | flags (user present, not verified) | counter
+        const authenticatorData = Buffer.concat([Buffer.alloc(32), Buffer.from([0x01]), Buffer.alloc(4)]).toString('base64url');
+
+        const response = await authenticatedAgent
+          .post('/api/passkey/register-finish')
+          .send({ credential: { ...mockCredential, response: { ...mockCredential.response, authenticatorData } } });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('user_verification_required');
+        expect(mockPasskeyAuth.verifyRegistration).not.toHaveBeenCalled();
+      });
+
+      it('should check a passkey the browser sent no flags for after verification', async () => {
+        await useRegistrationPolicy({ userVerification: 'required' });
+        mockPasskeyAuth.verifyRegistration.mockImplementationOnce(async (email, credential) => {
+          mockDb.passkeyQueries.createPasskey.run(credential.id, 'public-key', 0, email);
+          return { verified: true, registrationInfo: { fmt: 'none', counter: 0, userVerified: false } };
+        });
+        const mockCredential = await startRegistration();
+
+        const response = await authenticatedAgent
+          .post('/api/passkey/register-finish')
+          .send({ credential: mockCredential });
+
+        expect(mockPasskeyAuth.verifyRegistration).toHaveBeenCalled();
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('user_verification_required');
+        expect(mockDb.passkeyQueries.findPasskeyByCredentialId.get(mockCredential.id)).toBeNull();
+      });
+
+      it('should remove a stored passkey whose attestation breaks the policy', async () => {
+        await useRegistrationPolicy({ attestation: 'direct' });
+        mockPasskeyAuth.verifyRegistration.mockImplementationOnce(async (email, credential) => {
+          mockDb.passkeyQueries.createPasskey.run(credential.id, 'public-key', 0, email);
+          return { verified: true, registrationInfo: { fmt: 'none', counter: 0 } };
+        });
+        const mockCredential = await startRegistration();
+
+        const response = await authenticatedAgent
+          .post('/api/passkey/register-finish')
+          .send({ credential: mockCredential });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('attestation_required');
+        expect(mockDb.passkeyQueries.findPasskeyByCredentialId.get(mockCredential.id)).toBeNull();
+        expect(mockDb.enrollmentQueries.recordEnrollment).not.toHaveBeenCalled();
+      });
+
+      it('should disable the passkey and fail when it cannot be removed', async () => {
+        await useRegistrationPolicy({ attestation: 'direct' });
+        mockPasskeyAuth.verifyRegistration.mockImplementationOnce(async (email, credential) => {
+          mockDb.passkeyQueries.createPasskey.run(credential.id, 'public-key', 0, email);
+          return { verified: true, registrationInfo: { fmt: 'none', counter: 0 } };
+        });
+        mockDb.passkeyQueries.deletePasskey.run.mockImplementationOnce(() => {
+          throw new Error('Database unavailable');
+        });
+        const mockCredential = await startRegistration();
+
+        const response = await authenticatedAgent
+          .post('/api/passkey/register-finish')
+          .send({ credential: mockCredential });
+
+        expect(response.status).toBe(500);
+        expect(response.body.code).toBe('attestation_required');
+        expect(mockDb.passkeyQueries.findPasskeyByCredentialId.get(mockCredential.id).disabledAt).toEqual(expect.any(Number));
+        expect(mockDb.securityEventQueries.recordEvent).toHaveBeenCalledWith(expect.objectContaining({
+          type: 'passkey_policy_removal_failed',
+          email: 'test@example.com',
+          credentialId: mockCredential.id,
+          details: { code: 'attestation_required', error: 'Database unavailable', disabled: true }
+        }));
+        expect(mockDb.enrollmentQueries.recordEnrollment).not.toHaveBeenCalled();
+      });
+    });
+
     it('should use session email if not provided', async () => {
+      const mockCredential = await startRegistration();
+
       const response = await authenticatedAgent
         .post('/api/passkey/register-finish')
         .send({ credential: mockCredential });
@@ -185,10 +361,48 @@ describe('Passkey Authentication Endpoints', () => {
       );
     });
 
+    it('should register the passkey for the signed-in member only', async () => {
+      const mockCredential = await startRegistration();
+
+      const response = await authenticatedAgent
+        .post('/api/passkey/register-finish')
+        .send({
+          email: 'victim@example.com',
+          credential: mockCredential
+        });
+
+      expect(response.status).toBe(200);
+      expect(mockPasskeyAuth.verifyRegistration).toHaveBeenCalledWith(
+        'test@example.com',
+        mockCredential
+      );
+    });
+
+    it('should reject a response to another challenge', async () => {
+      await startRegistration();
+
+      const response = await authenticatedAgent
+        .post('/api/passkey/register-finish')
+        .send({ credential: createMockCredential('some-other-challenge') });
+
+      expect(response.status).toBe(400);
+      expect(mockPasskeyAuth.verifyRegistration).not.toHaveBeenCalled();
+    });
+
+    it('should reject a registration that was never started', async () => {
+      const response = await authenticatedAgent
+        .post('/api/passkey/register-finish')
+        .send({ credential: createMockCredential('mock-challenge-123') });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('challenge');
+    });
+
     it('should return error if verification fails', async () => {
       mockPasskeyAuth.verifyRegistration.mockResolvedValue({
         verified: false
       });
+      const mockCredential = await startRegistration();
 
       const response = await authenticatedAgent
         .post('/api/passkey/register-finish')
@@ -205,6 +419,7 @@ describe('Passkey Authentication Endpoints', () => {
       mockPasskeyAuth.verifyRegistration.mockRejectedValue(
         new Error('Verification failed')
       );
+      const mockCredential = await startRegistration();
 
       const response = await authenticatedAgent
         .post('/api/passkey/register-finish')
@@ -241,6 +456,28 @@ describe('Passkey Authentication Endpoints', () => {
       expect(mockPasskeyAuth.generateAuthentication).toHaveBeenCalledWith(null);
     });
 
+    it('should issue a long-lived usernameless challenge for autofill', async () => {
+      const response = await request(app)
+        .post('/api/passkey/login-start')
+        .send({ mode: 'conditional', email: 'test@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.timeout).toBe(30 * 60 * 1000);
+      expect(mockPasskeyAuth.generateAuthentication).toHaveBeenCalledWith(null);
+
+      const [[, stored]] = mockDb.getTestData().challenges;
+      expect(stored).toMatchObject({ purpose: 'conditional', email: null });
+      expect(stored.expiresAt - Date.now()).toBeGreaterThan(25 * 60 * 1000);
+    });
+
+    it('should reject unknown modes', async () => {
+      const response = await request(app)
+        .post('/api/passkey/login-start')
+        .send({ mode: 'silent' });
+
+      expect(response.status).toBe(400);
+    });
+
     it('should handle authentication generation errors', async () => {
       mockPasskeyAuth.generateAuthentication.mockRejectedValue(
         new Error('No passkeys found')
@@ -256,39 +493,37 @@ describe('Passkey Authentication Endpoints', () => {
   });
 
   describe('POST /api/passkey/login-finish', () => {
-    const mockCredential = {
-      id: 'mock-credential-id',
-      rawId: 'mock-raw-id',
-      type: 'public-key',
-      response: {
-        clientDataJSON: 'mock-client-data',
+    const mockMember = {
+      id: 'member-123',
+      email: 'test@example.com',
+      name: 'Test User',
+      labels: [{ name: 'builder' }]
+    };
+
+    // Answer the challenge the agent's session got from login-start
+    const startLogin = async (agent, body = {}) => {
+      const options = await agent.post('/api/passkey/login-start').send(body);
+      return createMockCredential(options.body.challenge, {
         authenticatorData: 'mock-auth-data',
         signature: 'mock-signature'
-      }
+      });
     };
 
-    it('should verify passkey and create session', async () => {
-      const mockMember = {
-        id: 'member-123',
-        email: 'test@example.com',
-        name: 'Test User',
-        labels: [{ name: 'builder' }]
-      };
-
+    beforeEach(() => {
       mockPasskeyAuth.verifyAuthentication.mockResolvedValue({
         verified: true,
         email: 'test@example.com'
       });
+    });
 
+    it('should verify passkey and create session', async () => {
       mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
 
       const agent = request.agent(app);
+      const mockCredential = await startLogin(agent, { email: 'test@example.com' });
       const response = await agent
         .post('/api/passkey/login-finish')
-        .send({
-          email: 'test@example.com',
-          credential: mockCredential
-        });
+        .send({ credential: mockCredential });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -298,6 +533,7 @@ describe('Passkey Authentication Endpoints', () => {
         name: 'Test User',
         labels: ['builder']
       });
+      expect(mockPasskeyAuth.verifyAuthentication).toHaveBeenCalledWith('test@example.com', mockCredential);
 
       // Verify session was created
       const statusResponse = await agent.get('/api/auth/status');
@@ -305,84 +541,139 @@ describe('Passkey Authentication Endpoints', () => {
     });
 
     it('should work without providing email (discoverable credentials)', async () => {
-      const mockMember = {
-        id: 'member-123',
-        email: 'test@example.com',
-        name: 'Test User',
-        labels: [{ name: 'builder' }]
-      };
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
 
-      mockPasskeyAuth.verifyAuthentication.mockResolvedValue({
-        verified: true,
-        email: 'test@example.com'
-      });
+      const agent = request.agent(app);
+      const mockCredential = await startLogin(agent);
+      const response = await agent
+        .post('/api/passkey/login-finish')
+        .send({ credential: mockCredential });
+
+      expect(response.status).toBe(200);
+      expect(mockPasskeyAuth.verifyAuthentication).toHaveBeenCalledWith(null, mockCredential);
+    });
 
+    it('should keep parallel usernameless logins apart', async () => {
       mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+      mockPasskeyAuth.generateAuthentication
+        .mockResolvedValueOnce({ challenge: 'challenge-one', allowCredentials: [] })
+        .mockResolvedValueOnce({ challenge: 'challenge-two', allowCredentials: [] });
 
-      const response = await request(app)
+      const first = request.agent(app);
+      const second = request.agent(app);
+      const firstCredential = await startLogin(first);
+      const secondCredential = await startLogin(second);
+
+      const firstResponse = await first.post('/api/passkey/login-finish').send({ credential: firstCredential });
+      const secondResponse = await second.post('/api/passkey/login-finish').send({ credential: secondCredential });
+
+      expect(firstResponse.status).toBe(200);
+      expect(secondResponse.status).toBe(200);
+    });
+
+    it('should only accept a challenge from the same session, once', async () => {
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      const agent = request.agent(app);
+      const mockCredential = await startLogin(agent);
+
+      const otherSession = await request(app)
         .post('/api/passkey/login-finish')
         .send({ credential: mockCredential });
+      const first = await agent.post('/api/passkey/login-finish').send({ credential: mockCredential });
+      const replay = await agent.post('/api/passkey/login-finish').send({ credential: mockCredential });
+
+      expect(otherSession.status).toBe(400);
+      expect(first.status).toBe(200);
+      expect(replay.status).toBe(400);
+      expect(mockPasskeyAuth.verifyAuthentication).toHaveBeenCalledTimes(1);
+    });
+
+    it('should sign in from the autofill request', async () => {
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      const agent = request.agent(app);
+      const mockCredential = await startLogin(agent, { mode: 'conditional' });
+      const response = await agent
+        .post('/api/passkey/login-finish')
+        .send({ credential: mockCredential, mode: 'conditional' });
 
       expect(response.status).toBe(200);
       expect(mockPasskeyAuth.verifyAuthentication).toHaveBeenCalledWith(null, mockCredential);
     });
 
+    it('should keep the autofill challenge when the button flow is used', async () => {
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+      mockPasskeyAuth.generateAuthentication
+        .mockResolvedValueOnce({ challenge: 'autofill-challenge', allowCredentials: [] })
+        .mockResolvedValueOnce({ challenge: 'button-challenge', allowCredentials: [] });
+
+      const agent = request.agent(app);
+      const autofillCredential = await startLogin(agent, { mode: 'conditional' });
+      await startLogin(agent);
+
+      const wrongMode = await agent
+        .post('/api/passkey/login-finish')
+        .send({ credential: autofillCredential });
+      const autofill = await agent
+        .post('/api/passkey/login-finish')
+        .send({ credential: autofillCredential, mode: 'conditional' });
+
+      expect(wrongMode.status).toBe(400);
+      expect(autofill.status).toBe(200);
+    });
+
+    it('should reject a response to another challenge', async () => {
+      const agent = request.agent(app);
+      await startLogin(agent);
+
+      const response = await agent
+        .post('/api/passkey/login-finish')
+        .send({ credential: createMockCredential('some-other-challenge') });
+
+      expect(response.status).toBe(400);
+      expect(mockPasskeyAuth.verifyAuthentication).not.toHaveBeenCalled();
+    });
+
     it('should return error if passkey verification fails', async () => {
       mockPasskeyAuth.verifyAuthentication.mockResolvedValue({
         verified: false
       });
 
-      const response = await request(app)
+      const agent = request.agent(app);
+      const mockCredential = await startLogin(agent, { email: 'test@example.com' });
+      const response = await agent
         .post('/api/passkey/login-finish')
-        .send({
-          email: 'test@example.com',
-          credential: mockCredential
-        });
+        .send({ credential: mockCredential });
 
       expect(response.status).toBe(400);
       expect(response.body.error).toBe('Failed to verify passkey');
     });
 
     it('should return 404 if user not found in Ghost', async () => {
-      mockPasskeyAuth.verifyAuthentication.mockResolvedValue({
-        verified: true,
-        email: 'test@example.com'
-      });
-
       mockGhostAPI.getMemberByEmail.mockResolvedValue(null);
 
-      const response = await request(app)
+      const agent = request.agent(app);
+      const mockCredential = await startLogin(agent, { email: 'test@example.com' });
+      const response = await agent
         .post('/api/passkey/login-finish')
-        .send({
-          email: 'test@example.com',
-          credential: mockCredential
-        });
+        .send({ credential: mockCredential });
 
       expect(response.status).toBe(404);
       expect(response.body.error).toBe('User not found in system');
     });
 
     it('should return 403 if user lacks required labels', async () => {
-      const mockMember = {
-        id: 'member-123',
-        email: 'test@example.com',
-        name: 'Test User',
+      mockGhostAPI.getMemberByEmail.mockResolvedValue({
+        ...mockMember,
         labels: [{ name: 'free-member' }]
-      };
-
-      mockPasskeyAuth.verifyAuthentication.mockResolvedValue({
-        verified: true,
-        email: 'test@example.com'
       });
 
-      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
-
-      const response = await request(app)
+      const agent = request.agent(app);
+      const mockCredential = await startLogin(agent, { email: 'test@example.com' });
+      const response = await agent
         .post('/api/passkey/login-finish')
-        .send({
-          email: 'test@example.com',
-          credential: mockCredential
-        });
+        .send({ credential: mockCredential });
 
       expect(response.status).toBe(403);
       expect(response.body.error).toBe('Access denied');
@@ -394,15 +685,462 @@ describe('Passkey Authentication Endpoints', () => {
         new Error('Authentication error')
       );
 
-      const response = await request(app)
+      const agent = request.agent(app);
+      const mockCredential = await startLogin(agent, { email: 'test@example.com' });
+      const response = await agent
         .post('/api/passkey/login-finish')
-        .send({
-          email: 'test@example.com',
-          credential: mockCredential
-        });
+        .send({ credential: mockCredential });
 
       expect(response.status).toBe(500);
       expect(response.body.error).toBe('Failed to complete passkey authentication');
     });
+
+    describe('signature counter', () => {
+      const loginWithCounter = async (newCounter) => {
+        mockPasskeyAuth.verifyAuthentication.mockResolvedValue({
+          verified: true,
+          email: 'test@example.com',
+          authenticationInfo: { newCounter }
+        });
+        const agent = request.agent(app);
+        const mockCredential = await startLogin(agent);
+        return agent.post('/api/passkey/login-finish').send({ credential: mockCredential });
+      };
+
+      beforeEach(() => {
+        mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+        mockDb.passkeyQueries.createPasskey.run('mock-credential-id', 'public-key', 5, 'test@example.com');
+      });
+
+      afterEach(() => {
+        delete process.env.PASSKEY_COUNTER_POLICY;
+      });
+
+      it('should store the counter of a normal login', async () => {
+        const response = await loginWithCounter(6);
+
+        expect(response.status).toBe(200);
+        expect(mockDb.passkeyQueries.updatePasskeyCounter.run).toHaveBeenCalledWith(6, 'mock-credential-id');
+        expect(mockDb.getTestData().securityEvents).toHaveLength(0);
+      });
+
+      it('should record when and where the passkey was used', async () => {
+        await loginWithCounter(6);
+        await loginWithCounter(7);
+
+        const passkey = mockDb.passkeyQueries.findPasskeyByCredentialId.get('mock-credential-id');
+        expect(passkey).toMatchObject({
+          lastUsedAt: expect.any(Number),
+          lastUsedIp: expect.any(String),
+          useCount: 2
+        });
+      });
+
+      it('should refuse passkeys disabled for not being used', async () => {
+        const passkey = mockDb.passkeyQueries.findPasskeyByCredentialId.get('mock-credential-id');
+        mockDb.passkeyQueries.disablePasskey.run(Date.now(), passkey.id);
+
+        const response = await loginWithCounter(6);
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('passkey_disabled');
+        expect(mockDb.passkeyQueries.recordPasskeyUse.run).not.toHaveBeenCalled();
+      });
+
+      it('should flag the passkey and record an event when the counter goes back', async () => {
+        const response = await loginWithCounter(3);
+
+        expect(response.status).toBe(200);
+        expect(mockDb.getTestData().securityEvents).toEqual([expect.objectContaining({
+          type: 'passkey_counter_regression',
+          email: 'test@example.com',
+          credentialId: 'mock-credential-id',
+          details: { storedCounter: 5, newCounter: 3, blocked: false }
+        })]);
+
+        const credentials = await authenticatedAgent.get('/api/passkey/credentials');
+        expect(credentials.body.credentials[0].flagged).toBe(true);
+      });
+
+      it('should block flagged passkeys when the policy says so', async () => {
+        process.env.PASSKEY_COUNTER_POLICY = 'block';
+        app = createTestApp();
+
+        const regressed = await loginWithCounter(3);
+        const later = await loginWithCounter(9);
+
+        expect(regressed.status).toBe(403);
+        expect(regressed.body.code).toBe('passkey_flagged');
+        expect(later.status).toBe(403);
+      });
+
+      it('should refuse a login the verifier rejects for its counter without flagging the passkey', async () => {
+        // What @simplewebauthn/server's verifyAuthenticationResponse throws, before checking the signature
+        mockPasskeyAuth.verifyAuthentication.mockRejectedValue(new Error('Response counter value 3 was lower than expected 5'));
+        const agent = request.agent(app);
+        const mockCredential = await startLogin(agent);
+
+        const response = await agent.post('/api/passkey/login-finish').send({ credential: mockCredential });
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('passkey_counter_regression');
+        expect(mockDb.getTestData().securityEvents).toEqual([expect.objectContaining({
+          type: 'passkey_counter_refused',
+          email: 'test@example.com',
+          credentialId: 'mock-credential-id',
+          details: { storedCounter: 5, newCounter: 3 }
+        })]);
+        expect(mockDb.passkeyQueries.flagPasskey.run).not.toHaveBeenCalled();
+        const status = await agent.get('/api/auth/status');
+        expect(status.body.authenticated).toBe(false);
+      });
+    });
+  });
+
+  describe('Passkey management (/api/passkey/credentials)', () => {
+    // Stored the way the SQLite layer returns rows
+    const addPasskey = (credentialId, email, deviceName) => {
+      mockDb.passkeyQueries.createPasskey.run(credentialId, 'public-key', 0, email);
+      const passkey = mockDb.passkeyQueries.findPasskeyByCredentialId.get(credentialId);
+      passkey.deviceName = deviceName;
+      return String(passkey.id);
+    };
+
+    // Never-used passkeys count from when use tracking started (at most their creation)
+    const trackUseSince = async (startedAt) => {
+      testData.passkeyUseTrackingStart = startedAt;
+      app = createTestApp();
+      authenticatedAgent = await createAuthenticatedAgent();
+    };
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/passkey/credentials');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list only the current member\'s passkeys', async () => {
+      addPasskey('cred-1', 'test@example.com', 'MacBook');
+      addPasskey('cred-2', 'other@example.com', 'Other Phone');
+
+      const response = await authenticatedAgent.get('/api/passkey/credentials');
+
+      expect(response.status).toBe(200);
+      expect(response.body.credentials).toHaveLength(1);
+      expect(response.body.credentials[0]).toEqual({
+        id: expect.any(String),
+        deviceName: 'MacBook',
+        createdAt: expect.any(Number),
+        flagged: false,
+        flaggedAt: null,
+        lastUsedAt: null,
+        lastUsedIp: null,
+        lastUsedUserAgent: null,
+        useCount: 0,
+        disabled: false,
+        disabledAt: null,
+        stale: 'active',
+        disablesAt: expect.any(Number)
+      });
+    });
+
+    it('should warn about passkeys that have not been used for months', async () => {
+      await trackUseSince(Date.now() - 365 * 24 * 60 * 60 * 1000);
+      addPasskey('cred-1', 'test@example.com', 'Old Phone');
+      const passkey = mockDb.passkeyQueries.findPasskeyByCredentialId.get('cred-1');
+      passkey.createdAt = new Date(Date.now() - 200 * 24 * 60 * 60 * 1000);
+
+      const response = await authenticatedAgent.get('/api/passkey/credentials');
+
+      expect(response.body.credentials[0].stale).toBe('warning');
+    });
+
+    it('should count passkeys from before use tracking from when it started', async () => {
+      addPasskey('cred-1', 'test@example.com', 'Old Phone');
+      const passkey = mockDb.passkeyQueries.findPasskeyByCredentialId.get('cred-1');
+      passkey.createdAt = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000);
+
+      const response = await authenticatedAgent.get('/api/passkey/credentials');
+
+      expect(response.body.credentials[0].stale).toBe('active');
+      expect(response.body.credentials[0].disablesAt).toBeGreaterThan(Date.now());
+    });
+
+    it('should rename a passkey', async () => {
+      const id = addPasskey('cred-1', 'test@example.com', 'MacBook');
+
+      const response = await authenticatedAgent
+        .patch(`/api/passkey/credentials/${id}`)
+        .send({ deviceName: '  Work laptop  ' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.credential.deviceName).toBe('Work laptop');
+      expect(mockDb.passkeyQueries.renamePasskey.run).toHaveBeenCalledWith('Work laptop', Number(id));
+    });
+
+    it('should reject empty or long names', async () => {
+      const id = addPasskey('cred-1', 'test@example.com', 'MacBook');
+
+      const empty = await authenticatedAgent
+        .patch(`/api/passkey/credentials/${id}`)
+        .send({ deviceName: '   ' });
+      const long = await authenticatedAgent
+        .patch(`/api/passkey/credentials/${id}`)
+        .send({ deviceName: 'x'.repeat(65) });
+
+      expect(empty.status).toBe(400);
+      expect(long.status).toBe(400);
+    });
+
+    it('should delete a passkey', async () => {
+      const id = addPasskey('cred-1', 'test@example.com', 'MacBook');
+
+      const response = await authenticatedAgent.delete(`/api/passkey/credentials/${id}`);
+
+      expect(response.status).toBe(200);
+      const list = await authenticatedAgent.get('/api/passkey/credentials');
+      expect(list.body.credentials).toHaveLength(0);
+    });
+
+    it('should require a recent sign-in to delete a passkey', async () => {
+      const id = addPasskey('cred-1', 'test@example.com', 'MacBook');
+      const signedInAt = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(signedInAt + 11 * 60 * 1000);
+
+      try {
+        const response = await authenticatedAgent.delete(`/api/passkey/credentials/${id}`);
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('reauth_required');
+        expect(mockDb.passkeyQueries.deletePasskey.run).not.toHaveBeenCalled();
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+
+    it('should never rename or delete another member\'s passkey', async () => {
+      const id = addPasskey('cred-2', 'other@example.com', 'Other Phone');
+
+      const rename = await authenticatedAgent
+        .patch(`/api/passkey/credentials/${id}`)
+        .send({ deviceName: 'Mine now' });
+      const remove = await authenticatedAgent.delete(`/api/passkey/credentials/${id}`);
+
+      expect(rename.status).toBe(404);
+      expect(remove.status).toBe(404);
+      expect(mockDb.passkeyQueries.renamePasskey.run).not.toHaveBeenCalled();
+      expect(mockDb.passkeyQueries.deletePasskey.run).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Passkey recovery (/api/passkey/recovery)', () => {
+    const addPasskey = (credentialId, email = 'test@example.com') => {
+      mockDb.passkeyQueries.createPasskey.run(credentialId, 'public-key', 0, email);
+      return String(mockDb.passkeyQueries.findPasskeyByCredentialId.get(credentialId).id);
+    };
+
+    it('should revoke the selected passkeys and email a confirmation', async () => {
+      const lost = addPasskey('cred-1');
+      addPasskey('cred-2');
+
+      const response = await authenticatedAgent
+        .post('/api/passkey/recovery')
+        .send({ ids: [lost] });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, revoked: 1, sessionsEnded: 0 });
+      expect(mockEmailVerification.sendVerificationEmail).toHaveBeenCalledWith(
+        'test@example.com',
+        null,
+        null,
+        expect.objectContaining({ subject: expect.stringContaining('passkeys were removed') })
+      );
+      expect(mockDb.getTestData().securityEvents).toEqual([expect.objectContaining({
+        type: 'passkey_recovery',
+        details: { revoked: ['cred-1'], sessionsEnded: 0 }
+      })]);
+
+      const list = await authenticatedAgent.get('/api/passkey/credentials');
+      expect(list.body.credentials).toHaveLength(1);
+    });
+
+    it('should revoke every passkey and sign out other sessions', async () => {
+      addPasskey('cred-1');
+      addPasskey('cred-2');
+      const lostDevice = await createAuthenticatedAgent();
+
+      const response = await authenticatedAgent
+        .post('/api/passkey/recovery')
+        .send({ all: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, revoked: 2, sessionsEnded: 1 });
+      expect((await lostDevice.get('/api/auth/status')).body.authenticated).toBe(false);
+      expect((await authenticatedAgent.get('/api/auth/status')).body.authenticated).toBe(true);
+    });
+
+    it('should only allow recovery after signing in by email', async () => {
+      addPasskey('mock-credential-id');
+      mockPasskeyAuth.verifyAuthentication.mockResolvedValue({ verified: true, email: 'test@example.com' });
+
+      const agent = request.agent(app);
+      const options = await agent.post('/api/passkey/login-start').send({});
+      await agent
+        .post('/api/passkey/login-finish')
+        .send({ credential: createMockCredential(options.body.challenge, { authenticatorData: 'mock-auth-data' }) });
+
+      const response = await agent.post('/api/passkey/recovery').send({ all: true });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('email_verification_required');
+      expect(mockDb.passkeyQueries.deletePasskey.run).not.toHaveBeenCalled();
+    });
+
+    it('should reject requests that do not say which passkeys to remove', async () => {
+      addPasskey('cred-1');
+
+      for (const body of [{}, { ids: [] }, { ids: 'cred-1' }, { all: 'yes' }]) {
+        const response = await authenticatedAgent.post('/api/passkey/recovery').send(body);
+        expect(response.status).toBe(400);
+      }
+      expect(mockDb.passkeyQueries.deletePasskey.run).not.toHaveBeenCalled();
+    });
+
+    it('should never revoke another member\'s passkeys', async () => {
+      const id = addPasskey('cred-2', 'other@example.com');
+
+      const response = await authenticatedAgent
+        .post('/api/passkey/recovery')
+        .send({ ids: [id] });
+
+      expect(response.status).toBe(404);
+      expect(mockDb.passkeyQueries.deletePasskey.run).not.toHaveBeenCalled();
+      expect(mockEmailVerification.sendVerificationEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Passkey enrollment prompt', () => {
+    const signIn = (agent = request.agent(app)) => agent
+      .post('/api/auth/verify-code')
+      .send({ email: 'test@example.com', code: '123456' });
+
+    afterEach(() => {
+      delete process.env.ADMIN_EMAILS;
+    });
+
+    it('should offer a passkey to members without one', async () => {
+      const response = await signIn();
+
+      expect(response.status).toBe(200);
+      expect(response.body.offerPasskey).toBe(true);
+    });
+
+    it('should not offer a passkey to members who have one', async () => {
+      mockDb.passkeyQueries.createPasskey.run('cred-1', 'public-key', 0, 'test@example.com');
+
+      const response = await signIn();
+
+      expect(response.body.offerPasskey).toBe(false);
+    });
+
+    it('should not ask again after the member declines', async () => {
+      await authenticatedAgent.post('/api/passkey/enrollment').send({ outcome: 'shown' });
+      const decline = await authenticatedAgent.post('/api/passkey/enrollment').send({ outcome: 'declined' });
+
+      const response = await signIn();
+
+      expect(decline.status).toBe(200);
+      expect(response.body.offerPasskey).toBe(false);
+    });
+
+    it('should reject unknown outcomes and anonymous requests', async () => {
+      const unknown = await authenticatedAgent.post('/api/passkey/enrollment').send({ outcome: 'maybe' });
+      const anonymous = await request(app).post('/api/passkey/enrollment').send({ outcome: 'declined' });
+
+      expect(unknown.status).toBe(400);
+      expect(anonymous.status).toBe(401);
+    });
+
+    it('should record an enrollment when a passkey is registered', async () => {
+      const options = await authenticatedAgent.post('/api/passkey/register-start').send({});
+      await authenticatedAgent
+        .post('/api/passkey/register-finish')
+        .send({ credential: createMockCredential(options.body.challenge) });
+
+      expect(mockDb.enrollmentQueries.recordEnrollment).toHaveBeenCalledWith('test@example.com', expect.any(Number));
+    });
+
+    it('should show enrollment numbers to admins only', async () => {
+      process.env.ADMIN_EMAILS = 'Admin@Example.com';
+      app = createTestApp();
+
+      const member = request.agent(app);
+      await signIn(member);
+      await member.post('/api/passkey/enrollment').send({ outcome: 'shown' });
+
+      mockGhostAPI.getMemberByEmail.mockResolvedValue({
+        id: 'member-456',
+        email: 'admin@example.com',
+        name: 'Admin',
+        labels: [{ name: 'builder' }]
+      });
+      const admin = request.agent(app);
+      await admin.post('/api/auth/verify-code').send({ email: 'admin@example.com', code: '123456' });
+
+      const anonymous = await request(app).get('/api/admin/passkey-enrollment');
+      const denied = await member.get('/api/admin/passkey-enrollment');
+      const allowed = await admin.get('/api/admin/passkey-enrollment');
+
+      expect(anonymous.status).toBe(401);
+      expect(denied.status).toBe(403);
+      expect(allowed.status).toBe(200);
+      expect(allowed.body).toEqual({ prompted: 1, declined: 0, enrolled: 0, enrolledAfterPrompt: 0 });
+    });
+
+    it('should show flagged passkeys and security events to admins only', async () => {
+      process.env.ADMIN_EMAILS = 'admin@example.com';
+      app = createTestApp();
+      const { lastInsertRowid } = mockDb.passkeyQueries.createPasskey.run('cred-1', 'public-key', 5, 'test@example.com');
+      mockDb.passkeyQueries.flagPasskey.run(Date.now(), 'counter_regression', lastInsertRowid);
+      await mockDb.securityEventQueries.recordEvent({ type: 'passkey_counter_regression', email: 'test@example.com' });
+
+      const member = request.agent(app);
+      await signIn(member);
+      mockGhostAPI.getMemberByEmail.mockResolvedValue({
+        id: 'member-456',
+        email: 'admin@example.com',
+        name: 'Admin',
+        labels: [{ name: 'builder' }]
+      });
+      const admin = request.agent(app);
+      await admin.post('/api/auth/verify-code').send({ email: 'admin@example.com', code: '123456' });
+
+      const denied = await member.get('/api/admin/passkeys/flagged');
+      const flagged = await admin.get('/api/admin/passkeys/flagged');
+      const events = await admin.get('/api/admin/security-events');
+
+      expect(denied.status).toBe(403);
+      expect(flagged.body.credentials).toEqual([expect.objectContaining({
+        email: 'test@example.com',
+        flagged: true,
+        flagReason: 'counter_regression'
+      })]);
+      expect(events.body.events).toEqual([expect.objectContaining({ type: 'passkey_counter_regression' })]);
+    });
+
+    it('should let admins prune unused passkeys', async () => {
+      process.env.ADMIN_EMAILS = 'test@example.com';
+      testData.passkeyUseTrackingStart = Date.now() - 500 * 24 * 60 * 60 * 1000;
+      app = createTestApp();
+      mockDb.passkeyQueries.createPasskey.run('cred-1', 'public-key', 0, 'other@example.com');
+      mockDb.passkeyQueries.findPasskeyByCredentialId.get('cred-1').createdAt = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000);
+
+      const admin = request.agent(app);
+      await signIn(admin);
+      const response = await admin.post('/api/admin/passkeys/prune');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ warned: 0, disabled: 1 });
+    });
   });
 });
@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for the Passkey Enrollment Tracker
+ * Tests when the post-sign-in prompt is offered and what gets recorded
+ */
+
+const { createEnrollmentTracker } = require('../../lib/passkey-enrollment');
+const { createPasskeyStore } = require('../../lib/passkey-store');
+const { mockDb } = require('../mocks/db.mock');
+
+describe('Passkey Enrollment Tracker', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let tracker;
+
+  beforeEach(() => {
+    mockDb.resetMocks();
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    tracker = createEnrollmentTracker({
+      enrollmentQueries: mockDb.enrollmentQueries,
+      passkeyStore: createPasskeyStore(mockDb.passkeyQueries),
+      snoozeMs: 30 * DAY
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should offer enrollment to members without a passkey', async () => {
+    expect(await tracker.shouldOffer('test@example.com')).toBe(true);
+  });
+
+  it('should not offer enrollment to members who have a passkey', async () => {
+    mockDb.passkeyQueries.createPasskey.run('cred-1', 'key-1', 0, 'test@example.com');
+
+    expect(await tracker.shouldOffer('test@example.com')).toBe(false);
+  });
+
+  it('should keep offering enrollment after the prompt was only shown', async () => {
+    await tracker.recordShown('test@example.com');
+    await tracker.recordShown('test@example.com');
+
+    expect(await tracker.shouldOffer('test@example.com')).toBe(true);
+    expect(mockDb.getTestData().enrollments[0][1].promptCount).toBe(2);
+  });
+
+  it('should not ask again until the snooze period has passed', async () => {
+    await tracker.recordDeclined('Test@Example.com');
+
+    jest.advanceTimersByTime(29 * DAY);
+    expect(await tracker.shouldOffer('test@example.com')).toBe(false);
+
+    jest.advanceTimersByTime(DAY);
+    expect(await tracker.shouldOffer('test@example.com')).toBe(true);
+  });
+
+  it('should count prompts, declines and enrollments', async () => {
+    await tracker.recordShown('one@example.com');
+    await tracker.recordDeclined('one@example.com');
+    await tracker.recordShown('two@example.com');
+    jest.advanceTimersByTime(1000);
+    await tracker.recordEnrolled('two@example.com');
+    await tracker.recordEnrolled('three@example.com');
+
+    expect(await tracker.stats()).toEqual({
+      prompted: 2,
+      declined: 1,
+      enrolled: 2,
+      enrolledAfterPrompt: 1
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Passkey Recovery
+ * Tests revoking lost passkeys, ending other sessions and the confirmation email
+ */
+
+const { buildRecoveryEmailTemplate, createPasskeyRecovery } = require('../../lib/passkey-recovery');
+const { createPasskeyStore, getCredentialId } = require('../../lib/passkey-store');
+const { DatabaseSessionStore } = require('../../lib/session-store');
+const { mockDb } = require('../mocks/db.mock');
+
+describe('Passkey Recovery', () => {
+  let passkeyStore;
+  let sessionStore;
+  let notify;
+  let recovery;
+
+  const cookie = { expires: new Date(Date.now() + 60 * 60 * 1000).toISOString() };
+  const addSession = (sid, email = 'test@example.com') => new Promise((resolve, reject) => {
+    sessionStore.set(sid, { cookie, userEmail: email }, err => (err ? reject(err) : resolve()));
+  });
+  const addPasskey = (credentialId, email = 'test@example.com') => {
+    mockDb.passkeyQueries.createPasskey.run(credentialId, 'public-key', 0, email);
+  };
+  const credentialIds = async (email = 'test@example.com') =>
+    (await passkeyStore.listByEmail(email)).map(getCredentialId);
+
+  beforeEach(async () => {
+    mockDb.resetMocks();
+    passkeyStore = createPasskeyStore(mockDb.passkeyQueries);
+    sessionStore = new DatabaseSessionStore(mockDb.sessionQueries);
+    notify = jest.fn().mockResolvedValue();
+    recovery = createPasskeyRecovery({
+      passkeyStore,
+      securityEventQueries: mockDb.securityEventQueries,
+      sessionStore,
+      notify
+    });
+
+    addPasskey('cred-1');
+    addPasskey('cred-2');
+    addPasskey('cred-other', 'other@example.com');
+    await addSession('sid-current');
+    await addSession('sid-lost-device');
+    await addSession('sid-other', 'other@example.com');
+  });
+
+  it('should revoke all passkeys and end the other sessions', async () => {
+    const result = await recovery.revoke('test@example.com', { keepSession: 'sid-current', ip: '1.2.3.4' });
+
+    expect(result.revoked).toHaveLength(2);
+    expect(result.sessionsEnded).toBe(1);
+    expect(await credentialIds()).toEqual([]);
+    expect(await credentialIds('other@example.com')).toEqual(['cred-other']);
+
+    const sessions = mockDb.getTestData().sessions.map(([sid]) => sid);
+    expect(sessions).toEqual(expect.arrayContaining(['sid-current', 'sid-other']));
+    expect(sessions).not.toContain('sid-lost-device');
+  });
+
+  it('should revoke only the selected passkeys', async () => {
+    const [first] = await passkeyStore.listCredentials('test@example.com');
+
+    const result = await recovery.revoke('test@example.com', { ids: [first.id], keepSession: 'sid-current' });
+
+    expect(result.revoked.map(credential => credential.id)).toEqual([first.id]);
+    expect(await credentialIds()).toHaveLength(1);
+  });
+
+  it('should return null when none of the passkeys exist', async () => {
+    const [other] = await passkeyStore.listCredentials('other@example.com');
+
+    expect(await recovery.revoke('test@example.com', { ids: [other.id] })).toBeNull();
+    expect(await credentialIds('other@example.com')).toEqual(['cred-other']);
+    expect(notify).not.toHaveBeenCalled();
+    expect(mockDb.getTestData().securityEvents).toEqual([]);
+  });
+
+  it('should record a security event and send the confirmation', async () => {
+    await recovery.revoke('test@example.com', { keepSession: 'sid-current', ip: '1.2.3.4', userAgent: 'Mozilla/5.0' });
+
+    const [event] = mockDb.getTestData().securityEvents;
+    expect(event).toMatchObject({
+      type: 'passkey_recovery',
+      email: 'test@example.com',
+      details: { revoked: ['cred-1', 'cred-2'], sessionsEnded: 1 },
+      ip: '1.2.3.4',
+      userAgent: 'Mozilla/5.0'
+    });
+    expect(notify).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'test@example.com',
+      sessionsEnded: 1,
+      ip: '1.2.3.4'
+    }));
+  });
+
+  it('should still revoke when the confirmation cannot be sent', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+    notify.mockRejectedValue(new Error('SMTP down'));
+
+    const result = await recovery.revoke('test@example.com', { keepSession: 'sid-current' });
+
+    expect(result.revoked).toHaveLength(2);
+    expect(await credentialIds()).toEqual([]);
+    expect(consoleSpy).toHaveBeenCalledWith('Error sending passkey recovery email:', expect.any(Error));
+    consoleSpy.mockRestore();
+  });
+
+  it('should escape device names in the confirmation email', () => {
+    const template = buildRecoveryEmailTemplate({
+      revoked: [{ deviceName: '<script>alert(1)</script>' }, { deviceName: null }],
+      sessionsEnded: 2,
+      at: Date.UTC(2025, 0, 1),
+      ip: '1.2.3.4',
+      accountUrl: 'https://example.com/account'
+    });
+
+    const html = template('test@example.com', 'Test User');
+
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('Unnamed passkey');
+    expect(html).toContain('2 other sessions were signed out');
+    expect(html).toContain('1.2.3.4');
+    expect(html).toContain('Hi Test User');
+  });
+});
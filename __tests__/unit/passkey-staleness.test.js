@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for the Stale Passkey Policy
+ * Tests use tracking, warnings, disabling and the pruning throttle
+ */
+
+const { MONTH_MS, createStalePasskeyPolicy, isDisabled } = require('../../lib/passkey-staleness');
+const { createPasskeyStore } = require('../../lib/passkey-store');
+const { mockDb } = require('../mocks/db.mock');
+
+describe('Stale Passkey Policy', () => {
+  let passkeyStore;
+  let policy;
+
+  // Passkeys are created at the (fake) current time
+  const addPasskey = (credentialId, email = 'test@example.com') => {
+    mockDb.passkeyQueries.createPasskey.run(credentialId, 'public-key', 0, email);
+    return passkeyStore.findByCredentialId(credentialId);
+  };
+  const monthsPass = (months) => jest.advanceTimersByTime(months * MONTH_MS);
+  const eventTypes = () => mockDb.getTestData().securityEvents.map(event => event.type);
+
+  beforeEach(() => {
+    mockDb.resetMocks();
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    passkeyStore = createPasskeyStore(mockDb.passkeyQueries);
+    policy = createStalePasskeyPolicy({
+      passkeyStore,
+      securityEventQueries: mockDb.securityEventQueries,
+      warnAfterMs: 6 * MONTH_MS,
+      disableAfterMs: 12 * MONTH_MS
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should record when and where a passkey was used', async () => {
+    const passkey = await addPasskey('cred-1');
+
+    await passkeyStore.recordUse(passkey, { ip: '1.2.3.4', userAgent: 'Mozilla/5.0' });
+    await passkeyStore.recordUse(passkey, { ip: '5.6.7.8', userAgent: 'Mozilla/5.0' });
+
+    const [credential] = await passkeyStore.listCredentials('test@example.com');
+    expect(credential).toMatchObject({
+      lastUsedAt: Date.now(),
+      lastUsedIp: '5.6.7.8',
+      lastUsedUserAgent: 'Mozilla/5.0',
+      useCount: 2
+    });
+  });
+
+  it('should warn once about passkeys unused for the warning period', async () => {
+    await addPasskey('cred-1');
+    monthsPass(7);
+
+    expect(await policy.prune()).toEqual({ warned: 1, disabled: 0 });
+    expect(await policy.prune()).toEqual({ warned: 0, disabled: 0 });
+    expect(eventTypes()).toEqual(['passkey_unused_warning']);
+
+    const [credential] = await passkeyStore.listCredentials('test@example.com');
+    expect(policy.describe(credential)).toEqual({
+      stale: 'warning',
+      disablesAt: new Date('2025-01-01T00:00:00Z').getTime() + 12 * MONTH_MS
+    });
+  });
+
+  it('should disable passkeys unused for the disable period', async () => {
+    await addPasskey('cred-1');
+    monthsPass(13);
+
+    expect(await policy.prune()).toEqual({ warned: 0, disabled: 1 });
+    expect(eventTypes()).toEqual(['passkey_disabled_unused']);
+
+    const passkey = await passkeyStore.findByCredentialId('cred-1');
+    expect(isDisabled(passkey)).toBe(true);
+    const [credential] = await passkeyStore.listCredentials('test@example.com');
+    expect(policy.describe(credential)).toEqual({ stale: 'disabled', disablesAt: null });
+  });
+
+  it('should count from the last use and clear the warning on use', async () => {
+    const passkey = await addPasskey('cred-1');
+    monthsPass(7);
+    await policy.prune();
+    await passkeyStore.recordUse(passkey, {});
+    monthsPass(7);
+
+    expect(await policy.prune()).toEqual({ warned: 1, disabled: 0 });
+  });
+
+  it('should count passkeys from before use tracking from when it started', async () => {
+    await addPasskey('cred-1');
+    monthsPass(24);
+    mockDb.passkeyQueries.getPasskeyUseTrackingStart.mockResolvedValueOnce(Date.now());
+    policy = createStalePasskeyPolicy({
+      passkeyStore,
+      securityEventQueries: mockDb.securityEventQueries,
+      warnAfterMs: 6 * MONTH_MS,
+      disableAfterMs: 12 * MONTH_MS
+    });
+
+    expect(await policy.prune()).toEqual({ warned: 0, disabled: 0 });
+
+    monthsPass(13);
+    expect(await policy.prune()).toEqual({ warned: 0, disabled: 1 });
+  });
+
+  it('should leave steps that are turned off alone', async () => {
+    policy = createStalePasskeyPolicy({
+      passkeyStore,
+      securityEventQueries: mockDb.securityEventQueries,
+      warnAfterMs: 6 * MONTH_MS,
+      disableAfterMs: 0
+    });
+    await addPasskey('cred-1');
+    monthsPass(30);
+
+    expect(await policy.prune()).toEqual({ warned: 1, disabled: 0 });
+  });
+
+  it('should prune automatically at most once per interval', async () => {
+    await addPasskey('cred-1');
+    monthsPass(13);
+
+    await policy.pruneIfDue();
+    await policy.pruneIfDue();
+    jest.advanceTimersByTime(6 * 60 * 60 * 1000);
+    await policy.pruneIfDue();
+
+    expect(mockDb.passkeyQueries.getAllPasskeys.all).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for the Passkey Store
+ * Tests both query shapes: SQLite statements and Firestore functions
+ */
+
+const { createPasskeyStore, toCredential } = require('../../lib/passkey-store');
+const { mockDb } = require('../mocks/db.mock');
+
+describe('Passkey Store', () => {
+  beforeEach(() => {
+    mockDb.resetMocks();
+  });
+
+  describe('with prepared statements', () => {
+    it('should list and delete the passkeys of an email', async () => {
+      mockDb.passkeyQueries.createPasskey.run('cred-1', 'key-1', 0, 'test@example.com');
+      mockDb.passkeyQueries.createPasskey.run('cred-2', 'key-2', 0, 'test@example.com');
+      mockDb.passkeyQueries.createPasskey.run('cred-3', 'key-3', 0, 'other@example.com');
+      const store = createPasskeyStore(mockDb.passkeyQueries);
+
+      expect(await store.listByEmail('test@example.com')).toHaveLength(2);
+      expect(await store.deleteByEmail('test@example.com')).toBe(2);
+      expect(await store.listByEmail('test@example.com')).toHaveLength(0);
+      expect(await store.listByEmail('other@example.com')).toHaveLength(1);
+    });
+  });
+
+  describe('with async functions', () => {
+    it('should list and delete the passkeys of an email', async () => {
+      const passkeyQueries = {
+        getEmailPasskeys: jest.fn().mockResolvedValue([{ id: 'doc-1' }, { id: 'doc-2' }]),
+        deletePasskey: jest.fn().mockResolvedValue()
+      };
+      const store = createPasskeyStore(passkeyQueries);
+
+      expect(await store.deleteByEmail('test@example.com')).toBe(2);
+      expect(passkeyQueries.getEmailPasskeys).toHaveBeenCalledWith('test@example.com');
+      expect(passkeyQueries.deletePasskey).toHaveBeenCalledWith('doc-1');
+      expect(passkeyQueries.deletePasskey).toHaveBeenCalledWith('doc-2');
+    });
+  });
+
+  describe('managing one passkey', () => {
+    let store;
+    let ownId;
+    let otherId;
+
+    beforeEach(() => {
+      mockDb.passkeyQueries.createPasskey.run('cred-1', 'key-1', 0, 'test@example.com');
+      mockDb.passkeyQueries.createPasskey.run('cred-2', 'key-2', 0, 'other@example.com');
+      ownId = String(mockDb.passkeyQueries.findPasskeyByCredentialId.get('cred-1').id);
+      otherId = String(mockDb.passkeyQueries.findPasskeyByCredentialId.get('cred-2').id);
+      store = createPasskeyStore(mockDb.passkeyQueries);
+    });
+
+    it('should rename the member\'s own passkey', async () => {
+      const credential = await store.rename('test@example.com', ownId, 'Phone');
+
+      expect(credential).toMatchObject({ id: ownId, deviceName: 'Phone' });
+      expect((await store.listCredentials('test@example.com'))[0].deviceName).toBe('Phone');
+    });
+
+    it('should not touch passkeys of other members', async () => {
+      expect(await store.rename('test@example.com', otherId, 'Phone')).toBeNull();
+      expect(await store.remove('test@example.com', otherId)).toBe(false);
+      expect(await store.listByEmail('other@example.com')).toHaveLength(1);
+    });
+
+    it('should remove the member\'s own passkey', async () => {
+      expect(await store.remove('test@example.com', ownId)).toBe(true);
+      expect(await store.listByEmail('test@example.com')).toHaveLength(0);
+    });
+  });
+
+  describe('toCredential', () => {
+    it('should read SQLite rows', () => {
+      expect(toCredential({
+        id: 7,
+        device_name: 'Laptop',
+        created_at: '2025-01-02 03:04:05',
+        last_used_at: 1735800000000,
+        last_used_ip: '1.2.3.4',
+        last_used_user_agent: 'Mozilla/5.0',
+        use_count: 3
+      })).toEqual({
+        id: '7',
+        deviceName: 'Laptop',
+        createdAt: Date.UTC(2025, 0, 2, 3, 4, 5),
+        flagged: false,
+        flaggedAt: null,
+        lastUsedAt: 1735800000000,
+        lastUsedIp: '1.2.3.4',
+        lastUsedUserAgent: 'Mozilla/5.0',
+        useCount: 3,
+        disabled: false,
+        disabledAt: null
+      });
+    });
+
+    it('should read Firestore documents', () => {
+      const createdAt = { toMillis: () => 1735700000000 };
+
+      expect(toCredential({
+        id: 'doc-1',
+        deviceName: 'Phone',
+        createdAt,
+        flaggedAt: 1735800000000,
+        disabledAt: 1735900000000
+      })).toEqual({
+        id: 'doc-1',
+        deviceName: 'Phone',
+        createdAt: 1735700000000,
+        flagged: true,
+        flaggedAt: 1735800000000,
+        lastUsedAt: null,
+        lastUsedIp: null,
+        lastUsedUserAgent: null,
+        useCount: 0,
+        disabled: true,
+        disabledAt: 1735900000000
+      });
+    });
+  });
+});
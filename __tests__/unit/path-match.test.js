@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for Path Globs
+ * Tests single-segment and recursive wildcards
+ */
+
+const { compilePathGlob, createPathMatcher } = require('../../lib/path-match');
+
+describe('Path Globs', () => {
+  it('should match exact paths', () => {
+    const matches = createPathMatcher(['/about/']);
+
+    expect(matches('/about/')).toBe(true);
+    expect(matches('/about/team/')).toBe(false);
+  });
+
+  it('should match within one segment with *', () => {
+    const matches = createPathMatcher(['/*-report/']);
+
+    expect(matches('/q1-report/')).toBe(true);
+    expect(matches('/reports/q1-report/')).toBe(false);
+  });
+
+  it('should match across segments with **', () => {
+    const matches = createPathMatcher(['/reports/**']);
+
+    expect(matches('/reports')).toBe(true);
+    expect(matches('/reports/')).toBe(true);
+    expect(matches('/reports/2025/q1/')).toBe(true);
+    expect(matches('/reports-archive/')).toBe(false);
+  });
+
+  it('should treat regex characters literally', () => {
+    const matches = createPathMatcher(['/file.json']);
+
+    expect(matches('/file.json')).toBe(true);
+    expect(matches('/fileXjson')).toBe(false);
+  });
+
+  it('should match any of several patterns', () => {
+    const matches = createPathMatcher(['/a/**', '/b/']);
+
+    expect(matches('/a/x')).toBe(true);
+    expect(matches('/b/')).toBe(true);
+    expect(matches('/c/')).toBe(false);
+  });
+
+  it('should reject patterns that are not absolute paths', () => {
+    expect(() => compilePathGlob('reports/**')).toThrow('must start with "/"');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit Tests for Public and Blocked Paths
+ * Tests canonical paths, the defaults, environment lists and encoded paths
+ */
+
+const {
+  DEFAULT_BLOCKED_PATHS,
+  DEFAULT_PUBLIC_PATHS,
+  createPathPolicy,
+  normalizePath,
+  parsePathList
+} = require('../../lib/path-policy');
+
+describe('Path Policy', () => {
+  const policy = createPathPolicy({ publicPaths: DEFAULT_PUBLIC_PATHS, blockedPaths: DEFAULT_BLOCKED_PATHS });
+
+  it('should resolve dot segments and repeated slashes', () => {
+    expect(normalizePath('/some-post/')).toBe('/some-post/');
+    expect(normalizePath('/assets/../ghost/')).toBe('/ghost/');
+    expect(normalizePath('/assets/%2e%2e/ghost/')).toBe('/ghost/');
+    expect(normalizePath('/a/./b')).toBe('/a/b');
+    expect(normalizePath('//ghost//api/')).toBe('/ghost/api/');
+    expect(normalizePath('/\\example.com/x')).toBe('/example.com/x');
+  });
+
+  it('should open the default public paths', () => {
+    for (const path of ['/robots.txt', '/sitemap.xml', '/sitemap-posts.xml', '/favicon.ico',
+      '/assets/built/screen.css', '/public/cards.min.js', '/members/api/member/']) {
+      expect(policy.classify(path)).toBe('public');
+    }
+    expect(policy.classify('/some-post/')).toBe('protected');
+    expect(policy.classify('/content/images/cover.jpg')).toBe('protected');
+  });
+
+  it('should block Ghost admin however it is spelled', () => {
+    for (const path of ['/ghost', '/ghost/', '/ghost/api/admin/posts/', '/GHOST/', '/%67host/', '/%2fghost/']) {
+      expect(policy.classify(path)).toBe('blocked');
+    }
+    expect(policy.classify('/ghostly-tales/')).toBe('protected');
+  });
+
+  it('should not open paths that leave a public directory once decoded', () => {
+    expect(policy.classify('/assets/..%2fsome-post/')).toBe('protected');
+    expect(policy.classify('/assets/..%2fghost/')).toBe('blocked');
+    expect(policy.classify('/ASSETS/screen.css')).toBe('protected');
+  });
+
+  it('should let blocked paths win over public ones', () => {
+    const overlapping = createPathPolicy({ publicPaths: ['/members/**'], blockedPaths: ['/members/api/admin/**'] });
+
+    expect(overlapping.classify('/members/api/admin/x')).toBe('blocked');
+    expect(overlapping.classify('/members/api/member/')).toBe('public');
+  });
+
+  it('should parse lists from the environment', () => {
+    expect(parsePathList(undefined, ['/default'])).toEqual(['/default']);
+    expect(parsePathList(' /about/ , /tag/*/,', ['/default'])).toEqual(['/about/', '/tag/*/']);
+    expect(parsePathList('', ['/default'])).toEqual([]);
+  });
+
+  it('should reject invalid patterns', () => {
+    expect(() => createPathPolicy({ publicPaths: ['robots.txt'], blockedPaths: [] })).toThrow();
+  });
+});
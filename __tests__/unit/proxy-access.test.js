@@ -0,0 +1,640 @@
+/**
+ * Unit Tests for Access Checks on Proxied Content
+ * Tests label re-validation against Ghost during a session, access rules, and how pages and assets are passed on
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const request = require('supertest');
+const nock = require('nock');
+const { createApp } = require('../../app');
+
+// Import mocks
+const { mockGhostAPI, createMockMember } = require('../mocks/ghost-api.mock');
+const { mockEmailVerification } = require('../mocks/email-verification.mock');
+const { mockDb } = require('../mocks/db.mock');
+const { mockPasskeyAuth } = require('../mocks/passkey-auth.mock');
+
+const GHOST_URL = 'http://localhost:3002';
+
+describe('Proxied Content Access', () => {
+  let app;
+  let now;
+
+  // Sign in with email code as a member with the given labels
+  const signIn = async (labels = ['builder']) => {
+    const agent = request.agent(app);
+    mockEmailVerification.verifyCode.mockResolvedValue(true);
+    mockGhostAPI.getMemberByEmail.mockResolvedValue(
+      createMockMember({ labels: labels.map(name => ({ name })) })
+    );
+
+    await agent
+      .post('/api/auth/verify-code')
+      .send({ email: 'test@example.com', code: '123456' });
+
+    mockGhostAPI.getMemberByEmail.mockClear();
+    return agent;
+  };
+
+  const createTestApp = (overrides = {}) => createApp(true, {
+    ghostAPI: mockGhostAPI,
+    emailVerification: mockEmailVerification,
+    passkeyQueries: mockDb.passkeyQueries,
+    challengeQueries: mockDb.challengeQueries,
+    verificationCodeQueries: mockDb.verificationCodeQueries,
+    attemptQueries: mockDb.attemptQueries,
+    usedTokenQueries: mockDb.usedTokenQueries,
+    sessionQueries: mockDb.sessionQueries,
+    enrollmentQueries: mockDb.enrollmentQueries,
+    securityEventQueries: mockDb.securityEventQueries,
+    passkeyAuth: mockPasskeyAuth,
+    ...overrides
+  });
+
+  const advanceMinutes = (minutes) => {
+    now += minutes * 60 * 1000;
+  };
+
+  beforeEach(() => {
+    // Reset all mocks before each test
+    mockGhostAPI.resetMocks();
+    mockEmailVerification.resetMocks();
+    mockDb.resetMocks();
+    mockPasskeyAuth.resetMocks();
+
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    nock(GHOST_URL).persist().get(/.*/).reply(200, 'ghost content', { 'content-type': 'text/plain' });
+
+    // Create app with injected dependencies
+    app = createTestApp();
+  });
+
+  afterEach(() => {
+    delete process.env.ACCESS_RULES;
+    delete process.env.PUBLIC_PATHS;
+    delete process.env.BLOCKED_PATHS;
+    nock.cleanAll();
+    jest.restoreAllMocks();
+  });
+
+  describe('Label re-validation', () => {
+    it('should trust session labels within the refresh interval', async () => {
+      const agent = await signIn();
+
+      advanceMinutes(5);
+      const response = await agent.get('/some-post/');
+
+      expect(response.status).toBe(200);
+      expect(mockGhostAPI.getMemberByEmail).not.toHaveBeenCalled();
+    });
+
+    it('should deny members whose labels were removed in Ghost', async () => {
+      const agent = await signIn(['patron']);
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(
+        createMockMember({ labels: [{ name: 'free-member' }] })
+      );
+
+      advanceMinutes(16);
+      const response = await agent.get('/some-post/');
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Access denied');
+      expect(mockGhostAPI.getMemberByEmail).toHaveBeenCalledWith('test@example.com');
+    });
+
+    it('should end the session of members deleted from Ghost', async () => {
+      const agent = await signIn();
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(null);
+
+      advanceMinutes(16);
+      const response = await agent.get('/some-post/');
+
+      expect(response.status).toBe(403);
+      const statusResponse = await agent.get('/api/auth/status');
+      expect(statusResponse.body.authenticated).toBe(false);
+    });
+
+    it('should share one Ghost lookup between requests', async () => {
+      const agent = await signIn();
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(createMockMember());
+
+      advanceMinutes(16);
+      await Promise.all([
+        agent.get('/tag/news/'),
+        agent.get('/content/images/cover.jpg'),
+        agent.get('/some-post/')
+      ]);
+      await agent.get('/content/images/photo.jpg');
+
+      expect(mockGhostAPI.getMemberByEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep access while Ghost is unavailable', async () => {
+      const agent = await signIn();
+      mockGhostAPI.getMemberByEmail.mockRejectedValue(new Error('Ghost down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      advanceMinutes(16);
+      const response = await agent.get('/some-post/');
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('Access rules', () => {
+    let postLookup;
+
+    beforeEach(() => {
+      process.env.ACCESS_RULES = JSON.stringify([
+        { path: '/reports/**', labels: ['builder'], tier: 'Builder' },
+        { tag: 'deep-dive', labels: ['patron', 'builder'], tier: 'Patron' }
+      ]);
+      postLookup = {
+        getPost: jest.fn().mockResolvedValue({ slug: 'some-post', tags: ['deep-dive'], visibility: 'paid' })
+      };
+      app = createTestApp({ postLookup });
+    });
+
+    it('should name the required tier when a path rule denies access', async () => {
+      const agent = await signIn(['explorer']);
+
+      const response = await agent.get('/reports/2025/');
+
+      expect(response.status).toBe(403);
+      expect(response.body.requiredTier).toBe('Builder');
+      expect(response.body.message).toBe('This content is for Builder members.');
+    });
+
+    it('should deny tagged posts to lower tiers', async () => {
+      const agent = await signIn(['explorer']);
+
+      const response = await agent.get('/some-post/');
+
+      expect(response.status).toBe(403);
+      expect(response.body.requiredTier).toBe('Patron');
+      expect(postLookup.getPost).toHaveBeenCalledWith('/some-post/');
+    });
+
+    it('should allow tagged posts to the required tier', async () => {
+      const agent = await signIn(['patron']);
+
+      const response = await agent.get('/some-post/');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should apply ALLOWED_LABELS to paths no rule matches', async () => {
+      postLookup.getPost.mockResolvedValue(null);
+      const agent = await signIn(['explorer']);
+
+      const response = await agent.get('/about/');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should fail closed when post metadata is unavailable', async () => {
+      postLookup.getPost.mockRejectedValue(new Error('Ghost down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const agent = await signIn(['patron']);
+
+      const response = await agent.get('/some-post/');
+
+      expect(response.status).toBe(503);
+    });
+
+    it('should reject invalid rules at startup', () => {
+      process.env.ACCESS_RULES = '[{"labels": ["patron"]}]';
+
+      expect(() => createTestApp()).toThrow('needs a path, tag or visibility');
+    });
+  });
+
+  describe('HTML pages', () => {
+    const page = '<html><head><meta charset="utf-8"></head><body><p>Zürich — 東京</p></body></html>';
+
+    beforeEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should stream pages with the SSO client injected before </body>', async () => {
+      nock(GHOST_URL).get('/some-post/').reply(200, page, {
+        'content-type': 'text/html; charset=utf-8',
+        'content-length': String(Buffer.byteLength(page))
+      });
+      const agent = await signIn();
+
+      const response = await agent.get('/some-post/');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-length']).toBeUndefined();
+      expect(response.text).toMatch(/<p>Zürich — 東京<\/p>\s*<script src="[^"]*\/sso-client\.js"><\/script>[\s\S]*BearSSO\.init[\s\S]*<\/script>\s*<\/body><\/html>$/);
+    });
+
+    it('should keep a Content-Type without charset as Ghost sent it', async () => {
+      const legacy = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'html', 'windows-1252.html'));
+      nock(GHOST_URL).get('/legacy/').reply(200, legacy, { 'content-type': 'text/html' });
+      const agent = await signIn();
+
+      const response = await agent.get('/legacy/')
+        .set('Accept-Encoding', 'identity')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.headers['content-type']).toBe('text/html');
+      // The page's own bytes are untouched up to the injected script
+      const closingBody = legacy.indexOf('</body>');
+      expect(response.body.subarray(0, closingBody).equals(legacy.subarray(0, closingBody))).toBe(true);
+    });
+
+    it('should pass UTF-16 pages through unchanged', async () => {
+      const wide = Buffer.from(`\ufeff${page}`, 'utf16le');
+      nock(GHOST_URL).get('/wide/').reply(200, wide, { 'content-type': 'text/html; charset=utf-16' });
+      const agent = await signIn();
+
+      const response = await agent.get('/wide/').buffer(true).parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+      expect(response.body.equals(wide)).toBe(true);
+    });
+  });
+
+  describe('Content encoding', () => {
+    const page = '<html><body><p>Zürich — 東京</p></body></html>';
+
+    // Keep the raw bytes (superagent would unzip gzip on its own)
+    const rawBody = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    // Fetch with Node's http client as a signed-in member; superagent unzips gzip
+    // and deflate before any parser sees the bytes
+    const rawGet = async (requestPath, headers = {}) => {
+      mockEmailVerification.verifyCode.mockResolvedValue(true);
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(createMockMember({ labels: [{ name: 'builder' }] }));
+      const signedIn = await request(app)
+        .post('/api/auth/verify-code')
+        .send({ email: 'test@example.com', code: '123456' });
+      const cookie = signedIn.headers['set-cookie'].map(value => value.split(';')[0]).join('; ');
+
+      const server = app.listen(0);
+      try {
+        return await new Promise((resolve, reject) => {
+          http.get({ port: server.address().port, path: requestPath, headers: { ...headers, cookie } }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ headers: res.headers, body: Buffer.concat(chunks) }));
+            res.on('error', reject);
+          }).on('error', reject);
+        });
+      } finally {
+        server.close();
+      }
+    };
+
+    beforeEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should only ask Ghost for encodings it can decode', async () => {
+      const scope = nock(GHOST_URL, { reqheaders: { 'accept-encoding': 'br, gzip' } })
+        .get('/asset.txt')
+        .reply(200, 'ghost content', { 'content-type': 'text/plain' });
+      const agent = await signIn();
+
+      await agent.get('/asset.txt').set('Accept-Encoding', 'zstd, br, gzip');
+
+      expect(scope.isDone()).toBe(true);
+    });
+
+    it('should recompress rewritten pages with the browser\'s preferred encoding', async () => {
+      nock(GHOST_URL).get('/some-post/').reply(200, zlib.gzipSync(page), {
+        'content-type': 'text/html; charset=utf-8',
+        'content-encoding': 'gzip'
+      });
+      const agent = await signIn();
+
+      const response = await agent.get('/some-post/')
+        .set('Accept-Encoding', 'gzip, br')
+        .buffer(true)
+        .parse(rawBody);
+
+      expect(response.headers['content-encoding']).toBe('br');
+      expect(response.headers['content-length']).toBeUndefined();
+      expect(response.headers.vary).toMatch(/Accept-Encoding/);
+      const html = zlib.brotliDecompressSync(response.body).toString('utf8');
+      expect(html).toMatch(/<p>Zürich — 東京<\/p>[\s\S]*BearSSO\.init[\s\S]*<\/body><\/html>$/);
+    });
+
+    it('should send rewritten pages unencoded to browsers that accept no compression', async () => {
+      nock(GHOST_URL).get('/some-post/').reply(200, page, { 'content-type': 'text/html; charset=utf-8' });
+      const agent = await signIn();
+
+      const response = await agent.get('/some-post/').set('Accept-Encoding', 'identity');
+
+      expect(response.headers['content-encoding']).toBeUndefined();
+      expect(response.text).toContain('BearSSO.init');
+    });
+
+    it('should pass compressed assets through untouched', async () => {
+      const css = zlib.gzipSync('body { color: #333; }');
+      nock(GHOST_URL).get('/assets/screen.css').reply(200, css, {
+        'content-type': 'text/css',
+        'content-encoding': 'gzip',
+        'content-length': String(css.length)
+      });
+
+      const response = await rawGet('/assets/screen.css', { 'accept-encoding': 'gzip' });
+
+      expect(response.headers['content-encoding']).toBe('gzip');
+      expect(response.headers['content-length']).toBe(String(css.length));
+      expect(response.body.equals(css)).toBe(true);
+    });
+
+    it('should pass binary assets through untouched', async () => {
+      const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+      nock(GHOST_URL).get('/content/images/logo.png').reply(200, png, {
+        'content-type': 'image/png',
+        'content-length': String(png.length)
+      });
+      const agent = await signIn();
+
+      const response = await agent.get('/content/images/logo.png').buffer(true).parse(rawBody);
+
+      expect(response.headers['content-encoding']).toBeUndefined();
+      expect(response.headers['content-length']).toBe(String(png.length));
+      expect(response.body.equals(png)).toBe(true);
+    });
+
+    it('should decode responses in an encoding the browser did not accept', async () => {
+      nock(GHOST_URL).get('/feed.json').reply(200, zlib.brotliCompressSync('{"posts":[]}'), {
+        'content-type': 'application/json',
+        'content-encoding': 'br'
+      });
+      const agent = await signIn();
+
+      const response = await agent.get('/feed.json').set('Accept-Encoding', 'identity');
+
+      expect(response.headers['content-encoding']).toBeUndefined();
+      expect(response.body).toEqual({ posts: [] });
+    });
+  });
+
+  describe('Response cache', () => {
+    const css = 'body { color: #333; }';
+    const page = '<html><body><p>Members only</p></body></html>';
+
+    beforeEach(() => {
+      nock.cleanAll();
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_EMAILS;
+    });
+
+    it('should serve cacheable assets without asking Ghost again', async () => {
+      const scope = nock(GHOST_URL).get('/assets/screen.css').once()
+        .reply(200, css, { 'content-type': 'text/css', 'cache-control': 'public, max-age=31536000' });
+      const agent = await signIn();
+
+      const first = await agent.get('/assets/screen.css');
+      const second = await agent.get('/assets/screen.css');
+
+      expect(scope.isDone()).toBe(true);
+      expect(first.headers['x-cache']).toBe('MISS');
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.text).toBe(css);
+    });
+
+    it('should not replay the CORS headers of the first requester', async () => {
+      nock(GHOST_URL).get('/assets/screen.css').once()
+        .reply(200, css, { 'content-type': 'text/css', 'cache-control': 'public, max-age=31536000' });
+      const agent = await signIn();
+
+      await agent.get('/assets/screen.css').set('Origin', 'https://first.example.com');
+      const second = await agent.get('/assets/screen.css').set('Origin', 'https://second.example.com');
+      const withoutOrigin = await agent.get('/assets/screen.css');
+
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.headers['access-control-allow-origin']).toBe('https://second.example.com');
+      expect(second.headers.vary).toBe('Origin, Accept-Encoding');
+      expect(withoutOrigin.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    it('should answer conditional requests from the cache with 304', async () => {
+      nock(GHOST_URL).get('/assets/screen.css').once()
+        .reply(200, css, { 'content-type': 'text/css', 'cache-control': 'public, max-age=60', etag: '"v1"' });
+      const agent = await signIn();
+      await agent.get('/assets/screen.css');
+
+      const response = await agent.get('/assets/screen.css').set('If-None-Match', '"v1"');
+
+      expect(response.status).toBe(304);
+      expect(response.headers['x-cache']).toBe('HIT');
+    });
+
+    it('should revalidate expired responses with Ghost\'s ETag', async () => {
+      nock(GHOST_URL).get('/assets/screen.css')
+        .reply(200, css, { 'content-type': 'text/css', 'cache-control': 'public, max-age=60', etag: '"v1"' });
+      const revalidation = nock(GHOST_URL, { reqheaders: { 'if-none-match': '"v1"' } })
+        .get('/assets/screen.css')
+        .reply(304, '', { 'cache-control': 'public, max-age=60', etag: '"v1"' });
+      const agent = await signIn();
+      await agent.get('/assets/screen.css');
+      advanceMinutes(2);
+
+      const response = await agent.get('/assets/screen.css');
+
+      expect(revalidation.isDone()).toBe(true);
+      expect(response.status).toBe(200);
+      expect(response.headers['x-cache']).toBe('REVALIDATED');
+      expect(response.text).toBe(css);
+    });
+
+    it('should never share cached pages between access tiers', async () => {
+      nock(GHOST_URL).get('/some-post/').twice()
+        .reply(200, page, { 'content-type': 'text/html; charset=utf-8', 'cache-control': 'public, max-age=60' });
+      const explorer = await signIn(['explorer']);
+      const builder = await signIn(['builder']);
+
+      await explorer.get('/some-post/');
+      const builderPage = await builder.get('/some-post/');
+      const explorerAgain = await explorer.get('/some-post/');
+
+      expect(builderPage.headers['x-cache']).toBe('MISS');
+      expect(explorerAgain.headers['x-cache']).toBe('HIT');
+      expect(explorerAgain.text).toContain('BearSSO.init');
+    });
+
+    it('should not store private or personal responses', async () => {
+      const scope = nock(GHOST_URL).get('/account-page/').twice()
+        .reply(200, page, { 'content-type': 'text/html; charset=utf-8', 'cache-control': 'private, max-age=60' });
+      const agent = await signIn();
+
+      await agent.get('/account-page/');
+      const second = await agent.get('/account-page/');
+
+      expect(scope.isDone()).toBe(true);
+      expect(second.headers['x-cache']).toBe('MISS');
+    });
+
+    it('should let admins purge cached responses', async () => {
+      process.env.ADMIN_EMAILS = 'test@example.com';
+      app = createTestApp();
+      const scope = nock(GHOST_URL).get('/assets/screen.css').twice()
+        .reply(200, css, { 'content-type': 'text/css', 'cache-control': 'public, max-age=31536000' });
+      const agent = await signIn();
+      await agent.get('/assets/screen.css');
+
+      const invalid = await agent.post('/api/admin/cache/purge').send({ paths: 'assets' });
+      const purge = await agent.post('/api/admin/cache/purge').send({ paths: ['/assets/**'] });
+      const refetched = await agent.get('/assets/screen.css');
+
+      expect(invalid.status).toBe(400);
+      expect(purge.body).toEqual({ success: true, purged: 1 });
+      expect(refetched.headers['x-cache']).toBe('MISS');
+      expect(scope.isDone()).toBe(true);
+    });
+
+    it('should keep the purge endpoint to admins', async () => {
+      const agent = await signIn();
+
+      const response = await agent.post('/api/admin/cache/purge');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Headers', () => {
+    beforeEach(() => {
+      nock.cleanAll();
+    });
+
+    afterEach(() => {
+      process.env.ORIGIN = GHOST_URL;
+    });
+
+    it('should keep the gateway\'s cookie and credentials from Ghost', async () => {
+      const scope = nock(GHOST_URL, {
+        reqheaders: {
+          cookie: value => value === 'ghost-members-ssr=member',
+          'x-forwarded-proto': 'http',
+          forwarded: /for=.+;host=".+";proto=http/
+        },
+        badheaders: ['authorization', 'x-custom']
+      })
+        .get('/some-post/')
+        .reply(200, 'ghost content', { 'content-type': 'text/plain' });
+      const agent = await signIn();
+
+      const response = await agent.get('/some-post/')
+        .set('Cookie', 'ghost-members-ssr=member')
+        .set('Authorization', 'Bearer secret')
+        .set('X-Custom', 'nope');
+
+      expect(response.status).toBe(200);
+      expect(scope.isDone()).toBe(true);
+    });
+
+    it('should point Ghost\'s redirects and cookies at the gateway', async () => {
+      process.env.ORIGIN = 'https://insights.travelintelligence.club';
+      app = createTestApp();
+      nock(GHOST_URL).get('/old-post/').reply(301, '', {
+        location: `${GHOST_URL}/new-post/`,
+        'set-cookie': ['ghost-members-ssr=abc; Path=/; Domain=localhost'],
+        'keep-alive': 'timeout=5'
+      });
+      const agent = await signIn();
+
+      const response = await agent.get('/old-post/').redirects(0);
+
+      expect(response.status).toBe(301);
+      expect(response.headers.location).toBe('https://insights.travelintelligence.club/new-post/');
+      expect(response.headers['set-cookie']).toEqual(expect.arrayContaining([
+        'ghost-members-ssr=abc; Path=/; Domain=insights.travelintelligence.club'
+      ]));
+      expect(response.headers['keep-alive']).not.toBe('timeout=5');
+    });
+  });
+
+  describe('Public and blocked paths', () => {
+    it('should proxy public paths without a session', async () => {
+      const robots = await request(app).get('/robots.txt');
+      const members = await request(app).get('/members/api/member/');
+      const page = await request(app).get('/some-post/').redirects(0);
+
+      expect(robots.status).toBe(200);
+      expect(robots.text).toBe('ghost content');
+      expect(members.status).toBe(200);
+      expect(page.status).toBe(302);
+    });
+
+    it('should skip the label check on public paths', async () => {
+      const agent = await signIn();
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(null);
+
+      advanceMinutes(16);
+      const response = await agent.get('/assets/built/screen.css');
+
+      expect(response.status).toBe(200);
+      expect(mockGhostAPI.getMemberByEmail).not.toHaveBeenCalled();
+    });
+
+    it('should refuse blocked paths even to signed-in members', async () => {
+      const agent = await signIn();
+
+      for (const path of ['/ghost/', '/ghost/api/admin/posts/', '/GHOST/', '/%67host/']) {
+        const response = await agent.get(path);
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Not found');
+      }
+      expect((await request(app).get('/ghost/')).status).toBe(404);
+    });
+
+    it('should redirect paths that are not in canonical form', async () => {
+      const response = await request(app).get('/assets/../ghost/?x=1').redirects(0);
+      const doubled = await request(app).get('//ghost//api/').redirects(0);
+
+      expect(response.status).toBe(301);
+      expect(response.headers.location).toBe('/ghost/?x=1');
+      expect(doubled.status).toBe(301);
+      expect(doubled.headers.location).toBe('/ghost/api/');
+    });
+
+    it('should keep encoded dot segments behind the sign-in gate', async () => {
+      const response = await request(app).get('/assets/..%2fsome-post/').redirects(0);
+
+      expect(response.status).toBe(302);
+    });
+
+    it('should read the paths from the environment', async () => {
+      process.env.PUBLIC_PATHS = '/about/, /tag/*/';
+      process.env.BLOCKED_PATHS = '/members/api/**';
+      app = createTestApp();
+
+      expect((await request(app).get('/tag/news/')).status).toBe(200);
+      expect((await request(app).get('/robots.txt').redirects(0)).status).toBe(302);
+      expect((await request(app).get('/members/api/member/')).status).toBe(404);
+      expect((await request(app).get('/ghost/').redirects(0)).status).toBe(302);
+    });
+
+    it('should refuse to start with an invalid pattern', () => {
+      process.env.PUBLIC_PATHS = 'robots.txt';
+
+      expect(() => createTestApp()).toThrow();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for Headers Between the Gateway and Ghost
+ * Tests the request header allowlist, forwarding headers and response rewriting
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  buildUpstreamHeaders,
+  filterResponseHeaders,
+  rewriteLocation,
+  rewriteSetCookie
+} = require('../../lib/proxy-headers');
+
+const GHOST = { ghostUrl: 'https://ghost.internal:2368', origin: 'https://insights.travelintelligence.club' };
+
+describe('Proxy Headers', () => {
+  // Answer with the headers the gateway would send to Ghost for this request
+  const upstreamHeaders = (trustProxy = false) => {
+    const app = express();
+    app.set('trust proxy', trustProxy);
+    app.get('*', (req, res) => res.json(buildUpstreamHeaders(req, { ghostHost: 'ghost.internal:2368' })));
+    return request(app);
+  };
+
+  describe('Requests to Ghost', () => {
+    it('should forward only allowlisted headers and Ghost\'s cookies', async () => {
+      const response = await upstreamHeaders()
+        .get('/some-post/')
+        .set('Accept-Language', 'de-CH')
+        .set('If-None-Match', '"abc"')
+        .set('Authorization', 'Bearer secret')
+        .set('Cookie', 'connect.sid=s%3Agateway; ghost-members-ssr=member; ghost-members-ssr.sig=sig; other=1')
+        .set('X-Custom', 'nope');
+
+      expect(response.body).toMatchObject({
+        'accept-language': 'de-CH',
+        'if-none-match': '"abc"',
+        cookie: 'ghost-members-ssr=member; ghost-members-ssr.sig=sig',
+        host: 'ghost.internal:2368'
+      });
+      expect(response.body.authorization).toBeUndefined();
+      expect(response.body['x-custom']).toBeUndefined();
+    });
+
+    it('should leave out the Cookie header when there is nothing for Ghost', async () => {
+      const response = await upstreamHeaders().get('/').set('Cookie', 'connect.sid=s%3Agateway');
+
+      expect(response.body.cookie).toBeUndefined();
+    });
+
+    it('should drop headers the Connection header names', async () => {
+      const response = await upstreamHeaders()
+        .get('/')
+        .set('Connection', 'keep-alive, Accept-Language')
+        .set('Accept-Language', 'de-CH');
+
+      expect(response.body['accept-language']).toBeUndefined();
+      expect(response.body.connection).toBeUndefined();
+    });
+
+    it('should describe the browser with X-Forwarded-* and Forwarded', async () => {
+      const response = await upstreamHeaders()
+        .get('/')
+        .set('Host', 'insights.travelintelligence.club')
+        .set('X-Forwarded-For', '6.6.6.6');
+
+      const address = response.body['x-forwarded-for'];
+      expect(address).not.toContain('6.6.6.6');
+      expect(response.body).toMatchObject({
+        'x-forwarded-proto': 'http',
+        'x-forwarded-host': 'insights.travelintelligence.club'
+      });
+      expect(response.body.forwarded).toMatch(/^for="?\[?[\d.:a-f]+\]?"?;host="insights\.travelintelligence\.club";proto=http$/);
+    });
+
+    it('should keep the addresses of trusted proxies', async () => {
+      const response = await upstreamHeaders(1)
+        .get('/')
+        .set('X-Forwarded-For', '6.6.6.6, 203.0.113.7')
+        .set('X-Forwarded-Proto', 'https');
+
+      expect(response.body['x-forwarded-for']).toMatch(/^203\.0\.113\.7, /);
+      expect(response.body['x-forwarded-proto']).toBe('https');
+      expect(response.body.forwarded).toMatch(/^for=203\.0\.113\.7;.*proto=https$/);
+    });
+  });
+
+  describe('Responses from Ghost', () => {
+    it('should drop hop-by-hop headers and the ones asked for', () => {
+      expect(filterResponseHeaders({
+        connection: 'keep-alive, X-Internal',
+        'keep-alive': 'timeout=5',
+        'transfer-encoding': 'chunked',
+        'x-internal': '1',
+        'Content-Type': 'text/html',
+        etag: '"abc"'
+      }, ['etag'])).toEqual({ 'content-type': 'text/html' });
+    });
+
+    it('should point redirects to Ghost at the gateway', () => {
+      expect(rewriteLocation('https://ghost.internal:2368/signin/?r=1#top', GHOST))
+        .toBe('https://insights.travelintelligence.club/signin/?r=1#top');
+      expect(rewriteLocation('/relative/', GHOST)).toBe('/relative/');
+      expect(rewriteLocation('https://travelintelligence.club/', GHOST)).toBe('https://travelintelligence.club/');
+      expect(rewriteLocation('http://ghost.internal:2368/', GHOST)).toBe('http://ghost.internal:2368/');
+    });
+
+    it('should move cookies for Ghost\'s host to the gateway\'s host', () => {
+      expect(rewriteSetCookie([
+        'ghost-members-ssr=abc; Path=/; Domain=.Ghost.Internal; HttpOnly',
+        'other=1; Domain=travelintelligence.club',
+        'plain=1; Path=/'
+      ], GHOST)).toEqual([
+        'ghost-members-ssr=abc; Path=/; Domain=insights.travelintelligence.club; HttpOnly',
+        'other=1; Domain=travelintelligence.club',
+        'plain=1; Path=/'
+      ]);
+      expect(rewriteSetCookie('a=1; domain=ghost.internal', GHOST)).toBe('a=1; domain=insights.travelintelligence.club');
+    });
+  });
+});
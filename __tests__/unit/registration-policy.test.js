@@ -0,0 +1,207 @@
+/**
+ * Unit Tests for the Passkey Registration Policy
+ * Tests parsing, per-label overrides, registration options and checks
+ */
+
+const {
+  RegistrationPolicyError,
+  createRegistrationPolicy,
+  parseRegistrationPolicy
+} = require('../../lib/registration-policy');
+
+describe('Registration Policy', () => {
+  const YUBIKEY = 'ee882879-721c-4913-9775-3dfcce97072a';
+  const ICLOUD = 'fbfc3007-154e-4ecc-8c0b-6e020557d7bd';
+
+  const createPolicy = (config) => createRegistrationPolicy(parseRegistrationPolicy(config));
+
+  // A registration as seen by register-finish
+  const registration = (registrationInfo, credential = {}) => ({
+    credential: { id: 'cred-1', response: {}, authenticatorAttachment: 'platform', ...credential },
+    registrationInfo: { fmt: 'none', userVerified: true, ...registrationInfo }
+  });
+  const attested = { fmt: 'packed', attestationTrusted: true };
+
+  // authenticatorData as the browser sends it: rpIdHash | flags | counter [| AAGUID ...]
+  const authenticatorData = (flags, aaguid) => Buffer.concat([
+    Buffer.alloc(32),
+    Buffer.from([flags]),
+    Buffer.alloc(4),
+    aaguid ? Buffer.concat([Buffer.from(aaguid.replace(/-/g, ''), 'hex'), Buffer.alloc(2)]) : Buffer.alloc(0)
+  ]).toString('base64url');
+
+  describe('parseRegistrationPolicy', () => {
+    it('should parse JSON and normalize AAGUIDs', () => {
+      const parsed = parseRegistrationPolicy(JSON.stringify({
+        userVerification: 'required',
+        blockedAaguids: [ICLOUD.toUpperCase()],
+        overrides: [{ labels: ['builder-partner'], allowedAaguids: [YUBIKEY] }]
+      }));
+
+      expect(parsed.base).toEqual({ userVerification: 'required', blockedAaguids: [ICLOUD] });
+      expect(parsed.overrides).toEqual([{ labels: ['builder-partner'], policy: { allowedAaguids: [YUBIKEY] } }]);
+    });
+
+    it('should reject invalid configurations', () => {
+      expect(() => parseRegistrationPolicy('{')).toThrow(RegistrationPolicyError);
+      expect(() => parseRegistrationPolicy([])).toThrow('must be an object');
+      expect(() => parseRegistrationPolicy({ attestation: 'always' })).toThrow('attestation must be one of');
+      expect(() => parseRegistrationPolicy({ allowedAaguids: ['yubikey'] })).toThrow('invalid AAGUID');
+      expect(() => parseRegistrationPolicy({ overrides: [{ attestation: 'direct' }] })).toThrow('non-empty list of labels');
+    });
+  });
+
+  describe('forLabels', () => {
+    it('should merge the first matching override over the base policy', () => {
+      const policy = createPolicy({
+        userVerification: 'preferred',
+        residentKey: 'preferred',
+        overrides: [
+          { labels: ['builder-partner'], userVerification: 'required', authenticatorAttachment: 'cross-platform' },
+          { labels: ['builder'], attestation: 'direct' }
+        ]
+      });
+
+      expect(policy.forLabels(['builder', 'builder-partner'])).toEqual({
+        userVerification: 'required',
+        residentKey: 'preferred',
+        authenticatorAttachment: 'cross-platform'
+      });
+      expect(policy.forLabels(['patron'])).toEqual({ userVerification: 'preferred', residentKey: 'preferred' });
+    });
+  });
+
+  describe('applyToOptions', () => {
+    it('should ask the browser for what the policy needs', () => {
+      const policy = createPolicy({ attestation: 'direct', residentKey: 'required', authenticatorAttachment: 'cross-platform' });
+      const options = {
+        challenge: 'abc',
+        authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' }
+      };
+
+      policy.applyToOptions(options, policy.forLabels([]));
+
+      expect(options).toEqual({
+        challenge: 'abc',
+        attestation: 'direct',
+        authenticatorSelection: {
+          residentKey: 'required',
+          requireResidentKey: true,
+          userVerification: 'preferred',
+          authenticatorAttachment: 'cross-platform'
+        },
+        extensions: { credProps: true }
+      });
+    });
+
+    it('should leave options alone without a policy', () => {
+      const policy = createPolicy('{}');
+      const options = { challenge: 'abc', authenticatorSelection: { userVerification: 'preferred' } };
+
+      expect(policy.applyToOptions(options, policy.forLabels([]))).toEqual({
+        challenge: 'abc',
+        authenticatorSelection: { userVerification: 'preferred' }
+      });
+    });
+  });
+
+  describe('check', () => {
+    it('should allow registrations without a policy', () => {
+      const policy = createPolicy({});
+
+      expect(policy.check(policy.forLabels([]), registration({ userVerified: false }))).toBeNull();
+    });
+
+    it('should enforce allowed and blocked AAGUIDs', () => {
+      const allowOnly = createPolicy({ allowedAaguids: [YUBIKEY] });
+      const block = createPolicy({ blockedAaguids: [ICLOUD] });
+
+      expect(allowOnly.check(allowOnly.forLabels([]), registration({ ...attested, aaguid: ICLOUD })).code)
+        .toBe('authenticator_not_allowed');
+      expect(allowOnly.check(allowOnly.forLabels([]), registration({ ...attested, aaguid: YUBIKEY }))).toBeNull();
+      expect(block.check(block.forLabels([]), registration({ aaguid: ICLOUD })).code).toBe('authenticator_blocked');
+    });
+
+    it('should require an attestation statement when asked for direct attestation', () => {
+      const policy = createPolicy({ attestation: 'direct' });
+
+      expect(policy.check(policy.forLabels([]), registration({ fmt: 'none' })).code).toBe('attestation_required');
+      expect(policy.check(policy.forLabels([]), registration({ fmt: 'packed' })).code).toBe('attestation_required');
+      expect(policy.check(policy.forLabels([]), registration(attested))).toBeNull();
+    });
+
+    it('should only allow listed AAGUIDs that a trusted attestation vouches for', () => {
+      const policy = createPolicy({ allowedAaguids: [YUBIKEY] });
+      const rules = policy.forLabels([]);
+      const claimed = { response: { authenticatorData: authenticatorData(0x45, YUBIKEY) } };
+
+      expect(policy.check(rules, registration({ aaguid: YUBIKEY })).code).toBe('authenticator_not_allowed');
+      expect(policy.check(rules, registration({ fmt: 'packed', aaguid: YUBIKEY })).code).toBe('authenticator_not_allowed');
+      expect(policy.check(rules, registration(attested, claimed)).code).toBe('authenticator_not_allowed');
+    });
+
+    it('should require user verification and resident keys', () => {
+      const policy = createPolicy({ userVerification: 'required', residentKey: 'required' });
+      const rules = policy.forLabels([]);
+
+      expect(policy.check(rules, registration({ userVerified: false })).code).toBe('user_verification_required');
+      expect(policy.check(rules, registration({})).code).toBe('resident_key_required');
+      expect(policy.check(rules, registration({}, { clientExtensionResults: { credProps: { rk: true } } }))).toBeNull();
+    });
+
+    it('should refuse required user verification that verification does not report', () => {
+      const policy = createPolicy({ userVerification: 'required' });
+      const claimsVerified = { credential: { id: 'cred-1', response: { authenticatorData: authenticatorData(0x05) } }, registrationInfo: {} };
+
+      expect(policy.check(policy.forLabels([]), claimsVerified).code).toBe('user_verification_required');
+      expect(policy.check(policy.forLabels([]), { ...claimsVerified, registrationInfo: null }).code)
+        .toBe('user_verification_required');
+    });
+
+    it('should keep hardware-key-only members to security keys', () => {
+      const policy = createPolicy({
+        overrides: [{ labels: ['builder-partner'], authenticatorAttachment: 'cross-platform', allowedAaguids: [YUBIKEY] }]
+      });
+      const rules = policy.forLabels(['builder-partner']);
+
+      expect(policy.check(rules, registration({ ...attested, aaguid: YUBIKEY })).code).toBe('authenticator_attachment_not_allowed');
+      expect(policy.check(rules, registration({ ...attested, aaguid: YUBIKEY }, { authenticatorAttachment: 'cross-platform' })))
+        .toBeNull();
+      expect(policy.check(policy.forLabels(['builder']), registration({ aaguid: ICLOUD }))).toBeNull();
+    });
+  });
+
+  describe('precheck', () => {
+    it('should check what the browser sent before verification', () => {
+      const policy = createPolicy({ userVerification: 'required' });
+      const attachment = createPolicy({ authenticatorAttachment: 'platform' });
+      const allowOnly = createPolicy({ allowedAaguids: [YUBIKEY] });
+
+      expect(policy.precheck(policy.forLabels([]), { id: 'cred-1', response: { authenticatorData: authenticatorData(0x01) } }).code)
+        .toBe('user_verification_required');
+      expect(allowOnly.precheck(allowOnly.forLabels([]), { id: 'cred-1', response: { authenticatorData: authenticatorData(0x45, ICLOUD) } }).code)
+        .toBe('authenticator_not_allowed');
+      expect(attachment.precheck(attachment.forLabels([]), { id: 'cred-1', response: {}, authenticatorAttachment: 'cross-platform' }).code)
+        .toBe('authenticator_attachment_not_allowed');
+    });
+
+    it('should leave attestation to the check after verification', () => {
+      const policy = createPolicy({ attestation: 'direct' });
+
+      expect(policy.precheck(policy.forLabels([]), { id: 'cred-1', response: {} })).toBeNull();
+    });
+
+    it('should leave what the browser did not send to the check after verification', () => {
+      const policy = createPolicy({
+        userVerification: 'required',
+        residentKey: 'required',
+        authenticatorAttachment: 'cross-platform',
+        allowedAaguids: [YUBIKEY]
+      });
+
+      expect(policy.precheck(policy.forLabels([]), { id: 'cred-1', response: {} })).toBeNull();
+      expect(policy.precheck(policy.forLabels([]), { id: 'cred-1', response: { authenticatorData: authenticatorData(0x05) } }))
+        .toBeNull();
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Unit Tests for the Proxy Response Cache
+ * Tests which Ghost responses are stored, freshness, conditional requests, eviction and purges
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  createResponseCache,
+  getFreshnessMs,
+  isNotModified,
+  isStorableResponse,
+  parseCacheControl
+} = require('../../lib/response-cache');
+const { createPathMatcher } = require('../../lib/path-match');
+
+describe('Proxy Response Cache', () => {
+  const store = (cache, key, body, upstreamHeaders = { 'cache-control': 'public, max-age=60' }) => cache.set(key, {
+    path: key.split(' ')[0],
+    status: 200,
+    headers: {
+      'content-type': 'text/css',
+      'set-cookie': 'sid=1',
+      'access-control-allow-origin': 'https://first.example.com',
+      'access-control-allow-credentials': 'true',
+      vary: 'Origin, Accept-Encoding'
+    },
+    upstreamHeaders,
+    body: Buffer.from(body)
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Ghost headers', () => {
+    it('should parse Cache-Control', () => {
+      expect(parseCacheControl('public, max-age=60, S-MAXAGE="120", no-transform')).toEqual({
+        public: true,
+        'max-age': 60,
+        's-maxage': 120,
+        'no-transform': true
+      });
+    });
+
+    it('should compute freshness from s-maxage, max-age or Expires', () => {
+      expect(getFreshnessMs({ 'cache-control': 'max-age=60, s-maxage=600' })).toBe(600000);
+      expect(getFreshnessMs({ 'cache-control': 'max-age=60', age: '20' })).toBe(40000);
+      expect(getFreshnessMs({ 'cache-control': 'max-age=60, no-cache' })).toBe(0);
+      expect(getFreshnessMs({
+        date: 'Wed, 01 Jan 2025 00:00:00 GMT',
+        expires: 'Wed, 01 Jan 2025 00:05:00 GMT'
+      })).toBe(300000);
+      expect(getFreshnessMs({})).toBe(0);
+    });
+
+    it('should only store shareable responses', () => {
+      expect(isStorableResponse(200, { 'cache-control': 'public, max-age=31536000' })).toBe(true);
+      expect(isStorableResponse(200, { 'cache-control': 'public, max-age=0', etag: '"abc"' })).toBe(true);
+      expect(isStorableResponse(200, { vary: 'Accept-Encoding', 'cache-control': 'max-age=60' })).toBe(true);
+
+      expect(isStorableResponse(200, {})).toBe(false);
+      expect(isStorableResponse(404, { 'cache-control': 'max-age=60' })).toBe(false);
+      expect(isStorableResponse(200, { 'cache-control': 'no-store' })).toBe(false);
+      expect(isStorableResponse(200, { 'cache-control': 'private, max-age=60' })).toBe(false);
+      expect(isStorableResponse(200, { 'cache-control': 'max-age=60', 'set-cookie': ['a=1'] })).toBe(false);
+      expect(isStorableResponse(200, { 'cache-control': 'max-age=60', vary: 'Cookie' })).toBe(false);
+    });
+
+    it('should answer matching conditional requests', () => {
+      const entry = { etag: '"abc"', headers: { 'last-modified': 'Wed, 01 Jan 2025 00:00:00 GMT' } };
+
+      expect(isNotModified({ 'if-none-match': '"xyz", W/"abc"' }, entry)).toBe(true);
+      expect(isNotModified({ 'if-none-match': '*' }, entry)).toBe(true);
+      expect(isNotModified({ 'if-none-match': '"xyz"' }, entry)).toBe(false);
+      expect(isNotModified({ 'if-modified-since': 'Thu, 02 Jan 2025 00:00:00 GMT' }, entry)).toBe(true);
+      expect(isNotModified({ 'if-modified-since': 'Tue, 31 Dec 2024 00:00:00 GMT' }, entry)).toBe(false);
+      expect(isNotModified({}, entry)).toBe(false);
+    });
+  });
+
+  describe('Memory tier', () => {
+    it('should replay stored responses without per-browser headers', async () => {
+      const cache = createResponseCache({ maxBytes: 1024 });
+      store(cache, '/assets/screen.css gzip', 'body { }');
+
+      const entry = await cache.get('/assets/screen.css gzip');
+
+      expect(entry.body.toString()).toBe('body { }');
+      expect(entry.headers['content-type']).toBe('text/css');
+      expect(entry.headers['content-length']).toBe('8');
+      expect(entry.headers['set-cookie']).toBeUndefined();
+      expect(entry.headers['access-control-allow-origin']).toBeUndefined();
+      expect(entry.headers['access-control-allow-credentials']).toBeUndefined();
+      expect(entry.headers.vary).toBeUndefined();
+      expect(entry.etag).toMatch(/^"[\w-]+"$/);
+      expect(cache.isFresh(entry)).toBe(true);
+      expect(await cache.get('/assets/screen.css br')).toBeNull();
+    });
+
+    it('should keep expired responses only while they can be revalidated', async () => {
+      const cache = createResponseCache({ maxBytes: 1024 });
+      store(cache, '/a', 'a');
+      store(cache, '/b', 'b', { 'cache-control': 'max-age=60', etag: '"b1"' });
+      jest.advanceTimersByTime(61 * 1000);
+
+      expect(await cache.get('/a')).toBeNull();
+
+      const entry = await cache.get('/b');
+      expect(cache.isFresh(entry)).toBe(false);
+      expect(entry.validators.etag).toBe('"b1"');
+
+      cache.refresh(entry, { 'cache-control': 'max-age=60', etag: '"b2"' });
+      expect(cache.isFresh(await cache.get('/b'))).toBe(true);
+      expect(entry.validators.etag).toBe('"b2"');
+    });
+
+    it('should evict the least recently used responses', async () => {
+      const cache = createResponseCache({ maxBytes: 10 });
+      store(cache, '/a', 'aaaa');
+      store(cache, '/b', 'bbbb');
+      await cache.get('/a');
+      store(cache, '/c', 'cccc');
+
+      expect(await cache.get('/b')).toBeNull();
+      expect(await cache.get('/a')).not.toBeNull();
+      expect(cache.stats()).toEqual({ entries: 2, memoryBytes: 8, diskBytes: 0 });
+    });
+
+    it('should skip responses larger than the entry limit', async () => {
+      const cache = createResponseCache({ maxBytes: 1024, maxEntryBytes: 4 });
+      store(cache, '/big', 'too big');
+
+      expect(await cache.get('/big')).toBeNull();
+    });
+
+    it('should purge by path pattern or entirely', async () => {
+      const cache = createResponseCache({ maxBytes: 1024 });
+      store(cache, '/assets/a.css', 'a');
+      store(cache, '/assets/b.js', 'b');
+      store(cache, '/some-post/', 'c');
+
+      expect(cache.purge(createPathMatcher(['/assets/**']))).toBe(2);
+      expect(await cache.get('/assets/a.css')).toBeNull();
+      expect(await cache.get('/some-post/')).not.toBeNull();
+      expect(cache.purge()).toBe(1);
+      expect(cache.stats().entries).toBe(0);
+    });
+
+    it('should store a streamed body once it completes', async () => {
+      const cache = createResponseCache({ maxBytes: 1024, maxEntryBytes: 10 });
+      const stream = (chunks, key) => pipeline(
+        Readable.from(chunks.map(chunk => Buffer.from(chunk))),
+        cache.record(key, { path: key, status: 200, headers: {}, upstreamHeaders: { 'cache-control': 'max-age=60' } }),
+        async function* (source) {
+          for await (const chunk of source) {
+            yield chunk;
+          }
+        }
+      );
+
+      await stream(['<p>', 'hi', '</p>'], '/small');
+      await stream(['0123456789', 'x'], '/large');
+
+      expect((await cache.get('/small')).body.toString()).toBe('<p>hi</p>');
+      expect(await cache.get('/large')).toBeNull();
+    });
+  });
+
+  describe('Disk tier', () => {
+    let dir;
+
+    beforeEach(() => {
+      jest.useRealTimers();
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    it('should move bodies pushed out of memory to disk and back', async () => {
+      const cache = createResponseCache({ maxBytes: 6, diskDir: dir, maxDiskBytes: 1024 });
+      store(cache, '/a', 'aaaa');
+      store(cache, '/b', 'bbbb');
+      await settle();
+
+      expect(cache.stats()).toEqual({ entries: 2, memoryBytes: 4, diskBytes: 4 });
+      expect(fs.readdirSync(dir)).toHaveLength(1);
+
+      const entry = await cache.get('/a');
+      expect(entry.body.toString()).toBe('aaaa');
+      expect(entry.headers['content-type']).toBe('text/css');
+    });
+
+    it('should empty the directory at startup and on purge', async () => {
+      fs.writeFileSync(path.join(dir, 'old.cache'), 'stale');
+      fs.writeFileSync(path.join(dir, 'keep.txt'), 'not ours');
+
+      const cache = createResponseCache({ maxBytes: 4, diskDir: dir, maxDiskBytes: 1024 });
+      expect(fs.readdirSync(dir)).toEqual(['keep.txt']);
+
+      store(cache, '/a', 'aaaa');
+      store(cache, '/b', 'bbbb');
+      await settle();
+      expect(cache.purge()).toBe(2);
+      await settle();
+
+      expect(fs.readdirSync(dir)).toEqual(['keep.txt']);
+      expect(await cache.get('/a')).toBeNull();
+    });
+  });
+});
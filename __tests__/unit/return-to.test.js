@@ -0,0 +1,37 @@
+/**
+ * Unit Tests for Return-To Sanitizing
+ * Tests that only same-origin relative paths survive
+ */
+
+const { sanitizeReturnTo } = require('../../lib/return-to');
+
+const ORIGIN = 'http://localhost:3002';
+
+describe('sanitizeReturnTo', () => {
+  it('should keep relative paths with query and hash', () => {
+    expect(sanitizeReturnTo('/my-article/', ORIGIN)).toBe('/my-article/');
+    expect(sanitizeReturnTo('/tag/news/?page=2#top', ORIGIN)).toBe('/tag/news/?page=2#top');
+  });
+
+  it('should reject absolute and protocol-relative URLs', () => {
+    expect(sanitizeReturnTo('https://evil.example/', ORIGIN)).toBeNull();
+    expect(sanitizeReturnTo('//evil.example/path', ORIGIN)).toBeNull();
+    expect(sanitizeReturnTo('/\\\\evil.example/path', ORIGIN)).toBeNull();
+    expect(sanitizeReturnTo('javascript:alert(1)', ORIGIN)).toBeNull();
+  });
+
+  it('should reject control characters', () => {
+    expect(sanitizeReturnTo('/\t/evil.example', ORIGIN)).toBeNull();
+    expect(sanitizeReturnTo('/path\r\nSet-Cookie: x=y', ORIGIN)).toBeNull();
+  });
+
+  it('should reject empty and non-string values', () => {
+    expect(sanitizeReturnTo('', ORIGIN)).toBeNull();
+    expect(sanitizeReturnTo(undefined, ORIGIN)).toBeNull();
+    expect(sanitizeReturnTo(['/a'], ORIGIN)).toBeNull();
+  });
+
+  it('should normalize dot segments', () => {
+    expect(sanitizeReturnTo('/a/../b/', ORIGIN)).toBe('/b/');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for Session Management Endpoints
+ * Tests listing and revoking the current member's sessions
+ */
+
+const request = require('supertest');
+const { createApp } = require('../../app');
+
+// Import mocks
+const { mockGhostAPI, createMockMember } = require('../mocks/ghost-api.mock');
+const { mockEmailVerification } = require('../mocks/email-verification.mock');
+const { mockDb } = require('../mocks/db.mock');
+const { mockPasskeyAuth } = require('../mocks/passkey-auth.mock');
+
+describe('Session Management Endpoints', () => {
+  let app;
+
+  // Sign in with email code from a given browser
+  const signIn = async (userAgent, email = 'test@example.com') => {
+    const agent = request.agent(app);
+    mockEmailVerification.verifyCode.mockResolvedValue(true);
+    mockGhostAPI.getMemberByEmail.mockResolvedValue(createMockMember({ email }));
+
+    await agent
+      .post('/api/auth/verify-code')
+      .set('User-Agent', userAgent)
+      .send({ email, code: '123456' });
+
+    return agent;
+  };
+
+  beforeEach(() => {
+    // Reset all mocks before each test
+    mockGhostAPI.resetMocks();
+    mockEmailVerification.resetMocks();
+    mockDb.resetMocks();
+    mockPasskeyAuth.resetMocks();
+
+    // Create app with injected dependencies
+    app = createApp(true, {
+      ghostAPI: mockGhostAPI,
+      emailVerification: mockEmailVerification,
+      passkeyQueries: mockDb.passkeyQueries,
+      challengeQueries: mockDb.challengeQueries,
+      verificationCodeQueries: mockDb.verificationCodeQueries,
+      attemptQueries: mockDb.attemptQueries,
+      usedTokenQueries: mockDb.usedTokenQueries,
+      sessionQueries: mockDb.sessionQueries,
+      enrollmentQueries: mockDb.enrollmentQueries,
+      securityEventQueries: mockDb.securityEventQueries,
+      passkeyAuth: mockPasskeyAuth
+    });
+  });
+
+  describe('GET /api/sessions', () => {
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/sessions');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list the member\'s sessions and mark the current one', async () => {
+      const laptop = await signIn('Laptop Browser');
+      await signIn('Phone Browser');
+      await signIn('Other Browser', 'other@example.com');
+
+      const response = await laptop.get('/api/sessions').set('User-Agent', 'Laptop Browser');
+
+      expect(response.status).toBe(200);
+      expect(response.body.sessions).toHaveLength(2);
+
+      const current = response.body.sessions.find(s => s.current);
+      expect(current.userAgent).toBe('Laptop Browser');
+      expect(current.ip).toBeTruthy();
+      expect(current.createdAt).toEqual(expect.any(Number));
+      expect(current.lastSeenAt).toEqual(expect.any(Number));
+      expect(current).not.toHaveProperty('sid');
+    });
+  });
+
+  describe('DELETE /api/sessions/:id', () => {
+    it('should revoke another session of the member', async () => {
+      const laptop = await signIn('Laptop Browser');
+      const phone = await signIn('Phone Browser');
+
+      const list = await laptop.get('/api/sessions');
+      const other = list.body.sessions.find(s => !s.current);
+
+      const response = await laptop.delete(`/api/sessions/${other.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.current).toBe(false);
+      expect((await phone.get('/api/auth/status')).body.authenticated).toBe(false);
+      expect((await laptop.get('/api/auth/status')).body.authenticated).toBe(true);
+    });
+
+    it('should sign out when the current session is revoked', async () => {
+      const laptop = await signIn('Laptop Browser');
+
+      const list = await laptop.get('/api/sessions');
+      const response = await laptop.delete(`/api/sessions/${list.body.sessions[0].id}`);
+
+      expect(response.body.current).toBe(true);
+      expect((await laptop.get('/api/auth/status')).body.authenticated).toBe(false);
+    });
+
+    it('should not revoke sessions of other members', async () => {
+      const laptop = await signIn('Laptop Browser');
+      const other = await signIn('Other Browser', 'other@example.com');
+
+      const otherList = await other.get('/api/sessions');
+      const response = await laptop.delete(`/api/sessions/${otherList.body.sessions[0].id}`);
+
+      expect(response.status).toBe(404);
+      expect((await other.get('/api/auth/status')).body.authenticated).toBe(true);
+    });
+  });
+
+  describe('DELETE /api/sessions', () => {
+    it('should revoke every session including the current one', async () => {
+      const laptop = await signIn('Laptop Browser');
+      const phone = await signIn('Phone Browser');
+
+      const response = await laptop.delete('/api/sessions');
+
+      expect(response.body.sessionsRevoked).toBe(2);
+      expect((await laptop.get('/api/auth/status')).body.authenticated).toBe(false);
+      expect((await phone.get('/api/auth/status')).body.authenticated).toBe(false);
+    });
+
+    it('should keep the current session when asked to', async () => {
+      const laptop = await signIn('Laptop Browser');
+      const phone = await signIn('Phone Browser');
+
+      const response = await laptop.delete('/api/sessions?keepCurrent=true');
+
+      expect(response.body.sessionsRevoked).toBe(1);
+      expect((await laptop.get('/api/auth/status')).body.authenticated).toBe(true);
+      expect((await phone.get('/api/auth/status')).body.authenticated).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit Tests for the Database Session Store
+ * Tests the express-session store contract, per-user listing and revocation
+ */
+
+const { DatabaseSessionStore } = require('../../lib/session-store');
+const { mockDb } = require('../mocks/db.mock');
+
+describe('DatabaseSessionStore', () => {
+  let store;
+
+  const cookie = (offsetMs = 60 * 60 * 1000) => ({ expires: new Date(Date.now() + offsetMs).toISOString() });
+
+  // Promise wrappers around the callback API express-session uses
+  const get = (sid) => new Promise((resolve, reject) => store.get(sid, (err, sess) => (err ? reject(err) : resolve(sess))));
+  const set = (sid, sess) => new Promise((resolve, reject) => store.set(sid, sess, err => (err ? reject(err) : resolve())));
+  const touch = (sid, sess) => new Promise((resolve, reject) => store.touch(sid, sess, err => (err ? reject(err) : resolve())));
+
+  beforeEach(() => {
+    mockDb.resetMocks();
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    store = new DatabaseSessionStore(mockDb.sessionQueries);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should store and load sessions', async () => {
+    await set('sid-1', { cookie: cookie(), userEmail: 'test@example.com' });
+
+    expect(await get('sid-1')).toMatchObject({ userEmail: 'test@example.com' });
+    expect(await get('unknown')).toBeNull();
+  });
+
+  it('should drop expired sessions', async () => {
+    await set('sid-1', { cookie: cookie(-1000), userEmail: 'test@example.com' });
+
+    expect(await get('sid-1')).toBeNull();
+    expect(mockDb.sessionQueries.deleteSession).toHaveBeenCalledWith('sid-1');
+    expect(await store.destroyByUser('test@example.com')).toBe(0);
+  });
+
+  it('should record client details and keep the creation time', async () => {
+    const sess = {
+      cookie: cookie(),
+      userEmail: 'Test@Example.com',
+      clientIp: '1.2.3.4',
+      clientUserAgent: 'Mozilla/5.0'
+    };
+    await set('sid-1', sess);
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    await set('sid-1', sess);
+
+    const [listed] = await store.listByUser('test@example.com');
+    expect(listed).toMatchObject({
+      sid: 'sid-1',
+      ip: '1.2.3.4',
+      userAgent: 'Mozilla/5.0',
+      createdAt: new Date('2025-01-01T00:00:00Z').getTime(),
+      lastSeenAt: new Date('2025-01-01T00:05:00Z').getTime()
+    });
+    expect(listed.id).toBe(DatabaseSessionStore.publicId('sid-1'));
+    expect(listed.id).not.toContain('sid-1');
+  });
+
+  it('should clean up expired sessions now and then', async () => {
+    await set('sid-1', { cookie: cookie(30 * 1000) });
+    await set('sid-2', { cookie: cookie(30 * 1000) });
+    jest.advanceTimersByTime(2 * 60 * 1000);
+    await set('sid-3', { cookie: cookie() });
+
+    expect(mockDb.sessionQueries.cleanupExpiredSessions).toHaveBeenCalledTimes(2);
+    expect(mockDb.getTestData().sessions.map(([sid]) => sid)).toEqual(['sid-3']);
+  });
+
+  it('should throttle last-seen writes on touch', async () => {
+    const sess = { cookie: cookie(10 * 60 * 1000), userEmail: 'test@example.com' };
+    await set('sid-1', sess);
+
+    await touch('sid-1', sess);
+    expect(mockDb.sessionQueries.touchSession).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(61 * 1000);
+    await touch('sid-1', sess);
+    expect(mockDb.sessionQueries.touchSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('should forget last-seen times when cleaning up', async () => {
+    await set('sid-1', { cookie: cookie() });
+    await set('sid-2', { cookie: cookie() });
+    jest.advanceTimersByTime(2 * 60 * 1000);
+    await set('sid-3', { cookie: cookie() });
+
+    expect(Array.from(store.lastTouched.keys())).toEqual(['sid-3']);
+  });
+
+  it('should not bring back a session revoked while a request was using it', async () => {
+    await set('sid-1', { cookie: cookie(), userEmail: 'test@example.com' });
+    // What express-session does with a loaded session at the start of a request
+    const inFlight = store.createSession({ sessionID: 'sid-1' }, await get('sid-1'));
+
+    await store.destroyByUser('test@example.com');
+    inFlight.returnTo = '/blog/';
+    await set('sid-1', inFlight);
+
+    expect(await get('sid-1')).toBeNull();
+    expect(mockDb.sessionQueries.saveSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('should destroy every session of a member', async () => {
+    await set('sid-1', { cookie: cookie(), userEmail: 'test@example.com' });
+    await set('sid-2', { cookie: cookie(), userEmail: 'Test@Example.com' });
+    await set('sid-3', { cookie: cookie(), userEmail: 'other@example.com' });
+
+    expect(await store.destroyByUser('TEST@example.com')).toBe(2);
+
+    expect(await get('sid-1')).toBeNull();
+    expect(await get('sid-2')).toBeNull();
+    expect(await get('sid-3')).not.toBeNull();
+  });
+
+  it('should keep one session when asked to', async () => {
+    await set('sid-1', { cookie: cookie(), userEmail: 'test@example.com' });
+    await set('sid-2', { cookie: cookie(), userEmail: 'test@example.com' });
+
+    expect(await store.destroyByUser('test@example.com', { except: 'sid-1' })).toBe(1);
+    expect(await get('sid-1')).not.toBeNull();
+  });
+
+  it('should destroy a session by its public id only for its owner', async () => {
+    await set('sid-1', { cookie: cookie(), userEmail: 'test@example.com' });
+    const id = DatabaseSessionStore.publicId('sid-1');
+
+    expect(await store.destroyByPublicId('other@example.com', id)).toBeNull();
+    expect(await store.destroyByPublicId('test@example.com', id)).toBe('sid-1');
+    expect(await get('sid-1')).toBeNull();
+  });
+
+  it('should destroy sessions created from one bear.flights session', async () => {
+    await set('sid-1', { cookie: cookie(), userEmail: 'test@example.com', ssoSessionId: 'bf-1' });
+    await set('sid-2', { cookie: cookie(), userEmail: 'test@example.com', ssoSessionId: 'bf-2' });
+
+    expect(await store.destroyBySsoSession('bf-1')).toBe(1);
+
+    expect(await get('sid-1')).toBeNull();
+    expect(await get('sid-2')).not.toBeNull();
+  });
+
+  it('should find a session by member once it is signed in', async () => {
+    await set('sid-1', { cookie: cookie() });
+    await set('sid-1', { cookie: cookie(), userEmail: 'test@example.com' });
+
+    expect(await store.destroyByUser('test@example.com')).toBe(1);
+  });
+
+  it('should update every session of a member', async () => {
+    await set('sid-1', { cookie: cookie(), userEmail: 'test@example.com', userLabels: ['patron'] });
+    await set('sid-2', { cookie: cookie(), userEmail: 'other@example.com', userLabels: ['patron'] });
+    jest.advanceTimersByTime(60 * 1000);
+
+    const updated = await store.updateByUser('Test@Example.com', (sess) => {
+      sess.userLabels = ['explorer'];
+    });
+
+    expect(updated).toBe(1);
+    expect((await get('sid-1')).userLabels).toEqual(['explorer']);
+    expect((await get('sid-2')).userLabels).toEqual(['patron']);
+    const [listed] = await store.listByUser('test@example.com');
+    expect(listed.lastSeenAt).toBe(new Date('2025-01-01T00:00:00Z').getTime());
+  });
+
+  it('should not bring back sessions revoked during an update', async () => {
+    await set('sid-1', { cookie: cookie(), userEmail: 'test@example.com' });
+    await set('sid-2', { cookie: cookie(), userEmail: 'test@example.com' });
+
+    const updated = await store.updateByUser('test@example.com', (sess) => {
+      // Another request revokes sid-2 between the read and the write
+      mockDb.sessionQueries.deleteSession('sid-2');
+      sess.userLabels = ['explorer'];
+    });
+
+    expect(updated).toBe(1);
+    expect(await get('sid-1')).not.toBeNull();
+    expect(await get('sid-2')).toBeNull();
+  });
+});
@@ -0,0 +1,336 @@
+/**
+ * Unit Tests for SSO Endpoints
+ * Tests the redirect to bear.flights and the /auth/callback token handoff
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createApp } = require('../../app');
+
+// Import mocks
+const { mockGhostAPI } = require('../mocks/ghost-api.mock');
+const { mockEmailVerification } = require('../mocks/email-verification.mock');
+const { mockDb } = require('../mocks/db.mock');
+const { mockPasskeyAuth, createMockCredential } = require('../mocks/passkey-auth.mock');
+
+describe('SSO Endpoints', () => {
+  let app;
+
+  const SSO_PROVIDER_URL = 'http://localhost:3001';
+
+  // Token as issued by bear.flights
+  const createHandoffToken = (overrides = {}, secret = process.env.SSO_JWT_SECRET) => jwt.sign({
+    iss: 'bear.flights',
+    aud: 'http://localhost:3002',
+    jti: crypto.randomUUID(),
+    exp: Math.floor(Date.now() / 1000) + 60,
+    email: 'test@example.com',
+    name: 'Test User',
+    labels: ['builder'],
+    ...overrides
+  }, secret);
+
+  beforeEach(() => {
+    // Reset all mocks before each test
+    mockGhostAPI.resetMocks();
+    mockEmailVerification.resetMocks();
+    mockDb.resetMocks();
+    mockPasskeyAuth.resetMocks();
+
+    // Create app with injected dependencies
+    app = createApp(true, {
+      ghostAPI: mockGhostAPI,
+      emailVerification: mockEmailVerification,
+      passkeyQueries: mockDb.passkeyQueries,
+      challengeQueries: mockDb.challengeQueries,
+      verificationCodeQueries: mockDb.verificationCodeQueries,
+      attemptQueries: mockDb.attemptQueries,
+      usedTokenQueries: mockDb.usedTokenQueries,
+      sessionQueries: mockDb.sessionQueries,
+      enrollmentQueries: mockDb.enrollmentQueries,
+      securityEventQueries: mockDb.securityEventQueries,
+      passkeyAuth: mockPasskeyAuth
+    });
+  });
+
+  describe('requireAuth redirect', () => {
+    it('should send unauthenticated visitors to bear.flights', async () => {
+      const response = await request(app).get('/');
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe(
+        `${SSO_PROVIDER_URL}/auth?redirect=${encodeURIComponent('http://localhost:3002/auth/callback')}`
+      );
+    });
+
+    it('should carry the requested path through the callback URL', async () => {
+      const response = await request(app).get('/my-article/?ref=newsletter');
+
+      const ssoUrl = new URL(response.headers.location);
+      const callbackUrl = new URL(ssoUrl.searchParams.get('redirect'));
+
+      expect(callbackUrl.origin).toBe('http://localhost:3002');
+      expect(callbackUrl.pathname).toBe('/auth/callback');
+      expect(callbackUrl.searchParams.get('returnTo')).toBe('/my-article/?ref=newsletter');
+    });
+
+    it('should not capture paths for non-GET requests', async () => {
+      const response = await request(app).post('/my-article/');
+
+      const ssoUrl = new URL(response.headers.location);
+      expect(ssoUrl.searchParams.get('redirect')).toBe('http://localhost:3002/auth/callback');
+    });
+  });
+
+  describe('GET /auth/callback', () => {
+    it('should create a session and redirect to the homepage', async () => {
+      const agent = request.agent(app);
+      const response = await agent.get(`/auth/callback?token=${createHandoffToken()}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/');
+
+      const statusResponse = await agent.get('/api/auth/status');
+      expect(statusResponse.body.authenticated).toBe(true);
+    });
+
+    it('should redirect to the original destination', async () => {
+      const response = await request(app)
+        .get(`/auth/callback?token=${createHandoffToken()}&returnTo=${encodeURIComponent('/my-article/')}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/my-article/');
+    });
+
+    it('should ignore off-site destinations', async () => {
+      for (const returnTo of ['https://evil.example/', '//evil.example/', '/\\evil.example/']) {
+        const response = await request(app)
+          .get(`/auth/callback?token=${createHandoffToken()}&returnTo=${encodeURIComponent(returnTo)}`);
+
+        expect(response.status).toBe(302);
+        expect(response.headers.location).toBe('/');
+      }
+    });
+  });
+
+  describe('Handoff token checks', () => {
+    it('should reject a missing token', async () => {
+      const response = await request(app).get('/auth/callback');
+
+      expect(response.status).toBe(400);
+      expect(response.text).toBe('Missing authentication token');
+    });
+
+    it('should reject malformed tokens', async () => {
+      const response = await request(app).get('/auth/callback?token=invalid');
+
+      expect(response.status).toBe(400);
+      expect(response.text).toBe('Malformed authentication token');
+    });
+
+    it('should reject tokens signed with the session secret', async () => {
+      const token = createHandoffToken({}, process.env.SESSION_SECRET);
+      const response = await request(app).get(`/auth/callback?token=${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.text).toBe('Invalid token signature');
+    });
+
+    it('should reject tokens from another issuer', async () => {
+      const response = await request(app)
+        .get(`/auth/callback?token=${createHandoffToken({ iss: 'evil.com' })}`);
+
+      expect(response.status).toBe(401);
+      expect(response.text).toBe('Invalid token issuer');
+    });
+
+    it('should reject tokens for another audience', async () => {
+      const response = await request(app)
+        .get(`/auth/callback?token=${createHandoffToken({ aud: 'https://other.example' })}`);
+
+      expect(response.status).toBe(401);
+      expect(response.text).toBe('Token was not issued for this site');
+    });
+
+    it('should reject expired tokens', async () => {
+      const token = createHandoffToken({ exp: Math.floor(Date.now() / 1000) - 120 });
+      const response = await request(app).get(`/auth/callback?token=${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.text).toBe('Authentication token has expired');
+    });
+
+    it('should reject tokens that are not valid yet', async () => {
+      const token = createHandoffToken({ nbf: Math.floor(Date.now() / 1000) + 600 });
+      const response = await request(app).get(`/auth/callback?token=${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.text).toBe('Authentication token is not valid yet');
+    });
+
+    it('should reject tokens without a jti', async () => {
+      const token = createHandoffToken({ jti: undefined });
+      const response = await request(app).get(`/auth/callback?token=${token}`);
+
+      expect(response.status).toBe(400);
+      expect(response.text).toBe('Authentication token has no ID');
+    });
+
+    it('should accept each token only once', async () => {
+      const token = createHandoffToken();
+
+      const first = await request(app).get(`/auth/callback?token=${token}`);
+      const second = await request(app).get(`/auth/callback?token=${token}`);
+
+      expect(first.status).toBe(302);
+      expect(second.status).toBe(401);
+      expect(second.text).toBe('Authentication token has already been used');
+    });
+  });
+
+  describe('POST /auth/backchannel-logout', () => {
+    const createLogoutToken = (overrides = {}) => createHandoffToken({
+      events: { 'http://schemas.openid.net/event/backchannel-logout': {} },
+      name: undefined,
+      labels: undefined,
+      ...overrides
+    });
+
+    const signIn = async (overrides = {}) => {
+      const agent = request.agent(app);
+      await agent.get(`/auth/callback?token=${createHandoffToken(overrides)}`);
+      return agent;
+    };
+
+    it('should destroy every session of the member by email', async () => {
+      const laptop = await signIn();
+      const phone = await signIn();
+      const otherMember = await signIn({ email: 'other@example.com' });
+
+      const response = await request(app)
+        .post('/auth/backchannel-logout')
+        .type('form')
+        .send({ logout_token: createLogoutToken() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.sessionsRevoked).toBe(2);
+      expect(response.headers['cache-control']).toBe('no-store');
+
+      expect((await laptop.get('/api/auth/status')).body.authenticated).toBe(false);
+      expect((await phone.get('/api/auth/status')).body.authenticated).toBe(false);
+      expect((await otherMember.get('/api/auth/status')).body.authenticated).toBe(true);
+    });
+
+    it('should destroy sessions created from one bear.flights session', async () => {
+      const first = await signIn({ sid: 'bear-session-1' });
+      const second = await signIn({ sid: 'bear-session-2' });
+
+      const response = await request(app)
+        .post('/auth/backchannel-logout')
+        .send({ logout_token: createLogoutToken({ email: undefined, sid: 'bear-session-1' }) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.sessionsRevoked).toBe(1);
+      expect((await first.get('/api/auth/status')).body.authenticated).toBe(false);
+      expect((await second.get('/api/auth/status')).body.authenticated).toBe(true);
+    });
+
+    it('should require a logout token', async () => {
+      const response = await request(app).post('/auth/backchannel-logout').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing logout token');
+    });
+
+    it('should reject unsigned or foreign tokens', async () => {
+      const response = await request(app)
+        .post('/auth/backchannel-logout')
+        .send({ logout_token: createHandoffToken({}, 'not-the-sso-key') });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('invalid_signature');
+    });
+
+    it('should not accept sign-in tokens as logout tokens', async () => {
+      const response = await request(app)
+        .post('/auth/backchannel-logout')
+        .send({ logout_token: createHandoffToken() });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('wrong_token_type');
+    });
+
+    it('should not accept logout tokens as sign-in tokens', async () => {
+      const response = await request(app)
+        .get(`/auth/callback?token=${createLogoutToken()}`);
+
+      expect(response.status).toBe(400);
+      expect(response.text).toBe('Logout tokens cannot be used to sign in');
+    });
+  });
+
+  describe('Sign-in pages', () => {
+    const mockMember = {
+      id: 'member-123',
+      email: 'test@example.com',
+      name: 'Test User',
+      labels: [{ name: 'builder' }]
+    };
+
+    it('should return the destination after email code sign-in', async () => {
+      mockEmailVerification.verifyCode.mockResolvedValue(true);
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      const response = await request(app)
+        .post('/api/auth/verify-code')
+        .send({ email: 'test@example.com', code: '123456', returnTo: '/my-article/' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.redirectTo).toBe('/my-article/');
+    });
+
+    it('should return the destination after passkey sign-in', async () => {
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      const agent = request.agent(app);
+      const options = await agent.post('/api/passkey/login-start').send({});
+      const response = await agent
+        .post('/api/passkey/login-finish')
+        .send({ credential: createMockCredential(options.body.challenge), returnTo: 'https://evil.example/' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.redirectTo).toBe('/');
+    });
+
+    it('should send signed-in members from /signin to their destination', async () => {
+      mockEmailVerification.verifyCode.mockResolvedValue(true);
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      const agent = request.agent(app);
+      await agent
+        .post('/api/auth/verify-code')
+        .send({ email: 'test@example.com', code: '123456' });
+
+      const response = await agent.get(`/signin?returnTo=${encodeURIComponent('/my-article/')}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/my-article/');
+    });
+
+    it('should show /signin to signed-in members asked to sign in again', async () => {
+      mockEmailVerification.verifyCode.mockResolvedValue(true);
+      mockGhostAPI.getMemberByEmail.mockResolvedValue(mockMember);
+
+      const agent = request.agent(app);
+      await agent
+        .post('/api/auth/verify-code')
+        .send({ email: 'test@example.com', code: '123456' });
+
+      const response = await agent.get('/signin?reauth=1&returnTo=/account');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/html/);
+    });
+  });
+});
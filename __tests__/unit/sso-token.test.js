@@ -0,0 +1,206 @@
+/**
+ * Unit Tests for SSO Token Verification
+ * Tests HS256 and JWKS (RS256/ES256) verification, claim checks and replay protection
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createSsoTokenVerifier, SsoTokenError, BACKCHANNEL_LOGOUT_EVENT } = require('../../lib/sso-token');
+const { mockDb } = require('../mocks/db.mock');
+
+const ISSUER = 'bear.flights';
+const AUDIENCE = 'http://localhost:3002';
+const JWKS_URL = 'http://localhost:3001/.well-known/jwks.json';
+
+describe('SSO Token Verifier', () => {
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  // Local stand-in for the provider's JWKS endpoint
+  const jwks = {
+    keys: [
+      { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', use: 'sig', alg: 'RS256' },
+      { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1', use: 'sig', alg: 'ES256' }
+    ]
+  };
+  let fetchJwks;
+
+  // Claims for a valid token; overrides set to undefined are left out
+  const claims = (overrides = {}) => JSON.parse(JSON.stringify({
+    iss: ISSUER,
+    aud: AUDIENCE,
+    jti: crypto.randomUUID(),
+    exp: Math.floor(Date.now() / 1000) + 60,
+    email: 'test@example.com',
+    ...overrides
+  }));
+
+  const createVerifier = (options = {}) => createSsoTokenVerifier({
+    issuer: ISSUER,
+    audience: AUDIENCE,
+    jwksUrl: JWKS_URL,
+    usedTokenQueries: mockDb.usedTokenQueries,
+    fetchJwks,
+    ...options
+  });
+
+  const expectCode = async (promise, code) => {
+    await expect(promise).rejects.toBeInstanceOf(SsoTokenError);
+    await expect(promise).rejects.toMatchObject({ code });
+  };
+
+  beforeEach(() => {
+    mockDb.resetMocks();
+    fetchJwks = jest.fn().mockResolvedValue(jwks);
+  });
+
+  it('should verify RS256 tokens with keys from the JWKS', async () => {
+    const token = jwt.sign(claims(), rsa.privateKey, { algorithm: 'RS256', keyid: 'rsa-1' });
+
+    const verified = await createVerifier().verify(token);
+
+    expect(verified.email).toBe('test@example.com');
+    expect(fetchJwks).toHaveBeenCalledWith(JWKS_URL);
+  });
+
+  it('should verify ES256 tokens with keys from the JWKS', async () => {
+    const token = jwt.sign(claims(), ec.privateKey, { algorithm: 'ES256', keyid: 'ec-1' });
+
+    const verified = await createVerifier().verify(token);
+
+    expect(verified.email).toBe('test@example.com');
+  });
+
+  it('should cache the JWKS between verifications', async () => {
+    const verifier = createVerifier();
+
+    await verifier.verify(jwt.sign(claims(), rsa.privateKey, { algorithm: 'RS256', keyid: 'rsa-1' }));
+    await verifier.verify(jwt.sign(claims(), ec.privateKey, { algorithm: 'ES256', keyid: 'ec-1' }));
+
+    expect(fetchJwks).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refetch the JWKS when it sees an unknown key ID', async () => {
+    const rotated = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const verifier = createVerifier({ jwksMinRefetchMs: 0 });
+    await verifier.verify(jwt.sign(claims(), rsa.privateKey, { algorithm: 'RS256', keyid: 'rsa-1' }));
+
+    fetchJwks.mockResolvedValue({
+      keys: [...jwks.keys, { ...rotated.publicKey.export({ format: 'jwk' }), kid: 'rsa-2' }]
+    });
+
+    const token = jwt.sign(claims(), rotated.privateKey, { algorithm: 'RS256', keyid: 'rsa-2' });
+    await expect(verifier.verify(token)).resolves.toMatchObject({ email: 'test@example.com' });
+    expect(fetchJwks).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not refetch the JWKS for unknown key IDs more than once a minute', async () => {
+    jest.useFakeTimers({ now: Date.now() });
+    try {
+      const verifier = createVerifier();
+      await verifier.verify(jwt.sign(claims(), rsa.privateKey, { algorithm: 'RS256', keyid: 'rsa-1' }));
+
+      for (let i = 0; i < 5; i++) {
+        const forged = jwt.sign(claims(), rsa.privateKey, { algorithm: 'RS256', keyid: `made-up-${i}` });
+        await expectCode(verifier.verify(forged), 'unknown_key');
+      }
+      expect(fetchJwks).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(60 * 1000);
+      await expectCode(verifier.verify(jwt.sign(claims(), rsa.privateKey, { algorithm: 'RS256', keyid: 'made-up' })), 'unknown_key');
+      expect(fetchJwks).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should not retry a failed JWKS fetch on every token', async () => {
+    fetchJwks.mockRejectedValue(new Error('ECONNREFUSED'));
+    const verifier = createVerifier();
+    const token = () => jwt.sign(claims(), rsa.privateKey, { algorithm: 'RS256', keyid: 'rsa-1' });
+
+    await expectCode(verifier.verify(token()), 'jwks_unavailable');
+    await expectCode(verifier.verify(token()), 'jwks_unavailable');
+
+    expect(fetchJwks).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report an unreachable JWKS as 503', async () => {
+    fetchJwks.mockRejectedValue(new Error('ECONNREFUSED'));
+    const token = jwt.sign(claims(), rsa.privateKey, { algorithm: 'RS256', keyid: 'rsa-1' });
+
+    const promise = createVerifier().verify(token);
+
+    await expectCode(promise, 'jwks_unavailable');
+    await expect(promise).rejects.toMatchObject({ status: 503 });
+  });
+
+  it('should verify HS256 tokens with the dedicated secret', async () => {
+    const token = jwt.sign(claims(), 'dedicated-secret');
+
+    const verified = await createVerifier({ secret: 'dedicated-secret', jwksUrl: null }).verify(token);
+
+    expect(verified.email).toBe('test@example.com');
+  });
+
+  it('should reject HS256 tokens when no secret is configured', async () => {
+    const token = jwt.sign(claims(), 'dedicated-secret');
+
+    await expectCode(createVerifier().verify(token), 'unsupported_algorithm');
+  });
+
+  it('should reject unsigned tokens', async () => {
+    const token = jwt.sign(claims(), null, { algorithm: 'none' });
+
+    await expectCode(createVerifier({ secret: 'dedicated-secret' }).verify(token), 'unsupported_algorithm');
+  });
+
+  it('should check audience, issuer, expiry and not-before', async () => {
+    const verifier = createVerifier({ secret: 'dedicated-secret' });
+    const sign = (overrides) => jwt.sign(claims(overrides), 'dedicated-secret');
+    const now = Math.floor(Date.now() / 1000);
+
+    await expectCode(verifier.verify(sign({ aud: 'https://other.example' })), 'invalid_audience');
+    await expectCode(verifier.verify(sign({ iss: 'evil.com' })), 'invalid_issuer');
+    await expectCode(verifier.verify(sign({ exp: now - 120 })), 'token_expired');
+    await expectCode(verifier.verify(sign({ nbf: now + 600 })), 'token_not_yet_valid');
+    await expectCode(verifier.verify(sign({ exp: undefined })), 'missing_expiry');
+    await expectCode(verifier.verify(sign({ jti: undefined })), 'missing_jti');
+  });
+
+  it('should only accept logout tokens for logout', async () => {
+    const verifier = createVerifier({ secret: 'dedicated-secret' });
+    const logoutClaims = { events: { [BACKCHANNEL_LOGOUT_EVENT]: {} }, sid: 'bear-session-1' };
+
+    await expectCode(
+      verifier.verify(jwt.sign(claims(logoutClaims), 'dedicated-secret')),
+      'wrong_token_type'
+    );
+    await expectCode(
+      verifier.verify(jwt.sign(claims(), 'dedicated-secret'), { logout: true }),
+      'wrong_token_type'
+    );
+    await expect(
+      verifier.verify(jwt.sign(claims(logoutClaims), 'dedicated-secret'), { logout: true })
+    ).resolves.toMatchObject({ sid: 'bear-session-1' });
+  });
+
+  it('should require logout tokens to name an email or session', async () => {
+    const verifier = createVerifier({ secret: 'dedicated-secret' });
+    const token = jwt.sign(
+      claims({ email: undefined, events: { [BACKCHANNEL_LOGOUT_EVENT]: {} } }),
+      'dedicated-secret'
+    );
+
+    await expectCode(verifier.verify(token, { logout: true }), 'missing_subject');
+  });
+
+  it('should reject a replayed token', async () => {
+    const verifier = createVerifier({ secret: 'dedicated-secret' });
+    const token = jwt.sign(claims(), 'dedicated-secret');
+
+    await verifier.verify(token);
+
+    await expectCode(verifier.verify(token), 'token_replayed');
+  });
+});
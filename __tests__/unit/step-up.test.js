@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for Step-up Authentication
+ * Tests the recent-authentication and email-authentication middleware
+ */
+
+const { createEmailAuthCheck, createRecentAuthCheck, markAuthenticated } = require('../../lib/step-up');
+
+describe('Step-up Authentication', () => {
+  const requireRecentAuth = createRecentAuthCheck({ maxAgeMs: 5 * 60 * 1000 });
+
+  const createResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should allow a member who just signed in', () => {
+    const req = { session: {} };
+    const res = createResponse();
+    const next = jest.fn();
+    markAuthenticated(req.session);
+
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    requireRecentAuth(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('should ask for a new sign-in once the authentication is too old', () => {
+    const req = { session: {} };
+    const res = createResponse();
+    const next = jest.fn();
+    markAuthenticated(req.session);
+
+    jest.advanceTimersByTime(5 * 60 * 1000 + 1);
+    requireRecentAuth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'reauth_required',
+      maxAgeSeconds: 300
+    }));
+  });
+
+  it('should ask for a new sign-in when the time was never recorded', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    requireRecentAuth({ session: { authenticated: true } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('should accept an explicit authentication time', () => {
+    const req = { session: {} };
+    const res = createResponse();
+    const next = jest.fn();
+    markAuthenticated(req.session, Date.now() - 10 * 60 * 1000);
+
+    requireRecentAuth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should only accept email sign-ins for recovery', () => {
+    const requireEmailAuth = createEmailAuthCheck();
+    const byEmail = { session: {} };
+    const byPasskey = { session: {} };
+    const res = createResponse();
+    const next = jest.fn();
+    markAuthenticated(byEmail.session, Date.now(), 'email');
+    markAuthenticated(byPasskey.session, Date.now(), 'passkey');
+
+    requireEmailAuth(byEmail, res, next);
+    requireEmailAuth(byPasskey, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'email_verification_required' }));
+  });
+});
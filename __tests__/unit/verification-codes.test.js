@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Hashed Verification Codes
+ * Tests hashing, nonce binding, expiry and single use
+ */
+
+const { createCodeStore, generateNonce, hashCode } = require('../../lib/verification-codes');
+const { mockDb, testData } = require('../mocks/db.mock');
+
+describe('Verification Code Store', () => {
+  let codeStore;
+  let nonce;
+
+  beforeEach(() => {
+    mockDb.resetMocks();
+    codeStore = createCodeStore(mockDb.verificationCodeQueries);
+    nonce = generateNonce();
+  });
+
+  it('should never store the plain code', async () => {
+    await codeStore.storeCode('test@example.com', '123456', Date.now() + 60000, nonce);
+
+    const stored = testData.verificationCodes.get('test@example.com');
+    expect(stored.code).toBeUndefined();
+    expect(stored.codeHash).not.toContain('123456');
+    expect(stored.codeHash).toBe(hashCode('123456', stored.salt, nonce));
+  });
+
+  it('should use a fresh salt for every code', async () => {
+    await codeStore.storeCode('a@example.com', '123456', Date.now() + 60000, nonce);
+    await codeStore.storeCode('b@example.com', '123456', Date.now() + 60000, nonce);
+
+    const a = testData.verificationCodes.get('a@example.com');
+    const b = testData.verificationCodes.get('b@example.com');
+    expect(a.salt).not.toBe(b.salt);
+    expect(a.codeHash).not.toBe(b.codeHash);
+  });
+
+  it('should require a nonce to store a code', async () => {
+    await expect(codeStore.storeCode('test@example.com', '123456', Date.now() + 60000))
+      .rejects.toThrow('nonce');
+  });
+
+  it('should verify the code from the browser holding the nonce once', async () => {
+    await codeStore.storeCode('test@example.com', '123456', Date.now() + 60000, nonce);
+
+    expect(await codeStore.verifyCode('test@example.com', '123456', nonce)).toBe(true);
+    expect(await codeStore.verifyCode('test@example.com', '123456', nonce)).toBe(false);
+  });
+
+  it('should reject the right code without the nonce', async () => {
+    await codeStore.storeCode('test@example.com', '123456', Date.now() + 60000, nonce);
+
+    expect(await codeStore.verifyCode('test@example.com', '123456', null)).toBe(false);
+    expect(await codeStore.verifyCode('test@example.com', '123456', generateNonce())).toBe(false);
+
+    // The code stays usable from the original browser
+    expect(await codeStore.verifyCode('test@example.com', '123456', nonce)).toBe(true);
+  });
+
+  it('should reject a wrong code', async () => {
+    await codeStore.storeCode('test@example.com', '123456', Date.now() + 60000, nonce);
+
+    expect(await codeStore.verifyCode('test@example.com', '654321', nonce)).toBe(false);
+  });
+
+  it('should reject and delete expired codes', async () => {
+    await codeStore.storeCode('test@example.com', '123456', Date.now() - 1000, nonce);
+
+    expect(await codeStore.verifyCode('test@example.com', '123456', nonce)).toBe(false);
+    expect(mockDb.verificationCodeQueries.deleteCode).toHaveBeenCalledWith('test@example.com');
+  });
+
+  it('should clean up codes that were never entered now and then', async () => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    try {
+      codeStore = createCodeStore(mockDb.verificationCodeQueries);
+      await codeStore.storeCode('old@example.com', '123456', Date.now() + 60000, nonce);
+      await codeStore.storeCode('other@example.com', '123456', Date.now() + 60000, nonce);
+      jest.advanceTimersByTime(2 * 60 * 1000);
+      await codeStore.storeCode('test@example.com', '123456', Date.now() + 60000, nonce);
+
+      expect(mockDb.verificationCodeQueries.cleanupExpiredCodes).toHaveBeenCalledTimes(2);
+      expect(Array.from(testData.verificationCodes.keys())).toEqual(['test@example.com']);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for the Ghost Member Webhooks
+ * Tests signature checks and how member changes reach sessions and passkeys
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { createApp } = require('../../app');
+
+// Import mocks
+const { mockGhostAPI, createMockMember } = require('../mocks/ghost-api.mock');
+const { mockEmailVerification } = require('../mocks/email-verification.mock');
+const { mockDb } = require('../mocks/db.mock');
+const { mockPasskeyAuth } = require('../mocks/passkey-auth.mock');
+
+const WEBHOOK_SECRET = 'test-ghost-webhook-secret';
+
+describe('Ghost Member Webhooks', () => {
+  let app;
+
+  // Sign in with email code as a member with the given labels
+  const signIn = async (labels = ['patron']) => {
+    const agent = request.agent(app);
+    mockEmailVerification.verifyCode.mockResolvedValue(true);
+    mockGhostAPI.getMemberByEmail.mockResolvedValue(
+      createMockMember({ labels: labels.map(name => ({ name })) })
+    );
+
+    await agent
+      .post('/api/auth/verify-code')
+      .send({ email: 'test@example.com', code: '123456' });
+
+    return agent;
+  };
+
+  // Deliver a webhook the way Ghost signs it
+  const deliver = (event, member, { secret = WEBHOOK_SECRET, timestamp = Date.now() } = {}) => {
+    const body = JSON.stringify({ member });
+    const signature = crypto.createHmac('sha256', secret).update(`${body}${timestamp}`).digest('hex');
+
+    return request(app)
+      .post(`/webhooks/ghost/${event}`)
+      .set('Content-Type', 'application/json')
+      .set('X-Ghost-Signature', `sha256=${signature}, t=${timestamp}`)
+      .send(body);
+  };
+
+  beforeEach(() => {
+    // Reset all mocks before each test
+    mockGhostAPI.resetMocks();
+    mockEmailVerification.resetMocks();
+    mockDb.resetMocks();
+    mockPasskeyAuth.resetMocks();
+
+    process.env.GHOST_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+    // Create app with injected dependencies
+    app = createApp(true, {
+      ghostAPI: mockGhostAPI,
+      emailVerification: mockEmailVerification,
+      passkeyQueries: mockDb.passkeyQueries,
+      challengeQueries: mockDb.challengeQueries,
+      verificationCodeQueries: mockDb.verificationCodeQueries,
+      attemptQueries: mockDb.attemptQueries,
+      usedTokenQueries: mockDb.usedTokenQueries,
+      sessionQueries: mockDb.sessionQueries,
+      enrollmentQueries: mockDb.enrollmentQueries,
+      securityEventQueries: mockDb.securityEventQueries,
+      passkeyAuth: mockPasskeyAuth
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.GHOST_WEBHOOK_SECRET;
+  });
+
+  describe('Signature checks', () => {
+    it('should reject unsigned requests', async () => {
+      const response = await request(app)
+        .post('/webhooks/ghost/member.deleted')
+        .send({ member: { current: {}, previous: { email: 'test@example.com' } } });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject requests signed with another secret', async () => {
+      const response = await deliver('member.deleted', {
+        current: {},
+        previous: { email: 'test@example.com' }
+      }, { secret: 'wrong-secret' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject stale deliveries', async () => {
+      const response = await deliver('member.deleted', {
+        current: {},
+        previous: { email: 'test@example.com' }
+      }, { timestamp: Date.now() - 60 * 60 * 1000 });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject unsupported events', async () => {
+      const response = await deliver('post.published', {});
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('member.deleted', () => {
+    it('should end sessions and remove passkeys of the member', async () => {
+      const agent = await signIn();
+      mockDb.passkeyQueries.createPasskey.run('cred-1', 'key-1', 0, 'test@example.com');
+
+      const response = await deliver('member.deleted', {
+        current: {},
+        previous: { email: 'test@example.com', labels: [{ name: 'patron' }] }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.sessionsRevoked).toBe(1);
+      expect(response.body.passkeysRemoved).toBe(1);
+
+      const statusResponse = await agent.get('/api/auth/status');
+      expect(statusResponse.body.authenticated).toBe(false);
+    });
+  });
+
+  describe('member.updated', () => {
+    it('should update session labels right away', async () => {
+      const agent = await signIn(['patron']);
+
+      const response = await deliver('member.updated', {
+        current: { email: 'test@example.com', labels: [{ name: 'explorer' }] },
+        previous: { labels: [{ name: 'patron' }] }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.sessionsUpdated).toBe(1);
+
+      const statusResponse = await agent.get('/api/auth/status');
+      expect(statusResponse.body.authenticated).toBe(true);
+      expect(statusResponse.body.user.labels).toEqual(['explorer']);
+    });
+
+    it('should end sessions once no label grants access', async () => {
+      const agent = await signIn(['patron']);
+
+      const response = await deliver('member.updated', {
+        current: { email: 'test@example.com', labels: [{ name: 'free-member' }] },
+        previous: { labels: [{ name: 'patron' }] }
+      });
+
+      expect(response.body.sessionsRevoked).toBe(1);
+      const statusResponse = await agent.get('/api/auth/status');
+      expect(statusResponse.body.authenticated).toBe(false);
+    });
+
+    it('should end sessions and passkeys tied to a changed email', async () => {
+      const agent = await signIn(['patron']);
+      mockDb.passkeyQueries.createPasskey.run('cred-1', 'key-1', 0, 'test@example.com');
+
+      const response = await deliver('member.updated', {
+        current: { email: 'new@example.com', labels: [{ name: 'patron' }] },
+        previous: { email: 'test@example.com' }
+      });
+
+      expect(response.body.sessionsRevoked).toBe(1);
+      expect(response.body.passkeysRemoved).toBe(1);
+      const statusResponse = await agent.get('/api/auth/status');
+      expect(statusResponse.body.authenticated).toBe(false);
+    });
+
+    it('should leave sessions alone when labels did not change', async () => {
+      const agent = await signIn(['patron']);
+
+      const response = await deliver('member.updated', {
+        current: { email: 'test@example.com', name: 'New Name', labels: [{ name: 'patron' }] },
+        previous: { name: 'Test User' }
+      });
+
+      expect(response.body).toMatchObject({ sessionsRevoked: 0, sessionsUpdated: 0, passkeysRemoved: 0 });
+      const statusResponse = await agent.get('/api/auth/status');
+      expect(statusResponse.body.authenticated).toBe(true);
+    });
+  });
+});
@@ -1,8 +1,9 @@
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream');
 const axios = require('axios');
-const jwt = require('jsonwebtoken');
 
 // Import shared authentication library
 const {
@@ -13,6 +14,50 @@ const {
     createAuthSession,
     destroySession
 } = require('@bear/sso');
+const { createAttemptLimiter } = require('./lib/attempt-limiter');
+const { createMagicLinks } = require('./lib/magic-link');
+const { sanitizeReturnTo } = require('./lib/return-to');
+const { createCodeStore, generateNonce } = require('./lib/verification-codes');
+const { SsoTokenError, createSsoTokenVerifier } = require('./lib/sso-token');
+const { DatabaseSessionStore } = require('./lib/session-store');
+const { createMemberCache } = require('./lib/member-cache');
+const { createAccessRules, parseAccessRules } = require('./lib/access-rules');
+const { createPostLookup } = require('./lib/ghost-posts');
+const { verifyGhostSignature } = require('./lib/ghost-webhook');
+const { createPasskeyStore } = require('./lib/passkey-store');
+const { createEnrollmentTracker } = require('./lib/passkey-enrollment');
+const { createEmailAuthCheck, createRecentAuthCheck, markAuthenticated } = require('./lib/step-up');
+const { createChallengeStore, getClientChallenge } = require('./lib/challenge-store');
+const { createCounterGuard, parseCounterError } = require('./lib/passkey-counter');
+const { MONTH_MS, createStalePasskeyPolicy, isDisabled } = require('./lib/passkey-staleness');
+const { defaultDeviceName, getAaguid } = require('./lib/device-names');
+const { createRegistrationPolicy, parseRegistrationPolicy } = require('./lib/registration-policy');
+const { buildRecoveryEmailTemplate, createPasskeyRecovery } = require('./lib/passkey-recovery');
+const { canInject, createBodyInjector } = require('./lib/html-injector');
+const {
+    acceptsEncoding,
+    createDecoder,
+    createEncoder,
+    isSupportedEncoding,
+    negotiateEncoding,
+    normalizeEncoding,
+    upstreamAcceptEncoding,
+} = require('./lib/content-encoding');
+const { createResponseCache, isNotModified, isStorableResponse } = require('./lib/response-cache');
+const { createPathMatcher } = require('./lib/path-match');
+const {
+    DEFAULT_BLOCKED_PATHS,
+    DEFAULT_PUBLIC_PATHS,
+    createPathPolicy,
+    normalizePath,
+    parsePathList
+} = require('./lib/path-policy');
+const {
+    buildUpstreamHeaders,
+    filterResponseHeaders,
+    rewriteLocation,
+    rewriteSetCookie,
+} = require('./lib/proxy-headers');
 
 // Use Firestore for production (Cloud Run), fallback to SQLite for local dev
 const USE_FIRESTORE = process.env.NODE_ENV === 'production' || process.env.USE_FIRESTORE === 'true';
@@ -21,21 +66,38 @@ const USE_FIRESTORE = process.env.NODE_ENV === 'production' || process.env.USE_F
 function getDefaultDatabaseQueries() {
     if (USE_FIRESTORE) {
         const firestoreDb = require('@bear/sso/lib/firestore-db');
+        const gatewayDb = require('./lib/firestore-db');
         return {
-            passkeyQueries: firestoreDb.passkeyQueries,
-            challengeQueries: firestoreDb.challengeQueries,
-            verificationCodeQueries: firestoreDb.verificationCodeQueries
+            passkeyQueries: { ...firestoreDb.passkeyQueries, ...gatewayDb.passkeyQueries },
+            challengeQueries: gatewayDb.challengeQueries,
+            verificationCodeQueries: gatewayDb.verificationCodeQueries,
+            attemptQueries: gatewayDb.attemptQueries,
+            usedTokenQueries: gatewayDb.usedTokenQueries,
+            sessionQueries: gatewayDb.sessionQueries,
+            enrollmentQueries: gatewayDb.enrollmentQueries,
+            securityEventQueries: gatewayDb.securityEventQueries
         };
     } else {
         const sqliteDb = require('./lib/db');
         return {
             passkeyQueries: sqliteDb.passkeyQueries,
             challengeQueries: sqliteDb.challengeQueries,
-            verificationCodeQueries: sqliteDb.verificationCodeQueries
+            verificationCodeQueries: sqliteDb.verificationCodeQueries,
+            attemptQueries: sqliteDb.attemptQueries,
+            usedTokenQueries: sqliteDb.usedTokenQueries,
+            sessionQueries: sqliteDb.sessionQueries,
+            enrollmentQueries: sqliteDb.enrollmentQueries,
+            securityEventQueries: sqliteDb.securityEventQueries
         };
     }
 }
 
+// A whole number from the environment; 0 is kept (it turns a feature off), anything else invalid uses the default
+function parseNonNegative(value, defaultValue) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) || number < 0 ? defaultValue : number;
+}
+
 // Create Express app
 function createApp(testMode = false, dependencies = {}) {
     const app = express();
@@ -53,41 +115,231 @@ function createApp(testMode = false, dependencies = {}) {
     const ORIGIN = process.env.ORIGIN || 'https://insights.travelintelligence.club';
     const GHOST_CONTENT_URL = process.env.GHOST_API_URL || 'https://insights.travelintelligence.club';
     const SSO_PROVIDER_URL = process.env.SSO_PROVIDER_URL || 'http://localhost:3001';
+    const SESSION_SECRET = process.env.SESSION_SECRET || 'insights-secret-change-in-production';
+
+    // SSO handoff tokens from bear.flights: a dedicated HS256 key and/or RS256/ES256 keys from a JWKS
+    const SSO_ISSUER = process.env.SSO_ISSUER || 'bear.flights';
+    const SSO_AUDIENCE = process.env.SSO_AUDIENCE || ORIGIN;
+    const SSO_JWT_SECRET = process.env.SSO_JWT_SECRET;
+    const SSO_JWKS_URL = process.env.SSO_JWKS_URL || (SSO_JWT_SECRET ? null : `${SSO_PROVIDER_URL}/.well-known/jwks.json`);
+
+    // Magic sign-in links (sent along with or instead of the 6-digit code);
+    // signed with a dedicated key, and not offered without one
+    const MAGIC_LINK_SECRET = process.env.MAGIC_LINK_SECRET || null;
+    if (MAGIC_LINK_SECRET && MAGIC_LINK_SECRET === SESSION_SECRET) {
+        throw new Error('MAGIC_LINK_SECRET must not be the same as SESSION_SECRET');
+    }
+    const MAGIC_LINK_TTL_MS = (parseInt(process.env.MAGIC_LINK_TTL_MINUTES, 10) || 10) * 60 * 1000;
 
     // Labels that grant access to insights (configurable)
     const ALLOWED_LABELS = process.env.ALLOWED_LABELS
         ? process.env.ALLOWED_LABELS.split(',').map(l => l.trim())
         : ['builder', 'patron', 'buccaneer', 'explorer', 'insights-subscriber'];
 
+    // Per-path / per-tag access rules, as JSON inline or in a file (optional)
+    // Paths no rule matches need one of ALLOWED_LABELS
+    const ACCESS_RULES = process.env.ACCESS_RULES_FILE
+        ? fs.readFileSync(process.env.ACCESS_RULES_FILE, 'utf8')
+        : (process.env.ACCESS_RULES || '[]');
+    const DEFAULT_TIER = process.env.DEFAULT_TIER || 'Travel Intelligence Club';
+
+    // Which authenticators members may register as passkeys, as JSON inline or in a file (optional)
+    const PASSKEY_REGISTRATION_POLICY = process.env.PASSKEY_REGISTRATION_POLICY_FILE
+        ? fs.readFileSync(process.env.PASSKEY_REGISTRATION_POLICY_FILE, 'utf8')
+        : (process.env.PASSKEY_REGISTRATION_POLICY || '{}');
+    const GHOST_CONTENT_API_KEY = process.env.GHOST_CONTENT_API_KEY;
+
+    // Secret shared with the Ghost member webhooks (Ghost Admin → Integrations)
+    const GHOST_WEBHOOK_SECRET = process.env.GHOST_WEBHOOK_SECRET;
+
+    // How often session labels are re-checked against Ghost during proxied requests,
+    // and how long one Ghost lookup is shared between requests (configurable)
+    const LABEL_REFRESH_INTERVAL_MS = (parseInt(process.env.LABEL_REFRESH_MINUTES, 10) || 15) * 60 * 1000;
+    const MEMBER_CACHE_TTL_MS = (parseInt(process.env.MEMBER_CACHE_SECONDS, 10) || 60) * 1000;
+    const LABEL_REFRESH_RETRY_MS = 60 * 1000;
+
+    // Passkey autofill requests wait while the member is on the sign-in page,
+    // so their challenge lives longer than a button-started one
+    const CONDITIONAL_CHALLENGE_TTL_MS = 30 * 60 * 1000;
+
+    // Members who decline passkey enrollment after email sign-in are not asked again for this long
+    const PASSKEY_PROMPT_SNOOZE_MS = (parseInt(process.env.PASSKEY_PROMPT_SNOOZE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+    // Adding or removing a passkey needs a sign-in within this many minutes (configurable)
+    const STEP_UP_MAX_AGE_MS = (parseInt(process.env.STEP_UP_MINUTES, 10) || 10) * 60 * 1000;
+
+    // What to do when a passkey's signature counter goes backward (a sign of a cloned
+    // authenticator): 'flag' records it and lets the login through, 'block' also
+    // refuses the login and any later login with that passkey
+    const PASSKEY_COUNTER_POLICY = process.env.PASSKEY_COUNTER_POLICY === 'block' ? 'block' : 'flag';
+
+    // Passkeys unused for this many months are reported, then disabled (0 turns a step off)
+    const PASSKEY_STALE_WARN_MS = parseNonNegative(process.env.PASSKEY_STALE_WARN_MONTHS, 6) * MONTH_MS;
+    const PASSKEY_STALE_DISABLE_MS = parseNonNegative(process.env.PASSKEY_STALE_DISABLE_MONTHS, 12) * MONTH_MS;
+
+    // Cache of proxied Ghost responses in memory, in megabytes (0 turns it off), and optionally
+    // a directory for bodies pushed out of memory
+    const RESPONSE_CACHE_BYTES = parseNonNegative(process.env.RESPONSE_CACHE_MB, 64) * 1024 * 1024;
+    const RESPONSE_CACHE_DIR = process.env.RESPONSE_CACHE_DIR || null;
+    const RESPONSE_CACHE_DISK_BYTES = parseNonNegative(process.env.RESPONSE_CACHE_DISK_MB, 512) * 1024 * 1024;
+
+    // Proxied paths open without signing in, and paths never proxied (comma-separated
+    // patterns, see lib/path-match.js; an empty value turns the defaults off)
+    const PUBLIC_PATHS = parsePathList(process.env.PUBLIC_PATHS, DEFAULT_PUBLIC_PATHS);
+    const BLOCKED_PATHS = parsePathList(process.env.BLOCKED_PATHS, DEFAULT_BLOCKED_PATHS);
+
+    // Members allowed to read gateway statistics (comma-separated emails)
+    const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(e => e.trim().toLowerCase())
+        .filter(Boolean);
+
+    // Brute-force protection for email verification (configurable)
+    const VERIFY_MAX_FAILURES = parseInt(process.env.VERIFY_MAX_FAILURES, 10) || 5;
+    const VERIFY_MAX_FAILURES_PER_IP = parseInt(process.env.VERIFY_MAX_FAILURES_PER_IP, 10) || 20;
+    const SEND_MAX_PER_WINDOW = parseInt(process.env.SEND_MAX_PER_WINDOW, 10) || 5;
+    const SEND_MAX_PER_WINDOW_PER_IP = parseInt(process.env.SEND_MAX_PER_WINDOW_PER_IP, 10) || 20;
+    const ATTEMPT_WINDOW_MS = (parseInt(process.env.ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+    const LOCKOUT_MS = (parseInt(process.env.LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+
+    // Cloud Run sits behind Google's front end, so req.ip must come from X-Forwarded-For
+    const TRUST_PROXY = process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : '');
+    if (TRUST_PROXY) {
+        app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
+    }
+
     // Middleware
     app.use(cors({
         credentials: true,
         origin: true,
-        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
         allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
     }));
-    app.use(express.json());
+    // Keep the raw body so webhook signatures can be checked over the exact bytes
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+
+    // Initialize database queries (with dependency injection support)
+    const defaultDb = getDefaultDatabaseQueries();
+    const passkeyQueries = dependencies.passkeyQueries || defaultDb.passkeyQueries;
+    const challengeQueries = dependencies.challengeQueries || defaultDb.challengeQueries;
+    const verificationCodeQueries = dependencies.verificationCodeQueries || defaultDb.verificationCodeQueries;
+    const attemptQueries = dependencies.attemptQueries || defaultDb.attemptQueries;
+    const usedTokenQueries = dependencies.usedTokenQueries || defaultDb.usedTokenQueries;
+    const sessionQueries = dependencies.sessionQueries || defaultDb.sessionQueries;
+    const enrollmentQueries = dependencies.enrollmentQueries || defaultDb.enrollmentQueries;
+    const securityEventQueries = dependencies.securityEventQueries || defaultDb.securityEventQueries;
+    const passkeyStore = createPasskeyStore(passkeyQueries);
+    const challengeStore = createChallengeStore(challengeQueries);
+    const enrollmentTracker = createEnrollmentTracker({
+        enrollmentQueries,
+        passkeyStore,
+        snoozeMs: PASSKEY_PROMPT_SNOOZE_MS
+    });
+    const counterGuard = createCounterGuard({
+        passkeyStore,
+        securityEventQueries,
+        blockFlagged: PASSKEY_COUNTER_POLICY === 'block'
+    });
+    const registrationPolicy = createRegistrationPolicy(parseRegistrationPolicy(PASSKEY_REGISTRATION_POLICY));
+    const stalePolicy = createStalePasskeyPolicy({
+        passkeyStore,
+        securityEventQueries,
+        warnAfterMs: PASSKEY_STALE_WARN_MS,
+        disableAfterMs: PASSKEY_STALE_DISABLE_MS
+    });
+
+    // Sessions live in the database so members can list and revoke them, and so they
+    // can be revoked from outside (back-channel logout, Ghost webhooks)
+    const sessionStore = dependencies.sessionStore || new DatabaseSessionStore(sessionQueries);
 
     // Session middleware (using shared library)
     app.use(createSessionMiddleware({
-        secret: process.env.SESSION_SECRET || 'insights-secret-change-in-production',
+        store: sessionStore,
+        secret: SESSION_SECRET,
         cookie: {
             secure: process.env.NODE_ENV === 'production',
             maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
         }
     }));
 
+    // Keep the IP and user agent shown in the session list current
+    app.use((req, res, next) => {
+        if (req.session && req.session.authenticated) {
+            recordSessionClient(req);
+        }
+        next();
+    });
+
     // Static file serving for auth pages
     app.use('/static', express.static(path.join(__dirname, 'public')));
 
-    // Initialize database queries (with dependency injection support)
-    const defaultDb = getDefaultDatabaseQueries();
-    const passkeyQueries = dependencies.passkeyQueries || defaultDb.passkeyQueries;
-    const challengeQueries = dependencies.challengeQueries || defaultDb.challengeQueries;
-    const verificationCodeQueries = dependencies.verificationCodeQueries || defaultDb.verificationCodeQueries;
+    const ssoTokens = dependencies.ssoTokenVerifier || createSsoTokenVerifier({
+        issuer: SSO_ISSUER,
+        audience: SSO_AUDIENCE,
+        secret: SSO_JWT_SECRET,
+        jwksUrl: SSO_JWKS_URL,
+        usedTokenQueries
+    });
+
+    const magicLinks = MAGIC_LINK_SECRET ? createMagicLinks({
+        secret: MAGIC_LINK_SECRET,
+        origin: ORIGIN,
+        ttlMs: MAGIC_LINK_TTL_MS,
+        usedTokenQueries
+    }) : null;
+
+    // Rate limiters for sending and verifying email codes
+    const sendLimiter = createAttemptLimiter(attemptQueries, {
+        scope: 'send',
+        limits: { email: SEND_MAX_PER_WINDOW, ip: SEND_MAX_PER_WINDOW_PER_IP },
+        windowMs: ATTEMPT_WINDOW_MS,
+        lockoutMs: LOCKOUT_MS
+    });
+    const verifyLimiter = createAttemptLimiter(attemptQueries, {
+        scope: 'verify',
+        limits: { email: VERIFY_MAX_FAILURES, ip: VERIFY_MAX_FAILURES_PER_IP },
+        windowMs: ATTEMPT_WINDOW_MS,
+        lockoutMs: LOCKOUT_MS
+    });
 
     // Initialize shared library instances (with dependency injection support)
     const ghostAPI = dependencies.ghostAPI || getGhostAPI();
+    const memberCache = createMemberCache({ ghostAPI, ttlMs: MEMBER_CACHE_TTL_MS });
+
+    // Access rules for proxied content
+    const postLookup = dependencies.postLookup || (GHOST_CONTENT_API_KEY ? createPostLookup({
+        apiUrl: GHOST_CONTENT_URL,
+        contentApiKey: GHOST_CONTENT_API_KEY
+    }) : null);
+    const parsedAccessRules = parseAccessRules(ACCESS_RULES);
+    const accessRules = createAccessRules({
+        rules: parsedAccessRules,
+        defaultRule: { labels: ALLOWED_LABELS, tier: DEFAULT_TIER },
+        postLookup
+    });
+
+    // Cache of proxied Ghost responses
+    const responseCache = dependencies.responseCache || (RESPONSE_CACHE_BYTES > 0 ? createResponseCache({
+        maxBytes: RESPONSE_CACHE_BYTES,
+        diskDir: RESPONSE_CACHE_DIR,
+        maxDiskBytes: RESPONSE_CACHE_DIR ? RESPONSE_CACHE_DISK_BYTES : 0
+    }) : null);
+
+    // Which proxied paths skip the sign-in gate or are refused (see lib/path-policy.js)
+    const pathPolicy = createPathPolicy({ publicPaths: PUBLIC_PATHS, blockedPaths: BLOCKED_PATHS });
+
+    // Members need a label that opens at least some content to sign in
+    const SIGN_IN_LABELS = Array.from(new Set([
+        ...ALLOWED_LABELS,
+        ...parsedAccessRules.flatMap(rule => rule.labels)
+    ]));
+
+    // Codes are stored hashed and bound to the requesting browser (see lib/verification-codes.js)
+    const codeStore = createCodeStore(verificationCodeQueries);
 
     const emailVerification = dependencies.emailVerification || (testMode ? {
         generateCode: () => Math.floor(100000 + Math.random() * 900000).toString(),
@@ -95,59 +347,68 @@ function createApp(testMode = false, dependencies = {}) {
             console.log(`[TEST] Sending email to ${email} with code ${code}`);
             return { messageId: 'test-message-id' };
         },
-        storeCode: async (email, code, expiresAt) => {
-            if (USE_FIRESTORE) {
-                await verificationCodeQueries.storeCode(email, code, expiresAt);
-            } else {
-                verificationCodeQueries.storeCode(email, code, expiresAt);
-            }
-        },
-        verifyCode: async (email, code) => {
-            const storedData = USE_FIRESTORE
-                ? await verificationCodeQueries.getCode(email)
-                : verificationCodeQueries.getCode(email);
-
-            if (!storedData || storedData.code !== code || storedData.expiresAt < Date.now()) {
-                if (storedData && storedData.expiresAt < Date.now()) {
-                    if (USE_FIRESTORE) {
-                        await verificationCodeQueries.deleteCode(email);
-                    } else {
-                        verificationCodeQueries.deleteCode(email);
-                    }
-                }
-                return false;
-            }
-
-            if (USE_FIRESTORE) {
-                await verificationCodeQueries.deleteCode(email);
-            } else {
-                verificationCodeQueries.deleteCode(email);
-            }
-            return true;
-        }
-    } : getEmailVerification({
+        storeCode: codeStore.storeCode,
+        verifyCode: codeStore.verifyCode
+    } : withCodeStore(getEmailVerification({
         brevoApiKey: process.env.BREVO_API_KEY,
         fromEmail: process.env.BREVO_FROM_EMAIL,
         fromName: process.env.BREVO_FROM_NAME || 'Travel Intelligence Club'
-    }));
+    })));
+
+    // Send emails with the shared library, but keep codes in our hashed store
+    function withCodeStore(sharedEmailVerification) {
+        return {
+            generateCode: () => sharedEmailVerification.generateCode(),
+            sendVerificationEmail: (...args) => sharedEmailVerification.sendVerificationEmail(...args),
+            storeCode: codeStore.storeCode,
+            verifyCode: codeStore.verifyCode
+        };
+    }
 
     // Custom HTML template for verification emails
-    const emailTemplate = (email, name, code, appName) => `
+    // Includes the code, a one-click sign-in link, or both
+    const buildEmailTemplate = ({ link }) => (email, name, code, appName) => `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
             <div style="background-color: #f5f5f5; padding: 40px; border-radius: 10px;">
-                <h2 style="color: #333; margin-bottom: 20px;">Verify Your Email</h2>
+                <h2 style="color: #333; margin-bottom: 20px;">${code ? 'Verify Your Email' : 'Sign In to Insights'}</h2>
                 <p style="font-size: 16px; color: #666; margin-bottom: 30px;">Hi ${name},</p>
-                <p style="font-size: 16px; color: #666; margin-bottom: 20px;">Please use the verification code below to sign in to Travel Intelligence Club Insights:</p>
+                ${link ? `
+                <p style="font-size: 16px; color: #666; margin-bottom: 20px;">Click the button below to sign in to Travel Intelligence Club Insights on this device:</p>
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${link}" style="background-color: #667eea; color: #fff; padding: 14px 28px; border-radius: 8px; font-size: 16px; font-weight: bold; text-decoration: none; display: inline-block;">Sign In</a>
+                </div>
+                ` : ''}
+                ${code ? `
+                <p style="font-size: 16px; color: #666; margin-bottom: 20px;">${link ? 'Or enter this' : 'Please use the'} verification code below to sign in to Travel Intelligence Club Insights:</p>
                 <div style="text-align: center; margin: 30px 0;">
                     <div style="background-color: #fff; padding: 20px; border-radius: 8px; font-size: 32px; font-weight: bold; letter-spacing: 8px; color: #333; border: 2px solid #333; display: inline-block;">
                         ${code}
                     </div>
                 </div>
-                <p style="font-size: 14px; color: #999; text-align: center;">This code will expire in 10 minutes.</p>
+                ` : ''}
+                <p style="font-size: 14px; color: #999; text-align: center;">This ${code && link ? 'code and link' : code ? 'code' : 'link'} will expire in 10 minutes.</p>
             </div>
         </div>
     `;
 
+    // Revoking lost passkeys after an email sign-in; the member is told by email
+    const passkeyRecovery = createPasskeyRecovery({
+        passkeyStore,
+        securityEventQueries,
+        sessionStore,
+        notify: ({ email, revoked, sessionsEnded, at, ip }) => emailVerification.sendVerificationEmail(email, null, null, {
+            subject: 'Your Travel Intelligence Club Insights passkeys were removed',
+            appName: 'Travel Intelligence Club Insights',
+            htmlTemplate: buildRecoveryEmailTemplate({
+                revoked,
+                sessionsEnded,
+                at,
+                ip,
+                accountUrl: `${ORIGIN}/account`
+            })
+        })
+    });
+
     // Initialize PasskeyAuth from shared library (with dependency injection support)
     const passkeyAuth = dependencies.passkeyAuth || getPasskeyAuth({
         rpName: RP_NAME,
@@ -161,29 +422,81 @@ function createApp(testMode = false, dependencies = {}) {
             return next();
         }
 
+        // Remember where the member was going (same-origin paths only)
+        const returnTo = ['GET', 'HEAD'].includes(req.method)
+            ? sanitizeReturnTo(req.originalUrl, ORIGIN)
+            : null;
+
         // Redirect to SSO provider (bear.flights)
-        const callbackUrl = `${ORIGIN}/auth/callback`;
+        const callbackUrl = returnTo && returnTo !== '/'
+            ? `${ORIGIN}/auth/callback?returnTo=${encodeURIComponent(returnTo)}`
+            : `${ORIGIN}/auth/callback`;
         const ssoUrl = `${SSO_PROVIDER_URL}/auth?redirect=${encodeURIComponent(callbackUrl)}`;
         res.redirect(ssoUrl);
     }
 
-    // Middleware to check if user has required labels
-    function requireLabels(req, res, next) {
-        if (!req.session || !req.session.userLabels) {
+    // Middleware to re-fetch labels from Ghost once the session's copy is older than the refresh interval
+    // Members removed from Ghost are signed out; members who lost their labels keep a session
+    // with the new labels, which requireAccess then denies
+    async function refreshLabels(req, res, next) {
+        if (!req.session || !req.session.authenticated) {
+            return next();
+        }
+
+        const now = Date.now();
+        if (now - (req.session.labelsCheckedAt || 0) < LABEL_REFRESH_INTERVAL_MS) {
+            return next();
+        }
+
+        let member;
+        try {
+            member = await memberCache.get(req.session.userEmail);
+        } catch (error) {
+            // Ghost unavailable: keep the current labels and try again shortly
+            console.error('Error refreshing member labels:', error);
+            req.session.labelsCheckedAt = now - LABEL_REFRESH_INTERVAL_MS + LABEL_REFRESH_RETRY_MS;
+            return next();
+        }
+
+        if (!member) {
+            try {
+                await destroySession(req, res);
+            } catch (error) {
+                console.error('Error ending session for removed member:', error);
+            }
             return res.status(403).json({
                 error: 'Access denied',
-                message: 'You do not have permission to access this content.',
+                message: 'Your membership could not be found. Please sign in again.',
                 redirectUrl: 'https://travelintelligence.club'
             });
         }
 
-        const userLabels = req.session.userLabels || [];
-        const hasAccess = userLabels.some(label => ALLOWED_LABELS.includes(label));
+        req.session.userLabels = getMemberLabels(member);
+        req.session.labelsCheckedAt = now;
+        next();
+    }
+
+    // Middleware to check the user's labels against the access rule for the path
+    async function requireAccess(req, res, next) {
+        const userLabels = (req.session && req.session.userLabels) || [];
+
+        let result;
+        try {
+            result = await accessRules.check(req.path, userLabels);
+        } catch (error) {
+            // Post metadata unavailable: don't guess which tier the content needs
+            console.error('Error checking access rules:', error);
+            return res.status(503).json({
+                error: 'Service unavailable',
+                message: 'Unable to check access to this content. Please try again shortly.'
+            });
+        }
 
-        if (!hasAccess) {
+        if (!result.allowed) {
             return res.status(403).json({
                 error: 'Access denied',
-                message: 'You need to join Travel Intelligence Club to access insights.',
+                message: `This content is for ${result.rule.tier} members.`,
+                requiredTier: result.rule.tier,
                 redirectUrl: 'https://travelintelligence.club'
             });
         }
@@ -191,18 +504,178 @@ function createApp(testMode = false, dependencies = {}) {
         next();
     }
 
+    // Extract label names from a Ghost member
+    function getMemberLabels(member) {
+        return (member.labels || []).map(l => l.name);
+    }
+
+    // Check if any of the labels grants access
+    function hasAllowedLabel(userLabels) {
+        return userLabels.some(label => SIGN_IN_LABELS.includes(label));
+    }
+
+    // Create the session (shared library helper) and note that its labels are fresh
+    // method: how the member proved who they are ('email', 'passkey' or 'sso')
+    function startMemberSession(req, user, method, authTime = Date.now()) {
+        createAuthSession(req, user);
+        markAuthenticated(req.session, authTime, method);
+        req.session.labelsCheckedAt = Date.now();
+        recordSessionClient(req);
+
+        // Now and then, warn about and disable unused passkeys; not awaited, so the
+        // sign-in doesn't wait for the scan (it never throws)
+        stalePolicy.pruneIfDue();
+    }
+
+    // Note where a session is used from; only written when it changes
+    function recordSessionClient(req) {
+        const userAgent = (req.get('User-Agent') || '').slice(0, 256) || null;
+        if (req.session.clientIp !== req.ip) {
+            req.session.clientIp = req.ip;
+        }
+        if (req.session.clientUserAgent !== userAgent) {
+            req.session.clientUserAgent = userAgent;
+        }
+    }
+
+    // Give a just-registered passkey a name from its AAGUID and the browser, unless it has one
+    async function nameNewPasskey(req, credential, registrationInfo) {
+        const deviceName = defaultDeviceName({
+            aaguid: (registrationInfo && registrationInfo.aaguid) || getAaguid(credential),
+            userAgent: req.get('User-Agent')
+        });
+        const passkey = deviceName && credential && credential.id
+            ? await passkeyStore.findByCredentialId(credential.id)
+            : null;
+
+        if (!passkey) {
+            return null;
+        }
+        if (passkey.device_name || passkey.deviceName) {
+            return passkey.device_name || passkey.deviceName;
+        }
+        await passkeyStore.rename(req.session.userEmail, passkey.id, deviceName);
+        return deviceName;
+    }
+
+    // Remove a passkey @bear/sso stored although it breaks the registration policy.
+    // If that fails the passkey is disabled instead, so sign-in refuses it, and the
+    // failure is recorded. Returns whether the passkey was removed.
+    async function removeRejectedPasskey(req, credential, violation) {
+        const email = req.session.userEmail;
+        let passkey = null;
+        try {
+            passkey = await passkeyStore.findByCredentialId(credential.id);
+            if (passkey && await passkeyStore.remove(email, passkey.id)) {
+                return true;
+            }
+            throw new Error('Stored passkey not found');
+        } catch (error) {
+            let disabled = false;
+            if (passkey) {
+                try {
+                    await passkeyStore.disable(passkey, Date.now());
+                    disabled = true;
+                } catch (disableError) {
+                    console.error('Error disabling passkey:', disableError);
+                }
+            }
+            console.error(`SECURITY: could not remove a passkey that breaks the registration policy (${violation.code}) for ${email}${disabled ? ', disabled it instead' : ''}:`, error);
+            try {
+                await securityEventQueries.recordEvent({
+                    type: 'passkey_policy_removal_failed',
+                    email,
+                    credentialId: credential.id,
+                    details: { code: violation.code, error: error.message, disabled },
+                    ip: req.ip,
+                    userAgent: req.get('User-Agent') || null,
+                    createdAt: Date.now()
+                });
+            } catch (recordError) {
+                console.error('Error recording security event:', recordError);
+            }
+            return false;
+        }
+    }
+
+    // Middleware for JSON APIs that need a signed-in member
+    function requireApiAuth(req, res, next) {
+        if (!req.session || !req.session.authenticated || !req.session.userEmail) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+        next();
+    }
+
+    // Keep the challenge from a set of WebAuthn options for this session
+    async function issueChallenge(req, purpose, options, email = null, ttlMs) {
+        const id = await challengeStore.issue(req.sessionID, {
+            challenge: options.challenge,
+            purpose,
+            email,
+            ttlMs
+        });
+        req.session.passkeyChallengeIds = { ...req.session.passkeyChallengeIds, [purpose]: id };
+    }
+
+    // Take this session's challenge (once) and check the authenticator signed it
+    // Returns { challenge, email } or null
+    async function consumeChallenge(req, purpose, credential) {
+        const ids = req.session.passkeyChallengeIds || {};
+        const id = ids[purpose];
+        if (id) {
+            delete ids[purpose];
+            req.session.passkeyChallengeIds = ids;
+        }
+
+        const stored = await challengeStore.consume(id, req.sessionID, purpose);
+        if (!stored || getClientChallenge(credential) !== stored.challenge) {
+            return null;
+        }
+        return stored;
+    }
+
+    // Step-up check for sensitive operations, after requireApiAuth
+    const requireRecentAuth = createRecentAuthCheck({ maxAgeMs: STEP_UP_MAX_AGE_MS });
+
+    // Recovery also needs that sign-in to have been by email, after requireRecentAuth
+    const requireEmailAuth = createEmailAuthCheck();
+
+    // API endpoints only for members listed in ADMIN_EMAILS
+    function requireAdmin(req, res, next) {
+        if (!ADMIN_EMAILS.includes(String(req.session.userEmail).toLowerCase())) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+        next();
+    }
+
+    // Respond with 429 and a Retry-After header
+    function sendTooManyAttempts(res, retryAfter, message) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            error: 'Too many attempts',
+            message: message || `Too many attempts. Please try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+            retryAfter
+        });
+    }
+
     // ========================================
     // AUTH ROUTES
     // ========================================
 
     // Sign-in page
     app.get('/signin', (req, res) => {
-        if (req.session && req.session.authenticated) {
-            return res.redirect('/');
+        // ?reauth=1 asks a signed-in member to authenticate again (see requireRecentAuth)
+        if (req.session && req.session.authenticated && !req.query.reauth) {
+            return res.redirect(sanitizeReturnTo(req.query.returnTo, ORIGIN) || '/');
         }
         res.sendFile(path.join(__dirname, 'public', 'signin.html'));
     });
 
+    // Account page (passkey management)
+    app.get('/account', requireAuth, (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'account.html'));
+    });
+
     // JWT SSO Callback - receives token from bear.flights
     app.get('/auth/callback', async (req, res) => {
         try {
@@ -212,39 +685,162 @@ function createApp(testMode = false, dependencies = {}) {
                 return res.status(400).send('Missing authentication token');
             }
 
-            // Verify token with SESSION_SECRET
-            const sessionSecret = process.env.SESSION_SECRET || 'insights-secret-change-in-production';
-            const decoded = jwt.verify(token, sessionSecret);
-
-            // Check issuer
-            if (decoded.iss !== 'bear.flights') {
-                return res.status(401).send('Invalid token issuer');
-            }
+            // Verify signature, issuer, audience, exp/nbf and one-time use
+            const decoded = await ssoTokens.verify(token);
 
             // Create session using shared library helper
-            createAuthSession(req, {
+            // auth_time is when the member actually signed in at bear.flights
+            startMemberSession(req, {
                 email: decoded.email,
                 name: decoded.name,
                 labels: decoded.labels || []
-            });
+            }, 'sso', decoded.auth_time ? decoded.auth_time * 1000 : Date.now());
 
-            // Redirect to homepage or original destination
-            res.redirect('/');
+            // Remember the bear.flights session so back-channel logout can find this one
+            if (decoded.sid) {
+                req.session.ssoSessionId = decoded.sid;
+            }
+
+            // Redirect to original destination or homepage
+            res.redirect(sanitizeReturnTo(req.query.returnTo, ORIGIN) || '/');
         } catch (error) {
+            if (error instanceof SsoTokenError) {
+                console.warn(`SSO callback rejected token: ${error.code}`);
+                return res.status(error.status).send(error.message);
+            }
             console.error('SSO callback error:', error);
             res.status(500).send('Authentication failed');
         }
     });
 
+    // Back-channel logout - called server-to-server by bear.flights when a member signs out there
+    // Body: logout_token=<signed JWT> (form-encoded or JSON), naming an email and/or sid
+    app.post('/auth/backchannel-logout', express.urlencoded({ extended: false }), async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+
+        try {
+            const token = req.body && req.body.logout_token;
+
+            if (!token) {
+                return res.status(400).json({ error: 'Missing logout token' });
+            }
+
+            const claims = await ssoTokens.verify(token, { logout: true });
+
+            let sessionsRevoked = 0;
+            if (claims.sid) {
+                sessionsRevoked += await sessionStore.destroyBySsoSession(claims.sid);
+            }
+            if (claims.email) {
+                sessionsRevoked += await sessionStore.destroyByUser(claims.email);
+            }
+
+            console.log(`Back-channel logout revoked ${sessionsRevoked} session(s)`);
+            res.json({ success: true, sessionsRevoked });
+        } catch (error) {
+            if (error instanceof SsoTokenError) {
+                console.warn(`Back-channel logout rejected token: ${error.code}`);
+                return res.status(error.status).json({ error: error.message, code: error.code });
+            }
+            console.error('Back-channel logout error:', error);
+            res.status(500).json({ error: 'Logout failed' });
+        }
+    });
+
+    // Ghost member webhooks - keep sessions and passkeys in line with Ghost
+    // Configure one webhook per event pointing at /webhooks/ghost/member.updated and
+    // /webhooks/ghost/member.deleted; Ghost doesn't name the event in the payload
+    app.post('/webhooks/ghost/:event', async (req, res) => {
+        const { event } = req.params;
+
+        if (!['member.updated', 'member.deleted'].includes(event)) {
+            return res.status(404).json({ error: 'Unsupported webhook event' });
+        }
+
+        if (!GHOST_WEBHOOK_SECRET) {
+            console.error('Ghost webhook received but GHOST_WEBHOOK_SECRET is not set');
+            return res.status(503).json({ error: 'Webhook not configured' });
+        }
+
+        if (!verifyGhostSignature(req.rawBody, req.get('X-Ghost-Signature'), GHOST_WEBHOOK_SECRET)) {
+            console.warn(`Ghost webhook ${event} rejected: invalid signature`);
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+
+        try {
+            const { current = {}, previous = {} } = (req.body && req.body.member) || {};
+            const result = { sessionsRevoked: 0, sessionsUpdated: 0, passkeysRemoved: 0 };
+
+            if (event === 'member.deleted') {
+                const email = previous.email || current.email;
+                if (!email) {
+                    return res.status(400).json({ error: 'Member email missing' });
+                }
+
+                memberCache.invalidate(email);
+                result.sessionsRevoked = await sessionStore.destroyByUser(email);
+                result.passkeysRemoved = await passkeyStore.deleteByEmail(email);
+            } else {
+                const email = current.email;
+                if (!email) {
+                    return res.status(400).json({ error: 'Member email missing' });
+                }
+
+                memberCache.invalidate(email);
+
+                // Ghost only sends changed fields in previous. Sessions and passkeys
+                // are tied to the email, so a changed email ends the old ones
+                if (previous.email && previous.email.toLowerCase() !== email.toLowerCase()) {
+                    memberCache.invalidate(previous.email);
+                    result.sessionsRevoked += await sessionStore.destroyByUser(previous.email);
+                    result.passkeysRemoved += await passkeyStore.deleteByEmail(previous.email);
+                }
+
+                if (previous.labels) {
+                    const userLabels = getMemberLabels(current);
+                    if (hasAllowedLabel(userLabels)) {
+                        const now = Date.now();
+                        result.sessionsUpdated = await sessionStore.updateByUser(email, (sess) => {
+                            sess.userLabels = userLabels;
+                            sess.labelsCheckedAt = now;
+                        });
+                    } else {
+                        // No label opens any content any more
+                        result.sessionsRevoked += await sessionStore.destroyByUser(email);
+                    }
+                }
+            }
+
+            console.log(`Ghost webhook ${event}: ${JSON.stringify(result)}`);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error(`Ghost webhook ${event} error:`, error);
+            res.status(500).json({ error: 'Webhook processing failed' });
+        }
+    });
+
     // Send verification code
     app.post('/api/auth/send-verification', async (req, res) => {
         try {
-            const { email, name } = req.body;
+            const { email, name, delivery = 'code', returnTo } = req.body;
 
             if (!email) {
                 return res.status(400).json({ error: 'Email is required' });
             }
 
+            if (!['code', 'link', 'both'].includes(delivery)) {
+                return res.status(400).json({ error: 'Delivery must be one of: code, link, both' });
+            }
+            if (delivery === 'link' && !magicLinks) {
+                return res.status(400).json({ error: 'Sign-in links are not enabled' });
+            }
+
+            // Limit how often codes can be requested for an email or from an IP
+            const sendAttempt = await sendLimiter.hit({ email, ip: req.ip });
+            if (!sendAttempt.allowed) {
+                return sendTooManyAttempts(res, sendAttempt.retryAfter, 'Too many verification codes requested. Please try again later.');
+            }
+
             // Check if user exists in Ghost
             const member = await ghostAPI.getMemberByEmail(email);
 
@@ -257,19 +853,38 @@ function createApp(testMode = false, dependencies = {}) {
             }
 
             // Generate and store verification code
-            const code = emailVerification.generateCode();
-            const expiresAt = Date.now() + (10 * 60 * 1000); // 10 minutes
+            let code = null;
+            if (delivery !== 'link') {
+                code = emailVerification.generateCode();
+                const expiresAt = Date.now() + (10 * 60 * 1000); // 10 minutes
+
+                // Only this browser's session can use the code
+                const nonce = generateNonce();
+                req.session.verificationNonce = nonce;
+
+                await emailVerification.storeCode(email, code, expiresAt, nonce);
+            }
 
-            await emailVerification.storeCode(email, code, expiresAt);
+            // Generate one-click sign-in link back to where the member started
+            // ('both' sends the code alone while links are not enabled)
+            const link = delivery !== 'code' && magicLinks
+                ? magicLinks.createLink(member.email, sanitizeReturnTo(returnTo, ORIGIN))
+                : null;
 
             // Send email
             await emailVerification.sendVerificationEmail(email, name || member.name, code, {
-                subject: 'Your Travel Intelligence Club Insights Verification Code',
+                subject: code
+                    ? 'Your Travel Intelligence Club Insights Verification Code'
+                    : 'Your Travel Intelligence Club Insights Sign-In Link',
                 appName: 'Travel Intelligence Club Insights',
-                htmlTemplate: emailTemplate
+                htmlTemplate: buildEmailTemplate({ link })
             });
 
-            res.json({ success: true, message: 'Verification code sent' });
+            res.json({
+                success: true,
+                message: code ? 'Verification code sent' : 'Sign-in link sent',
+                delivery: code && link ? 'both' : code ? 'code' : 'link'
+            });
         } catch (error) {
             console.error('Error sending verification code:', error);
             res.status(500).json({ error: 'Failed to send verification code' });
@@ -279,19 +894,37 @@ function createApp(testMode = false, dependencies = {}) {
     // Verify code and create session
     app.post('/api/auth/verify-code', async (req, res) => {
         try {
-            const { email, code } = req.body;
+            const { email, code, returnTo } = req.body;
 
             if (!email || !code) {
                 return res.status(400).json({ error: 'Email and code are required' });
             }
 
+            // Count the attempt before checking the code, so parallel guesses can't all
+            // get in before the first failure is recorded; refused while cooling down
+            const verifyAttempt = await verifyLimiter.hit({ email, ip: req.ip });
+            if (!verifyAttempt.allowed) {
+                return sendTooManyAttempts(res, verifyAttempt.retryAfter);
+            }
+
             // Verify code using shared library
-            const isValid = await emailVerification.verifyCode(email, code);
+            const isValid = await emailVerification.verifyCode(email, code, req.session.verificationNonce || null);
 
             if (!isValid) {
+                if (verifyAttempt.locked.length > 0) {
+                    // Too many failures: the current code can no longer be used
+                    await verificationCodeQueries.deleteCode(email);
+                    return sendTooManyAttempts(res, verifyAttempt.retryAfter, 'Too many failed attempts. Please request a new code later.');
+                }
+
                 return res.status(400).json({ error: 'Invalid or expired code' });
             }
 
+            // Not a failure after all: clear the email's count and take this one back from the IP
+            await verifyLimiter.reset({ email });
+            await verifyLimiter.forgive({ ip: req.ip });
+            delete req.session.verificationNonce;
+
             // Get user from Ghost
             const member = await ghostAPI.getMemberByEmail(email);
 
@@ -300,12 +933,10 @@ function createApp(testMode = false, dependencies = {}) {
             }
 
             // Extract label names
-            const userLabels = (member.labels || []).map(l => l.name);
+            const userLabels = getMemberLabels(member);
 
             // Check if user has access
-            const hasAccess = userLabels.some(label => ALLOWED_LABELS.includes(label));
-
-            if (!hasAccess) {
+            if (!hasAllowedLabel(userLabels)) {
                 return res.status(403).json({
                     error: 'Access denied',
                     message: 'You need to join Travel Intelligence Club to access insights.',
@@ -315,11 +946,20 @@ function createApp(testMode = false, dependencies = {}) {
             }
 
             // Create session using shared library helper
-            createAuthSession(req, {
+            startMemberSession(req, {
                 email: member.email,
                 name: member.name,
                 labels: userLabels
-            });
+            }, 'email');
+
+            // Offer a passkey to members who don't have one yet
+            // (the sign-in itself must not fail on this lookup)
+            let offerPasskey = false;
+            try {
+                offerPasskey = await enrollmentTracker.shouldOffer(member.email);
+            } catch (error) {
+                console.error('Error checking passkey enrollment:', error);
+            }
 
             res.json({
                 success: true,
@@ -328,7 +968,9 @@ function createApp(testMode = false, dependencies = {}) {
                     email: member.email,
                     name: member.name,
                     labels: userLabels
-                }
+                },
+                redirectTo: sanitizeReturnTo(returnTo, ORIGIN) || '/',
+                offerPasskey
             });
         } catch (error) {
             console.error('Error verifying code:', error);
@@ -336,23 +978,77 @@ function createApp(testMode = false, dependencies = {}) {
         }
     });
 
+    // Magic sign-in link from the verification email: a page that asks the member
+    // to continue, so email link scanners that open the link don't use it up
+    app.get('/auth/magic', (req, res) => {
+        if (!req.query.token || !magicLinks) {
+            return res.redirect('/signin?error=invalid_link');
+        }
+        res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' });
+        res.sendFile(path.join(__dirname, 'public', 'magic-link.html'));
+    });
+
+    // The page's form posts back to the link's URL, token included
+    app.post('/auth/magic', async (req, res) => {
+        try {
+            const { token } = req.query;
+
+            if (!token || !magicLinks) {
+                return res.redirect('/signin?error=invalid_link');
+            }
+
+            // Verify signature and expiry, and mark the link as used
+            const redeemed = await magicLinks.redeem(token);
+
+            if (!redeemed) {
+                return res.redirect('/signin?error=invalid_link');
+            }
+
+            // Get user from Ghost
+            const member = await ghostAPI.getMemberByEmail(redeemed.email);
+
+            if (!member) {
+                return res.redirect('/signin?error=not_found');
+            }
+
+            // Extract label names
+            const userLabels = getMemberLabels(member);
+
+            // Check if user has access
+            if (!hasAllowedLabel(userLabels)) {
+                return res.redirect('/signin?error=access_denied');
+            }
+
+            // Create session using shared library helper
+            startMemberSession(req, {
+                email: member.email,
+                name: member.name,
+                labels: userLabels
+            }, 'email');
+
+            // Back to the page the member started from
+            res.redirect(sanitizeReturnTo(redeemed.returnTo, ORIGIN) || '/');
+        } catch (error) {
+            console.error('Magic link error:', error);
+            res.redirect('/signin?error=server_error');
+        }
+    });
+
     // ========================================
     // PASSKEY ROUTES
     // ========================================
 
     // Start passkey registration
-    app.post('/api/passkey/register-start', async (req, res) => {
+    // Passkeys are always registered for the signed-in member, never an email from the request
+    app.post('/api/passkey/register-start', requireApiAuth, requireRecentAuth, async (req, res) => {
         try {
-            if (!req.session || !req.session.authenticated) {
-                return res.status(401).json({ error: 'Not authenticated' });
-            }
-
-            const { email, userName } = req.body;
-            const userEmail = email || req.session.userEmail;
-            const displayName = userName || req.session.userName || userEmail;
+            const userEmail = req.session.userEmail;
+            const displayName = req.body.userName || req.session.userName || userEmail;
 
             // Use PasskeyAuth to generate registration options
             const options = await passkeyAuth.generateRegistration(userEmail, displayName);
+            registrationPolicy.applyToOptions(options, registrationPolicy.forLabels(req.session.userLabels));
+            await issueChallenge(req, 'registration', options, userEmail);
 
             res.json(options);
         } catch (error) {
@@ -362,20 +1058,56 @@ function createApp(testMode = false, dependencies = {}) {
     });
 
     // Finish passkey registration
-    app.post('/api/passkey/register-finish', async (req, res) => {
+    app.post('/api/passkey/register-finish', requireApiAuth, requireRecentAuth, async (req, res) => {
         try {
-            if (!req.session || !req.session.authenticated) {
-                return res.status(401).json({ error: 'Not authenticated' });
+            const { credential } = req.body;
+            const userEmail = req.session.userEmail;
+
+            // Must answer the challenge this session was given, for this member
+            const challenge = await consumeChallenge(req, 'registration', credential);
+            if (!challenge || challenge.email !== userEmail) {
+                return res.status(400).json({ error: 'Passkey challenge expired or invalid. Please try again.' });
             }
 
-            const { email, credential } = req.body;
-            const userEmail = email || req.session.userEmail;
+            // Refuse what the browser's response already shows breaks the policy,
+            // before @bear/sso verifies and stores the passkey
+            const policy = registrationPolicy.forLabels(req.session.userLabels);
+            const earlyViolation = registrationPolicy.precheck(policy, credential);
+            if (earlyViolation) {
+                return res.status(400).json({ error: earlyViolation.message, code: earlyViolation.code });
+            }
 
             // Use PasskeyAuth to verify and store registration
             const result = await passkeyAuth.verifyRegistration(userEmail, credential);
 
+            // @bear/sso has stored the passkey by now, so one that breaks the policy is removed again
+            const violation = result.verified && registrationPolicy.check(
+                policy,
+                { credential, registrationInfo: result.registrationInfo }
+            );
+            if (violation) {
+                if (!await removeRejectedPasskey(req, credential, violation)) {
+                    return res.status(500).json({ error: 'Failed to complete passkey registration', code: violation.code });
+                }
+                return res.status(400).json({ error: violation.message, code: violation.code });
+            }
+
             if (result.verified) {
-                res.json({ success: true, message: 'Passkey registered successfully' });
+                // The passkey is stored either way; don't report a failure for the statistics
+                try {
+                    await enrollmentTracker.recordEnrolled(userEmail);
+                } catch (error) {
+                    console.error('Error recording passkey enrollment:', error);
+                }
+
+                let deviceName = null;
+                try {
+                    deviceName = await nameNewPasskey(req, credential, result.registrationInfo);
+                } catch (error) {
+                    console.error('Error naming passkey:', error);
+                }
+
+                res.json({ success: true, message: 'Passkey registered successfully', deviceName });
             } else {
                 res.status(400).json({ error: 'Failed to verify passkey registration' });
             }
@@ -386,12 +1118,27 @@ function createApp(testMode = false, dependencies = {}) {
     });
 
     // Start passkey authentication
+    // mode: 'conditional' starts an autofill request (discoverable credentials only)
+    // that runs alongside the button flow with its own, longer-lived challenge
     app.post('/api/passkey/login-start', async (req, res) => {
         try {
-            const { email } = req.body;
+            const { email, mode } = req.body;
+
+            if (mode !== undefined && mode !== 'conditional') {
+                return res.status(400).json({ error: 'Unknown passkey login mode' });
+            }
+
+            if (mode === 'conditional') {
+                const options = await passkeyAuth.generateAuthentication(null);
+                options.timeout = CONDITIONAL_CHALLENGE_TTL_MS;
+                await issueChallenge(req, 'conditional', options, null, CONDITIONAL_CHALLENGE_TTL_MS);
+
+                return res.json(options);
+            }
 
             // Email is optional - if not provided, use discoverable credentials
             const options = await passkeyAuth.generateAuthentication(email || null);
+            await issueChallenge(req, 'authentication', options, email || null);
 
             res.json(options);
         } catch (error) {
@@ -403,15 +1150,65 @@ function createApp(testMode = false, dependencies = {}) {
     // Finish passkey authentication
     app.post('/api/passkey/login-finish', async (req, res) => {
         try {
-            const { email, credential } = req.body;
+            const { credential, returnTo, mode } = req.body;
+
+            // Must answer the challenge this session was given by login-start (in the same mode)
+            const challenge = await consumeChallenge(req, mode === 'conditional' ? 'conditional' : 'authentication', credential);
+            if (!challenge) {
+                return res.status(400).json({ error: 'Passkey challenge expired or invalid. Please try again.' });
+            }
 
-            // Email is optional - the credential itself contains the user email
-            const result = await passkeyAuth.verifyAuthentication(email || null, credential);
+            // Read the stored counter before verification can move it on
+            const passkey = credential && credential.id
+                ? await passkeyStore.findByCredentialId(credential.id)
+                : null;
+
+            const userAgent = (req.get('User-Agent') || '').slice(0, 256) || null;
+
+            // Email (from login-start) is optional - the credential itself contains the user email
+            let result;
+            try {
+                result = await passkeyAuth.verifyAuthentication(challenge.email, credential);
+            } catch (error) {
+                // The verifier refuses a counter that did not go up before the counter guard sees it
+                const counters = parseCounterError(error);
+                if (!counters) {
+                    throw error;
+                }
+                try {
+                    await counterGuard.recordRefused(passkey, counters, { email: challenge.email, ip: req.ip, userAgent });
+                } catch (recordError) {
+                    console.error('Error recording security event:', recordError);
+                }
+                return res.status(403).json({
+                    error: 'This passkey could not be used because it may have been copied. Sign in with your email instead.',
+                    code: 'passkey_counter_regression'
+                });
+            }
 
             if (!result.verified) {
                 return res.status(400).json({ error: 'Failed to verify passkey' });
             }
 
+            const counterCheck = await counterGuard.check(
+                passkey,
+                result.authenticationInfo && result.authenticationInfo.newCounter,
+                { email: result.email, ip: req.ip, userAgent }
+            );
+            if (!counterCheck.allowed) {
+                return res.status(403).json({
+                    error: 'This passkey has been disabled because it may have been copied. Sign in with your email and remove it from your account.',
+                    code: 'passkey_flagged'
+                });
+            }
+
+            if (passkey && isDisabled(passkey)) {
+                return res.status(403).json({
+                    error: 'This passkey was turned off because it had not been used for a long time. Sign in with your email and add a new one.',
+                    code: 'passkey_disabled'
+                });
+            }
+
             // Get user from Ghost
             const member = await ghostAPI.getMemberByEmail(result.email);
 
@@ -420,12 +1217,10 @@ function createApp(testMode = false, dependencies = {}) {
             }
 
             // Extract label names
-            const userLabels = (member.labels || []).map(l => l.name);
+            const userLabels = getMemberLabels(member);
 
             // Check if user has access
-            const hasAccess = userLabels.some(label => ALLOWED_LABELS.includes(label));
-
-            if (!hasAccess) {
+            if (!hasAllowedLabel(userLabels)) {
                 return res.status(403).json({
                     error: 'Access denied',
                     message: 'You need to join Travel Intelligence Club to access insights.',
@@ -435,11 +1230,19 @@ function createApp(testMode = false, dependencies = {}) {
             }
 
             // Create session using shared library helper
-            createAuthSession(req, {
+            startMemberSession(req, {
                 email: member.email,
                 name: member.name,
                 labels: userLabels
-            });
+            }, 'passkey');
+
+            if (passkey) {
+                try {
+                    await passkeyStore.recordUse(passkey, { ip: req.ip, userAgent });
+                } catch (error) {
+                    console.error('Error recording passkey use:', error);
+                }
+            }
 
             res.json({
                 success: true,
@@ -448,7 +1251,8 @@ function createApp(testMode = false, dependencies = {}) {
                     email: member.email,
                     name: member.name,
                     labels: userLabels
-                }
+                },
+                redirectTo: sanitizeReturnTo(returnTo, ORIGIN) || '/'
             });
         } catch (error) {
             console.error('Error finishing passkey authentication:', error);
@@ -456,6 +1260,169 @@ function createApp(testMode = false, dependencies = {}) {
         }
     });
 
+    // Record how the member responded to the enrollment prompt after sign-in
+    // outcome: 'shown' when the prompt is displayed, 'declined' for "Not now"
+    app.post('/api/passkey/enrollment', requireApiAuth, async (req, res) => {
+        try {
+            const { outcome } = req.body;
+
+            if (outcome === 'shown') {
+                await enrollmentTracker.recordShown(req.session.userEmail);
+            } else if (outcome === 'declined') {
+                await enrollmentTracker.recordDeclined(req.session.userEmail);
+            } else {
+                return res.status(400).json({ error: 'Outcome must be shown or declined' });
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error recording passkey enrollment:', error);
+            res.status(500).json({ error: 'Failed to record passkey enrollment' });
+        }
+    });
+
+    // Passkey enrollment numbers (ADMIN_EMAILS only)
+    app.get('/api/admin/passkey-enrollment', requireApiAuth, requireAdmin, async (req, res) => {
+        try {
+            res.json(await enrollmentTracker.stats());
+        } catch (error) {
+            console.error('Error reading passkey enrollment stats:', error);
+            res.status(500).json({ error: 'Failed to read passkey enrollment stats' });
+        }
+    });
+
+    // Passkeys flagged by the signature counter check (ADMIN_EMAILS only)
+    app.get('/api/admin/passkeys/flagged', requireApiAuth, requireAdmin, async (req, res) => {
+        try {
+            res.json({ credentials: await passkeyStore.listFlagged() });
+        } catch (error) {
+            console.error('Error listing flagged passkeys:', error);
+            res.status(500).json({ error: 'Failed to list flagged passkeys' });
+        }
+    });
+
+    // Warn about and disable unused passkeys now instead of waiting for the next automatic run (ADMIN_EMAILS only)
+    app.post('/api/admin/passkeys/prune', requireApiAuth, requireAdmin, async (req, res) => {
+        try {
+            res.json(await stalePolicy.prune());
+        } catch (error) {
+            console.error('Error pruning stale passkeys:', error);
+            res.status(500).json({ error: 'Failed to prune stale passkeys' });
+        }
+    });
+
+    // Drop cached Ghost responses, all of them or those under some paths (ADMIN_EMAILS only)
+    // Body (optional): { "paths": ["/assets/**", "/some-post/"] }
+    app.post('/api/admin/cache/purge', requireApiAuth, requireAdmin, (req, res) => {
+        const { paths } = req.body || {};
+
+        if (paths !== undefined && (!Array.isArray(paths) || paths.length === 0 || !paths.every(p => typeof p === 'string'))) {
+            return res.status(400).json({ error: 'paths must be a list of path patterns' });
+        }
+
+        let matchPath;
+        try {
+            matchPath = paths ? createPathMatcher(paths) : undefined;
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.json({ success: true, purged: responseCache ? responseCache.purge(matchPath) : 0 });
+    });
+
+    // Most recent security events, newest first (ADMIN_EMAILS only)
+    app.get('/api/admin/security-events', requireApiAuth, requireAdmin, async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+            res.json({ events: await securityEventQueries.getRecentEvents(limit) });
+        } catch (error) {
+            console.error('Error listing security events:', error);
+            res.status(500).json({ error: 'Failed to list security events' });
+        }
+    });
+
+    // List the current member's passkeys
+    app.get('/api/passkey/credentials', requireApiAuth, async (req, res) => {
+        try {
+            const credentials = await passkeyStore.listCredentials(req.session.userEmail);
+            res.json({ credentials: credentials.map(credential => ({ ...credential, ...stalePolicy.describe(credential) })) });
+        } catch (error) {
+            console.error('Error listing passkeys:', error);
+            res.status(500).json({ error: 'Failed to list passkeys' });
+        }
+    });
+
+    // Rename one of the current member's passkeys
+    app.patch('/api/passkey/credentials/:id', requireApiAuth, async (req, res) => {
+        try {
+            const deviceName = typeof req.body.deviceName === 'string' ? req.body.deviceName.trim() : '';
+
+            if (!deviceName || deviceName.length > 64) {
+                return res.status(400).json({ error: 'Device name must be 1-64 characters' });
+            }
+
+            const credential = await passkeyStore.rename(req.session.userEmail, req.params.id, deviceName);
+
+            if (!credential) {
+                return res.status(404).json({ error: 'Passkey not found' });
+            }
+
+            res.json({ success: true, credential });
+        } catch (error) {
+            console.error('Error renaming passkey:', error);
+            res.status(500).json({ error: 'Failed to rename passkey' });
+        }
+    });
+
+    // Delete one of the current member's passkeys
+    app.delete('/api/passkey/credentials/:id', requireApiAuth, requireRecentAuth, async (req, res) => {
+        try {
+            const deleted = await passkeyStore.remove(req.session.userEmail, req.params.id);
+
+            if (!deleted) {
+                return res.status(404).json({ error: 'Passkey not found' });
+            }
+
+            res.json({ success: true, message: 'Passkey deleted' });
+        } catch (error) {
+            console.error('Error deleting passkey:', error);
+            res.status(500).json({ error: 'Failed to delete passkey' });
+        }
+    });
+
+    // Account recovery: revoke lost passkeys after signing in with an email code
+    // Body: { "ids": ["1", "2"] } for a selection, or { "all": true }
+    app.post('/api/passkey/recovery', requireApiAuth, requireRecentAuth, requireEmailAuth, async (req, res) => {
+        try {
+            const { ids, all } = req.body;
+            const validIds = Array.isArray(ids) && ids.length > 0 && ids.every(id => typeof id === 'string' && id);
+
+            if (all !== true && !validIds) {
+                return res.status(400).json({ error: 'Choose the passkeys to remove' });
+            }
+
+            const result = await passkeyRecovery.revoke(req.session.userEmail, {
+                ids: all === true ? null : ids,
+                keepSession: req.sessionID,
+                ip: req.ip,
+                userAgent: (req.get('User-Agent') || '').slice(0, 256) || null
+            });
+
+            if (!result) {
+                return res.status(404).json({ error: 'Passkey not found' });
+            }
+
+            res.json({
+                success: true,
+                revoked: result.revoked.length,
+                sessionsEnded: result.sessionsEnded
+            });
+        } catch (error) {
+            console.error('Error recovering account:', error);
+            res.status(500).json({ error: 'Failed to remove passkeys' });
+        }
+    });
+
     // Logout
     app.post('/api/auth/logout', async (req, res) => {
         try {
@@ -483,47 +1450,75 @@ function createApp(testMode = false, dependencies = {}) {
     });
 
     // ========================================
-    // GHOST CONTENT PROXY
+    // SESSION MANAGEMENT
     // ========================================
 
-    // Proxy all other requests to Ghost CMS (with auth check)
-    app.use('/', requireAuth, requireLabels, async (req, res) => {
+    // List the current member's sessions
+    app.get('/api/sessions', requireApiAuth, async (req, res) => {
         try {
-            // Build Ghost URL
-            const ghostUrl = `${GHOST_CONTENT_URL}${req.path}`;
+            const sessions = await sessionStore.listByUser(req.session.userEmail);
+            res.json({
+                sessions: sessions.map(({ sid, ...details }) => ({
+                    ...details,
+                    current: sid === req.sessionID
+                }))
+            });
+        } catch (error) {
+            console.error('Error listing sessions:', error);
+            res.status(500).json({ error: 'Failed to list sessions' });
+        }
+    });
 
-            // Forward request to Ghost
-            const response = await axios({
-                method: req.method,
-                url: ghostUrl,
-                headers: {
-                    ...req.headers,
-                    host: new URL(GHOST_CONTENT_URL).host,
-                },
-                params: req.query,
-                data: req.body,
-                responseType: 'stream',
-                validateStatus: () => true, // Don't throw on any status
+    // Revoke every session of the current member
+    // ?keepCurrent=true signs out everywhere else but here
+    app.delete('/api/sessions', requireApiAuth, async (req, res) => {
+        try {
+            const keepCurrent = req.query.keepCurrent === 'true';
+            let sessionsRevoked = await sessionStore.destroyByUser(req.session.userEmail, {
+                except: req.sessionID
             });
 
-            // Copy status
-            res.status(response.status);
+            if (!keepCurrent) {
+                await destroySession(req, res);
+                sessionsRevoked++;
+            }
 
-            // Check if response is HTML
-            const contentType = response.headers['content-type'] || '';
-            const isHtml = contentType.includes('text/html');
+            res.json({ success: true, sessionsRevoked });
+        } catch (error) {
+            console.error('Error revoking sessions:', error);
+            res.status(500).json({ error: 'Failed to revoke sessions' });
+        }
+    });
 
-            if (isHtml) {
-                // Collect HTML content to inject SSO client
-                let htmlContent = '';
+    // Revoke one session of the current member (id from GET /api/sessions)
+    app.delete('/api/sessions/:id', requireApiAuth, async (req, res) => {
+        try {
+            const sessions = await sessionStore.listByUser(req.session.userEmail);
+            const target = sessions.find(s => s.id === req.params.id);
 
-                response.data.on('data', (chunk) => {
-                    htmlContent += chunk.toString();
-                });
+            if (!target) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            if (target.sid === req.sessionID) {
+                await destroySession(req, res);
+            } else {
+                await sessionStore.destroyByPublicId(req.session.userEmail, req.params.id);
+            }
 
-                response.data.on('end', () => {
-                    // Inject BearSSO client script before </body>
-                    const ssoScript = `
+            res.json({ success: true, current: target.sid === req.sessionID });
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            res.status(500).json({ error: 'Failed to revoke session' });
+        }
+    });
+
+    // ========================================
+    // GHOST CONTENT PROXY
+    // ========================================
+
+    // BearSSO client, injected into every proxied HTML page
+    const ssoClientSnippet = `
     <script src="${SSO_PROVIDER_URL}/sso-client.js"></script>
     <script>
         BearSSO.init({
@@ -538,41 +1533,185 @@ function createApp(testMode = false, dependencies = {}) {
             debug: true
         });
     </script>
-</body>`;
+`;
 
-                    const modifiedHtml = htmlContent.replace('</body>', ssoScript);
+    // Pages are cached per access tier: the labels the member has that any access rule uses
+    function accessTier(req) {
+        const userLabels = (req.session && req.session.userLabels) || [];
+        return SIGN_IN_LABELS.filter(label => userLabels.includes(label)).join(',');
+    }
 
-                    // Set headers
-                    Object.keys(response.headers).forEach(key => {
-                        // Skip some headers that shouldn't be forwarded
-                        if (!['connection', 'transfer-encoding', 'content-encoding', 'content-length'].includes(key.toLowerCase())) {
-                            res.set(key, response.headers[key]);
-                        }
-                    });
+    // Set headers as given: res.set would add '; charset=utf-8' to a text/* Content-Type
+    // without one, overriding the charset a page declares in <meta>
+    function setHeaders(res, headers) {
+        for (const [name, value] of Object.entries(headers)) {
+            res.setHeader(name, value);
+        }
+    }
 
-                    // Update content-length
-                    res.set('content-length', Buffer.byteLength(modifiedHtml));
+    // Send a cached response, or 304 when the browser already has it
+    function sendCached(req, res, entry, outcome) {
+        setHeaders(res, entry.headers);
+        // Entries are keyed by the encodings the browser accepts
+        res.vary('Accept-Encoding');
+        res.set('X-Cache', outcome);
 
-                    // Send modified HTML
-                    res.send(modifiedHtml);
-                });
+        if (isNotModified(req.headers, entry)) {
+            return res.status(304).end();
+        }
+        res.status(entry.status).end(entry.body);
+    }
 
-                response.data.on('error', (err) => {
-                    console.error('Error reading Ghost response:', err);
-                    res.status(502).json({ error: 'Failed to fetch content' });
-                });
+    // Middleware to send proxied requests to their canonical path, refuse blocked paths
+    // and mark public ones
+    function checkProxiedPath(req, res, next) {
+        const canonical = normalizePath(req.path);
+        if (canonical !== req.path) {
+            const query = req.originalUrl.indexOf('?');
+            return res.redirect(301, canonical + (query === -1 ? '' : req.originalUrl.slice(query)));
+        }
+
+        const kind = pathPolicy.classify(req.path);
+        if (kind === 'blocked') {
+            return res.status(404).json({ error: 'Not found' });
+        }
+
+        req.publicPath = kind === 'public';
+        next();
+    }
+
+    // Run a middleware only for paths that are not public
+    function unlessPublic(middleware) {
+        return (req, res, next) => (req.publicPath ? next() : middleware(req, res, next));
+    }
+
+    // Proxy all other requests to Ghost CMS (with auth check outside public paths)
+    app.use('/', checkProxiedPath, ...[requireAuth, refreshLabels, requireAccess].map(unlessPublic), async (req, res) => {
+        try {
+            // Build Ghost URL
+            const ghostUrl = `${GHOST_CONTENT_URL}${req.path}`;
+
+            const acceptEncoding = req.get('Accept-Encoding');
+
+            // Cached responses depend on the encodings the browser accepts, and pages also on
+            // the member's access tier. Ghost member cookies get personal pages, never cached
+            const cacheable = Boolean(responseCache) && req.method === 'GET'
+                && !/(?:^|;\s*)ghost-members-ssr=/.test(req.get('Cookie') || '');
+            const assetKey = `${req.originalUrl} ${upstreamAcceptEncoding(acceptEncoding)} ${negotiateEncoding(acceptEncoding)}`;
+            const pageKey = `${assetKey} ${accessTier(req)}`;
+            const cached = cacheable
+                ? (await responseCache.get(assetKey)) || (await responseCache.get(pageKey))
+                : null;
+
+            if (cached && responseCache.isFresh(cached)) {
+                return sendCached(req, res, cached, 'HIT');
+            }
+
+            // Forward request to Ghost, asking only for encodings we can decode
+            const headers = {
+                ...buildUpstreamHeaders(req, { ghostHost: new URL(GHOST_CONTENT_URL).host }),
+                'accept-encoding': upstreamAcceptEncoding(acceptEncoding),
+            };
+            if (cached) {
+                // Revalidate with Ghost's validators; the browser's may be ours
+                delete headers['if-none-match'];
+                delete headers['if-modified-since'];
+                if (cached.validators.etag) {
+                    headers['if-none-match'] = cached.validators.etag;
+                }
+                if (cached.validators.lastModified) {
+                    headers['if-modified-since'] = cached.validators.lastModified;
+                }
+            }
+
+            const response = await axios({
+                method: req.method,
+                url: ghostUrl,
+                headers,
+                params: req.query,
+                data: req.body,
+                responseType: 'stream',
+                decompress: false, // Keep Ghost's bytes; we decide the encoding
+                maxRedirects: 0, // Pass Ghost's redirects to the browser (rewritten below)
+                validateStatus: () => true, // Don't throw on any status
+            });
+
+            if (cached && response.status === 304) {
+                response.data.resume();
+                responseCache.refresh(cached, response.headers);
+                return sendCached(req, res, cached, 'REVALIDATED');
+            }
+
+            // Copy status
+            res.status(response.status);
+
+            // Check if response is HTML
+            const contentType = response.headers['content-type'] || '';
+            const isHtml = contentType.includes('text/html');
+
+            const hasBody = req.method !== 'HEAD' && ![204, 206, 304].includes(response.status);
+            const sourceEncoding = normalizeEncoding(response.headers['content-encoding']);
+            const inject = hasBody && isHtml && canInject(contentType);
+            const recode = hasBody && isSupportedEncoding(sourceEncoding)
+                && (inject || !acceptsEncoding(acceptEncoding, sourceEncoding));
+            const storable = cacheable && isStorableResponse(response.status, response.headers);
+
+            // Ghost's redirects and cookies for its own host point at the gateway instead
+            // (a rewritten body loses Ghost's encoding, length and ETag, which describe Ghost's bytes)
+            const forwardedHeaders = filterResponseHeaders(
+                response.headers,
+                recode ? ['content-encoding', 'content-length', 'etag'] : []
+            );
+            if (forwardedHeaders.location) {
+                forwardedHeaders.location = rewriteLocation(forwardedHeaders.location, { ghostUrl: GHOST_CONTENT_URL, origin: ORIGIN });
+            }
+            if (forwardedHeaders['set-cookie']) {
+                forwardedHeaders['set-cookie'] = rewriteSetCookie(forwardedHeaders['set-cookie'], { ghostUrl: GHOST_CONTENT_URL, origin: ORIGIN });
+            }
+            setHeaders(res, forwardedHeaders);
+
+            let stages;
+            if (recode) {
+                // Decode, inject the BearSSO client script before </body> for HTML,
+                // and compress again for the browser as the body streams through
+                const targetEncoding = negotiateEncoding(acceptEncoding);
+
+                if (targetEncoding !== 'identity') {
+                    res.set('content-encoding', targetEncoding);
+                }
+                res.vary('Accept-Encoding');
+
+                stages = [
+                    createDecoder(sourceEncoding),
+                    inject ? createBodyInjector(ssoClientSnippet) : null,
+                    createEncoder(targetEncoding)
+                ];
             } else {
-                // For non-HTML responses, stream as before
-                Object.keys(response.headers).forEach(key => {
-                    // Skip some headers that shouldn't be forwarded
-                    if (!['connection', 'transfer-encoding', 'content-encoding'].includes(key.toLowerCase())) {
-                        res.set(key, response.headers[key]);
-                    }
-                });
+                // Pass the bytes through untouched, with their encoding and length
+                stages = [];
+            }
 
-                // Stream response
-                response.data.pipe(res);
+            // Store what the browser gets once it has all of it
+            if (storable) {
+                stages.push(responseCache.record(isHtml ? pageKey : assetKey, {
+                    path: req.path,
+                    status: response.status,
+                    headers: res.getHeaders(),
+                    upstreamHeaders: response.headers
+                }));
+            } else if (cached) {
+                responseCache.remove(cached.key);
+            }
+            if (cacheable) {
+                res.set('X-Cache', 'MISS');
             }
+
+            pipeline(response.data, ...stages.filter(Boolean), res, (err) => {
+                // Headers are already sent by then, so a failure can only end the response
+                if (err) {
+                    console.error('Error reading Ghost response:', err);
+                }
+            });
         } catch (error) {
             console.error('Error proxying to Ghost:', error);
             res.status(502).json({ error: 'Failed to fetch content' });
@@ -0,0 +1,185 @@
+/**
+ * Access rules for proxied content
+ *
+ * Decides which member labels may see a path. A rule can match a path glob,
+ * Ghost tag slugs and post visibilities; every condition a rule names must
+ * hold. Rules are checked in order and the first match wins. Paths no rule
+ * matches fall back to the default rule (ALLOWED_LABELS).
+ *
+ * Feeds and newsletter web versions show many posts in full, so when a tag or
+ * visibility rule is reached for one of them, it needs labels that every such
+ * rule (and the default rule) accepts.
+ *
+ * Example configuration:
+ *   [
+ *     { "tag": "deep-dive", "labels": ["patron", "builder"], "tier": "Patron" },
+ *     { "path": "/reports/**", "labels": ["builder"], "tier": "Builder" },
+ *     { "visibility": "paid", "labels": ["explorer", "patron", "builder"], "tier": "Explorer" }
+ *   ]
+ */
+
+const { createPathMatcher } = require('./path-match');
+const { showsPostContent } = require('./ghost-posts');
+
+/**
+ * Invalid access rule configuration
+ */
+class AccessRulesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccessRulesError';
+  }
+}
+
+// Accept a single value or a list of values
+function toList(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function isStringList(list) {
+  return Array.isArray(list) && list.length > 0 && list.every(item => typeof item === 'string' && item.length > 0);
+}
+
+/**
+ * Validate and normalize a rules configuration
+ * @param {Array|string} config - Rules, or their JSON
+ * @returns {object[]} Normalized rules
+ * @throws {AccessRulesError}
+ */
+function parseAccessRules(config) {
+  let rules = config;
+  if (typeof config === 'string') {
+    try {
+      rules = JSON.parse(config);
+    } catch (error) {
+      throw new AccessRulesError(`Access rules are not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(rules)) {
+    throw new AccessRulesError('Access rules must be a list');
+  }
+
+  return rules.map((rule, index) => {
+    const paths = toList(rule.path);
+    const tags = toList(rule.tag);
+    const visibility = toList(rule.visibility);
+
+    if (!paths && !tags && !visibility) {
+      throw new AccessRulesError(`Access rule ${index} needs a path, tag or visibility`);
+    }
+    for (const [name, list] of [['path', paths], ['tag', tags], ['visibility', visibility]]) {
+      if (list && !isStringList(list)) {
+        throw new AccessRulesError(`Access rule ${index} has an invalid ${name}`);
+      }
+    }
+    if (!isStringList(rule.labels)) {
+      throw new AccessRulesError(`Access rule ${index} needs a non-empty list of labels`);
+    }
+
+    let matchPath = null;
+    if (paths) {
+      try {
+        matchPath = createPathMatcher(paths);
+      } catch (error) {
+        throw new AccessRulesError(`Access rule ${index}: ${error.message}`);
+      }
+    }
+
+    return {
+      matchPath,
+      tags: tags && tags.map(tag => tag.toLowerCase()),
+      visibility,
+      labels: rule.labels,
+      tier: typeof rule.tier === 'string' && rule.tier ? rule.tier : rule.labels.join(' or ')
+    };
+  });
+}
+
+/**
+ * Create the access check for proxied paths
+ * @param {object} options
+ * @param {object[]} options.rules - Output of parseAccessRules
+ * @param {object} options.defaultRule - { labels, tier } for paths no rule matches
+ * @param {object} [options.postLookup] - getPost(path), required for tag and visibility rules
+ */
+function createAccessRules({ rules, defaultRule, postLookup }) {
+  const needsPost = rules.some(rule => rule.tags || rule.visibility);
+  if (needsPost && !postLookup) {
+    throw new AccessRulesError('Tag and visibility rules need the Ghost Content API (GHOST_CONTENT_API_KEY)');
+  }
+
+  // For paths that show any post: the labels all post rules accept, named
+  // after the most exclusive of them
+  const postRules = rules.filter(rule => rule.tags || rule.visibility);
+  const postContentRule = needsPost
+    ? {
+      labels: defaultRule.labels.filter(label => postRules.every(rule => rule.labels.includes(label))),
+      tier: postRules.reduce((strictest, rule) => (rule.labels.length < strictest.labels.length ? rule : strictest)).tier
+    }
+    : null;
+
+  /**
+   * Find the rule that applies to a path
+   * @param {string} requestPath
+   * @returns {Promise<object>} The matching rule or the default rule
+   */
+  async function resolve(requestPath) {
+    let post;
+    let postLoaded = false;
+
+    for (const rule of rules) {
+      if (rule.matchPath && !rule.matchPath(requestPath)) {
+        continue;
+      }
+
+      if (rule.tags || rule.visibility) {
+        if (showsPostContent(requestPath)) {
+          return postContentRule;
+        }
+
+        // Only ask Ghost about the post once a rule depends on it
+        if (!postLoaded) {
+          post = await postLookup.getPost(requestPath);
+          postLoaded = true;
+        }
+        if (!post) {
+          continue;
+        }
+        if (rule.tags && !rule.tags.some(tag => post.tags.includes(tag))) {
+          continue;
+        }
+        if (rule.visibility && !rule.visibility.includes(post.visibility)) {
+          continue;
+        }
+      }
+
+      return rule;
+    }
+
+    return defaultRule;
+  }
+
+  /**
+   * Check a member's labels against the rule for a path
+   * @param {string} requestPath
+   * @param {string[]} userLabels
+   * @returns {Promise<{allowed: boolean, rule: object}>}
+   */
+  async function check(requestPath, userLabels) {
+    const rule = await resolve(requestPath);
+    const allowed = (userLabels || []).some(label => rule.labels.includes(label));
+    return { allowed, rule };
+  }
+
+  return { resolve, check };
+}
+
+module.exports = {
+  AccessRulesError,
+  createAccessRules,
+  parseAccessRules,
+};
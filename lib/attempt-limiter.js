@@ -0,0 +1,123 @@
+/**
+ * Attempt limiter for email verification
+ *
+ * Counts attempts per email and per IP address inside a rolling window and
+ * applies a cooldown once either counter reaches its limit. Counters are kept
+ * in attemptQueries (SQLite locally, Firestore in production) so every
+ * gateway instance sees the same state. An attempt is counted, in one
+ * transaction with the lockout check, before the guarded work runs, so
+ * parallel requests cannot all slip in under the limit. Counters whose window
+ * has passed are deleted now and then as attempts are counted.
+ */
+
+const { createPeriodicCleanup } = require('./periodic-cleanup');
+
+/**
+ * Create a limiter for one kind of attempt (e.g. sending or verifying codes)
+ * @param {object} attemptQueries - updateAttempts / deleteAttempt / cleanupExpiredAttempts
+ * @param {object} options
+ * @param {string} options.scope - Key prefix, e.g. 'verify'
+ * @param {object} options.limits - Max attempts per window, e.g. { email: 5, ip: 20 }
+ * @param {number} options.windowMs - Window in which attempts are counted
+ * @param {number} options.lockoutMs - Cooldown applied once a limit is reached
+ * @param {number} [options.cleanupIntervalMs] - Minimum time between cleanups of old counters
+ */
+function createAttemptLimiter(attemptQueries, { scope, limits, windowMs, lockoutMs, cleanupIntervalMs = 60 * 1000 }) {
+  // Counters (of every scope) whose window has passed and that are not locked
+  const cleanupExpired = createPeriodicCleanup(
+    'attempt counters',
+    () => attemptQueries.cleanupExpiredAttempts(Date.now() - windowMs),
+    cleanupIntervalMs
+  );
+
+  // Build the counter keys for the subject dimensions we have limits for
+  function keysFor(subject) {
+    return Object.keys(limits)
+      .filter(dimension => subject[dimension])
+      .map(dimension => ({
+        dimension,
+        key: `${scope}:${dimension}:${String(subject[dimension]).toLowerCase()}`,
+        max: limits[dimension]
+      }));
+  }
+
+  /**
+   * Count an attempt against every dimension of the subject, unless one is locked out
+   * @param {object} subject - { email, ip }
+   * @returns {Promise<{allowed: boolean, retryAfter: number, locked: string[]}>} Whether the attempt
+   *   may go ahead, the cooldown in seconds and the dimensions this attempt locked (it still goes ahead)
+   */
+  async function hit(subject) {
+    const dimensions = keysFor(subject);
+    if (dimensions.length === 0) {
+      return { allowed: true, retryAfter: 0, locked: [] };
+    }
+
+    let result;
+    await attemptQueries.updateAttempts(dimensions.map(({ key }) => key), (attempts) => {
+      const now = Date.now();
+
+      const retryAfterMs = Math.max(0, ...attempts.map(attempt => (
+        attempt && attempt.lockedUntil ? attempt.lockedUntil - now : 0
+      )));
+      if (retryAfterMs > 0) {
+        result = { allowed: false, retryAfter: Math.ceil(retryAfterMs / 1000), locked: [] };
+        return null;
+      }
+
+      const locked = [];
+      const updated = attempts.map((attempt, index) => {
+        const { dimension, max } = dimensions[index];
+        const windowExpired = !attempt || attempt.windowStart + windowMs <= now;
+
+        if ((windowExpired ? 1 : attempt.count + 1) >= max) {
+          // Start the cooldown and a fresh window once it has passed
+          locked.push(dimension);
+          return { count: 0, windowStart: now + lockoutMs, lockedUntil: now + lockoutMs };
+        }
+        return windowExpired
+          ? { count: 1, windowStart: now, lockedUntil: null }
+          : { count: attempt.count + 1, windowStart: attempt.windowStart, lockedUntil: null };
+      });
+
+      result = {
+        allowed: true,
+        retryAfter: locked.length > 0 ? Math.ceil(lockoutMs / 1000) : 0,
+        locked
+      };
+      return updated;
+    });
+
+    await cleanupExpired();
+    return result;
+  }
+
+  /**
+   * Take back one counted attempt that turned out not to be a failure (locks stay)
+   * @param {object} subject - { email, ip }
+   */
+  async function forgive(subject) {
+    const dimensions = keysFor(subject);
+    if (dimensions.length === 0) {
+      return;
+    }
+
+    await attemptQueries.updateAttempts(dimensions.map(({ key }) => key), attempts => attempts.map(attempt => (
+      attempt && attempt.count > 0 ? { ...attempt, count: attempt.count - 1 } : null
+    )));
+  }
+
+  /**
+   * Clear counters for the subject (e.g. after a successful sign-in)
+   * @param {object} subject - { email, ip }
+   */
+  async function reset(subject) {
+    for (const { key } of keysFor(subject)) {
+      await attemptQueries.deleteAttempt(key);
+    }
+  }
+
+  return { hit, forgive, reset };
+}
+
+module.exports = { createAttemptLimiter };
@@ -0,0 +1,99 @@
+/**
+ * WebAuthn challenge store
+ *
+ * Challenges from register-start / login-start are stored under a random id
+ * that is kept in the requesting session, together with that session's ID.
+ * Usernameless logins (discoverable credentials) have no email to key on, so
+ * parallel logins each get their own challenge instead of overwriting a
+ * shared one. A challenge is deleted the moment it is used, and expired ones
+ * are cleaned up while new ones are issued.
+ */
+
+const crypto = require('crypto');
+const { createPeriodicCleanup } = require('./periodic-cleanup');
+
+/**
+ * Read the challenge the authenticator signed from a WebAuthn response
+ * @param {object} credential - JSON from SimpleWebAuthn startRegistration/startAuthentication
+ * @returns {string|null} base64url challenge, or null if it cannot be read
+ */
+function getClientChallenge(credential) {
+  try {
+    const clientData = JSON.parse(
+      Buffer.from(credential.response.clientDataJSON, 'base64url').toString('utf8')
+    );
+    return typeof clientData.challenge === 'string' ? clientData.challenge : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create the challenge store
+ * @param {object} challengeQueries - See lib/db.js
+ * @param {object} [options]
+ * @param {number} [options.ttlMs] - How long a challenge can be answered
+ * @param {number} [options.cleanupIntervalMs] - Minimum time between cleanups of expired challenges
+ */
+function createChallengeStore(challengeQueries, { ttlMs = 10 * 60 * 1000, cleanupIntervalMs = 60 * 1000 } = {}) {
+  // Expired challenges are never read again; remove them now and then
+  const cleanupExpired = createPeriodicCleanup(
+    'passkey challenges',
+    () => challengeQueries.cleanupExpiredChallenges(),
+    cleanupIntervalMs
+  );
+
+  /**
+   * Store a challenge for one session
+   * @param {string} sessionId - req.sessionID
+   * @param {object} details
+   * @param {string} details.challenge - From the generated options
+   * @param {string} details.purpose - 'registration' or 'authentication'
+   * @param {string|null} [details.email] - Member the ceremony is for, if known
+   * @param {number} [details.ttlMs] - Overrides the store's lifetime (e.g. for autofill requests)
+   * @returns {Promise<string>} Challenge id to keep in the session
+   */
+  async function issue(sessionId, { challenge, purpose, email = null, ttlMs: lifetimeMs = ttlMs }) {
+    await cleanupExpired();
+
+    const id = crypto.randomBytes(24).toString('base64url');
+    await challengeQueries.storeChallenge(id, {
+      sessionId,
+      purpose,
+      email,
+      challenge,
+      expiresAt: Date.now() + lifetimeMs
+    });
+    return id;
+  }
+
+  /**
+   * Take a challenge out of the store; it can only be used once
+   * @param {string} id - From issue()
+   * @param {string} sessionId - Must be the session it was issued to
+   * @param {string} purpose - Must match the purpose it was issued for
+   * @returns {Promise<{challenge: string, email: string|null}|null>} null if unknown, expired or not this session's
+   */
+  async function consume(id, sessionId, purpose) {
+    if (!id) {
+      return null;
+    }
+
+    const row = await challengeQueries.takeChallenge(id);
+    if (!row) {
+      return null;
+    }
+
+    if (row.sessionId !== sessionId || row.purpose !== purpose || row.expiresAt <= Date.now()) {
+      return null;
+    }
+    return { challenge: row.challenge, email: row.email || null };
+  }
+
+  return { issue, consume };
+}
+
+module.exports = {
+  createChallengeStore,
+  getClientChallenge,
+};
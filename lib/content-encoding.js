@@ -0,0 +1,159 @@
+/**
+ * Content-encoding negotiation
+ *
+ * The gateway decides the encoding of every proxied response. Ghost is only
+ * asked for encodings the gateway can decode and the browser accepts, so
+ * responses that are not rewritten pass through byte for byte with their own
+ * Content-Encoding and Content-Length. Responses that are rewritten (HTML with
+ * the SSO script), or that arrive in an encoding the browser did not accept,
+ * are decoded and compressed again with the browser's preferred encoding.
+ */
+
+const zlib = require('zlib');
+
+// In order of preference when the browser ranks several equally
+const SUPPORTED_ENCODINGS = ['br', 'gzip', 'deflate'];
+
+const DECODERS = {
+  br: () => zlib.createBrotliDecompress(),
+  gzip: () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate()
+};
+
+const ENCODERS = {
+  // Brotli's default quality (11) is too slow to compress pages as they stream
+  br: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } }),
+  gzip: () => zlib.createGzip(),
+  deflate: () => zlib.createDeflate()
+};
+
+/**
+ * Parse an Accept-Encoding header
+ * @param {string} [header]
+ * @returns {Map<string, number>} Encoding (lowercase, '*' included) to its q-value
+ */
+function parseAcceptEncoding(header) {
+  const accepted = new Map();
+
+  for (const part of (header || '').split(',')) {
+    const [name, ...params] = part.trim().split(';');
+    if (!name) {
+      continue;
+    }
+
+    let q = 1;
+    for (const param of params) {
+      const [key, value] = param.trim().split('=');
+      if (key.trim().toLowerCase() === 'q') {
+        const parsed = parseFloat(value);
+        q = Number.isNaN(parsed) ? 0 : Math.min(Math.max(parsed, 0), 1);
+      }
+    }
+    accepted.set(name.trim().toLowerCase(), q);
+  }
+
+  return accepted;
+}
+
+/**
+ * Normalize a Content-Encoding header
+ * @param {string} [value]
+ * @returns {string} e.g. 'gzip', or 'identity' when the body is not encoded
+ */
+function normalizeEncoding(value) {
+  const encoding = (value || '').trim().toLowerCase();
+  if (!encoding) {
+    return 'identity';
+  }
+  return encoding === 'x-gzip' ? 'gzip' : encoding;
+}
+
+/**
+ * Whether the gateway can decode an encoding (a list like 'gzip, br' is not supported)
+ * @param {string} encoding - From normalizeEncoding
+ * @returns {boolean}
+ */
+function isSupportedEncoding(encoding) {
+  return encoding === 'identity' || Object.hasOwn(DECODERS, encoding);
+}
+
+/**
+ * Whether the browser accepts an encoding
+ *
+ * Without an Accept-Encoding header only unencoded bodies are considered
+ * acceptable, which is what browsers that leave the header out expect.
+ * @param {string} [header] - The browser's Accept-Encoding
+ * @param {string} encoding - From normalizeEncoding
+ * @returns {boolean}
+ */
+function acceptsEncoding(header, encoding) {
+  const accepted = parseAcceptEncoding(header);
+
+  if (accepted.has(encoding)) {
+    return accepted.get(encoding) > 0;
+  }
+  if (encoding === 'identity') {
+    return !accepted.has('*') || accepted.get('*') > 0;
+  }
+  return accepted.has('*') && accepted.get('*') > 0;
+}
+
+/**
+ * Pick the encoding for a response the gateway compresses itself
+ * @param {string} [header] - The browser's Accept-Encoding
+ * @returns {string} 'br', 'gzip', 'deflate' or 'identity'
+ */
+function negotiateEncoding(header) {
+  const accepted = parseAcceptEncoding(header);
+  let best = 'identity';
+  let bestQ = 0;
+
+  for (const encoding of SUPPORTED_ENCODINGS) {
+    const q = accepted.has(encoding) ? accepted.get(encoding) : (accepted.get('*') || 0);
+    if (q > bestQ) {
+      best = encoding;
+      bestQ = q;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Accept-Encoding to send to Ghost: what both the gateway and the browser handle
+ * @param {string} [header] - The browser's Accept-Encoding
+ * @returns {string} e.g. 'br, gzip', or 'identity'
+ */
+function upstreamAcceptEncoding(header) {
+  const encodings = SUPPORTED_ENCODINGS.filter(encoding => acceptsEncoding(header, encoding));
+  return encodings.length > 0 ? encodings.join(', ') : 'identity';
+}
+
+/**
+ * Stream that decodes a body
+ * @param {string} encoding - A supported encoding
+ * @returns {import('stream').Transform|null} null for 'identity'
+ */
+function createDecoder(encoding) {
+  return encoding === 'identity' ? null : DECODERS[encoding]();
+}
+
+/**
+ * Stream that encodes a body
+ * @param {string} encoding - From negotiateEncoding
+ * @returns {import('stream').Transform|null} null for 'identity'
+ */
+function createEncoder(encoding) {
+  return encoding === 'identity' ? null : ENCODERS[encoding]();
+}
+
+module.exports = {
+  acceptsEncoding,
+  createDecoder,
+  createEncoder,
+  isSupportedEncoding,
+  negotiateEncoding,
+  normalizeEncoding,
+  parseAcceptEncoding,
+  upstreamAcceptEncoding,
+};
@@ -3,6 +3,20 @@ const path = require('path');
 
 const db = new Database(path.join(__dirname, '..', 'auth.db'));
 
+// Verification codes used to be stored in plain text. They only live for
+// 10 minutes, so drop an old-style table instead of migrating its rows.
+const verificationCodeColumns = db.prepare(`PRAGMA table_info(verification_codes)`).all();
+if (verificationCodeColumns.length > 0 && !verificationCodeColumns.some(c => c.name === 'code_hash')) {
+  db.exec(`DROP TABLE verification_codes`);
+}
+
+// Challenges used to be keyed by email. Same reasoning: they live for minutes,
+// so an old-style table is dropped.
+const challengeColumns = db.prepare(`PRAGMA table_info(challenges)`).all();
+if (challengeColumns.length > 0 && !challengeColumns.some(c => c.name === 'session_id')) {
+  db.exec(`DROP TABLE challenges`);
+}
+
 // Initialize database schema
 db.exec(`
   CREATE TABLE IF NOT EXISTS passkeys (
@@ -13,28 +27,108 @@ db.exec(`
     counter INTEGER DEFAULT 0,
     transports TEXT,
     device_name TEXT,
+    flagged_at INTEGER,
+    flag_reason TEXT,
+    last_used_at INTEGER,
+    last_used_ip TEXT,
+    last_used_user_agent TEXT,
+    use_count INTEGER DEFAULT 0,
+    stale_warned_at INTEGER,
+    disabled_at INTEGER,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
 
   CREATE TABLE IF NOT EXISTS challenges (
-    email TEXT PRIMARY KEY,
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    purpose TEXT NOT NULL,
+    email TEXT,
     challenge TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    expires_at INTEGER NOT NULL
   );
 
   CREATE TABLE IF NOT EXISTS verification_codes (
     email TEXT PRIMARY KEY,
-    code TEXT NOT NULL,
+    code_hash TEXT NOT NULL,
+    salt TEXT NOT NULL,
     expires_at INTEGER NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
 
+  CREATE TABLE IF NOT EXISTS verification_attempts (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL DEFAULT 0,
+    window_start INTEGER NOT NULL,
+    locked_until INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS used_tokens (
+    jti TEXT PRIMARY KEY,
+    expires_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    sid TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    email TEXT,
+    sso_session_id TEXT,
+    ip TEXT,
+    user_agent TEXT,
+    created_at INTEGER NOT NULL,
+    last_seen_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS security_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    email TEXT,
+    credential_id TEXT,
+    details TEXT,
+    ip TEXT,
+    user_agent TEXT,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS gateway_settings (
+    name TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS passkey_enrollment (
+    email TEXT PRIMARY KEY,
+    prompt_count INTEGER NOT NULL DEFAULT 0,
+    prompted_at INTEGER,
+    declined_at INTEGER,
+    enrolled_at INTEGER
+  );
+
   CREATE INDEX IF NOT EXISTS idx_passkeys_email ON passkeys(email);
   CREATE INDEX IF NOT EXISTS idx_passkeys_credential_id ON passkeys(credential_id);
-  CREATE INDEX IF NOT EXISTS idx_challenges_email ON challenges(email);
+  CREATE INDEX IF NOT EXISTS idx_challenges_expires_at ON challenges(expires_at);
   CREATE INDEX IF NOT EXISTS idx_verification_codes_email ON verification_codes(email);
+  CREATE INDEX IF NOT EXISTS idx_sessions_email ON sessions(email);
+  CREATE INDEX IF NOT EXISTS idx_sessions_sso_session_id ON sessions(sso_session_id);
+  CREATE INDEX IF NOT EXISTS idx_security_events_email ON security_events(email);
 `);
 
+// Passkeys created before credentials could be flagged, or their use tracked, lack these columns
+const passkeyColumns = db.prepare(`PRAGMA table_info(passkeys)`).all().map(c => c.name);
+[
+  ['flagged_at', 'INTEGER'],
+  ['flag_reason', 'TEXT'],
+  ['last_used_at', 'INTEGER'],
+  ['last_used_ip', 'TEXT'],
+  ['last_used_user_agent', 'TEXT'],
+  ['use_count', 'INTEGER DEFAULT 0'],
+  ['stale_warned_at', 'INTEGER'],
+  ['disabled_at', 'INTEGER'],
+].forEach(([name, type]) => {
+  if (!passkeyColumns.includes(name)) {
+    db.exec(`ALTER TABLE passkeys ADD COLUMN ${name} ${type}`);
+  }
+});
+
 // Passkey functions
 const passkeyQueries = {
   createPasskey: db.prepare(`
@@ -57,44 +151,95 @@ const passkeyQueries = {
   deletePasskey: db.prepare(`
     DELETE FROM passkeys WHERE id = ?
   `),
-};
 
-// Challenge functions (for WebAuthn verification)
-const challengeQueries = {
-  storeChallenge: db.prepare(`
-    INSERT OR REPLACE INTO challenges (email, challenge, created_at)
-    VALUES (?, ?, CURRENT_TIMESTAMP)
+  renamePasskey: db.prepare(`
+    UPDATE passkeys SET device_name = ? WHERE id = ?
+  `),
+
+  flagPasskey: db.prepare(`
+    UPDATE passkeys SET flagged_at = ?, flag_reason = ? WHERE id = ?
+  `),
+
+  getFlaggedPasskeys: db.prepare(`
+    SELECT * FROM passkeys WHERE flagged_at IS NOT NULL ORDER BY flagged_at DESC
+  `),
+
+  // A login clears any stale warning, since the passkey is evidently still in use
+  recordPasskeyUse: db.prepare(`
+    UPDATE passkeys
+    SET last_used_at = ?, last_used_ip = ?, last_used_user_agent = ?,
+        use_count = COALESCE(use_count, 0) + 1, stale_warned_at = NULL
+    WHERE id = ?
   `),
 
-  getChallenge: db.prepare(`
-    SELECT challenge FROM challenges
-    WHERE email = ?
-    AND datetime(created_at, '+10 minutes') > datetime('now')
+  getAllPasskeys: db.prepare(`
+    SELECT * FROM passkeys
   `),
 
-  deleteChallenge: db.prepare(`
-    DELETE FROM challenges WHERE email = ?
+  markPasskeyStaleWarning: db.prepare(`
+    UPDATE passkeys SET stale_warned_at = ? WHERE id = ?
   `),
 
-  cleanupExpiredChallenges: db.prepare(`
-    DELETE FROM challenges
-    WHERE datetime(created_at, '+10 minutes') < datetime('now')
+  disablePasskey: db.prepare(`
+    UPDATE passkeys SET disabled_at = ? WHERE id = ?
   `),
+
+  // When the gateway started tracking passkey use, stored the first time it is asked
+  getPasskeyUseTrackingStart: (now) => {
+    db.prepare(`
+      INSERT OR IGNORE INTO gateway_settings (name, value) VALUES ('passkey_use_tracking_start', ?)
+    `).run(String(now));
+    const row = db.prepare(`
+      SELECT value FROM gateway_settings WHERE name = 'passkey_use_tracking_start'
+    `).get();
+    return Number(row.value);
+  },
+};
+
+// Challenge functions (for WebAuthn verification, see lib/challenge-store.js)
+// Keyed by a random id that is kept in the requesting session
+const challengeQueries = {
+  storeChallenge: (id, { sessionId, purpose, email, challenge, expiresAt }) => {
+    const stmt = db.prepare(`
+      INSERT INTO challenges (id, session_id, purpose, email, challenge, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(id, sessionId, purpose, email, challenge, expiresAt);
+  },
+
+  // Delete a challenge and return it, in one statement so only one request gets it
+  takeChallenge: (id) => {
+    const stmt = db.prepare(`
+      DELETE FROM challenges
+      WHERE id = ?
+      RETURNING id, session_id as sessionId, purpose, email, challenge, expires_at as expiresAt
+    `);
+    return stmt.get(id);
+  },
+
+  cleanupExpiredChallenges: () => {
+    const stmt = db.prepare(`
+      DELETE FROM challenges
+      WHERE expires_at < ?
+    `);
+    return stmt.run(Date.now()).changes;
+  },
 };
 
 // Verification code functions (for email-based authentication)
+// Codes are stored as salted hashes, see lib/verification-codes.js
 const verificationCodeQueries = {
-  storeCode: (email, code, expiresAt) => {
+  storeCode: (email, codeHash, salt, expiresAt) => {
     const stmt = db.prepare(`
-      INSERT OR REPLACE INTO verification_codes (email, code, expires_at, created_at)
-      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT OR REPLACE INTO verification_codes (email, code_hash, salt, expires_at, created_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
     `);
-    return stmt.run(email, code, expiresAt);
+    return stmt.run(email, codeHash, salt, expiresAt);
   },
 
   getCode: (email) => {
     const stmt = db.prepare(`
-      SELECT code, expires_at as expiresAt FROM verification_codes
+      SELECT code_hash as codeHash, salt, expires_at as expiresAt FROM verification_codes
       WHERE email = ?
     `);
     return stmt.get(email);
@@ -114,9 +259,234 @@ const verificationCodeQueries = {
   },
 };
 
+// Attempt counters (for rate limiting email verification)
+const attemptQueries = {
+  // Read the counters, and write what update returns for them (null leaves one as it is),
+  // in one transaction
+  updateAttempts: (keys, update) => {
+    const select = db.prepare(`
+      SELECT key, count, window_start as windowStart, locked_until as lockedUntil
+      FROM verification_attempts
+      WHERE key = ?
+    `);
+    const save = db.prepare(`
+      INSERT OR REPLACE INTO verification_attempts (key, count, window_start, locked_until)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    db.transaction(() => {
+      const updated = update(keys.map(key => select.get(key) || null)) || [];
+      updated.forEach((attempt, index) => {
+        if (attempt) {
+          save.run(keys[index], attempt.count, attempt.windowStart, attempt.lockedUntil || null);
+        }
+      });
+    }).immediate();
+  },
+
+  deleteAttempt: (key) => {
+    const stmt = db.prepare(`DELETE FROM verification_attempts WHERE key = ?`);
+    return stmt.run(key);
+  },
+
+  cleanupExpiredAttempts: (before) => {
+    const stmt = db.prepare(`
+      DELETE FROM verification_attempts
+      WHERE window_start < ?
+      AND (locked_until IS NULL OR locked_until < ?)
+    `);
+    return stmt.run(before, Date.now());
+  },
+};
+
+// Used one-time token IDs (magic links)
+const usedTokenQueries = {
+  // Returns true the first time a jti is marked, false if it was already used
+  markUsed: (jti, expiresAt) => {
+    const stmt = db.prepare(`
+      INSERT OR IGNORE INTO used_tokens (jti, expires_at)
+      VALUES (?, ?)
+    `);
+    return stmt.run(jti, expiresAt).changes === 1;
+  },
+
+  cleanupExpiredTokens: () => {
+    const stmt = db.prepare(`
+      DELETE FROM used_tokens
+      WHERE expires_at < ?
+    `);
+    return stmt.run(Date.now());
+  },
+};
+
+// Sessions (express-session store, see lib/session-store.js)
+const SESSION_COLUMNS = `
+  sid, data, email, sso_session_id as ssoSessionId, ip, user_agent as userAgent,
+  created_at as createdAt, last_seen_at as lastSeenAt, expires_at as expiresAt
+`;
+
+const sessionQueries = {
+  getSession: (sid) => {
+    const stmt = db.prepare(`SELECT ${SESSION_COLUMNS} FROM sessions WHERE sid = ?`);
+    return stmt.get(sid);
+  },
+
+  // Insert or replace a session, keeping its original created_at
+  saveSession: (sid, { data, email, ssoSessionId, ip, userAgent, lastSeenAt, expiresAt }) => {
+    const stmt = db.prepare(`
+      INSERT INTO sessions (sid, data, email, sso_session_id, ip, user_agent, created_at, last_seen_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(sid) DO UPDATE SET
+        data = excluded.data,
+        email = excluded.email,
+        sso_session_id = excluded.sso_session_id,
+        ip = excluded.ip,
+        user_agent = excluded.user_agent,
+        last_seen_at = excluded.last_seen_at,
+        expires_at = excluded.expires_at
+    `);
+    return stmt.run(sid, data, email, ssoSessionId, ip, userAgent, lastSeenAt, lastSeenAt, expiresAt);
+  },
+
+  // Update a session that is still stored; returns false if it was deleted (revoked)
+  updateSession: (sid, { data, email, ssoSessionId, ip, userAgent, lastSeenAt, expiresAt }) => {
+    const stmt = db.prepare(`
+      UPDATE sessions
+      SET data = ?, email = ?, sso_session_id = ?, ip = ?, user_agent = ?, last_seen_at = ?, expires_at = ?
+      WHERE sid = ?
+    `);
+    return stmt.run(data, email, ssoSessionId, ip, userAgent, lastSeenAt, expiresAt, sid).changes === 1;
+  },
+
+  touchSession: (sid, lastSeenAt, expiresAt) => {
+    const stmt = db.prepare(`UPDATE sessions SET last_seen_at = ?, expires_at = ? WHERE sid = ?`);
+    return stmt.run(lastSeenAt, expiresAt, sid);
+  },
+
+  deleteSession: (sid) => {
+    const stmt = db.prepare(`DELETE FROM sessions WHERE sid = ?`);
+    return stmt.run(sid);
+  },
+
+  getSessionsByEmail: (email) => {
+    const stmt = db.prepare(`SELECT ${SESSION_COLUMNS} FROM sessions WHERE email = ? ORDER BY last_seen_at DESC`);
+    return stmt.all(email);
+  },
+
+  getSessionsBySsoSession: (ssoSessionId) => {
+    const stmt = db.prepare(`SELECT ${SESSION_COLUMNS} FROM sessions WHERE sso_session_id = ?`);
+    return stmt.all(ssoSessionId);
+  },
+
+  getAllSessions: () => {
+    const stmt = db.prepare(`SELECT ${SESSION_COLUMNS} FROM sessions`);
+    return stmt.all();
+  },
+
+  deleteAllSessions: () => {
+    const stmt = db.prepare(`DELETE FROM sessions`);
+    return stmt.run();
+  },
+
+  cleanupExpiredSessions: () => {
+    const stmt = db.prepare(`DELETE FROM sessions WHERE expires_at < ?`);
+    return stmt.run(Date.now());
+  },
+};
+
+// Passkey enrollment tracking (prompt after email sign-in, see lib/passkey-enrollment.js)
+const enrollmentQueries = {
+  getEnrollment: (email) => {
+    const stmt = db.prepare(`
+      SELECT email, prompt_count as promptCount, prompted_at as promptedAt,
+        declined_at as declinedAt, enrolled_at as enrolledAt
+      FROM passkey_enrollment
+      WHERE email = ?
+    `);
+    return stmt.get(email);
+  },
+
+  recordPrompt: (email, at) => {
+    const stmt = db.prepare(`
+      INSERT INTO passkey_enrollment (email, prompt_count, prompted_at)
+      VALUES (?, 1, ?)
+      ON CONFLICT(email) DO UPDATE SET
+        prompt_count = prompt_count + 1,
+        prompted_at = excluded.prompted_at
+    `);
+    return stmt.run(email, at);
+  },
+
+  recordDecline: (email, at) => {
+    const stmt = db.prepare(`
+      INSERT INTO passkey_enrollment (email, declined_at)
+      VALUES (?, ?)
+      ON CONFLICT(email) DO UPDATE SET declined_at = excluded.declined_at
+    `);
+    return stmt.run(email, at);
+  },
+
+  // Keeps the time of the first enrollment
+  recordEnrollment: (email, at) => {
+    const stmt = db.prepare(`
+      INSERT INTO passkey_enrollment (email, enrolled_at)
+      VALUES (?, ?)
+      ON CONFLICT(email) DO UPDATE SET enrolled_at = COALESCE(enrolled_at, excluded.enrolled_at)
+    `);
+    return stmt.run(email, at);
+  },
+
+  getEnrollmentStats: () => {
+    const stmt = db.prepare(`
+      SELECT
+        COUNT(prompted_at) as prompted,
+        COUNT(declined_at) as declined,
+        COUNT(enrolled_at) as enrolled,
+        SUM(CASE WHEN enrolled_at >= prompted_at THEN 1 ELSE 0 END) as enrolledAfterPrompt
+      FROM passkey_enrollment
+    `);
+    const stats = stmt.get();
+    return { ...stats, enrolledAfterPrompt: stats.enrolledAfterPrompt || 0 };
+  },
+};
+
+// Security events (e.g. passkey counter regressions, see lib/passkey-counter.js)
+const SECURITY_EVENT_COLUMNS = `
+  id, type, email, credential_id as credentialId, details, ip,
+  user_agent as userAgent, created_at as createdAt
+`;
+
+// details is stored as JSON
+const toSecurityEvent = (row) => ({ ...row, details: row.details ? JSON.parse(row.details) : null });
+
+const securityEventQueries = {
+  recordEvent: ({ type, email, credentialId, details, ip, userAgent, createdAt }) => {
+    const stmt = db.prepare(`
+      INSERT INTO security_events (type, email, credential_id, details, ip, user_agent, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(type, email, credentialId, details ? JSON.stringify(details) : null, ip, userAgent, createdAt);
+  },
+
+  getRecentEvents: (limit) => {
+    const stmt = db.prepare(`SELECT ${SECURITY_EVENT_COLUMNS} FROM security_events ORDER BY created_at DESC, id DESC LIMIT ?`);
+    return stmt.all(limit).map(toSecurityEvent);
+  },
+
+  getEventsByEmail: (email, limit) => {
+    const stmt = db.prepare(`SELECT ${SECURITY_EVENT_COLUMNS} FROM security_events WHERE email = ? ORDER BY created_at DESC, id DESC LIMIT ?`);
+    return stmt.all(email, limit).map(toSecurityEvent);
+  },
+};
+
 module.exports = {
   db,
   passkeyQueries,
   challengeQueries,
   verificationCodeQueries,
+  attemptQueries,
+  usedTokenQueries,
+  sessionQueries,
+  enrollmentQueries,
+  securityEventQueries,
 };
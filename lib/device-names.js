@@ -0,0 +1,108 @@
+/**
+ * Passkey device names
+ *
+ * New passkeys are named from the authenticator's AAGUID, looked up in a
+ * bundled table (lib/aaguid-names.json) so no metadata service is contacted,
+ * together with the registering browser's user agent: "iCloud Keychain on
+ * iPhone", "YubiKey 5 NFC", or "Chrome on Windows" when the AAGUID is
+ * unknown or all zeros (attestation "none"). Members can rename passkeys on
+ * /account; a name given there is never replaced.
+ */
+
+const AAGUID_NAMES = require('./aaguid-names.json');
+
+// Device names are limited to this length (same as renaming on /account)
+const MAX_NAME_LENGTH = 64;
+
+const ZERO_AAGUID = '00000000-0000-0000-0000-000000000000';
+
+// Checked in order; the first match wins (e.g. Edge also says "Chrome")
+const OPERATING_SYSTEMS = [
+  [/iPhone/, 'iPhone'],
+  [/iPad/, 'iPad'],
+  [/Android/, 'Android'],
+  [/CrOS/, 'ChromeOS'],
+  [/Windows/, 'Windows'],
+  [/Macintosh|Mac OS X/, 'Mac'],
+  [/Linux/, 'Linux'],
+];
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/SamsungBrowser\//, 'Samsung Internet'],
+  [/Firefox\/|FxiOS\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Safari\//, 'Safari'],
+];
+
+function firstMatch(patterns, text) {
+  const match = patterns.find(([pattern]) => pattern.test(text));
+  return match ? match[1] : null;
+}
+
+/**
+ * Browser and operating system from a user agent
+ * @param {string} userAgent
+ * @returns {{browser: string|null, os: string|null}}
+ */
+function parseUserAgent(userAgent) {
+  const text = typeof userAgent === 'string' ? userAgent : '';
+  return {
+    browser: firstMatch(BROWSERS, text),
+    os: firstMatch(OPERATING_SYSTEMS, text)
+  };
+}
+
+/**
+ * Read the AAGUID from a WebAuthn registration response
+ * Uses response.authenticatorData (sent by SimpleWebAuthn browser 7+):
+ * rpIdHash (32) | flags (1) | counter (4) | AAGUID (16) when attested credential data is present
+ * @param {object} credential - JSON from SimpleWebAuthn startRegistration
+ * @returns {string|null} AAGUID in 8-4-4-4-12 form, or null if it cannot be read
+ */
+function getAaguid(credential) {
+  try {
+    const data = Buffer.from(credential.response.authenticatorData, 'base64url');
+    const hasCredentialData = data.length >= 53 && (data[32] & 0x40) !== 0;
+    if (!hasCredentialData) {
+      return null;
+    }
+    const hex = data.subarray(37, 53).toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Name a new passkey
+ * @param {object} details
+ * @param {string|null} [details.aaguid]
+ * @param {string|null} [details.userAgent] - Of the browser that registered the passkey
+ * @returns {string|null} null when neither tells us anything
+ */
+function defaultDeviceName({ aaguid = null, userAgent = null }) {
+  const known = aaguid && aaguid !== ZERO_AAGUID ? AAGUID_NAMES[aaguid.toLowerCase()] : null;
+  const { browser, os } = parseUserAgent(userAgent);
+
+  let name;
+  if (known && (known.hardware || !os || known.name.endsWith(` on ${os}`))) {
+    // Security keys move between devices, so the browser says nothing about them
+    name = known.name;
+  } else if (known) {
+    name = `${known.name} on ${os}`;
+  } else if (browser && os) {
+    name = `${browser} on ${os}`;
+  } else {
+    name = browser || os;
+  }
+
+  return name ? name.slice(0, MAX_NAME_LENGTH) : null;
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  defaultDeviceName,
+  getAaguid,
+  parseUserAgent,
+};
@@ -0,0 +1,650 @@
+// Firestore collections owned by the insights gateway.
+// The shared collections (passkeys, challenges) live in @bear/sso/lib/firestore-db,
+// and we reuse its Firestore client so both modules talk to the same project with
+// the same credentials. passkeyQueries here only adds what the shared module lacks.
+// The gateway keeps its own session-bound WebAuthn challenges in passkey_challenges.
+const { firestore } = require('@bear/sso/lib/firestore-db');
+
+// Collection references
+const verificationCodesCollection = firestore.collection('verification_codes');
+const attemptsCollection = firestore.collection('verification_attempts');
+const usedTokensCollection = firestore.collection('used_tokens');
+const sessionsCollection = firestore.collection('sessions');
+const passkeysCollection = firestore.collection('passkeys');
+const enrollmentCollection = firestore.collection('passkey_enrollment');
+const challengesCollection = firestore.collection('passkey_challenges');
+const securityEventsCollection = firestore.collection('security_events');
+const settingsCollection = firestore.collection('gateway_settings');
+
+// A write batch holds at most 500 deletes; later cleanups remove the rest
+const CLEANUP_BATCH_SIZE = 500;
+
+// Passkey functions missing from @bear/sso (merged into its passkeyQueries)
+const passkeyQueries = {
+  /**
+   * Rename a passkey
+   * @param {string} deviceName
+   * @param {string} id - Passkey document ID
+   */
+  renamePasskey: async (deviceName, id) => {
+    await passkeysCollection.doc(id).update({ deviceName });
+  },
+
+  /**
+   * Flag a passkey as suspicious
+   * @param {number} flaggedAt - timestamp in milliseconds
+   * @param {string} reason - e.g. 'counter_regression'
+   * @param {string} id - Passkey document ID
+   */
+  flagPasskey: async (flaggedAt, reason, id) => {
+    await passkeysCollection.doc(id).update({ flaggedAt, flagReason: reason });
+  },
+
+  /**
+   * Get every flagged passkey, most recently flagged first
+   * @returns {Promise<object[]>}
+   */
+  getFlaggedPasskeys: async () => {
+    const snapshot = await passkeysCollection.where('flaggedAt', '>', 0).get();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => b.flaggedAt - a.flaggedAt);
+  },
+
+  /**
+   * Record a successful login with a passkey (clears any stale warning)
+   * @param {number} lastUsedAt - timestamp in milliseconds
+   * @param {string|null} ip
+   * @param {string|null} userAgent
+   * @param {string} id - Passkey document ID
+   */
+  recordPasskeyUse: async (lastUsedAt, ip, userAgent, id) => {
+    const ref = passkeysCollection.doc(id);
+    await firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const useCount = (doc.exists && doc.data().useCount) || 0;
+      transaction.update(ref, {
+        lastUsedAt,
+        lastUsedIp: ip,
+        lastUsedUserAgent: userAgent,
+        useCount: useCount + 1,
+        staleWarnedAt: null
+      });
+    });
+  },
+
+  /**
+   * Get every passkey (for the stale passkey policy)
+   * @returns {Promise<object[]>}
+   */
+  getAllPasskeys: async () => {
+    const snapshot = await passkeysCollection.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  },
+
+  /**
+   * Note that a passkey was reported as unused
+   * @param {number} warnedAt - timestamp in milliseconds
+   * @param {string} id - Passkey document ID
+   */
+  markPasskeyStaleWarning: async (warnedAt, id) => {
+    await passkeysCollection.doc(id).update({ staleWarnedAt: warnedAt });
+  },
+
+  /**
+   * Disable a passkey so it can no longer sign in
+   * @param {number} disabledAt - timestamp in milliseconds
+   * @param {string} id - Passkey document ID
+   */
+  disablePasskey: async (disabledAt, id) => {
+    await passkeysCollection.doc(id).update({ disabledAt });
+  },
+
+  /**
+   * When the gateway started tracking passkey use, stored the first time it is asked
+   * @param {number} now - timestamp in milliseconds
+   * @returns {Promise<number>}
+   */
+  getPasskeyUseTrackingStart: async (now) => {
+    const ref = settingsCollection.doc('passkey_use_tracking');
+    return firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (doc.exists) {
+        return doc.data().startedAt;
+      }
+      transaction.set(ref, { startedAt: now });
+      return now;
+    });
+  },
+};
+
+// Challenge functions (for WebAuthn verification, see lib/challenge-store.js)
+// Keyed by a random id that is kept in the requesting session
+const challengeQueries = {
+  /**
+   * Store a challenge
+   * @param {string} id - Random challenge id
+   * @param {object} fields - sessionId, purpose, email, challenge, expiresAt
+   */
+  storeChallenge: async (id, { sessionId, purpose, email, challenge, expiresAt }) => {
+    await challengesCollection.doc(id).set({
+      id,
+      sessionId,
+      purpose,
+      email,
+      challenge,
+      expiresAt,
+    });
+  },
+
+  /**
+   * Delete a challenge and return it; of parallel calls only one gets it
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  takeChallenge: async (id) => {
+    const ref = challengesCollection.doc(id);
+    return firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) {
+        return null;
+      }
+      transaction.delete(ref);
+      return doc.data();
+    });
+  },
+
+  /**
+   * Cleanup expired challenges
+   */
+  cleanupExpiredChallenges: async () => {
+    const snapshot = await challengesCollection
+      .where('expiresAt', '<', Date.now())
+      .limit(CLEANUP_BATCH_SIZE)
+      .get();
+
+    const batch = firestore.batch();
+    snapshot.docs.forEach(doc => {
+      batch.delete(doc.ref);
+    });
+
+    await batch.commit();
+    return snapshot.size;
+  },
+};
+
+// Verification code functions (for email-based authentication)
+// Codes are stored as salted hashes, see lib/verification-codes.js
+const verificationCodeQueries = {
+  /**
+   * Store a hashed verification code for email
+   * Email is used as document ID for easy upsert
+   * @param {string} email
+   * @param {string} codeHash
+   * @param {string} salt
+   * @param {number} expiresAt - timestamp in milliseconds
+   */
+  storeCode: async (email, codeHash, salt, expiresAt) => {
+    await verificationCodesCollection.doc(email).set({
+      email,
+      codeHash,
+      salt,
+      expiresAt,
+      createdAt: Date.now(),
+    });
+  },
+
+  /**
+   * Get hashed verification code for email
+   * Documents written before codes were hashed have no codeHash and are ignored
+   * @param {string} email
+   * @returns {Promise<object|null>}
+   */
+  getCode: async (email) => {
+    const doc = await verificationCodesCollection.doc(email).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    if (!data.codeHash) {
+      return null;
+    }
+
+    return {
+      codeHash: data.codeHash,
+      salt: data.salt,
+      expiresAt: data.expiresAt,
+    };
+  },
+
+  /**
+   * Delete verification code for an email
+   * @param {string} email
+   */
+  deleteCode: async (email) => {
+    await verificationCodesCollection.doc(email).delete();
+  },
+
+  /**
+   * Cleanup expired verification codes
+   */
+  cleanupExpiredCodes: async () => {
+    const snapshot = await verificationCodesCollection
+      .where('expiresAt', '<', Date.now())
+      .limit(CLEANUP_BATCH_SIZE)
+      .get();
+
+    const batch = firestore.batch();
+    snapshot.docs.forEach(doc => {
+      batch.delete(doc.ref);
+    });
+
+    await batch.commit();
+    return snapshot.size;
+  },
+};
+
+// Attempt counter from its document
+function toAttempt(data) {
+  return {
+    key: data.key,
+    count: data.count,
+    windowStart: data.windowStart,
+    lockedUntil: data.lockedUntil || null,
+  };
+}
+
+// Attempt counters (for rate limiting email verification)
+const attemptQueries = {
+  /**
+   * Read the counters for some keys and write what update returns for them,
+   * in one transaction (Firestore may run update more than once)
+   * Keys contain characters Firestore does not allow in document IDs,
+   * so they are URI-encoded
+   * @param {string[]} keys - e.g. 'verify:email:someone@example.com'
+   * @param {function((object|null)[]): ((object|null)[]|null)} update - Returns the new
+   *   counters in key order ({ count, windowStart, lockedUntil }; null leaves one as it is),
+   *   or null to write nothing
+   */
+  updateAttempts: async (keys, update) => {
+    const refs = keys.map(key => attemptsCollection.doc(encodeURIComponent(key)));
+
+    await firestore.runTransaction(async (transaction) => {
+      const docs = await transaction.getAll(...refs);
+      const updated = update(docs.map(doc => (doc.exists ? toAttempt(doc.data()) : null))) || [];
+
+      updated.forEach((attempt, index) => {
+        if (attempt) {
+          transaction.set(refs[index], {
+            key: keys[index],
+            count: attempt.count,
+            windowStart: attempt.windowStart,
+            lockedUntil: attempt.lockedUntil || null,
+          });
+        }
+      });
+    });
+  },
+
+  /**
+   * Delete the attempt counter for a key
+   * @param {string} key
+   */
+  deleteAttempt: async (key) => {
+    await attemptsCollection.doc(encodeURIComponent(key)).delete();
+  },
+
+  /**
+   * Cleanup counters whose window started before the given time
+   * and which are not locked
+   * @param {number} before - timestamp in milliseconds
+   */
+  cleanupExpiredAttempts: async (before) => {
+    const snapshot = await attemptsCollection
+      .where('windowStart', '<', before)
+      .limit(CLEANUP_BATCH_SIZE)
+      .get();
+
+    const now = Date.now();
+    const batch = firestore.batch();
+    let deleted = 0;
+    snapshot.docs.forEach(doc => {
+      const { lockedUntil } = doc.data();
+      if (!lockedUntil || lockedUntil < now) {
+        batch.delete(doc.ref);
+        deleted++;
+      }
+    });
+
+    await batch.commit();
+    return deleted;
+  },
+};
+
+// Used one-time token IDs (magic links)
+const usedTokenQueries = {
+  /**
+   * Mark a token ID as used
+   * create() fails if the document exists, which makes this atomic
+   * across instances
+   * @param {string} jti
+   * @param {number} expiresAt - timestamp in milliseconds
+   * @returns {Promise<boolean>} true the first time, false if already used
+   */
+  markUsed: async (jti, expiresAt) => {
+    try {
+      await usedTokensCollection.doc(jti).create({ jti, expiresAt });
+      return true;
+    } catch (error) {
+      // 6 = ALREADY_EXISTS
+      if (error.code === 6) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Cleanup token IDs whose tokens have expired anyway
+   */
+  cleanupExpiredTokens: async () => {
+    const snapshot = await usedTokensCollection
+      .where('expiresAt', '<', Date.now())
+      .limit(CLEANUP_BATCH_SIZE)
+      .get();
+
+    const batch = firestore.batch();
+    snapshot.docs.forEach(doc => {
+      batch.delete(doc.ref);
+    });
+
+    await batch.commit();
+    return snapshot.size;
+  },
+};
+
+// Sessions (express-session store, see lib/session-store.js)
+// Session IDs are used as document IDs
+const sessionQueries = {
+  /**
+   * Get a stored session
+   * @param {string} sid
+   * @returns {Promise<object|null>}
+   */
+  getSession: async (sid) => {
+    const doc = await sessionsCollection.doc(sid).get();
+    return doc.exists ? doc.data() : null;
+  },
+
+  /**
+   * Insert or replace a session, keeping its original createdAt
+   * @param {string} sid
+   * @param {object} fields - data, email, ssoSessionId, ip, userAgent, lastSeenAt, expiresAt
+   */
+  saveSession: async (sid, { data, email, ssoSessionId, ip, userAgent, lastSeenAt, expiresAt }) => {
+    const ref = sessionsCollection.doc(sid);
+    await firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      transaction.set(ref, {
+        sid,
+        data,
+        email,
+        ssoSessionId,
+        ip,
+        userAgent,
+        createdAt: doc.exists ? doc.data().createdAt : lastSeenAt,
+        lastSeenAt,
+        expiresAt,
+      });
+    });
+  },
+
+  /**
+   * Update a session that is still stored
+   * @param {string} sid
+   * @param {object} fields - data, email, ssoSessionId, ip, userAgent, lastSeenAt, expiresAt
+   * @returns {Promise<boolean>} False if the session was deleted (revoked)
+   */
+  updateSession: async (sid, { data, email, ssoSessionId, ip, userAgent, lastSeenAt, expiresAt }) => {
+    try {
+      await sessionsCollection.doc(sid).update({ data, email, ssoSessionId, ip, userAgent, lastSeenAt, expiresAt });
+      return true;
+    } catch (error) {
+      // 5 = NOT_FOUND
+      if (error.code !== 5) {
+        throw error;
+      }
+      return false;
+    }
+  },
+
+  /**
+   * Record activity on a session
+   * @param {string} sid
+   * @param {number} lastSeenAt - timestamp in milliseconds
+   * @param {number} expiresAt - timestamp in milliseconds
+   */
+  touchSession: async (sid, lastSeenAt, expiresAt) => {
+    try {
+      await sessionsCollection.doc(sid).update({ lastSeenAt, expiresAt });
+    } catch (error) {
+      // 5 = NOT_FOUND (session was destroyed meanwhile)
+      if (error.code !== 5) {
+        throw error;
+      }
+    }
+  },
+
+  /**
+   * Delete a session
+   * @param {string} sid
+   */
+  deleteSession: async (sid) => {
+    await sessionsCollection.doc(sid).delete();
+  },
+
+  /**
+   * Get all sessions of a member, most recently used first
+   * @param {string} email - lowercased
+   * @returns {Promise<object[]>}
+   */
+  getSessionsByEmail: async (email) => {
+    const snapshot = await sessionsCollection.where('email', '==', email).get();
+    return snapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+  },
+
+  /**
+   * Get all sessions created from one bear.flights session
+   * @param {string} ssoSessionId
+   * @returns {Promise<object[]>}
+   */
+  getSessionsBySsoSession: async (ssoSessionId) => {
+    const snapshot = await sessionsCollection.where('ssoSessionId', '==', ssoSessionId).get();
+    return snapshot.docs.map(doc => doc.data());
+  },
+
+  /**
+   * Get every stored session
+   * @returns {Promise<object[]>}
+   */
+  getAllSessions: async () => {
+    const snapshot = await sessionsCollection.get();
+    return snapshot.docs.map(doc => doc.data());
+  },
+
+  /**
+   * Delete every stored session
+   */
+  deleteAllSessions: async () => {
+    const snapshot = await sessionsCollection.get();
+
+    const batch = firestore.batch();
+    snapshot.docs.forEach(doc => {
+      batch.delete(doc.ref);
+    });
+
+    await batch.commit();
+  },
+
+  /**
+   * Cleanup expired sessions
+   */
+  cleanupExpiredSessions: async () => {
+    const snapshot = await sessionsCollection
+      .where('expiresAt', '<', Date.now())
+      .limit(CLEANUP_BATCH_SIZE)
+      .get();
+
+    const batch = firestore.batch();
+    snapshot.docs.forEach(doc => {
+      batch.delete(doc.ref);
+    });
+
+    await batch.commit();
+    return snapshot.size;
+  },
+};
+
+// Passkey enrollment tracking (prompt after email sign-in, see lib/passkey-enrollment.js)
+// Email is used as document ID, like verification codes
+const enrollmentQueries = {
+  /**
+   * Get the enrollment record for an email
+   * @param {string} email
+   * @returns {Promise<object|null>}
+   */
+  getEnrollment: async (email) => {
+    const doc = await enrollmentCollection.doc(email).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return {
+      email,
+      promptCount: data.promptCount || 0,
+      promptedAt: data.promptedAt || null,
+      declinedAt: data.declinedAt || null,
+      enrolledAt: data.enrolledAt || null,
+    };
+  },
+
+  /**
+   * Record that the enrollment prompt was shown
+   * @param {string} email
+   * @param {number} at - timestamp in milliseconds
+   */
+  recordPrompt: async (email, at) => {
+    const ref = enrollmentCollection.doc(email);
+    await firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const promptCount = (doc.exists && doc.data().promptCount) || 0;
+      transaction.set(ref, { email, promptCount: promptCount + 1, promptedAt: at }, { merge: true });
+    });
+  },
+
+  /**
+   * Record that the member declined the prompt
+   * @param {string} email
+   * @param {number} at - timestamp in milliseconds
+   */
+  recordDecline: async (email, at) => {
+    await enrollmentCollection.doc(email).set({ email, declinedAt: at }, { merge: true });
+  },
+
+  /**
+   * Record that the member registered a passkey (keeps the first time)
+   * @param {string} email
+   * @param {number} at - timestamp in milliseconds
+   */
+  recordEnrollment: async (email, at) => {
+    const ref = enrollmentCollection.doc(email);
+    await firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || !doc.data().enrolledAt) {
+        transaction.set(ref, { email, enrolledAt: at }, { merge: true });
+      }
+    });
+  },
+
+  /**
+   * Count members who were prompted, declined and enrolled
+   * @returns {Promise<object>}
+   */
+  getEnrollmentStats: async () => {
+    const snapshot = await enrollmentCollection.get();
+
+    const stats = { prompted: 0, declined: 0, enrolled: 0, enrolledAfterPrompt: 0 };
+    snapshot.docs.forEach(doc => {
+      const { promptedAt, declinedAt, enrolledAt } = doc.data();
+      if (promptedAt) stats.prompted++;
+      if (declinedAt) stats.declined++;
+      if (enrolledAt) stats.enrolled++;
+      if (promptedAt && enrolledAt && enrolledAt >= promptedAt) stats.enrolledAfterPrompt++;
+    });
+    return stats;
+  },
+};
+
+// Security events (e.g. passkey counter regressions, see lib/passkey-counter.js)
+const securityEventQueries = {
+  /**
+   * Record a security event
+   * @param {object} event - type, email, credentialId, details, ip, userAgent, createdAt
+   */
+  recordEvent: async ({ type, email, credentialId, details, ip, userAgent, createdAt }) => {
+    await securityEventsCollection.add({
+      type,
+      email,
+      credentialId,
+      details: details || null,
+      ip,
+      userAgent,
+      createdAt,
+    });
+  },
+
+  /**
+   * Get the most recent security events
+   * @param {number} limit
+   * @returns {Promise<object[]>}
+   */
+  getRecentEvents: async (limit) => {
+    const snapshot = await securityEventsCollection
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  },
+
+  /**
+   * Get the most recent security events for a member
+   * @param {string} email
+   * @param {number} limit
+   * @returns {Promise<object[]>}
+   */
+  getEventsByEmail: async (email, limit) => {
+    const snapshot = await securityEventsCollection.where('email', '==', email).get();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  },
+};
+
+module.exports = {
+  firestore,
+  passkeyQueries,
+  challengeQueries,
+  verificationCodeQueries,
+  attemptQueries,
+  usedTokenQueries,
+  sessionQueries,
+  enrollmentQueries,
+  securityEventQueries,
+};
@@ -0,0 +1,116 @@
+/**
+ * Ghost post metadata
+ *
+ * Looks up the tags and visibility of the post behind a proxied path using
+ * the Ghost Content API, so access rules can be written per tag or per
+ * visibility. A post's slug is the last segment of its URL whatever the
+ * permalink format (/some-post/, /2024/05/some-post/, plus amp/ for its AMP
+ * version); the post Ghost returns for that slug only counts when its URL is
+ * the requested one. Lookups are cached briefly; paths that are not a post
+ * (pages, assets, tag archives) resolve to null.
+ *
+ * Feeds (/rss/, /tag/<tag>/rss/, ...) and the web versions of newsletters
+ * (/email/<uuid>/) show posts in full without being a post URL; see
+ * showsPostContent.
+ */
+
+const axios = require('axios');
+
+// Last path segment as a slug, optionally followed by amp/
+const POST_PATH = /\/([a-z0-9][a-z0-9-]*)(\/amp)?\/?$/i;
+
+// Paths that carry the content of posts besides the posts themselves
+const POST_CONTENT_PATHS = [
+  /\/rss(\/\d+)?\/?$/i,
+  /^\/email\/[^/]+\/?$/i
+];
+
+/**
+ * Get the slug of the post a request path would be, if it is one
+ * @param {string} requestPath
+ * @returns {string|null}
+ */
+function getPostSlug(requestPath) {
+  const match = POST_PATH.exec(requestPath);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Whether a path shows posts in full without being a post URL (feeds and
+ * newsletter web versions), so no single post's tags or visibility apply
+ * @param {string} requestPath
+ * @returns {boolean}
+ */
+function showsPostContent(requestPath) {
+  return POST_CONTENT_PATHS.some(pattern => pattern.test(requestPath));
+}
+
+// The post URL a request path stands for: lowercase, no amp/, trailing slash
+function canonicalPostPath(requestPath) {
+  const path = requestPath.toLowerCase().replace(/\/amp\/?$/, '/');
+  return path.endsWith('/') ? path : `${path}/`;
+}
+
+/**
+ * Create a cached post lookup
+ * @param {object} options
+ * @param {string} options.apiUrl - Ghost site URL
+ * @param {string} options.contentApiKey - Ghost Content API key
+ * @param {number} [options.ttlMs] - How long a lookup is reused
+ * @param {Function} [options.fetchPost] - Returns the Content API post for a slug, or null
+ */
+function createPostLookup({
+  apiUrl,
+  contentApiKey,
+  ttlMs = 5 * 60 * 1000,
+  fetchPost = async (slug) => {
+    const response = await axios.get(
+      `${apiUrl.replace(/\/$/, '')}/ghost/api/content/posts/slug/${encodeURIComponent(slug)}/`,
+      {
+        params: { key: contentApiKey, include: 'tags' },
+        headers: { 'Accept-Version': 'v5.0' },
+        timeout: 5000,
+        validateStatus: status => status === 200 || status === 404
+      }
+    );
+    return response.status === 200 ? response.data.posts[0] : null;
+  }
+}) {
+  const entries = new Map();
+
+  /**
+   * Get tags and visibility of the post at a path
+   * @param {string} requestPath
+   * @returns {Promise<{slug: string, tags: string[], visibility: string}|null>}
+   */
+  async function getPost(requestPath) {
+    const slug = getPostSlug(requestPath);
+    if (!slug) {
+      return null;
+    }
+
+    let entry = entries.get(slug);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      const found = await fetchPost(slug);
+      entry = {
+        post: found
+          ? {
+            slug,
+            tags: (found.tags || []).map(tag => tag.slug),
+            visibility: found.visibility || 'public'
+          }
+          : null,
+        path: found && found.url ? new URL(found.url).pathname.toLowerCase() : `/${slug}/`,
+        expiresAt: Date.now() + ttlMs
+      };
+      entries.set(slug, entry);
+    }
+
+    // A tag archive or page can share its last segment with a post
+    return entry.path === canonicalPostPath(requestPath) ? entry.post : null;
+  }
+
+  return { getPost };
+}
+
+module.exports = { createPostLookup, getPostSlug, showsPostContent };
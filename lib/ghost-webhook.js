@@ -0,0 +1,65 @@
+/**
+ * Ghost webhook signatures
+ *
+ * Ghost signs webhook deliveries with the secret configured on the webhook:
+ *   X-Ghost-Signature: sha256=<hex HMAC-SHA256 of body + timestamp>, t=<timestamp ms>
+ * The signature is checked over the raw request body, and deliveries with a
+ * timestamp far from now are rejected so captured requests can't be replayed
+ * later.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Parse an X-Ghost-Signature header
+ * @param {string} header
+ * @returns {{signature: string, timestamp: number}|null}
+ */
+function parseGhostSignature(header) {
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  const parts = {};
+  header.split(',').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      parts[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+  });
+
+  const timestamp = Number(parts.t);
+  if (!/^[0-9a-f]{64}$/i.test(parts.sha256 || '') || !Number.isFinite(timestamp)) {
+    return null;
+  }
+  return { signature: parts.sha256.toLowerCase(), timestamp };
+}
+
+/**
+ * Check a webhook delivery
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} header - X-Ghost-Signature header
+ * @param {string} secret - Webhook secret configured in Ghost
+ * @param {object} [options]
+ * @param {number} [options.toleranceMs] - Allowed distance between timestamp and now
+ * @returns {boolean}
+ */
+function verifyGhostSignature(rawBody, header, secret, { toleranceMs = 5 * 60 * 1000 } = {}) {
+  const parsed = parseGhostSignature(header);
+  if (!parsed || !secret || rawBody === undefined || rawBody === null) {
+    return false;
+  }
+
+  if (Math.abs(Date.now() - parsed.timestamp) > toleranceMs) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(Buffer.concat([Buffer.from(rawBody), Buffer.from(String(parsed.timestamp))]))
+    .digest();
+
+  return crypto.timingSafeEqual(expected, Buffer.from(parsed.signature, 'hex'));
+}
+
+module.exports = { parseGhostSignature, verifyGhostSignature };
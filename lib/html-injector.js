@@ -0,0 +1,154 @@
+/**
+ * Streaming HTML injection
+ *
+ * Inserts a snippet (the BearSSO client script) before the first `</body>` of
+ * an HTML response while the bytes pass through, instead of buffering the
+ * whole page. Matching works on raw bytes, so characters split across chunks
+ * are never decoded and the page keeps its charset. The snippet must be ASCII,
+ * which has the same bytes in every ASCII-compatible charset; pages in UTF-16
+ * or UTF-32 are passed through unchanged. Pages without `</body>` get the
+ * snippet at the end, where browsers still run it.
+ */
+
+const { Transform } = require('stream');
+
+const CLOSING_TAG = Buffer.from('</body', 'latin1');
+
+// Bytes kept back between chunks: an unfinished '</body' plus the byte after it
+const LOOKBEHIND = CLOSING_TAG.length;
+
+// Charsets whose bytes for '<', '/', letters and the snippet are not plain ASCII
+const NON_ASCII_CHARSETS = /^(?:utf-?16|utf-?32|ucs-?2|ucs-?4|utf-?7)/i;
+
+// Byte order marks of UTF-16 and UTF-32 pages served without a charset
+const WIDE_BOMS = [
+  Buffer.from([0x00, 0x00, 0xfe, 0xff]),
+  Buffer.from([0xff, 0xfe]),
+  Buffer.from([0xfe, 0xff])
+];
+
+const lowerAscii = byte => (byte >= 0x41 && byte <= 0x5a ? byte + 0x20 : byte);
+
+// Whitespace, '/' or '>' ends the tag name ('</bodyx>' is not a body tag)
+const endsTagName = byte => byte === 0x3e || byte === 0x2f || byte === 0x20
+  || byte === 0x09 || byte === 0x0a || byte === 0x0c || byte === 0x0d;
+
+/**
+ * Find the first `</body>` tag (any case)
+ * @param {Buffer} buffer
+ * @returns {number} Offset of its '<', or -1
+ */
+function findClosingBodyTag(buffer) {
+  let index = buffer.indexOf('</', 0, 'latin1');
+
+  while (index !== -1 && index + CLOSING_TAG.length < buffer.length) {
+    let matched = true;
+    for (let i = 2; i < CLOSING_TAG.length; i++) {
+      if (lowerAscii(buffer[index + i]) !== CLOSING_TAG[i]) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched && endsTagName(buffer[index + CLOSING_TAG.length])) {
+      return index;
+    }
+    index = buffer.indexOf('</', index + 1, 'latin1');
+  }
+
+  return -1;
+}
+
+/**
+ * Read the charset parameter of a Content-Type header
+ * @param {string} [contentType]
+ * @returns {string|null} Lowercase charset, or null when none is given
+ */
+function getCharset(contentType) {
+  const match = /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(contentType || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Whether an HTML response can take the snippet
+ * @param {string} [contentType]
+ * @returns {boolean}
+ */
+function canInject(contentType) {
+  const charset = getCharset(contentType);
+  return !charset || !NON_ASCII_CHARSETS.test(charset);
+}
+
+/**
+ * Create a transform stream that injects a snippet before `</body>`
+ * @param {string} snippet - ASCII HTML to insert
+ * @returns {Transform}
+ */
+function createBodyInjector(snippet) {
+  if (/[^\x00-\x7f]/.test(snippet)) {
+    throw new Error('Injected HTML must be ASCII');
+  }
+
+  const snippetBytes = Buffer.from(snippet, 'latin1');
+  let pending = Buffer.alloc(0);
+  let started = false;
+  let done = false;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (done) {
+        return callback(null, chunk);
+      }
+
+      const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+      // Wait for enough bytes to recognize a byte order mark
+      if (!started) {
+        if (data.length < 4) {
+          pending = data;
+          return callback();
+        }
+        started = true;
+        if (WIDE_BOMS.some(bom => data.subarray(0, bom.length).equals(bom))) {
+          done = true;
+          pending = Buffer.alloc(0);
+          return callback(null, data);
+        }
+      }
+
+      const index = findClosingBodyTag(data);
+      if (index !== -1) {
+        done = true;
+        pending = Buffer.alloc(0);
+        this.push(data.subarray(0, index));
+        this.push(snippetBytes);
+        return callback(null, data.subarray(index));
+      }
+
+      const keep = Math.min(LOOKBEHIND, data.length);
+      pending = Buffer.from(data.subarray(data.length - keep));
+      callback(null, data.subarray(0, data.length - keep));
+    },
+
+    flush(callback) {
+      if (done) {
+        return callback();
+      }
+
+      const wide = WIDE_BOMS.some(bom => pending.subarray(0, bom.length).equals(bom));
+      if (pending.length > 0) {
+        this.push(pending);
+      }
+      if (!wide) {
+        this.push(snippetBytes);
+      }
+      callback();
+    }
+  });
+}
+
+module.exports = {
+  canInject,
+  createBodyInjector,
+  findClosingBodyTag,
+  getCharset,
+};
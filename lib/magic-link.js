@@ -0,0 +1,86 @@
+/**
+ * Magic sign-in links
+ *
+ * A magic link carries a short-lived signed token for one member. Each token
+ * has a unique jti that is marked as used in usedTokenQueries the first time
+ * it is redeemed, so a link works exactly once. Unlike verification codes,
+ * links work on any device, e.g. opened from email on a laptop after asking
+ * on a phone.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createPeriodicCleanup } = require('./periodic-cleanup');
+
+const MAGIC_LINK_PURPOSE = 'magic-link';
+
+/**
+ * Create magic link helpers
+ * @param {object} options
+ * @param {string} options.secret - HMAC key used to sign link tokens
+ * @param {string} options.origin - Gateway origin the links point at
+ * @param {number} options.ttlMs - How long a link stays valid
+ * @param {object} options.usedTokenQueries - markUsed(jti, expiresAt) / cleanupExpiredTokens()
+ */
+function createMagicLinks({ secret, origin, ttlMs, usedTokenQueries }) {
+  const audience = `${origin}/auth/magic`;
+
+  // Used IDs only matter until their token expires
+  const cleanupExpired = createPeriodicCleanup('used tokens', () => usedTokenQueries.cleanupExpiredTokens());
+
+  /**
+   * Build a sign-in link for an email address
+   * @param {string} email
+   * @param {string|null} returnTo - Sanitized path to land on after sign-in
+   * @returns {string} Absolute URL
+   */
+  function createLink(email, returnTo) {
+    const token = jwt.sign(
+      { email, returnTo: returnTo || null, purpose: MAGIC_LINK_PURPOSE },
+      secret,
+      {
+        algorithm: 'HS256',
+        expiresIn: Math.floor(ttlMs / 1000),
+        issuer: origin,
+        audience,
+        jwtid: crypto.randomUUID()
+      }
+    );
+
+    return `${audience}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Verify a link token and mark it as used
+   * @param {string} token
+   * @returns {Promise<{email: string, returnTo: string|null}|null>} null if invalid, expired or already used
+   */
+  async function redeem(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, secret, {
+        algorithms: ['HS256'],
+        issuer: origin,
+        audience
+      });
+    } catch (error) {
+      return null;
+    }
+
+    if (claims.purpose !== MAGIC_LINK_PURPOSE || !claims.email || !claims.jti) {
+      return null;
+    }
+
+    await cleanupExpired();
+    const firstUse = await usedTokenQueries.markUsed(claims.jti, claims.exp * 1000);
+    if (!firstUse) {
+      return null;
+    }
+
+    return { email: claims.email, returnTo: claims.returnTo || null };
+  }
+
+  return { createLink, redeem };
+}
+
+module.exports = { createMagicLinks };
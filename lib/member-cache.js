@@ -0,0 +1,58 @@
+/**
+ * Ghost member cache
+ *
+ * Short-lived cache in front of ghostAPI.getMemberByEmail so re-validating
+ * labels during proxied requests does not hit Ghost for every asset. Lookups
+ * for the same email that arrive while one is in flight share its result.
+ */
+
+/**
+ * Create a member cache
+ * @param {object} options
+ * @param {object} options.ghostAPI - Must provide getMemberByEmail(email)
+ * @param {number} options.ttlMs - How long a lookup is reused
+ */
+function createMemberCache({ ghostAPI, ttlMs }) {
+  const entries = new Map();
+  const pending = new Map();
+
+  /**
+   * Get a member from cache or Ghost
+   * @param {string} email
+   * @returns {Promise<object|null>} null if the member does not exist
+   */
+  async function get(email) {
+    const key = String(email).toLowerCase();
+    const entry = entries.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.member;
+    }
+
+    if (!pending.has(key)) {
+      pending.set(key, (async () => {
+        try {
+          const member = (await ghostAPI.getMemberByEmail(email)) || null;
+          entries.set(key, { member, expiresAt: Date.now() + ttlMs });
+          return member;
+        } finally {
+          pending.delete(key);
+        }
+      })());
+    }
+
+    return pending.get(key);
+  }
+
+  /**
+   * Forget a member (e.g. after Ghost reports a change)
+   * @param {string} email
+   */
+  function invalidate(email) {
+    entries.delete(String(email).toLowerCase());
+  }
+
+  return { get, invalidate };
+}
+
+module.exports = { createMemberCache };
@@ -0,0 +1,123 @@
+/**
+ * Signature counter checks
+ *
+ * Authenticators that keep a signature counter increase it on every use, so a
+ * login whose counter is not above the stored one suggests the credential was
+ * copied to another authenticator. Such a passkey is flagged, a security event
+ * is written and, when blocking is enabled, the login is refused (as are later
+ * logins with the flagged passkey). Authenticators without a counter, such as
+ * synced passkeys, always report 0 and are never flagged.
+ *
+ * When @bear/sso passes the stored counter to @simplewebauthn/server, the
+ * verifier sees a regression first: verifyAuthenticationResponse throws before
+ * it checks the signature. Such a login is refused and recorded, but the
+ * passkey is not flagged, since anyone who knows its credential ID can send a
+ * response with a low counter.
+ */
+
+const { getCredentialId } = require('./passkey-store');
+
+// Thrown by @simplewebauthn/server's verifyAuthenticationResponse
+const VERIFIER_COUNTER_ERROR = /Response counter value (\d+) was lower than expected (\d+)/;
+
+/**
+ * Whether a login's counter went backward (or stood still)
+ * @param {number} storedCounter - Counter from the last successful login
+ * @param {number} newCounter - Counter reported by the authenticator
+ * @returns {boolean}
+ */
+function isCounterRegression(storedCounter, newCounter) {
+  const stored = Number(storedCounter) || 0;
+  const next = Number(newCounter) || 0;
+  if (stored === 0 && next === 0) {
+    return false;
+  }
+  return next <= stored;
+}
+
+/**
+ * Read the counters from the verifier's error for a counter that did not go up
+ * @param {Error} error - Thrown by passkeyAuth.verifyAuthentication
+ * @returns {{storedCounter: number, newCounter: number}|null} null for other errors
+ */
+function parseCounterError(error) {
+  const match = error && typeof error.message === 'string' && error.message.match(VERIFIER_COUNTER_ERROR);
+  return match ? { storedCounter: Number(match[2]), newCounter: Number(match[1]) } : null;
+}
+
+/**
+ * Create the counter guard used by passkey login
+ * @param {object} options
+ * @param {object} options.passkeyStore - From lib/passkey-store.js
+ * @param {object} options.securityEventQueries - See lib/db.js
+ * @param {boolean} [options.blockFlagged] - Refuse logins with flagged passkeys
+ */
+function createCounterGuard({ passkeyStore, securityEventQueries, blockFlagged = false }) {
+  /**
+   * Check a verified login against the passkey as stored before verification
+   * @param {object|null} passkey - From passkeyStore.findByCredentialId
+   * @param {number} newCounter - authenticationInfo.newCounter
+   * @param {object} context
+   * @param {string} context.email
+   * @param {string} [context.ip]
+   * @param {string} [context.userAgent]
+   * @returns {Promise<{allowed: boolean, regressed: boolean}>}
+   */
+  async function check(passkey, newCounter, { email, ip = null, userAgent = null }) {
+    if (!passkey) {
+      return { allowed: true, regressed: false };
+    }
+
+    const storedCounter = Number(passkey.counter) || 0;
+    const alreadyFlagged = Boolean(passkey.flagged_at || passkey.flaggedAt);
+
+    if (isCounterRegression(storedCounter, newCounter)) {
+      await passkeyStore.flag(passkey, 'counter_regression');
+      await securityEventQueries.recordEvent({
+        type: 'passkey_counter_regression',
+        email,
+        credentialId: getCredentialId(passkey),
+        details: { storedCounter, newCounter: Number(newCounter) || 0, blocked: blockFlagged },
+        ip,
+        userAgent,
+        createdAt: Date.now()
+      });
+      return { allowed: !blockFlagged, regressed: true };
+    }
+
+    if (Number(newCounter) > storedCounter) {
+      await passkeyStore.updateCounter(passkey, Number(newCounter));
+    }
+    return { allowed: !(blockFlagged && alreadyFlagged), regressed: false };
+  }
+
+  /**
+   * Record a login the verifier refused because the counter did not go up.
+   * The signature was not checked, so the passkey is not flagged.
+   * @param {object|null} passkey - From passkeyStore.findByCredentialId
+   * @param {object} counters - From parseCounterError
+   * @param {object} context
+   * @param {string|null} context.email - Null for usernameless logins
+   * @param {string} [context.ip]
+   * @param {string} [context.userAgent]
+   */
+  async function recordRefused(passkey, { storedCounter, newCounter }, { email, ip = null, userAgent = null }) {
+    await securityEventQueries.recordEvent({
+      type: 'passkey_counter_refused',
+      email: email || (passkey && passkey.email) || null,
+      credentialId: passkey ? getCredentialId(passkey) : null,
+      details: { storedCounter, newCounter },
+      ip,
+      userAgent,
+      createdAt: Date.now()
+    });
+  }
+
+  return { check, recordRefused };
+}
+
+module.exports = {
+  createCounterGuard,
+  isCounterRegression,
+  parseCounterError,
+};
@@ -0,0 +1,70 @@
+/**
+ * Passkey enrollment prompt
+ *
+ * After an email-code sign-in, members without a passkey are offered to
+ * create one. A member who declines is not asked again until the snooze
+ * period has passed. Prompts, declines and enrollments are recorded per
+ * member in enrollmentQueries so adoption can be measured.
+ */
+
+/**
+ * Create the enrollment tracker
+ * @param {object} options
+ * @param {object} options.enrollmentQueries - See lib/db.js
+ * @param {object} options.passkeyStore - From lib/passkey-store.js
+ * @param {number} options.snoozeMs - How long a decline suppresses the prompt
+ */
+function createEnrollmentTracker({ enrollmentQueries, passkeyStore, snoozeMs }) {
+  const keyFor = email => String(email).toLowerCase();
+
+  /**
+   * Whether to offer passkey enrollment to a member who just signed in
+   * @param {string} email
+   * @returns {Promise<boolean>}
+   */
+  async function shouldOffer(email) {
+    const passkeys = await passkeyStore.listByEmail(email);
+    if (passkeys.length > 0) {
+      return false;
+    }
+
+    const enrollment = await enrollmentQueries.getEnrollment(keyFor(email));
+    return !enrollment || !enrollment.declinedAt || enrollment.declinedAt + snoozeMs <= Date.now();
+  }
+
+  /**
+   * Record that the prompt was shown
+   * @param {string} email
+   */
+  async function recordShown(email) {
+    await enrollmentQueries.recordPrompt(keyFor(email), Date.now());
+  }
+
+  /**
+   * Record that the member said "not now"
+   * @param {string} email
+   */
+  async function recordDeclined(email) {
+    await enrollmentQueries.recordDecline(keyFor(email), Date.now());
+  }
+
+  /**
+   * Record that the member registered a passkey
+   * @param {string} email
+   */
+  async function recordEnrolled(email) {
+    await enrollmentQueries.recordEnrollment(keyFor(email), Date.now());
+  }
+
+  /**
+   * Enrollment numbers across all members
+   * @returns {Promise<{prompted: number, declined: number, enrolled: number, enrolledAfterPrompt: number}>}
+   */
+  async function stats() {
+    return enrollmentQueries.getEnrollmentStats();
+  }
+
+  return { shouldOffer, recordShown, recordDeclined, recordEnrolled, stats };
+}
+
+module.exports = { createEnrollmentTracker };
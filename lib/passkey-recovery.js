@@ -0,0 +1,117 @@
+/**
+ * Passkey recovery
+ *
+ * A member who lost the device holding their passkeys signs in with an email
+ * code and then revokes the lost passkeys, all at once or a selection, before
+ * enrolling a new one. Revoking also ends the member's other sessions (the
+ * lost device may still be signed in), writes a security event and emails the
+ * member a confirmation, so a recovery they did not start does not go
+ * unnoticed.
+ */
+
+const { getCredentialId, toCredential } = require('./passkey-store');
+
+// Device names are chosen by members, so never put them in HTML unescaped
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * HTML template for the recovery confirmation (same signature as the verification email templates)
+ * @param {object} details
+ * @param {object[]} details.revoked - Credentials from toCredential
+ * @param {number} details.sessionsEnded
+ * @param {number} details.at - timestamp in milliseconds
+ * @param {string|null} [details.ip]
+ * @param {string} details.accountUrl - Where the member manages their passkeys
+ * @returns {Function} (email, name, code, appName) => HTML
+ */
+function buildRecoveryEmailTemplate({ revoked, sessionsEnded, at, ip = null, accountUrl }) {
+  const names = revoked
+    .map(credential => `<li>${escapeHtml(credential.deviceName || 'Unnamed passkey')}</li>`)
+    .join('');
+
+  return (email, name) => `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <div style="background-color: #f5f5f5; padding: 40px; border-radius: 10px;">
+                <h2 style="color: #333; margin-bottom: 20px;">Your passkeys were removed</h2>
+                <p style="font-size: 16px; color: #666; margin-bottom: 20px;">Hi ${escapeHtml(name || email)},</p>
+                <p style="font-size: 16px; color: #666; margin-bottom: 10px;">After signing in with an email code, these passkeys were removed from your Travel Intelligence Club Insights account on ${new Date(at).toUTCString()}${ip ? ` from IP address ${escapeHtml(ip)}` : ''}:</p>
+                <ul style="font-size: 16px; color: #333; margin-bottom: 20px;">${names}</ul>
+                ${sessionsEnded > 0 ? `<p style="font-size: 16px; color: #666; margin-bottom: 20px;">${sessionsEnded} other ${sessionsEnded === 1 ? 'session was' : 'sessions were'} signed out.</p>` : ''}
+                <p style="font-size: 16px; color: #666; margin-bottom: 20px;">You can add a new passkey on <a href="${escapeHtml(accountUrl)}" style="color: #667eea;">your account page</a>.</p>
+                <p style="font-size: 14px; color: #999;">If you did not do this, someone may have access to your email. Please secure your email account and contact us.</p>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Create the recovery flow
+ * @param {object} options
+ * @param {object} options.passkeyStore - From lib/passkey-store.js
+ * @param {object} options.securityEventQueries - See lib/db.js
+ * @param {object} options.sessionStore - DatabaseSessionStore
+ * @param {Function} options.notify - async ({ email, revoked, sessionsEnded, at, ip }) => void, sends the confirmation
+ */
+function createPasskeyRecovery({ passkeyStore, securityEventQueries, sessionStore, notify }) {
+  /**
+   * Revoke a member's passkeys and end their other sessions
+   * @param {string} email
+   * @param {object} options
+   * @param {string[]|null} [options.ids] - Passkeys to revoke (from listCredentials); null for all
+   * @param {string} [options.keepSession] - Session ID to keep signed in (the current one)
+   * @param {string|null} [options.ip]
+   * @param {string|null} [options.userAgent]
+   * @returns {Promise<{revoked: object[], sessionsEnded: number}|null>} null if none of the passkeys exist
+   */
+  async function revoke(email, { ids = null, keepSession, ip = null, userAgent = null } = {}) {
+    const passkeys = await passkeyStore.listByEmail(email);
+    const selected = ids
+      ? passkeys.filter(passkey => ids.includes(String(passkey.id)))
+      : passkeys;
+
+    if (selected.length === 0) {
+      return null;
+    }
+
+    for (const passkey of selected) {
+      await passkeyStore.remove(email, passkey.id);
+    }
+    const sessionsEnded = await sessionStore.destroyByUser(email, { except: keepSession });
+    const at = Date.now();
+
+    await securityEventQueries.recordEvent({
+      type: 'passkey_recovery',
+      email,
+      credentialId: null,
+      details: { revoked: selected.map(getCredentialId), sessionsEnded },
+      ip,
+      userAgent,
+      createdAt: at
+    });
+
+    const revoked = selected.map(toCredential);
+
+    // The passkeys are gone either way; a failed email is logged, not reported
+    try {
+      await notify({ email, revoked, sessionsEnded, at, ip });
+    } catch (error) {
+      console.error('Error sending passkey recovery email:', error);
+    }
+
+    return { revoked, sessionsEnded };
+  }
+
+  return { revoke };
+}
+
+module.exports = {
+  buildRecoveryEmailTemplate,
+  createPasskeyRecovery,
+};
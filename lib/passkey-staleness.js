@@ -0,0 +1,168 @@
+/**
+ * Stale passkey policy
+ *
+ * Every successful passkey login records when, from where and how often the
+ * passkey was used. Passkeys that go unused (since their last login, or since
+ * they were created if never used) are first reported with a warning, shown to
+ * the member on /account, and later disabled so a forgotten device can no
+ * longer sign in. Both steps write a security event. Pruning runs now and then
+ * in the background after members sign in, and can be started by an admin.
+ *
+ * Passkeys from before the gateway tracked use have no record of their last
+ * login, so for them the time counts from when tracking started, not from
+ * their creation: a passkey used daily for years is not disabled on deploy.
+ */
+
+const { getCredentialId, toMillis } = require('./passkey-store');
+
+// Months in the policy are counted as 30 days
+const MONTH_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Last time a stored passkey was used; if it never was, when it was created or
+// tracking started, whichever is later
+function lastActivity(lastUsedAt, createdAt, trackingStart) {
+  if (lastUsedAt !== null) {
+    return lastUsedAt;
+  }
+  if (createdAt === null) {
+    return trackingStart;
+  }
+  return trackingStart === null ? createdAt : Math.max(createdAt, trackingStart);
+}
+
+// Whether a stored passkey has been disabled
+function isDisabled(passkey) {
+  return toMillis(passkey.disabled_at || passkey.disabledAt) !== null;
+}
+
+/**
+ * Create the stale passkey policy
+ * @param {object} options
+ * @param {object} options.passkeyStore - From lib/passkey-store.js
+ * @param {object} options.securityEventQueries - See lib/db.js
+ * @param {number} options.warnAfterMs - Unused time before a warning (0 turns warnings off)
+ * @param {number} options.disableAfterMs - Unused time before the passkey is disabled (0 turns disabling off)
+ * @param {number} [options.pruneIntervalMs] - Minimum time between automatic prunes
+ */
+function createStalePasskeyPolicy({
+  passkeyStore,
+  securityEventQueries,
+  warnAfterMs,
+  disableAfterMs,
+  pruneIntervalMs = 6 * 60 * 60 * 1000
+}) {
+  let lastPrune = 0;
+
+  // Loaded once; a failed load is retried by the next prune
+  let trackingStart = null;
+  let loading = null;
+  function loadTrackingStart() {
+    if (!loading) {
+      loading = passkeyStore.useTrackingStart().then(
+        (started) => {
+          trackingStart = started;
+          return started;
+        },
+        (error) => {
+          loading = null;
+          throw error;
+        }
+      );
+    }
+    return loading;
+  }
+  loadTrackingStart().catch(error => console.error('Error loading passkey use tracking start:', error));
+
+  /**
+   * Staleness of a passkey as shown to the member
+   * @param {object} credential - From passkeyStore.listCredentials
+   * @param {number} [now]
+   * @returns {object} { stale: 'active'|'warning'|'disabled', disablesAt }
+   */
+  function describe(credential, now = Date.now()) {
+    if (credential.disabled) {
+      return { stale: 'disabled', disablesAt: null };
+    }
+
+    // Until the tracking start is loaded, never-used passkeys count from now
+    const since = lastActivity(credential.lastUsedAt, credential.createdAt, trackingStart ?? now);
+    if (since === null) {
+      return { stale: 'active', disablesAt: null };
+    }
+
+    return {
+      stale: warnAfterMs && now - since >= warnAfterMs ? 'warning' : 'active',
+      disablesAt: disableAfterMs ? since + disableAfterMs : null
+    };
+  }
+
+  async function recordEvent(type, passkey, since, at) {
+    await securityEventQueries.recordEvent({
+      type,
+      email: passkey.email,
+      credentialId: getCredentialId(passkey),
+      details: { lastUsedAt: since },
+      ip: null,
+      userAgent: null,
+      createdAt: at
+    });
+  }
+
+  /**
+   * Warn about and disable unused passkeys
+   * @param {number} [now]
+   * @returns {Promise<{warned: number, disabled: number}>}
+   */
+  async function prune(now = Date.now()) {
+    let warned = 0;
+    let disabled = 0;
+    const started = await loadTrackingStart();
+
+    for (const passkey of await passkeyStore.listAll()) {
+      const since = lastActivity(
+        toMillis(passkey.last_used_at || passkey.lastUsedAt),
+        toMillis(passkey.created_at || passkey.createdAt),
+        started
+      );
+      if (isDisabled(passkey) || since === null) {
+        continue;
+      }
+
+      if (disableAfterMs && now - since >= disableAfterMs) {
+        await passkeyStore.disable(passkey, now);
+        await recordEvent('passkey_disabled_unused', passkey, since, now);
+        disabled++;
+      } else if (warnAfterMs && now - since >= warnAfterMs
+        && toMillis(passkey.stale_warned_at || passkey.staleWarnedAt) === null) {
+        await passkeyStore.markStaleWarning(passkey, now);
+        await recordEvent('passkey_unused_warning', passkey, since, now);
+        warned++;
+      }
+    }
+
+    return { warned, disabled };
+  }
+
+  // Prune at most once per interval; failures are logged, never thrown
+  async function pruneIfDue() {
+    const now = Date.now();
+    if ((!warnAfterMs && !disableAfterMs) || now - lastPrune < pruneIntervalMs) {
+      return;
+    }
+    lastPrune = now;
+
+    try {
+      await prune(now);
+    } catch (error) {
+      console.error('Error pruning stale passkeys:', error);
+    }
+  }
+
+  return { describe, prune, pruneIfDue };
+}
+
+module.exports = {
+  MONTH_MS,
+  createStalePasskeyPolicy,
+  isDisabled,
+};
@@ -0,0 +1,246 @@
+/**
+ * Passkey store
+ *
+ * passkeyQueries has two shapes: SQLite (lib/db.js) exposes prepared
+ * statements (getEmailPasskeys.all, deletePasskey.run) returning snake_case
+ * rows, while the Firestore queries from @bear/sso are async functions
+ * returning camelCase documents. This wraps either one so the gateway can
+ * manage a member's passkeys without caring which is in use. Every lookup by
+ * id is scoped to the member's email, so one member can never reach another
+ * member's credential.
+ */
+
+// Call a query that is either an async function or a prepared statement
+async function runQuery(query, method, ...args) {
+  if (typeof query === 'function') {
+    return query(...args);
+  }
+  return query[method](...args);
+}
+
+// Convert a timestamp from either database to milliseconds
+function toMillis(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone designator
+  const text = String(value);
+  const time = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Member-facing view of a stored passkey
+ * @param {object} row - SQLite row or Firestore document
+ * @returns {object} { id, deviceName, createdAt, flagged, flaggedAt, lastUsedAt, lastUsedIp,
+ *   lastUsedUserAgent, useCount, disabled, disabledAt }
+ */
+function toCredential(row) {
+  const flaggedAt = toMillis(row.flagged_at || row.flaggedAt);
+  const disabledAt = toMillis(row.disabled_at || row.disabledAt);
+  return {
+    id: String(row.id),
+    deviceName: row.device_name || row.deviceName || null,
+    createdAt: toMillis(row.created_at || row.createdAt),
+    flagged: flaggedAt !== null,
+    flaggedAt,
+    lastUsedAt: toMillis(row.last_used_at || row.lastUsedAt),
+    lastUsedIp: row.last_used_ip || row.lastUsedIp || null,
+    lastUsedUserAgent: row.last_used_user_agent || row.lastUsedUserAgent || null,
+    useCount: row.use_count || row.useCount || 0,
+    disabled: disabledAt !== null,
+    disabledAt
+  };
+}
+
+// WebAuthn credential ID of a stored passkey
+function getCredentialId(row) {
+  return row.credential_id || row.credentialId;
+}
+
+/**
+ * Create a passkey store
+ * @param {object} passkeyQueries - SQLite statements or Firestore functions
+ */
+function createPasskeyStore(passkeyQueries) {
+  /**
+   * List the passkeys registered for an email
+   * @param {string} email
+   * @returns {Promise<object[]>}
+   */
+  async function listByEmail(email) {
+    return (await runQuery(passkeyQueries.getEmailPasskeys, 'all', email)) || [];
+  }
+
+  /**
+   * Remove every passkey registered for an email
+   * @param {string} email
+   * @returns {Promise<number>} Number of passkeys removed
+   */
+  async function deleteByEmail(email) {
+    const passkeys = await listByEmail(email);
+    for (const passkey of passkeys) {
+      await runQuery(passkeyQueries.deletePasskey, 'run', passkey.id);
+    }
+    return passkeys.length;
+  }
+
+  // Find one of the member's passkeys by its id
+  async function findOwned(email, id) {
+    const passkeys = await listByEmail(email);
+    return passkeys.find(passkey => String(passkey.id) === String(id)) || null;
+  }
+
+  /**
+   * Find a passkey by its WebAuthn credential ID
+   * @param {string} credentialId
+   * @returns {Promise<object|null>}
+   */
+  async function findByCredentialId(credentialId) {
+    return (await runQuery(passkeyQueries.findPasskeyByCredentialId, 'get', credentialId)) || null;
+  }
+
+  /**
+   * Store the signature counter from a successful login
+   * @param {object} passkey - From findByCredentialId
+   * @param {number} counter
+   */
+  async function updateCounter(passkey, counter) {
+    await runQuery(passkeyQueries.updatePasskeyCounter, 'run', counter, getCredentialId(passkey));
+  }
+
+  /**
+   * Mark a passkey as suspicious
+   * @param {object} passkey - From findByCredentialId
+   * @param {string} reason - e.g. 'counter_regression'
+   */
+  async function flag(passkey, reason) {
+    await runQuery(passkeyQueries.flagPasskey, 'run', Date.now(), reason, passkey.id);
+  }
+
+  /**
+   * List every flagged passkey, for admins
+   * @returns {Promise<object[]>} { id, email, deviceName, createdAt, flagged, flaggedAt, flagReason }
+   */
+  async function listFlagged() {
+    const rows = (await runQuery(passkeyQueries.getFlaggedPasskeys, 'all')) || [];
+    return rows.map(row => ({
+      ...toCredential(row),
+      email: row.email,
+      flagReason: row.flag_reason || row.flagReason || null
+    }));
+  }
+
+  /**
+   * Record a successful login with a passkey
+   * @param {object} passkey - From findByCredentialId
+   * @param {object} client
+   * @param {string|null} [client.ip]
+   * @param {string|null} [client.userAgent]
+   */
+  async function recordUse(passkey, { ip = null, userAgent = null } = {}) {
+    await runQuery(passkeyQueries.recordPasskeyUse, 'run', Date.now(), ip, userAgent, passkey.id);
+  }
+
+  /**
+   * List every stored passkey (for the stale passkey policy)
+   * @returns {Promise<object[]>}
+   */
+  async function listAll() {
+    return (await runQuery(passkeyQueries.getAllPasskeys, 'all')) || [];
+  }
+
+  /**
+   * When the gateway started tracking passkey use (fixed the first time it is asked)
+   * @returns {Promise<number>} timestamp in milliseconds
+   */
+  async function useTrackingStart() {
+    return toMillis(await runQuery(passkeyQueries.getPasskeyUseTrackingStart, 'get', Date.now()));
+  }
+
+  /**
+   * Note that a passkey was reported as unused
+   * @param {object} passkey - From listAll
+   * @param {number} at - timestamp in milliseconds
+   */
+  async function markStaleWarning(passkey, at) {
+    await runQuery(passkeyQueries.markPasskeyStaleWarning, 'run', at, passkey.id);
+  }
+
+  /**
+   * Disable a passkey so it can no longer sign in
+   * @param {object} passkey - From listAll
+   * @param {number} at - timestamp in milliseconds
+   */
+  async function disable(passkey, at) {
+    await runQuery(passkeyQueries.disablePasskey, 'run', at, passkey.id);
+  }
+
+  /**
+   * List a member's passkeys for display
+   * @param {string} email
+   * @returns {Promise<object[]>} See toCredential
+   */
+  async function listCredentials(email) {
+    return (await listByEmail(email)).map(toCredential);
+  }
+
+  /**
+   * Rename one of a member's passkeys
+   * @param {string} email
+   * @param {string} id
+   * @param {string} deviceName
+   * @returns {Promise<object|null>} The renamed credential, or null if the member has no such passkey
+   */
+  async function rename(email, id, deviceName) {
+    const passkey = await findOwned(email, id);
+    if (!passkey) {
+      return null;
+    }
+    await runQuery(passkeyQueries.renamePasskey, 'run', deviceName, passkey.id);
+    return { ...toCredential(passkey), deviceName };
+  }
+
+  /**
+   * Delete one of a member's passkeys
+   * @param {string} email
+   * @param {string} id
+   * @returns {Promise<boolean>} false if the member has no such passkey
+   */
+  async function remove(email, id) {
+    const passkey = await findOwned(email, id);
+    if (!passkey) {
+      return false;
+    }
+    await runQuery(passkeyQueries.deletePasskey, 'run', passkey.id);
+    return true;
+  }
+
+  return {
+    listByEmail,
+    deleteByEmail,
+    findByCredentialId,
+    updateCounter,
+    flag,
+    listFlagged,
+    recordUse,
+    listAll,
+    useTrackingStart,
+    markStaleWarning,
+    disable,
+    listCredentials,
+    rename,
+    remove
+  };
+}
+
+module.exports = { createPasskeyStore, getCredentialId, runQuery, toCredential, toMillis };
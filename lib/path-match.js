@@ -0,0 +1,57 @@
+/**
+ * Path globs
+ *
+ * Small glob matcher for request paths used by configuration such as access
+ * rules. `*` matches within one path segment, `**` matches across segments
+ * (including none), and a trailing `/**` also matches the directory itself.
+ */
+
+// Escape regex metacharacters except the glob stars
+function escapeSegment(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a glob into a RegExp
+ * @param {string} pattern - e.g. '/members/**' or '/*-report/'
+ * @returns {RegExp}
+ */
+function compilePathGlob(pattern) {
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    throw new Error(`Path pattern must start with "/": ${pattern}`);
+  }
+
+  let source = '';
+  let rest = pattern;
+
+  // '/x/**' matches '/x', '/x/' and anything below it
+  const recursiveTail = rest.endsWith('/**');
+  if (recursiveTail) {
+    rest = rest.slice(0, -3);
+  }
+
+  rest.split('**').forEach((part, index) => {
+    if (index > 0) {
+      source += '.*';
+    }
+    source += part.split('*').map(escapeSegment).join('[^/]*');
+  });
+
+  if (recursiveTail) {
+    source += '(?:/.*)?';
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create a matcher for a list of globs
+ * @param {string[]} patterns
+ * @returns {function(string): boolean} Returns true if the path matches any pattern
+ */
+function createPathMatcher(patterns) {
+  const compiled = (patterns || []).map(compilePathGlob);
+  return (requestPath) => compiled.some(regex => regex.test(requestPath));
+}
+
+module.exports = { compilePathGlob, createPathMatcher };
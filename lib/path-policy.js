@@ -0,0 +1,100 @@
+/**
+ * Public and blocked paths
+ *
+ * Decides which proxied paths skip the sign-in gate (robots.txt, sitemaps,
+ * theme assets, Ghost's members API) and which are never proxied at all
+ * (Ghost admin). Patterns use lib/path-match.js globs. Paths are compared in
+ * the canonical form Ghost receives, so dot segments or doubled slashes cannot
+ * reach a protected path through a public one. Blocked paths are also compared
+ * decoded and in lowercase, because Ghost routes `/GHOST/` and `/%67host/` to
+ * its admin too; public paths must match exactly, without encoded dot segments.
+ */
+
+const { createPathMatcher } = require('./path-match');
+
+const DEFAULT_PUBLIC_PATHS = [
+  '/robots.txt',
+  '/sitemap*.xml',
+  '/sitemap.xsl',
+  '/favicon.ico',
+  '/favicon.png',
+  '/assets/**',
+  '/public/**',
+  '/members/api/**'
+];
+
+const DEFAULT_BLOCKED_PATHS = ['/ghost/**'];
+
+/**
+ * Canonical form of a request path: backslashes as slashes, repeated slashes
+ * collapsed and dot segments resolved
+ * @param {string} requestPath
+ * @returns {string}
+ */
+function normalizePath(requestPath) {
+  // Collapsed first: '//host/...' would otherwise parse as a host
+  const collapsed = requestPath.replace(/\\/g, '/').replace(/\/{2,}/g, '/');
+  return new URL(collapsed, 'http://gateway.invalid').pathname;
+}
+
+// Percent-decoded path; malformed escapes are left as they are
+function decodePath(requestPath) {
+  try {
+    return decodeURIComponent(requestPath);
+  } catch (error) {
+    return requestPath;
+  }
+}
+
+/**
+ * Parse a comma-separated list of path patterns from the environment
+ * @param {string|undefined} value
+ * @param {string[]} defaults - Used when the variable is not set
+ * @returns {string[]}
+ */
+function parsePathList(value, defaults) {
+  if (value === undefined) {
+    return defaults;
+  }
+  return value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * Create the path policy
+ * @param {object} options
+ * @param {string[]} options.publicPaths - Proxied without a session
+ * @param {string[]} options.blockedPaths - Never proxied (wins over publicPaths)
+ * @throws {Error} If a pattern is invalid
+ */
+function createPathPolicy({ publicPaths, blockedPaths }) {
+  const isPublic = createPathMatcher(publicPaths);
+  const isBlocked = createPathMatcher(blockedPaths);
+
+  /**
+   * Classify a canonical request path (see normalizePath)
+   * @param {string} requestPath
+   * @returns {'blocked'|'public'|'protected'}
+   */
+  function classify(requestPath) {
+    // Decoded, '?' and '#' kept as path characters; encoded dot segments ('..%2f')
+    // resolve here, as they would if Ghost decoded them
+    const decoded = decodePath(requestPath).replace(/\?/g, '%3F').replace(/#/g, '%23');
+    const resolved = normalizePath(decoded).toLowerCase();
+    if (isBlocked(requestPath) || isBlocked(resolved)) {
+      return 'blocked';
+    }
+
+    const leavesDirectory = /(?:^|[\\/])\.\.?(?:[\\/]|$)/.test(decoded);
+    return isPublic(requestPath) && !leavesDirectory ? 'public' : 'protected';
+  }
+
+  return { classify };
+}
+
+module.exports = {
+  DEFAULT_BLOCKED_PATHS,
+  DEFAULT_PUBLIC_PATHS,
+  createPathPolicy,
+  normalizePath,
+  parsePathList,
+};
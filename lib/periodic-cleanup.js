@@ -0,0 +1,36 @@
+/**
+ * Periodic cleanup
+ *
+ * Expired rows (sessions, used token IDs, attempt counters, passkey
+ * challenges) are never read again but stay in the database until deleted.
+ * Instead of a timer, which Cloud Run does not run between requests, each
+ * store cleans up now and then as it writes new rows, at most once per
+ * interval per gateway instance.
+ */
+
+/**
+ * Create a cleanup that runs at most once per interval
+ * @param {string} name - What is cleaned up, for error logs (e.g. 'sessions')
+ * @param {function(): Promise} cleanup - e.g. sessionQueries.cleanupExpiredSessions
+ * @param {number} [intervalMs] - Minimum time between runs
+ * @returns {function(): Promise<void>} Runs the cleanup if it is due; never throws
+ */
+function createPeriodicCleanup(name, cleanup, intervalMs = 60 * 1000) {
+  let lastRun = 0;
+
+  return async function cleanupIfDue() {
+    const now = Date.now();
+    if (now - lastRun < intervalMs) {
+      return;
+    }
+    lastRun = now;
+
+    try {
+      await cleanup();
+    } catch (error) {
+      console.error(`Error cleaning up ${name}:`, error);
+    }
+  };
+}
+
+module.exports = { createPeriodicCleanup };
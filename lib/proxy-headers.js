@@ -0,0 +1,178 @@
+/**
+ * Headers between the gateway and Ghost
+ *
+ * Requests to Ghost carry only an allowlist of the browser's headers, so the
+ * gateway's session cookie, Authorization and hop-by-hop headers stay behind,
+ * plus the standard X-Forwarded-* and Forwarded headers describing the
+ * browser. Of the browser's cookies only Ghost's own are forwarded. Responses
+ * lose their hop-by-hop headers, and redirects and cookies Ghost issues for
+ * its own host are moved to the gateway's origin.
+ */
+
+// Browser headers Ghost may see (lowercase)
+const FORWARDED_REQUEST_HEADERS = [
+  'accept',
+  'accept-language',
+  'cache-control',
+  'content-type',
+  'if-match',
+  'if-modified-since',
+  'if-none-match',
+  'if-range',
+  'if-unmodified-since',
+  'pragma',
+  'range',
+  'referer',
+  'user-agent',
+  'x-requested-with'
+];
+
+// Cookies Ghost sets itself (members and admin sessions)
+const FORWARDED_COOKIE_PREFIX = 'ghost-';
+
+// Meaningful for one connection only (RFC 9110 section 7.6.1)
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+// Hop-by-hop headers, including any the Connection header names
+function hopByHop(headers) {
+  const named = String(headers.connection || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return new Set([...HOP_BY_HOP_HEADERS, ...named]);
+}
+
+// Keep only Ghost's cookies from a Cookie header
+function filterCookies(header) {
+  return String(header || '')
+    .split(';')
+    .map(cookie => cookie.trim())
+    .filter(cookie => cookie.toLowerCase().startsWith(FORWARDED_COOKIE_PREFIX))
+    .join('; ');
+}
+
+// One node of a Forwarded header; IPv6 addresses are quoted in brackets (RFC 7239)
+function forwardedNode(address) {
+  return address.includes(':') ? `"[${address}]"` : address;
+}
+
+/**
+ * Build the headers of a request to Ghost
+ * @param {object} req - Express request (honors the 'trust proxy' setting)
+ * @param {object} options
+ * @param {string} options.ghostHost - Host header Ghost expects
+ * @returns {object} Lowercase header names
+ */
+function buildUpstreamHeaders(req, { ghostHost }) {
+  const skip = hopByHop(req.headers);
+  const headers = {};
+
+  for (const name of FORWARDED_REQUEST_HEADERS) {
+    if (req.headers[name] !== undefined && !skip.has(name)) {
+      headers[name] = req.headers[name];
+    }
+  }
+
+  const cookies = filterCookies(req.headers.cookie);
+  if (cookies) {
+    headers.cookie = cookies;
+  }
+
+  // Client addresses from trusted proxies, then the address that connected to us
+  const remoteAddress = req.socket.remoteAddress;
+  const chain = req.ips.length > 0 ? [...req.ips, remoteAddress] : [remoteAddress];
+  const client = req.ip || remoteAddress;
+
+  headers.host = ghostHost;
+  headers['x-forwarded-for'] = chain.filter(Boolean).join(', ');
+  headers['x-forwarded-proto'] = req.protocol;
+  headers['x-forwarded-host'] = req.headers.host;
+  headers.forwarded = [
+    client ? `for=${forwardedNode(client)}` : null,
+    req.headers.host ? `host="${req.headers.host}"` : null,
+    `proto=${req.protocol}`
+  ].filter(Boolean).join(';');
+
+  return headers;
+}
+
+/**
+ * Response headers to pass on to the browser
+ * @param {object} headers - Ghost's response headers (lowercase names)
+ * @param {string[]} [omit] - Further headers to leave out
+ * @returns {object}
+ */
+function filterResponseHeaders(headers, omit = []) {
+  const skip = hopByHop(headers);
+  const filtered = {};
+
+  for (const [name, value] of Object.entries(headers)) {
+    const lower = name.toLowerCase();
+    if (!skip.has(lower) && !omit.includes(lower)) {
+      filtered[lower] = value;
+    }
+  }
+
+  return filtered;
+}
+
+/**
+ * Point a Location header at the gateway when it names Ghost
+ * @param {string} location
+ * @param {object} options
+ * @param {string} options.ghostUrl - Ghost's base URL
+ * @param {string} options.origin - The gateway's origin
+ * @returns {string}
+ */
+function rewriteLocation(location, { ghostUrl, origin }) {
+  let target;
+  try {
+    // A base keeps relative redirects relative below
+    target = new URL(location, 'http://relative.invalid');
+  } catch (error) {
+    return location;
+  }
+
+  if (target.host === 'relative.invalid' || target.origin !== new URL(ghostUrl).origin) {
+    return location;
+  }
+
+  return new URL(`${target.pathname}${target.search}${target.hash}`, origin).toString();
+}
+
+/**
+ * Move cookies Ghost sets for its own host to the gateway's host
+ * @param {string|string[]} setCookie
+ * @param {object} options
+ * @param {string} options.ghostUrl - Ghost's base URL
+ * @param {string} options.origin - The gateway's origin
+ * @returns {string|string[]}
+ */
+function rewriteSetCookie(setCookie, { ghostUrl, origin }) {
+  const ghostHostname = new URL(ghostUrl).hostname.toLowerCase();
+  const gatewayHostname = new URL(origin).hostname;
+
+  const rewrite = cookie => cookie.replace(/(;\s*domain\s*=\s*)\.?([^;\s]+)/i, (match, prefix, domain) => (
+    domain.toLowerCase() === ghostHostname ? `${prefix}${gatewayHostname}` : match
+  ));
+
+  return Array.isArray(setCookie) ? setCookie.map(rewrite) : rewrite(setCookie);
+}
+
+module.exports = {
+  FORWARDED_REQUEST_HEADERS,
+  buildUpstreamHeaders,
+  filterResponseHeaders,
+  rewriteLocation,
+  rewriteSetCookie,
+};
@@ -0,0 +1,293 @@
+/**
+ * Passkey registration policy
+ *
+ * Decides which authenticators members may register. The policy is applied to
+ * the options from passkeyAuth.generateRegistration (attestation conveyance,
+ * user verification, resident key, authenticator attachment) and checked
+ * again against the verified registration, since a browser may ignore what
+ * it was asked for. That check only trusts what the verifier checked: the
+ * AAGUID and user verification from registrationInfo, and an attestation
+ * the verifier marked as trusted (attestationTrusted). Without them,
+ * allow-lists and required attestation or user verification refuse the
+ * passkey. Overrides give members with certain labels a stricter
+ * policy; the first override naming one of the member's labels is merged
+ * over the base policy. Fields left out are not enforced, and the options
+ * keep what @bear/sso generated.
+ *
+ * Example configuration (hardware keys only for partners):
+ *   {
+ *     "userVerification": "preferred",
+ *     "blockedAaguids": ["12345678-1234-1234-1234-123456789abc"],
+ *     "overrides": [
+ *       {
+ *         "labels": ["builder-partner"],
+ *         "attestation": "direct",
+ *         "userVerification": "required",
+ *         "authenticatorAttachment": "cross-platform",
+ *         "allowedAaguids": ["ee882879-721c-4913-9775-3dfcce97072a"]
+ *       }
+ *     ]
+ *   }
+ */
+
+const { getAaguid } = require('./device-names');
+
+/**
+ * Invalid registration policy configuration
+ */
+class RegistrationPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RegistrationPolicyError';
+  }
+}
+
+const CHOICES = {
+  attestation: ['none', 'indirect', 'direct', 'enterprise'],
+  userVerification: ['required', 'preferred', 'discouraged'],
+  residentKey: ['required', 'preferred', 'discouraged'],
+  authenticatorAttachment: ['platform', 'cross-platform']
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Flags byte of authenticatorData: UV (user verified)
+const FLAG_USER_VERIFIED = 0x04;
+
+const VIOLATIONS = {
+  blocked: { code: 'authenticator_blocked', message: 'This kind of passkey cannot be used here. Please use a different device or security key.' },
+  notAllowed: { code: 'authenticator_not_allowed', message: 'Your account needs a passkey on an approved security key.' },
+  attestation: { code: 'attestation_required', message: 'This security key did not prove what it is. Please use an approved security key.' },
+  userVerification: { code: 'user_verification_required', message: 'Your passkey must be protected with a fingerprint, face scan or PIN.' },
+  residentKey: { code: 'resident_key_required', message: 'This device could not save the passkey for sign-in without an email.' }
+};
+
+// Validate the policy fields of the base policy or an override
+function parseFields(fields, where) {
+  const policy = {};
+
+  for (const [name, choices] of Object.entries(CHOICES)) {
+    if (fields[name] === undefined || fields[name] === null) {
+      continue;
+    }
+    if (!choices.includes(fields[name])) {
+      throw new RegistrationPolicyError(`${where}: ${name} must be one of ${choices.join(', ')}`);
+    }
+    policy[name] = fields[name];
+  }
+
+  for (const name of ['allowedAaguids', 'blockedAaguids']) {
+    if (fields[name] === undefined || fields[name] === null) {
+      continue;
+    }
+    if (!Array.isArray(fields[name])) {
+      throw new RegistrationPolicyError(`${where}: ${name} must be a list`);
+    }
+    policy[name] = fields[name].map(aaguid => {
+      const normalized = typeof aaguid === 'string' ? aaguid.toLowerCase() : '';
+      if (!UUID_PATTERN.test(normalized)) {
+        throw new RegistrationPolicyError(`${where}: ${name} has an invalid AAGUID ${JSON.stringify(aaguid)}`);
+      }
+      return normalized;
+    });
+  }
+
+  return policy;
+}
+
+/**
+ * Validate and normalize a policy configuration
+ * @param {object|string} config - Policy, or its JSON
+ * @returns {object} { base, overrides: [{ labels, policy }] }
+ * @throws {RegistrationPolicyError}
+ */
+function parseRegistrationPolicy(config) {
+  let parsed = config;
+  if (typeof config === 'string') {
+    try {
+      parsed = JSON.parse(config);
+    } catch (error) {
+      throw new RegistrationPolicyError(`Registration policy is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new RegistrationPolicyError('Registration policy must be an object');
+  }
+
+  const overrides = parsed.overrides === undefined ? [] : parsed.overrides;
+  if (!Array.isArray(overrides)) {
+    throw new RegistrationPolicyError('Registration policy overrides must be a list');
+  }
+
+  return {
+    base: parseFields(parsed, 'Registration policy'),
+    overrides: overrides.map((override, index) => {
+      const labels = override && override.labels;
+      if (!Array.isArray(labels) || labels.length === 0 || !labels.every(label => typeof label === 'string' && label)) {
+        throw new RegistrationPolicyError(`Registration policy override ${index} needs a non-empty list of labels`);
+      }
+      return { labels, policy: parseFields(override, `Registration policy override ${index}`) };
+    })
+  };
+}
+
+/**
+ * Create the registration policy used by register-start / register-finish
+ * @param {object} parsed - Output of parseRegistrationPolicy
+ */
+function createRegistrationPolicy({ base, overrides }) {
+  /**
+   * Policy for a member
+   * @param {string[]} labels - The member's Ghost labels
+   * @returns {object}
+   */
+  function forLabels(labels = []) {
+    const override = overrides.find(candidate => candidate.labels.some(label => labels.includes(label)));
+    return override ? { ...base, ...override.policy } : { ...base };
+  }
+
+  /**
+   * Ask the browser for what the policy needs
+   * @param {object} options - From passkeyAuth.generateRegistration (changed in place)
+   * @param {object} policy - From forLabels
+   * @returns {object} options
+   */
+  function applyToOptions(options, policy) {
+    if (policy.attestation) {
+      options.attestation = policy.attestation;
+    }
+
+    const selection = { ...options.authenticatorSelection };
+    if (policy.userVerification) {
+      selection.userVerification = policy.userVerification;
+    }
+    if (policy.residentKey) {
+      selection.residentKey = policy.residentKey;
+      selection.requireResidentKey = policy.residentKey === 'required';
+      // credProps tells us whether a resident key was actually created
+      options.extensions = { ...options.extensions, credProps: true };
+    }
+    if (policy.authenticatorAttachment) {
+      selection.authenticatorAttachment = policy.authenticatorAttachment;
+    }
+    options.authenticatorSelection = selection;
+    return options;
+  }
+
+  /**
+   * Check a registration before it is verified and stored, from what the
+   * browser sent. Only refuses what the response shows breaks the policy;
+   * data the browser left out is left to check.
+   * @param {object} policy - From forLabels
+   * @param {object} credential - JSON from SimpleWebAuthn startRegistration
+   * @returns {{code: string, message: string}|null} The broken rule, or null if nothing shows one yet
+   */
+  function precheck(policy, credential) {
+    const aaguid = getAaguid(credential);
+    if (aaguid && policy.blockedAaguids && policy.blockedAaguids.includes(aaguid)) {
+      return VIOLATIONS.blocked;
+    }
+    if (aaguid && hasAllowList(policy) && !policy.allowedAaguids.includes(aaguid)) {
+      return VIOLATIONS.notAllowed;
+    }
+
+    if (policy.userVerification === 'required' && readUserVerified(credential) === false) {
+      return VIOLATIONS.userVerification;
+    }
+
+    const credProps = credential.clientExtensionResults && credential.clientExtensionResults.credProps;
+    if (policy.residentKey === 'required' && credProps && credProps.rk === false) {
+      return VIOLATIONS.residentKey;
+    }
+
+    if (policy.authenticatorAttachment && credential.authenticatorAttachment
+      && credential.authenticatorAttachment !== policy.authenticatorAttachment) {
+      return attachmentViolation(policy);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a verified registration against the policy. AAGUID, user
+   * verification and attestation are only taken from the verified
+   * registrationInfo; when it does not report them, allow-lists, required
+   * attestation and required user verification refuse the registration.
+   * @param {object} policy - From forLabels
+   * @param {object} registration
+   * @param {object} registration.credential - JSON from SimpleWebAuthn startRegistration
+   * @param {object} [registration.registrationInfo] - From passkeyAuth.verifyRegistration
+   * @returns {{code: string, message: string}|null} The broken rule, or null if the registration is allowed
+   */
+  function check(policy, { credential, registrationInfo = {} }) {
+    const info = registrationInfo || {};
+    const aaguid = typeof info.aaguid === 'string' ? info.aaguid.toLowerCase() : null;
+
+    if (aaguid && policy.blockedAaguids && policy.blockedAaguids.includes(aaguid)) {
+      return VIOLATIONS.blocked;
+    }
+    // An AAGUID only says which model made the passkey when a trusted attestation vouches for it
+    if (hasAllowList(policy) && !(aaguid && policy.allowedAaguids.includes(aaguid) && hasTrustedAttestation(info))) {
+      return VIOLATIONS.notAllowed;
+    }
+
+    if ((policy.attestation === 'direct' || policy.attestation === 'enterprise') && !hasTrustedAttestation(info)) {
+      return VIOLATIONS.attestation;
+    }
+
+    if (policy.userVerification === 'required' && info.userVerified !== true) {
+      return VIOLATIONS.userVerification;
+    }
+
+    // credProps and the attachment are reported by the browser, not signed by the authenticator
+    if (policy.residentKey === 'required' && !hasResidentKey(credential)) {
+      return VIOLATIONS.residentKey;
+    }
+    if (policy.authenticatorAttachment && credential.authenticatorAttachment !== policy.authenticatorAttachment) {
+      return attachmentViolation(policy);
+    }
+
+    return null;
+  }
+
+  return { forLabels, applyToOptions, precheck, check };
+}
+
+// The UV flag from the browser's authenticatorData (unverified), or null if it was left out
+function readUserVerified(credential) {
+  try {
+    const data = Buffer.from(credential.response.authenticatorData, 'base64url');
+    return data.length > 32 ? (data[32] & FLAG_USER_VERIFIED) !== 0 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether the verifier checked the attestation statement against trusted roots
+// (e.g. the FIDO Metadata Service); an attestation format alone can be self-signed
+function hasTrustedAttestation(info) {
+  return Boolean(info.fmt && info.fmt !== 'none' && info.attestationTrusted === true);
+}
+
+function hasAllowList(policy) {
+  return Boolean(policy.allowedAaguids && policy.allowedAaguids.length > 0);
+}
+
+function attachmentViolation(policy) {
+  return policy.authenticatorAttachment === 'cross-platform'
+    ? { code: 'authenticator_attachment_not_allowed', message: 'Your account needs a passkey on a security key.' }
+    : { code: 'authenticator_attachment_not_allowed', message: 'Please create the passkey on this device.' };
+}
+
+// Whether the credential is discoverable, from the credProps extension
+function hasResidentKey(credential) {
+  const results = credential.clientExtensionResults;
+  return Boolean(results && results.credProps && results.credProps.rk === true);
+}
+
+module.exports = {
+  RegistrationPolicyError,
+  createRegistrationPolicy,
+  parseRegistrationPolicy,
+};
@@ -0,0 +1,407 @@
+/**
+ * Proxy response cache
+ *
+ * Keeps what the gateway sent for GET requests to Ghost (status, headers and
+ * the body after SSO injection and compression) so theme assets, images and
+ * pages are not fetched from Ghost on every request. Only responses Ghost
+ * marks as shareable are stored: 200s without `no-store`, `private`,
+ * `Set-Cookie` or a `Vary` other than Accept-Encoding. They are fresh for
+ * `s-maxage`/`max-age` (or until `Expires`); after that the gateway asks Ghost
+ * again with the stored ETag/Last-Modified and keeps the body on a 304.
+ *
+ * Bodies live in memory up to a byte limit. With a directory configured,
+ * bodies pushed out of memory move to disk (up to their own limit) and back
+ * into memory when requested again. The disk tier only extends capacity: it
+ * is emptied at startup, since the entries' metadata lives in memory.
+ *
+ * Callers choose the keys; pages are keyed by the member's access tier so
+ * members of different tiers never share a cached page.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+
+const DISK_SUFFIX = '.cache';
+
+// Headers that describe one response to one browser, never replayed from the cache.
+// CORS headers reflect the requesting origin, and Vary is set again by the
+// gateway's own middleware, so the replaying request's values are kept
+const UNCACHED_HEADERS = [
+  'set-cookie', 'x-cache', 'age', 'date', 'connection', 'transfer-encoding',
+  'access-control-allow-origin', 'access-control-allow-credentials', 'access-control-allow-methods',
+  'access-control-allow-headers', 'access-control-expose-headers', 'access-control-max-age', 'vary'
+];
+
+/**
+ * Parse a Cache-Control header
+ * @param {string} [header]
+ * @returns {object} Directive (lowercase) to its value: a number for seconds, otherwise true
+ */
+function parseCacheControl(header) {
+  const directives = {};
+
+  for (const part of String(header || '').split(',')) {
+    const [name, value] = part.trim().split('=');
+    if (!name) {
+      continue;
+    }
+    const seconds = value === undefined ? NaN : parseInt(value.replace(/"/g, ''), 10);
+    directives[name.trim().toLowerCase()] = Number.isNaN(seconds) ? true : seconds;
+  }
+
+  return directives;
+}
+
+/**
+ * How long a response may be reused without asking Ghost
+ * @param {object} headers - Ghost's response headers (lowercase names)
+ * @returns {number} Milliseconds (0 when it must be revalidated first)
+ */
+function getFreshnessMs(headers) {
+  const cacheControl = parseCacheControl(headers['cache-control']);
+  if (cacheControl['no-cache']) {
+    return 0;
+  }
+
+  const age = parseInt(headers.age, 10) || 0;
+  const maxAge = typeof cacheControl['s-maxage'] === 'number' ? cacheControl['s-maxage'] : cacheControl['max-age'];
+  if (typeof maxAge === 'number') {
+    return Math.max(0, maxAge - age) * 1000;
+  }
+
+  const expires = Date.parse(headers.expires);
+  if (!Number.isNaN(expires)) {
+    const date = Date.parse(headers.date);
+    return Math.max(0, expires - (Number.isNaN(date) ? Date.now() : date));
+  }
+
+  return 0;
+}
+
+/**
+ * Whether a Ghost response may be stored in a cache shared between members
+ * @param {number} status
+ * @param {object} headers - Ghost's response headers (lowercase names)
+ * @returns {boolean}
+ */
+function isStorableResponse(status, headers) {
+  if (status !== 200 || headers['set-cookie']) {
+    return false;
+  }
+
+  const cacheControl = parseCacheControl(headers['cache-control']);
+  if (cacheControl['no-store'] || cacheControl.private) {
+    return false;
+  }
+
+  const vary = String(headers.vary || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (vary.some(name => name !== 'accept-encoding')) {
+    return false;
+  }
+
+  return getFreshnessMs(headers) > 0 || Boolean(headers.etag || headers['last-modified']);
+}
+
+/**
+ * Whether a browser's conditional request matches a cached response
+ * @param {object} requestHeaders - Lowercase names
+ * @param {object} entry - From the cache
+ * @returns {boolean} true when a 304 answers the request
+ */
+function isNotModified(requestHeaders, entry) {
+  const ifNoneMatch = requestHeaders['if-none-match'];
+  if (ifNoneMatch) {
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*'
+      || ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(entry.etag));
+  }
+
+  const ifModifiedSince = Date.parse(requestHeaders['if-modified-since']);
+  const lastModified = Date.parse(entry.headers['last-modified']);
+  return !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+/**
+ * Create the response cache
+ * @param {object} options
+ * @param {number} options.maxBytes - Bodies kept in memory
+ * @param {number} [options.maxEntryBytes] - Larger responses are not stored
+ * @param {string|null} [options.diskDir] - Directory for bodies pushed out of memory
+ * @param {number} [options.maxDiskBytes] - Bodies kept on disk
+ */
+function createResponseCache({ maxBytes, maxEntryBytes = 10 * 1024 * 1024, diskDir = null, maxDiskBytes = 0 }) {
+  // Both in least recently used order
+  const memory = new Map();
+  const disk = new Map();
+  let memoryBytes = 0;
+  let diskBytes = 0;
+  // Bumped by every purge, so a body read or written meanwhile is not kept
+  let generation = 0;
+
+  const useDisk = Boolean(diskDir) && maxDiskBytes > 0;
+  if (useDisk) {
+    fs.mkdirSync(diskDir, { recursive: true });
+    for (const name of fs.readdirSync(diskDir)) {
+      if (name.endsWith(DISK_SUFFIX)) {
+        fs.unlinkSync(path.join(diskDir, name));
+      }
+    }
+  }
+
+  const diskFile = key => path.join(diskDir, crypto.createHash('sha256').update(key).digest('hex') + DISK_SUFFIX);
+
+  function removeFile(file) {
+    fs.promises.unlink(file).catch(error => {
+      if (error.code !== 'ENOENT') {
+        console.error('Error removing cached response:', error);
+      }
+    });
+  }
+
+  /**
+   * Remove one cached response
+   * @param {string} key
+   */
+  function remove(key) {
+    const inMemory = memory.get(key);
+    if (inMemory) {
+      memory.delete(key);
+      memoryBytes -= inMemory.size;
+    }
+
+    const onDisk = disk.get(key);
+    if (onDisk) {
+      disk.delete(key);
+      diskBytes -= onDisk.size;
+      removeFile(onDisk.file);
+    }
+  }
+
+  // Move a body out of memory; it is simply dropped without a disk tier
+  async function spill(entry) {
+    if (!useDisk || entry.size > maxDiskBytes) {
+      return;
+    }
+
+    const { body, ...meta } = entry;
+    const file = diskFile(entry.key);
+    const started = generation;
+    try {
+      await fs.promises.writeFile(file, body);
+    } catch (error) {
+      console.error('Error writing cached response:', error);
+      return;
+    }
+
+    // Stored again or purged while the file was written
+    if (memory.has(entry.key) || generation !== started) {
+      removeFile(file);
+      return;
+    }
+
+    disk.set(entry.key, { ...meta, file });
+    diskBytes += entry.size;
+    for (const [key, oldest] of disk) {
+      if (diskBytes <= maxDiskBytes) {
+        break;
+      }
+      disk.delete(key);
+      diskBytes -= oldest.size;
+      removeFile(oldest.file);
+    }
+  }
+
+  function keepInMemory(entry) {
+    memory.set(entry.key, entry);
+    memoryBytes += entry.size;
+
+    for (const [key, oldest] of memory) {
+      if (memoryBytes <= maxBytes) {
+        break;
+      }
+      memory.delete(key);
+      memoryBytes -= oldest.size;
+      spill(oldest);
+    }
+  }
+
+  /**
+   * Look up a cached response (fresh or not; see isFresh)
+   * @param {string} key
+   * @returns {Promise<object|null>} { key, path, status, headers, etag, body, expiresAt, validators }
+   */
+  async function get(key) {
+    let entry = memory.get(key);
+
+    if (entry) {
+      memory.delete(key);
+      memory.set(key, entry);
+    } else if (disk.has(key)) {
+      const { file, ...meta } = disk.get(key);
+      const started = generation;
+      disk.delete(key);
+      diskBytes -= meta.size;
+
+      let body;
+      try {
+        body = await fs.promises.readFile(file);
+      } catch (error) {
+        console.error('Error reading cached response:', error);
+        return null;
+      }
+      removeFile(file);
+
+      if (generation !== started) {
+        return null;
+      }
+      if (memory.has(key)) {
+        return memory.get(key);
+      }
+      entry = { ...meta, body };
+      keepInMemory(entry);
+    } else {
+      return null;
+    }
+
+    // Expired and nothing to revalidate with
+    if (!isFresh(entry) && !entry.validators.etag && !entry.validators.lastModified) {
+      remove(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key
+   * @param {object} response
+   * @param {string} response.path - Request path, for purges
+   * @param {number} response.status
+   * @param {object} response.headers - Headers sent to the browser
+   * @param {object} response.upstreamHeaders - Ghost's headers, for freshness and revalidation
+   * @param {Buffer} response.body - Body sent to the browser
+   */
+  function set(key, { path: requestPath, status, headers, upstreamHeaders, body }) {
+    remove(key);
+    if (body.length > maxEntryBytes || body.length > maxBytes) {
+      return;
+    }
+
+    const replayed = {};
+    for (const [name, value] of Object.entries(headers)) {
+      if (!UNCACHED_HEADERS.includes(name.toLowerCase())) {
+        replayed[name.toLowerCase()] = value;
+      }
+    }
+    replayed['content-length'] = String(body.length);
+
+    // Our bytes differ from Ghost's once rewritten, so their ETag is our own
+    if (!replayed.etag) {
+      replayed.etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    }
+
+    keepInMemory({
+      key,
+      path: requestPath,
+      status,
+      headers: replayed,
+      etag: replayed.etag,
+      body,
+      size: body.length,
+      expiresAt: Date.now() + getFreshnessMs(upstreamHeaders),
+      validators: {
+        etag: upstreamHeaders.etag || null,
+        lastModified: upstreamHeaders['last-modified'] || null
+      }
+    });
+  }
+
+  /**
+   * Stream stage that stores the body passing through once it is complete
+   * @param {string} key
+   * @param {object} response - As for set, without the body
+   * @returns {Transform}
+   */
+  function record(key, response) {
+    let chunks = [];
+    let size = 0;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (chunks && size <= maxEntryBytes) {
+          chunks.push(chunk);
+        } else {
+          chunks = null;
+        }
+        callback(null, chunk);
+      },
+
+      flush(callback) {
+        if (chunks) {
+          set(key, { ...response, body: Buffer.concat(chunks) });
+        }
+        callback();
+      }
+    });
+  }
+
+  /**
+   * Keep a response Ghost confirmed unchanged (304) for another freshness period
+   * @param {object} entry - From get
+   * @param {object} upstreamHeaders - Headers of Ghost's 304
+   */
+  function refresh(entry, upstreamHeaders) {
+    entry.expiresAt = Date.now() + getFreshnessMs(upstreamHeaders);
+    if (upstreamHeaders.etag) {
+      entry.validators.etag = upstreamHeaders.etag;
+    }
+  }
+
+  /**
+   * Whether an entry can be sent without asking Ghost
+   * @param {object} entry
+   * @returns {boolean}
+   */
+  function isFresh(entry) {
+    return entry.expiresAt > Date.now();
+  }
+
+  /**
+   * Remove cached responses
+   * @param {function(string): boolean} [matchPath] - Removes everything when left out
+   * @returns {number} Number of responses removed
+   */
+  function purge(matchPath = () => true) {
+    let purged = 0;
+    generation++;
+    for (const entry of [...memory.values(), ...disk.values()]) {
+      if (matchPath(entry.path)) {
+        remove(entry.key);
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  /**
+   * Cache size
+   * @returns {{entries: number, memoryBytes: number, diskBytes: number}}
+   */
+  function stats() {
+    return { entries: memory.size + disk.size, memoryBytes, diskBytes };
+  }
+
+  return { get, set, record, refresh, isFresh, remove, purge, stats };
+}
+
+module.exports = {
+  createResponseCache,
+  getFreshnessMs,
+  isNotModified,
+  isStorableResponse,
+  parseCacheControl,
+};
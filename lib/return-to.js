@@ -0,0 +1,45 @@
+/**
+ * Return-to path handling
+ *
+ * Members are sent back to the page they started from after signing in.
+ * Only same-origin relative paths are accepted so the parameter can never
+ * be used as an open redirect.
+ */
+
+/**
+ * Sanitize a requested return path
+ * @param {string} value - Path from a query string, request body or session
+ * @param {string} origin - Gateway origin, e.g. https://insights.travelintelligence.club
+ * @returns {string|null} Path + query + hash on the gateway origin, or null if unsafe
+ */
+function sanitizeReturnTo(value, origin) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > 2048) {
+    return null;
+  }
+
+  // Must be a relative path; reject protocol-relative (//host) and
+  // backslash variants (/\host) that browsers treat as absolute
+  if (!value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) {
+    return null;
+  }
+
+  // Control characters can be used to smuggle a different host past parsers
+  if (/[\u0000-\u001f\u007f]/.test(value)) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(value, origin);
+  } catch (error) {
+    return null;
+  }
+
+  if (url.origin !== new URL(origin).origin) {
+    return null;
+  }
+
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+module.exports = { sanitizeReturnTo };
@@ -0,0 +1,268 @@
+/**
+ * Database session store
+ *
+ * An express-session store on top of sessionQueries (SQLite locally,
+ * Firestore in production), so sessions survive restarts and are shared by
+ * every gateway instance. Each session row also records the member email,
+ * bear.flights session id, client IP, user agent and created / last-seen
+ * times, so a member's sessions can be listed and revoked (by the member, on
+ * back-channel logout or from a Ghost webhook). Expired rows, such as those
+ * of visitors who never signed in, are deleted now and then as sessions are
+ * saved. Sessions loaded from the database are only ever updated, never
+ * inserted again, so a request that was in flight when its session was
+ * revoked cannot bring the session back.
+ */
+
+const crypto = require('crypto');
+const session = require('express-session');
+const { createPeriodicCleanup } = require('./periodic-cleanup');
+
+// Sessions without a cookie expiry are kept this long
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Adapt a promise to the callback API express-session uses
+function callbackify(promise, callback) {
+  promise.then(
+    result => callback && callback(null, result),
+    error => callback && callback(error)
+  );
+}
+
+class DatabaseSessionStore extends session.Store {
+  /**
+   * @param {object} sessionQueries - See lib/db.js
+   * @param {object} [options]
+   * @param {number} [options.touchIntervalMs] - Minimum time between last-seen writes for a session
+   * @param {number} [options.cleanupIntervalMs] - Minimum time between cleanups of expired sessions
+   */
+  constructor(sessionQueries, { touchIntervalMs = 60 * 1000, cleanupIntervalMs = 60 * 1000 } = {}) {
+    super();
+    this.queries = sessionQueries;
+    this.touchIntervalMs = touchIntervalMs;
+    this.lastTouched = new Map();
+    // Session objects that have a row in the database
+    this.stored = new WeakSet();
+    this.cleanupExpired = createPeriodicCleanup(
+      'sessions',
+      () => {
+        this.forgetStaleTouches(Date.now());
+        return this.queries.cleanupExpiredSessions();
+      },
+      cleanupIntervalMs
+    );
+  }
+
+  /**
+   * Identifier that can be shown to the member without revealing the session ID
+   * @param {string} sid
+   * @returns {string}
+   */
+  static publicId(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 24);
+  }
+
+  static expiresAt(sess) {
+    const expires = sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_TTL_MS;
+  }
+
+  // Forget last-seen times old enough that the next touch writes anyway
+  forgetStaleTouches(now) {
+    for (const [sid, touchedAt] of this.lastTouched) {
+      if (now - touchedAt >= this.touchIntervalMs) {
+        this.lastTouched.delete(sid);
+      }
+    }
+  }
+
+  // Drop sessions that have expired; returns the ones still valid
+  async live(rows) {
+    const now = Date.now();
+    const valid = [];
+    for (const row of rows || []) {
+      if (row.expiresAt > now) {
+        valid.push(row);
+      } else {
+        await this.queries.deleteSession(row.sid);
+      }
+    }
+    return valid;
+  }
+
+  async load(sid) {
+    const row = await this.queries.getSession(sid);
+    const [valid] = await this.live(row ? [row] : []);
+    return valid ? JSON.parse(valid.data) : null;
+  }
+
+  /**
+   * Write a session
+   * @param {string} sid
+   * @param {object} sess
+   * @param {object} [options]
+   * @param {number} [options.lastSeenAt]
+   * @param {boolean} [options.existing] - Whether the session was loaded from the database
+   * @returns {Promise<boolean>} False if an existing session was revoked meanwhile (and was not written)
+   */
+  async save(sid, sess, { lastSeenAt = Date.now(), existing = this.stored.has(sess) } = {}) {
+    await this.cleanupExpired();
+    const fields = {
+      data: JSON.stringify(sess),
+      email: sess.userEmail ? sess.userEmail.toLowerCase() : null,
+      ssoSessionId: sess.ssoSessionId || null,
+      ip: sess.clientIp || null,
+      userAgent: sess.clientUserAgent || null,
+      lastSeenAt,
+      expiresAt: DatabaseSessionStore.expiresAt(sess)
+    };
+    if (existing) {
+      if (!await this.queries.updateSession(sid, fields)) {
+        return false;
+      }
+    } else {
+      await this.queries.saveSession(sid, fields);
+      this.stored.add(sess);
+    }
+    this.lastTouched.set(sid, lastSeenAt);
+    return true;
+  }
+
+  async remove(sids) {
+    for (const sid of sids) {
+      await this.queries.deleteSession(sid);
+      this.lastTouched.delete(sid);
+    }
+    return sids.length;
+  }
+
+  get(sid, callback) {
+    callbackify(this.load(sid), callback);
+  }
+
+  // express-session builds req.session from what get loaded here
+  createSession(req, sess) {
+    const loaded = super.createSession(req, sess);
+    this.stored.add(loaded);
+    return loaded;
+  }
+
+  set(sid, sess, callback) {
+    callbackify(this.save(sid, sess).then(() => undefined), callback);
+  }
+
+  touch(sid, sess, callback) {
+    // Last-seen only needs minute precision; skip the write on busy sessions
+    const now = Date.now();
+    if (now - (this.lastTouched.get(sid) || 0) < this.touchIntervalMs) {
+      return callback && callback(null);
+    }
+    this.lastTouched.set(sid, now);
+    callbackify(
+      Promise.resolve().then(() => this.queries.touchSession(sid, now, DatabaseSessionStore.expiresAt(sess))),
+      callback
+    );
+  }
+
+  destroy(sid, callback) {
+    callbackify(this.remove([sid]), callback);
+  }
+
+  all(callback) {
+    callbackify((async () => {
+      const sessions = {};
+      (await this.live(await this.queries.getAllSessions())).forEach(row => {
+        sessions[row.sid] = JSON.parse(row.data);
+      });
+      return sessions;
+    })(), callback);
+  }
+
+  length(callback) {
+    callbackify((async () => (await this.live(await this.queries.getAllSessions())).length)(), callback);
+  }
+
+  clear(callback) {
+    this.lastTouched.clear();
+    callbackify(Promise.resolve().then(() => this.queries.deleteAllSessions()), callback);
+  }
+
+  async userSessions(email) {
+    return this.live(await this.queries.getSessionsByEmail(String(email).toLowerCase()));
+  }
+
+  /**
+   * List a member's sessions, most recently used first
+   * @param {string} email
+   * @returns {Promise<object[]>} { id, sid, createdAt, lastSeenAt, ip, userAgent }
+   */
+  async listByUser(email) {
+    return (await this.userSessions(email)).map(row => ({
+      id: DatabaseSessionStore.publicId(row.sid),
+      sid: row.sid,
+      createdAt: row.createdAt,
+      lastSeenAt: row.lastSeenAt,
+      ip: row.ip || null,
+      userAgent: row.userAgent || null
+    }));
+  }
+
+  /**
+   * Destroy one of a member's sessions by its public id
+   * @param {string} email
+   * @param {string} id - From listByUser
+   * @returns {Promise<string|null>} The destroyed session ID, or null if the member has no such session
+   */
+  async destroyByPublicId(email, id) {
+    const row = (await this.userSessions(email))
+      .find(candidate => DatabaseSessionStore.publicId(candidate.sid) === id);
+    if (!row) {
+      return null;
+    }
+    await this.remove([row.sid]);
+    return row.sid;
+  }
+
+  /**
+   * Destroy every session belonging to a member
+   * @param {string} email
+   * @param {object} [options]
+   * @param {string} [options.except] - Session ID to keep (e.g. the current one)
+   * @returns {Promise<number>} Number of sessions destroyed
+   */
+  async destroyByUser(email, { except } = {}) {
+    const rows = await this.userSessions(email);
+    return this.remove(rows.map(row => row.sid).filter(sid => sid !== except));
+  }
+
+  /**
+   * Destroy every session created from one bear.flights session
+   * @param {string} ssoSessionId - sid claim of the handoff token
+   * @returns {Promise<number>} Number of sessions destroyed
+   */
+  async destroyBySsoSession(ssoSessionId) {
+    const rows = await this.queries.getSessionsBySsoSession(ssoSessionId);
+    return this.remove((rows || []).map(row => row.sid));
+  }
+
+  /**
+   * Change every session belonging to a member
+   * @param {string} email
+   * @param {Function} update - Receives each session object and changes it in place
+   * @returns {Promise<number>} Number of sessions updated
+   */
+  async updateByUser(email, update) {
+    const rows = await this.userSessions(email);
+    let updated = 0;
+    for (const row of rows) {
+      const sess = JSON.parse(row.data);
+      update(sess);
+      // Not activity by the member, so keep last-seen as it was
+      if (await this.save(row.sid, sess, { lastSeenAt: row.lastSeenAt, existing: true })) {
+        updated++;
+      }
+    }
+    return updated;
+  }
+}
+
+module.exports = { DatabaseSessionStore };
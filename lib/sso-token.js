@@ -0,0 +1,223 @@
+/**
+ * SSO token verification
+ *
+ * Verifies tokens handed over by bear.flights. Tokens are signed either with a
+ * dedicated HMAC key (HS256, never the session secret) or with an asymmetric
+ * key (RS256/ES256) published in the provider's JWKS. Every token must carry
+ * the expected issuer and audience, an expiry and a jti; each jti is accepted
+ * once. Logout tokens follow OpenID Connect back-channel logout and can never
+ * be used to sign in (and vice versa).
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { createPeriodicCleanup } = require('./periodic-cleanup');
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+// OpenID Connect back-channel logout event type
+const BACKCHANNEL_LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+/**
+ * Verification failure with a machine-readable code and an HTTP status
+ */
+class SsoTokenError extends Error {
+  constructor(code, message, status = 401) {
+    super(message);
+    this.name = 'SsoTokenError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Create a verifier for bear.flights tokens
+ * @param {object} options
+ * @param {string} options.issuer - Expected iss claim
+ * @param {string} options.audience - Expected aud claim
+ * @param {string} [options.secret] - Dedicated HS256 key
+ * @param {string} [options.jwksUrl] - JWKS endpoint for RS256/ES256 keys
+ * @param {number} [options.jwksCacheMs] - How long fetched keys are cached
+ * @param {number} [options.jwksMinRefetchMs] - Minimum time between JWKS fetches
+ * @param {number} [options.clockToleranceSec] - Allowed clock skew for exp/nbf
+ * @param {object} options.usedTokenQueries - markUsed(jti, expiresAt) / cleanupExpiredTokens()
+ * @param {Function} [options.fetchJwks] - Returns the JWKS document (defaults to an HTTP GET)
+ */
+function createSsoTokenVerifier({
+  issuer,
+  audience,
+  secret,
+  jwksUrl,
+  jwksCacheMs = 10 * 60 * 1000,
+  jwksMinRefetchMs = 60 * 1000,
+  clockToleranceSec = 30,
+  usedTokenQueries,
+  fetchJwks = async (url) => (await axios.get(url, { timeout: 5000 })).data
+}) {
+  // Used IDs only matter until their token expires
+  const cleanupExpired = createPeriodicCleanup('used tokens', () => usedTokenQueries.cleanupExpiredTokens());
+
+  let cachedKeys = null;
+  let cachedAt = 0;
+  let lastFetchAt = 0;
+  let pendingFetch = null;
+
+  // Fetch the JWKS, at most once per jwksMinRefetchMs so that tokens with
+  // made-up key IDs cannot each cause a request to the provider
+  async function loadKeys() {
+    if (!pendingFetch && Date.now() - lastFetchAt >= jwksMinRefetchMs) {
+      lastFetchAt = Date.now();
+      pendingFetch = (async () => {
+        try {
+          const jwks = await fetchJwks(jwksUrl);
+          const keys = new Map();
+          (jwks.keys || []).forEach(jwk => {
+            if (jwk.kid && (!jwk.use || jwk.use === 'sig')) {
+              keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            }
+          });
+          cachedKeys = keys;
+          cachedAt = Date.now();
+          return keys;
+        } finally {
+          pendingFetch = null;
+        }
+      })();
+    }
+    return pendingFetch;
+  }
+
+  // Find the public key for a kid, refetching when the kid is unknown (the
+  // provider may have rotated keys since we last fetched)
+  async function getPublicKey(kid) {
+    try {
+      if (!cachedKeys || Date.now() - cachedAt > jwksCacheMs) {
+        await loadKeys();
+      }
+      if (cachedKeys && !cachedKeys.has(kid)) {
+        await loadKeys();
+      }
+    } catch (error) {
+      if (cachedKeys && cachedKeys.has(kid)) {
+        // Provider unreachable: keep using the key we already know
+        return cachedKeys.get(kid);
+      }
+      throw new SsoTokenError('jwks_unavailable', 'Unable to fetch SSO signing keys', 503);
+    }
+    if (!cachedKeys) {
+      // The last fetch failed and it is too soon to try again
+      throw new SsoTokenError('jwks_unavailable', 'Unable to fetch SSO signing keys', 503);
+    }
+
+    const key = cachedKeys.get(kid);
+    if (!key) {
+      throw new SsoTokenError('unknown_key', 'Token signed with an unknown key');
+    }
+    return key;
+  }
+
+  async function getVerificationKey(header) {
+    if (header.alg === 'HS256' && secret) {
+      return secret;
+    }
+    if (ASYMMETRIC_ALGORITHMS.includes(header.alg) && jwksUrl) {
+      if (!header.kid) {
+        throw new SsoTokenError('unknown_key', 'Token is missing a key ID');
+      }
+      return getPublicKey(header.kid);
+    }
+    throw new SsoTokenError('unsupported_algorithm', 'Token signing algorithm is not accepted');
+  }
+
+  function translateJwtError(error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return new SsoTokenError('token_expired', 'Authentication token has expired');
+    }
+    if (error instanceof jwt.NotBeforeError) {
+      return new SsoTokenError('token_not_yet_valid', 'Authentication token is not valid yet');
+    }
+    if (/audience invalid/.test(error.message)) {
+      return new SsoTokenError('invalid_audience', 'Token was not issued for this site');
+    }
+    if (/issuer invalid/.test(error.message)) {
+      return new SsoTokenError('invalid_issuer', 'Invalid token issuer');
+    }
+    if (/signature/.test(error.message)) {
+      return new SsoTokenError('invalid_signature', 'Invalid token signature');
+    }
+    return new SsoTokenError('invalid_token', 'Invalid authentication token', 400);
+  }
+
+  // Make sure sign-in and logout tokens cannot be swapped
+  function checkTokenType(claims, logout) {
+    const isLogoutToken = Boolean(claims.events && claims.events[BACKCHANNEL_LOGOUT_EVENT]);
+
+    if (!logout && claims.events) {
+      throw new SsoTokenError('wrong_token_type', 'Logout tokens cannot be used to sign in', 400);
+    }
+    if (logout && !isLogoutToken) {
+      throw new SsoTokenError('wrong_token_type', 'Not a logout token', 400);
+    }
+    if (logout && claims.nonce) {
+      throw new SsoTokenError('wrong_token_type', 'Logout tokens must not contain a nonce', 400);
+    }
+    if (logout && !claims.email && !claims.sid) {
+      throw new SsoTokenError('missing_subject', 'Logout token must name an email or session id', 400);
+    }
+  }
+
+  /**
+   * Verify a token and consume its jti
+   * @param {string} token
+   * @param {object} [options]
+   * @param {boolean} [options.logout] - Expect a back-channel logout token
+   * @returns {Promise<object>} The verified claims
+   * @throws {SsoTokenError}
+   */
+  async function verify(token, { logout = false } = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || typeof decoded.payload !== 'object') {
+      throw new SsoTokenError('malformed_token', 'Malformed authentication token', 400);
+    }
+
+    const key = await getVerificationKey(decoded.header);
+
+    let claims;
+    try {
+      claims = jwt.verify(token, key, {
+        algorithms: [decoded.header.alg],
+        issuer,
+        audience,
+        clockTolerance: clockToleranceSec
+      });
+    } catch (error) {
+      throw translateJwtError(error);
+    }
+
+    if (!claims.exp) {
+      throw new SsoTokenError('missing_expiry', 'Authentication token has no expiry', 400);
+    }
+    if (!claims.jti) {
+      throw new SsoTokenError('missing_jti', 'Authentication token has no ID', 400);
+    }
+
+    checkTokenType(claims, logout);
+
+    await cleanupExpired();
+    const firstUse = await usedTokenQueries.markUsed(`${issuer}:${claims.jti}`, claims.exp * 1000);
+    if (!firstUse) {
+      throw new SsoTokenError('token_replayed', 'Authentication token has already been used');
+    }
+
+    return claims;
+  }
+
+  return { verify };
+}
+
+module.exports = {
+  BACKCHANNEL_LOGOUT_EVENT,
+  SsoTokenError,
+  createSsoTokenVerifier,
+};
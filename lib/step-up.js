@@ -0,0 +1,67 @@
+/**
+ * Step-up authentication
+ *
+ * Some operations (adding or removing a passkey) need more than a signed-in
+ * session: the member must have proved who they are within the last few
+ * minutes. Every sign-in route records when that happened in the session
+ * (markAuthenticated), along with how; the middleware from createRecentAuthCheck
+ * turns older sessions away with a 401 and code 'reauth_required', so the client
+ * can send the member through sign-in again. Account recovery additionally needs
+ * that sign-in to have been by email, since the member's passkeys may be lost.
+ */
+
+/**
+ * Record when and how the member last authenticated
+ * @param {object} session - req.session
+ * @param {number} [at] - timestamp in milliseconds
+ * @param {string} [method] - 'email', 'passkey' or 'sso'
+ */
+function markAuthenticated(session, at = Date.now(), method = null) {
+  session.authTime = at;
+  session.authMethod = method;
+}
+
+/**
+ * Create middleware that requires a recent authentication
+ * Expects a signed-in session (run it after the usual auth check)
+ * @param {object} options
+ * @param {number} options.maxAgeMs - How long an authentication counts as recent
+ * @returns {Function} Express middleware
+ */
+function createRecentAuthCheck({ maxAgeMs }) {
+  return function requireRecentAuth(req, res, next) {
+    const authTime = req.session && req.session.authTime;
+
+    if (!authTime || Date.now() - authTime > maxAgeMs) {
+      return res.status(401).json({
+        error: 'Please sign in again to continue',
+        code: 'reauth_required',
+        maxAgeSeconds: Math.floor(maxAgeMs / 1000)
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Create middleware that requires the recent authentication to have been by email
+ * Run it after requireRecentAuth
+ * @returns {Function} Express middleware
+ */
+function createEmailAuthCheck() {
+  return function requireEmailAuth(req, res, next) {
+    if (req.session.authMethod !== 'email') {
+      return res.status(403).json({
+        error: 'Please confirm with a code sent to your email to continue',
+        code: 'email_verification_required'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createEmailAuthCheck,
+  createRecentAuthCheck,
+  markAuthenticated,
+};
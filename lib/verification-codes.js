@@ -0,0 +1,108 @@
+/**
+ * Hashed, browser-bound verification codes
+ *
+ * Codes are never stored in plain text. Each stored row holds an HMAC of the
+ * code keyed with a random nonce that only lives in the session of the browser
+ * that requested the code, plus a per-code salt. A leaked database row cannot
+ * be brute-forced without the nonce, and an intercepted email is useless in
+ * any other browser. Expired codes that were never entered are deleted now
+ * and then as new ones are stored.
+ */
+
+const crypto = require('crypto');
+const { createPeriodicCleanup } = require('./periodic-cleanup');
+
+/**
+ * Create a new random nonce for the requesting browser's session
+ * @returns {string}
+ */
+function generateNonce() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a code for storage
+ * @param {string} code
+ * @param {string} salt
+ * @param {string} nonce
+ * @returns {string} hex digest
+ */
+function hashCode(code, salt, nonce) {
+  return crypto.createHmac('sha256', nonce)
+    .update(`${salt}:${code}`)
+    .digest('hex');
+}
+
+/**
+ * Create store / verify functions on top of verificationCodeQueries
+ * @param {object} verificationCodeQueries - storeCode / getCode / deleteCode / cleanupExpiredCodes
+ * @param {object} [options]
+ * @param {number} [options.cleanupIntervalMs] - Minimum time between cleanups of expired codes
+ */
+function createCodeStore(verificationCodeQueries, { cleanupIntervalMs = 60 * 1000 } = {}) {
+  const cleanupExpired = createPeriodicCleanup(
+    'verification codes',
+    () => verificationCodeQueries.cleanupExpiredCodes(),
+    cleanupIntervalMs
+  );
+
+  /**
+   * Store a code for an email, bound to the requesting browser's nonce
+   * @param {string} email
+   * @param {string} code
+   * @param {number} expiresAt - timestamp in milliseconds
+   * @param {string} nonce - from the requesting session
+   */
+  async function storeCode(email, code, expiresAt, nonce) {
+    if (!nonce) {
+      throw new Error('A session nonce is required to store a verification code');
+    }
+    await cleanupExpired();
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    await verificationCodeQueries.storeCode(email, hashCode(code, salt, nonce), salt, expiresAt);
+  }
+
+  /**
+   * Verify a code for an email from the browser holding the nonce
+   * The code is deleted once it has been used or has expired
+   * @param {string} email
+   * @param {string} code
+   * @param {string|null} nonce - from the verifying session
+   * @returns {Promise<boolean>}
+   */
+  async function verifyCode(email, code, nonce) {
+    const storedData = await verificationCodeQueries.getCode(email);
+
+    if (!storedData) {
+      return false;
+    }
+
+    if (storedData.expiresAt < Date.now()) {
+      await verificationCodeQueries.deleteCode(email);
+      return false;
+    }
+
+    if (!nonce || typeof code !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(storedData.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(code, storedData.salt, nonce), 'hex');
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return false;
+    }
+
+    await verificationCodeQueries.deleteCode(email);
+    return true;
+  }
+
+  return { storeCode, verifyCode };
+}
+
+module.exports = {
+  generateNonce,
+  hashCode,
+  createCodeStore,
+};
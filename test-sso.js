@@ -7,6 +7,7 @@
  * Run with: node test-sso.js
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 
@@ -21,7 +22,8 @@ const COLORS = {
 
 const SSO_PROVIDER = 'http://localhost:3001';
 const INSIGHTS_URL = 'http://localhost:3004';
-const SESSION_SECRET = 'insights-dev-secret-change-in-production';
+// Must match SSO_JWT_SECRET on the insights server (handoff tokens no longer use SESSION_SECRET)
+const SSO_JWT_SECRET = process.env.SSO_JWT_SECRET || 'insights-dev-sso-secret-change-in-production';
 
 let testResults = {
     passed: 0,
@@ -69,11 +71,13 @@ function createTestToken(email = 'test@example.com', name = 'Test User', labels
         name,
         labels,
         iss: 'bear.flights',
+        aud: INSIGHTS_URL,
+        jti: crypto.randomUUID(),
         iat: Math.floor(Date.now() / 1000),
-        exp: Math.floor(Date.now() / 1000) + (60 * 60) // 1 hour from now
+        exp: Math.floor(Date.now() / 1000) + (5 * 60) // 5 minutes from now
     };
 
-    return jwt.sign(payload, SESSION_SECRET);
+    return jwt.sign(payload, SSO_JWT_SECRET);
 }
 
 async function testSSORedirect() {
@@ -192,15 +196,17 @@ async function testInvalidToken() {
         const response2 = await axios.get(`${INSIGHTS_URL}/auth/callback?token=invalid`, {
             validateStatus: () => true
         });
-        logTest('Rejects invalid token', response2.status === 500);
+        logTest('Rejects invalid token', response2.status === 400);
 
         // Test with wrong issuer
         const wrongIssuerToken = jwt.sign({
             email: 'test@example.com',
             iss: 'evil.com',
+            aud: INSIGHTS_URL,
+            jti: crypto.randomUUID(),
             iat: Math.floor(Date.now() / 1000),
             exp: Math.floor(Date.now() / 1000) + 3600
-        }, SESSION_SECRET);
+        }, SSO_JWT_SECRET);
 
         const response3 = await axios.get(`${INSIGHTS_URL}/auth/callback?token=${wrongIssuerToken}`, {
             validateStatus: () => true